@@ -0,0 +1,29 @@
+/**
+ * Configuration du mode batch (API Batch d'OpenAI : -50 % sur les appels, résultats sous 24 h)
+ * Valeurs surchargeables par variables d'environnement ou par options
+ */
+
+import { envInt, mergeOverrides } from '../utils/helpers.js';
+
+/**
+ * Obtenir la configuration du mode batch
+ * @param {object} overrides - Valeurs prioritaires
+ */
+export function getBatchConfig(overrides = {}) {
+  const config = {
+    // Jobs soumis (jobs/) et état des articles en attente (runs/)
+    dir: process.env.BATCH_DIR || 'data/batches',
+    // Intervalle entre deux vérifications avec --collect --wait
+    pollIntervalMs: envInt('BATCH_POLL_INTERVAL_MS', 60000),
+    // Provider fake : délai avant qu'un job soit terminé
+    fakeDelayMs: envInt('BATCH_FAKE_DELAY_MS', 0)
+  };
+
+  mergeOverrides(config, overrides);
+
+  return config;
+}
+
+export default {
+  getBatchConfig
+};
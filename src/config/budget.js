@@ -0,0 +1,102 @@
+/**
+ * Configuration du budget des runs cron (USD)
+ * Valeurs surchargeables par variables d'environnement ou par options (--max-cost)
+ *
+ * Limites : journalière et mensuelle (dépenses suivies dans MongoDB, jours et mois UTC),
+ * et plafond par run. 0 = pas de limite.
+ */
+
+import { ROUTED_STAGES } from './routing.js';
+import { envFloat, mergeOverrides } from '../utils/helpers.js';
+
+/**
+ * Actions possibles quand un article ferait dépasser une limite, essayées dans l'ordre
+ * (l'arrêt du run reste le dernier recours)
+ */
+export const BUDGET_ACTIONS = ['stop', 'skip-translations', 'fallback'];
+
+/**
+ * Tokens attendus par étape pour estimer le coût d'un article avant de le générer
+ * (traductions : par langue cible ; révision : par passe du quality gate ; reangle : par nouvel angle ;
+ * contenu et révision long format : multipliés par longFormFactor ; image : couverture générée par un modèle payant)
+ * Surchargeable par BUDGET_EXPECTED_TOKENS (JSON, même format)
+ */
+export const DEFAULT_EXPECTED_TOKENS = {
+  outline: { input: 1500, output: 2500 },
+  content: { input: 3000, output: 8000 },
+  seo: { input: 4000, output: 1500 },
+  // L'article complet est relu puis réécrit
+  revision: { input: 9000, output: 8000 },
+  faq: { input: 8000, output: 1500 },
+  links: { input: 8500, output: 1000 },
+  reangle: { input: 1000, output: 400 },
+  'translation-content': { input: 8000, output: 8000 },
+  'translation-seo': { input: 1500, output: 1500 },
+  // Couverture gpt-image-1 en 1536x1024, qualité high au pire (le prompt en entrée, l'image en sortie)
+  image: { input: 250, output: 6240 }
+};
+
+/**
+ * Étapes dont le coût est estimé : étapes routées et image de couverture (IMAGE_PROVIDER, IMAGE_MODEL)
+ */
+export const ESTIMATED_STAGES = [...ROUTED_STAGES, 'image'];
+
+/**
+ * Tokens attendus par étape (défauts + surcharges)
+ */
+function getExpectedTokens() {
+  let overrides = {};
+  try {
+    overrides = process.env.BUDGET_EXPECTED_TOKENS ? JSON.parse(process.env.BUDGET_EXPECTED_TOKENS) : {};
+  } catch (error) {
+    throw new Error(`BUDGET_EXPECTED_TOKENS invalide: ${error.message}`);
+  }
+
+  for (const stage of Object.keys(overrides)) {
+    if (!ESTIMATED_STAGES.includes(stage)) {
+      throw new Error(`BUDGET_EXPECTED_TOKENS invalide: étape "${stage}" inconnue (attendues : ${ESTIMATED_STAGES.join(', ')})`);
+    }
+  }
+
+  return { ...DEFAULT_EXPECTED_TOKENS, ...overrides };
+}
+
+/**
+ * Obtenir la configuration du budget
+ * @param {object} overrides - Valeurs prioritaires (ex: { runLimit: 0.5 })
+ */
+export function getBudgetConfig(overrides = {}) {
+  const config = {
+    dailyLimit: envFloat('BUDGET_DAILY_USD', 0),
+    monthlyLimit: envFloat('BUDGET_MONTHLY_USD', 0),
+    runLimit: envFloat('BUDGET_RUN_USD', 0),
+    // Ex: "skip-translations,fallback" : d'abord sans traductions, puis avec le modèle de repli
+    actions: (process.env.BUDGET_ACTION || 'stop').split(',').map(action => action.trim()).filter(Boolean),
+    // Modèle de repli (action fallback) ; provider : LLM_PROVIDER par défaut
+    fallbackProvider: process.env.BUDGET_FALLBACK_PROVIDER || null,
+    fallbackModel: process.env.BUDGET_FALLBACK_MODEL || null,
+    longFormFactor: envFloat('BUDGET_LONG_FORM_FACTOR', 2.5),
+    expectedTokens: getExpectedTokens()
+  };
+
+  mergeOverrides(config, overrides);
+
+  for (const action of config.actions) {
+    if (!BUDGET_ACTIONS.includes(action)) {
+      throw new Error(`BUDGET_ACTION invalide: ${action} (${BUDGET_ACTIONS.join(', ')})`);
+    }
+  }
+  if (config.actions.includes('fallback') && !config.fallbackModel) {
+    throw new Error('BUDGET_ACTION=fallback nécessite BUDGET_FALLBACK_MODEL');
+  }
+
+  config.enabled = config.dailyLimit > 0 || config.monthlyLimit > 0 || config.runLimit > 0;
+  return config;
+}
+
+export default {
+  BUDGET_ACTIONS,
+  DEFAULT_EXPECTED_TOKENS,
+  ESTIMATED_STAGES,
+  getBudgetConfig
+};
@@ -0,0 +1,30 @@
+/**
+ * Configuration du cache des réponses LLM (développement, relances)
+ * Valeurs surchargeables par variables d'environnement ou par options
+ */
+
+import { envFloat, envBool, mergeOverrides } from '../utils/helpers.js';
+
+/**
+ * Obtenir la configuration du cache
+ * @param {object} overrides - Valeurs prioritaires (ex: --cache / --no-cache)
+ */
+export function getCacheConfig(overrides = {}) {
+  const config = {
+    // Désactivé par défaut : opt-in avec LLM_CACHE=true ou --cache
+    enabled: envBool('LLM_CACHE', false),
+    // disk (un fichier JSON par réponse) ou mongo (collection llm_cache)
+    store: process.env.LLM_CACHE_STORE || 'disk',
+    dir: process.env.LLM_CACHE_DIR || 'data/cache/llm',
+    // Durée de vie d'une réponse (heures)
+    ttlHours: envFloat('LLM_CACHE_TTL_HOURS', 168)
+  };
+
+  mergeOverrides(config, overrides);
+
+  return config;
+}
+
+export default {
+  getCacheConfig
+};
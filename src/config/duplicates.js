@@ -0,0 +1,33 @@
+/**
+ * Configuration de la détection des sujets déjà traités
+ * Seuils surchargeables par variables d'environnement ou par options
+ */
+
+import { envInt, envFloat, envBool, mergeOverrides } from '../utils/helpers.js';
+
+/**
+ * Obtenir la configuration de la détection de doublons
+ * @param {object} overrides - Valeurs prioritaires (ex: options CLI)
+ */
+export function getDuplicateCheckConfig(overrides = {}) {
+  const config = {
+    enabled: envBool('TOPIC_DEDUP', true),
+    // Similarité (0-1) au-delà de laquelle un sujet est considéré comme déjà traité
+    threshold: envFloat('TOPIC_SIMILARITY_THRESHOLD', 0.6),
+    // reangle : proposer un autre angle, reject : écarter le sujet
+    action: process.env.TOPIC_DUPLICATE_ACTION || 'reangle',
+    // 0 : pas de nouvel angle, le sujet est écarté directement
+    maxReangles: envInt('TOPIC_MAX_REANGLES', 2),
+    // Embeddings (optionnel) : similarité cosinus sur les embeddings stockés
+    useEmbeddings: envBool('TOPIC_EMBEDDINGS', false),
+    embeddingThreshold: envFloat('TOPIC_EMBEDDING_THRESHOLD', 0.88)
+  };
+
+  mergeOverrides(config, overrides);
+
+  return config;
+}
+
+export default {
+  getDuplicateCheckConfig
+};
@@ -0,0 +1,36 @@
+/**
+ * Configuration des flux RSS/Atom utilisés comme source de tendances
+ * (liste des flux par catégorie : champ feeds de config/topics.js)
+ * Valeurs surchargeables par variables d'environnement ou par options
+ */
+
+import { envInt, envBool, mergeOverrides } from '../utils/helpers.js';
+
+/**
+ * Obtenir la configuration des flux
+ * @param {object} overrides - Valeurs prioritaires
+ */
+export function getFeedsConfig(overrides = {}) {
+  const config = {
+    // Gratuits et sans clé : actifs par défaut
+    enabled: envBool('FEEDS_ENABLED', true),
+    // ETag / Last-Modified et entrées de la dernière réponse, par flux (requêtes conditionnelles)
+    cacheDir: process.env.FEEDS_CACHE_DIR || 'data/cache/feeds',
+    // Flux locaux lus à la place du réseau (hors ligne), voir getFeedFixtureName
+    fixturesDir: process.env.FEEDS_FIXTURES_DIR || null,
+    timeoutMs: envInt('FEEDS_TIMEOUT_MS', 10000),
+    // Entrées gardées par flux, et ancienneté maximale (jours, 0 = sans limite)
+    limit: envInt('FEEDS_LIMIT', 20),
+    maxAgeDays: envInt('FEEDS_MAX_AGE_DAYS', 30),
+    // Flux interrogés sans catégorie (tirés au hasard parmi toutes les catégories)
+    randomCount: envInt('FEEDS_RANDOM_COUNT', 4)
+  };
+
+  mergeOverrides(config, overrides);
+
+  return config;
+}
+
+export default {
+  getFeedsConfig
+};
@@ -0,0 +1,36 @@
+/**
+ * Configuration de l'enregistrement / rejeu des appels externes (LLM, recherche web)
+ * Valeurs surchargeables par variables d'environnement ou par options (--record, --replay)
+ */
+
+import { mergeOverrides } from '../utils/helpers.js';
+
+/**
+ * Obtenir la configuration des fixtures
+ * @param {object} overrides - Valeurs prioritaires (ex: { mode: 'replay', dir: 'fixtures/rag' })
+ */
+export function getFixturesConfig(overrides = {}) {
+  const config = {
+    // off, record (appels réels enregistrés) ou replay (réponses enregistrées, sans réseau)
+    mode: process.env.FIXTURES_MODE || 'off',
+    // Par défaut : fixtures/ (suivi par git, run d'exemple rejoué par les tests) en rejeu,
+    // data/fixtures (ignoré par git) en enregistrement, pour ne jamais écrire dans l'exemple
+    dir: process.env.FIXTURES_DIR || null
+  };
+
+  mergeOverrides(config, overrides);
+
+  if (!config.dir) {
+    config.dir = config.mode === 'record' ? 'data/fixtures' : 'fixtures';
+  }
+
+  if (!['off', 'record', 'replay'].includes(config.mode)) {
+    throw new Error(`FIXTURES_MODE invalide: ${config.mode} (off, record, replay)`);
+  }
+
+  return config;
+}
+
+export default {
+  getFixturesConfig
+};
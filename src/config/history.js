@@ -0,0 +1,37 @@
+/**
+ * Configuration de l'historique des tendances (services/history.js, collection trends)
+ * Valeurs surchargeables par variables d'environnement ou par options
+ */
+
+import { envFloat, envBool, mergeOverrides } from '../utils/helpers.js';
+
+/**
+ * Obtenir la configuration de l'historique
+ * @param {object} overrides - Valeurs prioritaires
+ */
+export function getTrendHistoryConfig(overrides = {}) {
+  const config = {
+    // Chaque recherche de tendances est enregistrée dans MongoDB (ignoré sans base)
+    enabled: envBool('TREND_HISTORY_ENABLED', true),
+    // Période (jours) sur laquelle les histoires sont regroupées et suivies
+    days: envFloat('TREND_HISTORY_DAYS', 30),
+    // Fenêtre (jours) du momentum : mentions récentes comparées à la fenêtre précédente
+    windowDays: envFloat('TREND_MOMENTUM_WINDOW_DAYS', 3),
+    // Mentions récentes minimales pour qu'une histoire soit considérée en hausse
+    minMentions: envFloat('TREND_RISING_MIN_MENTIONS', 2),
+    // Le cron choisit d'abord une tendance en hausse encore non traitée (--prefer-rising)
+    preferRising: envBool('TREND_PREFER_RISING', false)
+  };
+
+  mergeOverrides(config, overrides);
+
+  if (!(config.days > 0) || !(config.windowDays > 0)) {
+    throw new Error(`Historique des tendances invalide: TREND_HISTORY_DAYS=${config.days}, TREND_MOMENTUM_WINDOW_DAYS=${config.windowDays}`);
+  }
+
+  return config;
+}
+
+export default {
+  getTrendHistoryConfig
+};
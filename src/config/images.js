@@ -0,0 +1,35 @@
+/**
+ * Configuration du pipeline d'images de couverture
+ * Valeurs surchargeables par variables d'environnement ou par options
+ */
+
+import { envInt, mergeOverrides } from '../utils/helpers.js';
+
+/**
+ * Obtenir la configuration des images
+ * @param {object} overrides - Valeurs prioritaires (ex: options CLI)
+ */
+export function getImageConfig(overrides = {}) {
+  const config = {
+    // placeholder (carte SVG hors ligne), openai, none
+    provider: process.env.IMAGE_PROVIDER || 'placeholder',
+    // payload (collection media via l'API REST) ou disk
+    storage: process.env.IMAGE_STORAGE || (process.env.PAYLOAD_URL ? 'payload' : 'disk'),
+    // Stockage disque
+    outputDir: process.env.IMAGES_DIR || 'data/images',
+    publicUrl: process.env.IMAGES_PUBLIC_URL || null,
+    // Format Open Graph
+    width: envInt('IMAGE_WIDTH', 1200),
+    height: envInt('IMAGE_HEIGHT', 630),
+    // Provider openai
+    model: process.env.IMAGE_MODEL || 'gpt-image-1'
+  };
+
+  mergeOverrides(config, overrides);
+
+  return config;
+}
+
+export default {
+  getImageConfig
+};
@@ -0,0 +1,100 @@
+/**
+ * Configuration du provider de modèles de langage (LLM)
+ * Valeurs surchargeables par variables d'environnement ou par options
+ */
+
+import { envInt, envBool, mergeOverrides } from '../utils/helpers.js';
+
+/**
+ * Valeurs par défaut de chaque provider
+ * Lues à l'appel : dotenv est chargé après l'import des modules
+ */
+function providerDefaults(provider) {
+  switch (provider) {
+    case 'openai':
+      return {
+        model: process.env.OPENAI_MODEL || 'gpt-5-mini',
+        apiKey: process.env.OPENAI_API_KEY,
+        baseURL: process.env.OPENAI_BASE_URL,
+        embeddingModel: process.env.OPENAI_EMBEDDING_MODEL || 'text-embedding-3-small'
+      };
+    case 'openai-compatible':
+      // Ollama, vLLM, LM Studio... : la clé est souvent ignorée par le serveur
+      return {
+        model: null,
+        apiKey: 'not-needed',
+        baseURL: null,
+        embeddingModel: null
+      };
+    case 'anthropic':
+      return {
+        model: process.env.ANTHROPIC_MODEL || 'claude-sonnet-4-5',
+        apiKey: process.env.ANTHROPIC_API_KEY,
+        baseURL: process.env.ANTHROPIC_BASE_URL || 'https://api.anthropic.com',
+        embeddingModel: null
+      };
+    case 'fake':
+      return {
+        model: 'fake',
+        apiKey: null,
+        baseURL: null,
+        embeddingModel: 'fake-embedding'
+      };
+    default:
+      return {};
+  }
+}
+
+/**
+ * Surcharges de capacités depuis l'environnement
+ * Seules les valeurs définies remplacent celles déclarées par le provider
+ */
+function capabilityOverrides() {
+  const overrides = {
+    jsonMode: envBool('LLM_JSON_MODE'),
+    temperature: envBool('LLM_TEMPERATURE'),
+    sampling: envBool('LLM_SAMPLING'),
+    streaming: envBool('LLM_STREAMING'),
+    structuredOutputs: envBool('LLM_STRUCTURED_OUTPUTS'),
+    tokenParam: process.env.LLM_TOKEN_PARAM || undefined
+  };
+  return Object.fromEntries(Object.entries(overrides).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Obtenir la configuration du provider LLM
+ * @param {object} overrides - Valeurs prioritaires (ex: options CLI, provider ou modèle d'un appel)
+ */
+export function getLLMConfig(overrides = {}) {
+  // openai, openai-compatible, anthropic, fake
+  const provider = overrides.provider || process.env.LLM_PROVIDER || 'openai';
+  const defaults = providerDefaults(provider);
+  // Les variables LLM_* génériques ne visent que le provider sélectionné par LLM_PROVIDER
+  const selected = provider === (process.env.LLM_PROVIDER || 'openai');
+  const env = (name) => (selected ? process.env[name] : undefined);
+
+  const config = {
+    provider,
+    model: env('LLM_MODEL') || defaults.model,
+    apiKey: env('LLM_API_KEY') || defaults.apiKey,
+    baseURL: env('LLM_BASE_URL') || defaults.baseURL,
+    // Délai maximal d'un appel (ms)
+    timeout: envInt('LLM_TIMEOUT_MS', 600000),
+    // Surcharges des capacités déclarées par le provider
+    capabilities: selected ? capabilityOverrides() : {},
+    // Embeddings : provider dédié (par défaut le provider principal s'il les supporte, sinon openai)
+    embeddingProvider: process.env.LLM_EMBEDDING_PROVIDER || null,
+    embeddingModel: process.env.LLM_EMBEDDING_MODEL || defaults.embeddingModel
+  };
+
+  // Les capacités passées en option complètent celles de l'environnement
+  const { capabilities, ...rest } = overrides || {};
+  mergeOverrides(config, rest);
+  config.capabilities = { ...config.capabilities, ...capabilities };
+
+  return config;
+}
+
+export default {
+  getLLMConfig
+};
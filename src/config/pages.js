@@ -0,0 +1,41 @@
+/**
+ * Configuration du téléchargement des pages sources de la recherche web (services/pages.js)
+ * Valeurs surchargeables par variables d'environnement ou par options
+ */
+
+import { envInt, envBool, mergeOverrides } from '../utils/helpers.js';
+
+/**
+ * Obtenir la configuration du téléchargement des pages
+ * @param {object} overrides - Valeurs prioritaires
+ */
+export function getPageFetchConfig(overrides = {}) {
+  const config = {
+    // Étape optionnelle de la recherche web (--fetch-pages)
+    enabled: envBool('SOURCE_PAGES_ENABLED', false),
+    // Pages téléchargées : les N premiers résultats de la recherche
+    count: envInt('SOURCE_PAGES_COUNT', 3),
+    // Taille maximale lue par page (octets, le reste est ignoré) et délai maximal
+    maxBytes: envInt('SOURCE_PAGES_MAX_BYTES', 2 * 1024 * 1024),
+    timeoutMs: envInt('SOURCE_PAGES_TIMEOUT_MS', 10000),
+    // Ne pas télécharger les pages interdites par le robots.txt du site
+    respectRobots: envBool('SOURCE_PAGES_RESPECT_ROBOTS', true),
+    // Texte extrait de chaque page, réutilisé pendant cacheTtlHours
+    cacheDir: process.env.SOURCE_PAGES_CACHE_DIR || 'data/cache/pages',
+    cacheTtlHours: envInt('SOURCE_PAGES_CACHE_TTL_HOURS', 24),
+    // Pages HTML locales lues à la place du réseau (hors ligne), voir getPageFixtureName
+    fixturesDir: process.env.SOURCE_PAGES_FIXTURES_DIR || null,
+    // Taille des passages (mots), extraits gardés au total et par page
+    chunkWords: envInt('SOURCE_PAGES_CHUNK_WORDS', 120),
+    excerpts: envInt('SOURCE_PAGES_EXCERPTS', 6),
+    excerptsPerPage: envInt('SOURCE_PAGES_EXCERPTS_PER_PAGE', 3)
+  };
+
+  mergeOverrides(config, overrides);
+
+  return config;
+}
+
+export default {
+  getPageFetchConfig
+};
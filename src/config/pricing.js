@@ -0,0 +1,90 @@
+/**
+ * Table de prix des modèles (USD par million de tokens)
+ * Surchargeable par LLM_PRICES (JSON) ou LLM_PRICES_FILE (chemin d'un fichier JSON),
+ * au même format : { "modèle": { "input": 0.25, "output": 2 } }
+ *
+ * Les tokens de raisonnement sont facturés comme des tokens de sortie
+ * (ils sont déjà inclus dans le nombre de tokens de sortie renvoyé par OpenAI).
+ */
+
+import fs from 'fs';
+
+export const DEFAULT_MODEL_PRICES = {
+  'gpt-5': { input: 1.25, output: 10 },
+  'gpt-5-mini': { input: 0.25, output: 2 },
+  'gpt-5-nano': { input: 0.05, output: 0.4 },
+  'gpt-4.1': { input: 2, output: 8 },
+  'gpt-4.1-mini': { input: 0.4, output: 1.6 },
+  'gpt-4.1-nano': { input: 0.1, output: 0.4 },
+  'gpt-4o': { input: 2.5, output: 10 },
+  'gpt-4o-mini': { input: 0.15, output: 0.6 },
+  'o3': { input: 2, output: 8 },
+  'o3-mini': { input: 1.1, output: 4.4 },
+  'o4-mini': { input: 1.1, output: 4.4 },
+  'claude-opus-4': { input: 15, output: 75 },
+  // Opus 4.5 est moins cher que les versions 4 / 4.1 : entrée explicite (le préfixe donnerait le prix d'Opus 4)
+  'claude-opus-4-5': { input: 5, output: 25 },
+  'claude-sonnet-4': { input: 3, output: 15 },
+  'claude-haiku-4': { input: 1, output: 5 },
+  // Images : texte du prompt en entrée, image en sortie
+  'gpt-image-1': { input: 5, output: 40 },
+  'text-embedding-3-small': { input: 0.02, output: 0 },
+  'text-embedding-3-large': { input: 0.13, output: 0 }
+};
+
+/**
+ * Remise de l'API Batch : les requêtes traitées en différé sont facturées moitié prix
+ */
+export const BATCH_PRICE_FACTOR = 0.5;
+
+/**
+ * Providers dont les appels ne sont pas facturés (modèles locaux, provider factice)
+ */
+const FREE_PROVIDERS = ['openai-compatible', 'fake'];
+
+let cachedPrices = null;
+
+/**
+ * Obtenir la table de prix (défauts + surcharges)
+ */
+export function getModelPrices() {
+  if (cachedPrices) return cachedPrices;
+
+  let overrides = {};
+  try {
+    if (process.env.LLM_PRICES_FILE) {
+      overrides = JSON.parse(fs.readFileSync(process.env.LLM_PRICES_FILE, 'utf-8'));
+    } else if (process.env.LLM_PRICES) {
+      overrides = JSON.parse(process.env.LLM_PRICES);
+    }
+  } catch (error) {
+    throw new Error(`Table de prix invalide (LLM_PRICES / LLM_PRICES_FILE): ${error.message}`);
+  }
+
+  cachedPrices = { ...DEFAULT_MODEL_PRICES, ...overrides };
+  return cachedPrices;
+}
+
+/**
+ * Prix d'un modèle : entrée exacte, sinon plus long préfixe connu
+ * (gpt-5-mini-2025-08-07 → gpt-5-mini, claude-sonnet-4-5 → claude-sonnet-4)
+ * @returns {object|null} { input, output } ou null si inconnu
+ */
+export function getModelPrice(model, provider = null) {
+  const prices = getModelPrices();
+  if (prices[model]) return prices[model];
+
+  const prefix = Object.keys(prices)
+    .filter(name => model?.startsWith(name))
+    .sort((a, b) => b.length - a.length)[0];
+
+  if (prefix) return prices[prefix];
+  return FREE_PROVIDERS.includes(provider) ? { input: 0, output: 0 } : null;
+}
+
+export default {
+  DEFAULT_MODEL_PRICES,
+  BATCH_PRICE_FACTOR,
+  getModelPrices,
+  getModelPrice
+};
@@ -0,0 +1,22 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getModelPrice } from './pricing.js';
+
+test('un modèle daté prend le prix du plus long préfixe connu', () => {
+  assert.deepEqual(getModelPrice('gpt-5-mini-2025-08-07'), { input: 0.25, output: 2 });
+  assert.deepEqual(getModelPrice('gpt-5-2025-08-07'), { input: 1.25, output: 10 });
+  assert.deepEqual(getModelPrice('gpt-4o-mini-2024-07-18'), { input: 0.15, output: 0.6 });
+  assert.deepEqual(getModelPrice('claude-sonnet-4-5'), { input: 3, output: 15 });
+});
+
+test('Opus 4.5 a son propre prix, Opus 4.1 garde celui d\'Opus 4', () => {
+  assert.deepEqual(getModelPrice('claude-opus-4-5'), { input: 5, output: 25 });
+  assert.deepEqual(getModelPrice('claude-opus-4-5-20251101'), { input: 5, output: 25 });
+  assert.deepEqual(getModelPrice('claude-opus-4-1'), { input: 15, output: 75 });
+});
+
+test('un modèle inconnu est gratuit chez les providers locaux, sans prix ailleurs', () => {
+  assert.equal(getModelPrice('llama3.1', 'openai'), null);
+  assert.deepEqual(getModelPrice('llama3.1', 'openai-compatible'), { input: 0, output: 0 });
+  assert.deepEqual(getModelPrice('fake', 'fake'), { input: 0, output: 0 });
+});
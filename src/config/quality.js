@@ -0,0 +1,31 @@
+/**
+ * Configuration du contrôle qualité des articles générés
+ * Seuils surchargeables par variables d'environnement ou par options
+ */
+
+import { envInt, envBool, mergeOverrides } from '../utils/helpers.js';
+
+/**
+ * Obtenir la configuration du quality gate
+ * @param {object} overrides - Valeurs prioritaires (ex: options CLI)
+ */
+export function getQualityGateConfig(overrides = {}) {
+  const config = {
+    enabled: envBool('QUALITY_GATE', true),
+    // Score minimum retourné par analyzeSEOScore (en %)
+    minScore: envInt('QUALITY_MIN_SCORE', 70),
+    // Règles bloquantes
+    minWordCount: envInt('QUALITY_MIN_WORDS', 1200),
+    minH2Count: envInt('QUALITY_MIN_H2', 4),
+    // Nombre maximum de passes de révision
+    maxRevisions: envInt('QUALITY_MAX_REVISIONS', 2)
+  };
+
+  mergeOverrides(config, overrides);
+
+  return config;
+}
+
+export default {
+  getQualityGateConfig
+};
@@ -0,0 +1,52 @@
+/**
+ * Configuration du classement des sujets tendances (services/ranking.js)
+ * Valeurs surchargeables par variables d'environnement ou par options
+ */
+
+import { envFloat, mergeOverrides } from '../utils/helpers.js';
+
+/**
+ * Signaux combinés dans le score d'une tendance
+ */
+export const TREND_SIGNALS = ['recency', 'corroboration', 'relevance', 'novelty'];
+
+/**
+ * Obtenir la configuration du classement
+ * @param {object} overrides - Valeurs prioritaires (weights : fusionnés avec ceux de l'environnement)
+ */
+export function getTrendRankingConfig(overrides = {}) {
+  const { weights, ...rest } = overrides || {};
+  const config = {
+    // Poids relatifs des signaux (0 = signal ignoré) ; renormalisés sur les signaux disponibles
+    weights: {
+      recency: envFloat('TREND_WEIGHT_RECENCY', 0.3),
+      corroboration: envFloat('TREND_WEIGHT_CORROBORATION', 0.2),
+      relevance: envFloat('TREND_WEIGHT_RELEVANCE', 0.35),
+      novelty: envFloat('TREND_WEIGHT_NOVELTY', 0.15),
+      ...weights
+    },
+    // Âge (jours) auquel le signal de récence vaut 0.5
+    halfLifeDays: envFloat('TREND_RECENCY_HALF_LIFE_DAYS', 7),
+    // Similarité des titres (0-1) à partir de laquelle deux résultats racontent la même histoire
+    storySimilarity: envFloat('TREND_STORY_SIMILARITY', 0.5)
+  };
+
+  mergeOverrides(config, rest);
+
+  for (const signal of TREND_SIGNALS) {
+    const weight = config.weights[signal];
+    if (typeof weight !== 'number' || isNaN(weight) || weight < 0) {
+      throw new Error(`TREND_WEIGHT_${signal.toUpperCase()} invalide: ${weight} (nombre positif attendu)`);
+    }
+  }
+  if (!(config.halfLifeDays > 0)) {
+    throw new Error(`TREND_RECENCY_HALF_LIFE_DAYS invalide: ${config.halfLifeDays}`);
+  }
+
+  return config;
+}
+
+export default {
+  TREND_SIGNALS,
+  getTrendRankingConfig
+};
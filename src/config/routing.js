@@ -0,0 +1,141 @@
+/**
+ * Routage des modèles par étape du pipeline
+ *
+ * Chaque étape (outline, content, seo, translation-content, translation-seo, revision, faq, links, reangle, refresh)
+ * peut avoir son provider, son modèle, sa limite de tokens, ses paramètres d'échantillonnage
+ * et les capacités de son modèle, avec des surcharges par catégorie (id de config/topics.js).
+ *
+ * Sources, de la moins à la plus prioritaire :
+ * - LLM_MODEL_<ÉTAPE> (ex: LLM_MODEL_SEO=gpt-5-nano, LLM_MODEL_TRANSLATION_CONTENT=gpt-5-mini)
+ * - LLM_ROUTING (JSON) ou LLM_ROUTING_FILE (chemin d'un fichier JSON) :
+ *   { "stages": { "seo": { "model": "gpt-5-nano", "maxTokens": 1500 },
+ *                 "content": { "model": "my-gpt-4.1-finetune", "capabilities": { "temperature": true } } },
+ *     "categories": { "artificialIntelligence": { "content": { "model": "gpt-5" } } } }
+ */
+
+import fs from 'fs';
+import { TOPICS } from './topics.js';
+
+/**
+ * Étapes routables (affichées au démarrage et conservées dans _generation.routing)
+ */
+export const ROUTED_STAGES = [
+  'outline', 'content', 'seo', 'translation-content', 'translation-seo', 'revision', 'faq', 'links', 'reangle', 'refresh'
+];
+
+/**
+ * Paramètres qu'une route peut fixer
+ */
+export const ROUTE_PARAMS = ['provider', 'model', 'maxTokens', 'temperature', 'topP', 'frequencyPenalty', 'presencePenalty', 'capabilities'];
+
+/**
+ * Capacités qu'une route peut forcer pour son modèle (mêmes surcharges que les variables LLM_*)
+ */
+export const ROUTE_CAPABILITIES = ['jsonMode', 'temperature', 'sampling', 'streaming', 'structuredOutputs', 'tokenParam'];
+
+let cachedRouting = null;
+
+/**
+ * Variable LLM_MODEL_<ÉTAPE> ("translation-seo" → LLM_MODEL_TRANSLATION_SEO)
+ */
+function stageModelVariable(stage) {
+  return `LLM_MODEL_${stage.toUpperCase().replace(/-/g, '_')}`;
+}
+
+/**
+ * Vérifier qu'une étape du routage existe (une faute de frappe ne doit pas passer inaperçue)
+ */
+function validateStage(stage, where) {
+  if (!ROUTED_STAGES.includes(stage)) {
+    throw new Error(`Routage LLM invalide (${where}): étape "${stage}" inconnue (attendues : ${ROUTED_STAGES.join(', ')})`);
+  }
+}
+
+/**
+ * Vérifier qu'une catégorie du routage existe dans config/topics.js
+ */
+function validateCategory(category) {
+  if (!Object.hasOwn(TOPICS, category)) {
+    throw new Error(`Routage LLM invalide (categories): catégorie "${category}" inconnue (attendues : ${Object.keys(TOPICS).join(', ')})`);
+  }
+}
+
+/**
+ * Vérifier qu'une route ne contient que des paramètres connus
+ */
+function validateRoute(route, where) {
+  for (const key of Object.keys(route || {})) {
+    if (!ROUTE_PARAMS.includes(key)) {
+      throw new Error(`Routage LLM invalide (${where}): paramètre "${key}" inconnu (attendus : ${ROUTE_PARAMS.join(', ')})`);
+    }
+  }
+  for (const key of Object.keys(route?.capabilities || {})) {
+    if (!ROUTE_CAPABILITIES.includes(key)) {
+      throw new Error(`Routage LLM invalide (${where}): capacité "${key}" inconnue (attendues : ${ROUTE_CAPABILITIES.join(', ')})`);
+    }
+  }
+}
+
+/**
+ * Obtenir la configuration de routage
+ * @returns {object} { stages: { étape: route }, categories: { catégorie: { étape: route } } }
+ */
+export function getRoutingConfig() {
+  if (cachedRouting) return cachedRouting;
+
+  let routing = {};
+  try {
+    if (process.env.LLM_ROUTING_FILE) {
+      routing = JSON.parse(fs.readFileSync(process.env.LLM_ROUTING_FILE, 'utf-8'));
+    } else if (process.env.LLM_ROUTING) {
+      routing = JSON.parse(process.env.LLM_ROUTING);
+    }
+  } catch (error) {
+    throw new Error(`Routage LLM invalide (LLM_ROUTING / LLM_ROUTING_FILE): ${error.message}`);
+  }
+
+  const stages = {};
+  for (const stage of ROUTED_STAGES) {
+    const model = process.env[stageModelVariable(stage)];
+    if (model) stages[stage] = { model };
+  }
+  for (const [stage, route] of Object.entries(routing.stages || {})) {
+    validateStage(stage, 'stages');
+    validateRoute(route, stage);
+    stages[stage] = { ...stages[stage], ...route };
+  }
+
+  for (const [category, routes] of Object.entries(routing.categories || {})) {
+    validateCategory(category);
+    for (const [stage, route] of Object.entries(routes)) {
+      validateStage(stage, category);
+      validateRoute(route, `${category}.${stage}`);
+    }
+  }
+
+  cachedRouting = { stages, categories: routing.categories || {} };
+  return cachedRouting;
+}
+
+/**
+ * Route d'une étape : route de l'étape, complétée par la surcharge de la catégorie
+ * @param {string} stage - Étape du pipeline (outline, content, seo...)
+ * @param {string} category - Id de catégorie (optionnel)
+ * @returns {object} Paramètres de la route ({} si rien n'est configuré)
+ */
+export function getStageRoute(stage, category = null) {
+  if (!stage) return {};
+  const routing = getRoutingConfig();
+  return {
+    ...routing.stages[stage],
+    ...(category ? routing.categories[category]?.[stage] : null)
+  };
+}
+
+export default {
+  ROUTED_STAGES,
+  ROUTE_PARAMS,
+  ROUTE_CAPABILITIES,
+  getRoutingConfig,
+  getStageRoute
+};
@@ -0,0 +1,47 @@
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { getRoutingConfig, getStageRoute } from './routing.js';
+
+// La configuration est mise en cache une fois valide : les cas invalides passent d'abord
+after(() => {
+  delete process.env.LLM_ROUTING;
+  delete process.env.LLM_MODEL_SEO;
+});
+
+function routingWith(routing) {
+  process.env.LLM_ROUTING = JSON.stringify(routing);
+  return () => getRoutingConfig();
+}
+
+test('une étape inconnue est refusée, dans stages comme dans une catégorie', () => {
+  assert.throws(routingWith({ stages: { contnet: { model: 'gpt-5' } } }), /étape "contnet" inconnue/);
+  assert.throws(routingWith({ categories: { artificialIntelligence: { sumary: { model: 'gpt-5' } } } }), /artificialIntelligence\): étape "sumary" inconnue/);
+});
+
+test('une catégorie absente de config/topics.js est refusée', () => {
+  assert.throws(routingWith({ categories: { artificialInteligence: { content: { model: 'gpt-5' } } } }), /catégorie "artificialInteligence" inconnue \(attendues : webDevelopment, /);
+});
+
+test('un paramètre ou une capacité inconnus sont refusés', () => {
+  assert.throws(routingWith({ stages: { seo: { modle: 'gpt-5-nano' } } }), /paramètre "modle" inconnu/);
+  assert.throws(routingWith({ stages: { seo: { capabilities: { temprature: true } } } }), /capacité "temprature" inconnue/);
+});
+
+test('un JSON invalide est signalé', () => {
+  process.env.LLM_ROUTING = '{ stages';
+  assert.throws(() => getRoutingConfig(), /LLM_ROUTING \/ LLM_ROUTING_FILE/);
+});
+
+test('LLM_MODEL_<ÉTAPE> est complété par LLM_ROUTING, puis par la catégorie', () => {
+  process.env.LLM_MODEL_SEO = 'gpt-5-nano';
+  routingWith({
+    stages: { seo: { maxTokens: 1500 }, faq: { model: 'gpt-5-mini' } },
+    categories: { artificialIntelligence: { seo: { model: 'gpt-5' } } }
+  })();
+
+  assert.deepEqual(getStageRoute('seo'), { model: 'gpt-5-nano', maxTokens: 1500 });
+  assert.deepEqual(getStageRoute('seo', 'artificialIntelligence'), { model: 'gpt-5', maxTokens: 1500 });
+  assert.deepEqual(getStageRoute('faq', 'webDevelopment'), { model: 'gpt-5-mini' });
+  assert.deepEqual(getStageRoute('content'), {});
+  assert.deepEqual(getStageRoute(undefined), {});
+});
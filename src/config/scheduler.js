@@ -0,0 +1,33 @@
+/**
+ * Configuration de l'ordonnanceur des appels LLM (concurrence, débit, retries)
+ * Valeurs surchargeables par variables d'environnement ou par options
+ */
+
+import { envInt, mergeOverrides } from '../utils/helpers.js';
+
+/**
+ * Obtenir la configuration de l'ordonnanceur
+ * Les limites s'appliquent par provider (et URL de base) ; 0 = pas de limite
+ * @param {object} overrides - Valeurs prioritaires
+ */
+export function getSchedulerConfig(overrides = {}) {
+  const config = {
+    // Requêtes simultanées (les traductions en lancent 4 par langue)
+    maxConcurrency: envInt('LLM_MAX_CONCURRENCY', 4),
+    // Requêtes et tokens par minute (tokens : prompt estimé + max_tokens, puis usage réel)
+    requestsPerMinute: envInt('LLM_RPM', 0),
+    tokensPerMinute: envInt('LLM_TPM', 0),
+    // Nouveaux essais sur erreur transitoire (429, 5xx, réseau, timeout)
+    maxRetries: envInt('LLM_MAX_RETRIES', 3),
+    retryBaseDelayMs: envInt('LLM_RETRY_BASE_DELAY_MS', 2000),
+    retryMaxDelayMs: envInt('LLM_RETRY_MAX_DELAY_MS', 60000)
+  };
+
+  mergeOverrides(config, overrides);
+
+  return config;
+}
+
+export default {
+  getSchedulerConfig
+};
@@ -0,0 +1,72 @@
+/**
+ * Configuration des providers de recherche web (services/search.js)
+ *
+ * Sources, de la moins à la plus prioritaire :
+ * - SEARCH_PROVIDERS (ordre et activation, ex: "searxng,brave,news"), SEARCH_STRATEGY (first, merge)
+ * - SEARCH_PROVIDERS_CONFIG (JSON) ou SEARCH_PROVIDERS_FILE (chemin d'un fichier JSON) :
+ *   providers HTTP personnalisés et surcharges des providers intégrés (quota, enabled)
+ *   { "myapi": { "type": "http", "url": "https://api.example.com/search?q={query}", "resultsPath": "data.items",
+ *     "fields": { "title": "name", "url": "link" } }, "brave": { "quota": { "limit": 500, "period": "month" } } }
+ * - options passées à getSearchConfig
+ */
+
+import fs from 'fs';
+import { envInt, mergeOverrides } from '../utils/helpers.js';
+
+/**
+ * Stratégies de combinaison des providers
+ * - first : le premier provider (dans l'ordre) qui renvoie des résultats
+ * - merge : tous les providers disponibles, résultats à la suite (une URL trouvée par plusieurs
+ *   providers est gardée pour chacun : signal de recoupement de services/ranking.js)
+ */
+export const SEARCH_STRATEGIES = ['first', 'merge'];
+
+/**
+ * Définitions des providers depuis SEARCH_PROVIDERS_FILE ou SEARCH_PROVIDERS_CONFIG
+ */
+function readProviderDefinitions() {
+  try {
+    if (process.env.SEARCH_PROVIDERS_FILE) {
+      return JSON.parse(fs.readFileSync(process.env.SEARCH_PROVIDERS_FILE, 'utf-8'));
+    }
+    if (process.env.SEARCH_PROVIDERS_CONFIG) {
+      return JSON.parse(process.env.SEARCH_PROVIDERS_CONFIG);
+    }
+  } catch (error) {
+    throw new Error(`Providers de recherche invalides (SEARCH_PROVIDERS_CONFIG / SEARCH_PROVIDERS_FILE): ${error.message}`);
+  }
+  return {};
+}
+
+/**
+ * Obtenir la configuration de la recherche web
+ * @param {object} overrides - Valeurs prioritaires (order : tableau ou liste séparée par des virgules)
+ */
+export function getSearchConfig(overrides = {}) {
+  const config = {
+    // Providers interrogés, dans l'ordre (un provider absent de la liste est désactivé)
+    order: process.env.SEARCH_PROVIDERS || 'brave,serper,news,searxng',
+    strategy: process.env.SEARCH_STRATEGY || 'first',
+    // Providers HTTP personnalisés et surcharges des providers intégrés
+    providers: readProviderDefinitions(),
+    timeoutMs: envInt('SEARCH_TIMEOUT_MS', 10000),
+    // Requêtes consommées par provider et par période (quotas)
+    quotaFile: process.env.SEARCH_QUOTA_FILE || 'data/cache/search-quota.json'
+  };
+
+  mergeOverrides(config, overrides);
+
+  if (typeof config.order === 'string') {
+    config.order = config.order.split(',').map(name => name.trim()).filter(Boolean);
+  }
+  if (!SEARCH_STRATEGIES.includes(config.strategy)) {
+    throw new Error(`SEARCH_STRATEGY invalide: ${config.strategy} (attendu : ${SEARCH_STRATEGIES.join(', ')})`);
+  }
+
+  return config;
+}
+
+export default {
+  SEARCH_STRATEGIES,
+  getSearchConfig
+};
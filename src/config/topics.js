@@ -7,6 +7,7 @@ export const TOPICS = {
   webDevelopment: {
     name: 'Développement Web',
     emoji: '🌐',
+    colors: ['#2563eb', '#06b6d4'], // Dégradé des visuels (cover / og:image)
     keywords: [
       'frontend', 'backend', 'full-stack', 'javascript', 'typescript',
       'react', 'vue', 'angular', 'next.js', 'nuxt', 'svelte',
@@ -20,12 +21,20 @@ export const TOPICS = {
       'frontend framework comparison',
       'backend technologies news',
       'javascript ecosystem updates'
+    ],
+    // Flux RSS/Atom (services/feeds.js)
+    feeds: [
+      'https://dev.to/feed/tag/webdev',
+      'https://hnrss.org/newest?q=javascript&points=50',
+      'https://nodejs.org/en/feed/blog.xml',
+      'https://react.dev/rss.xml'
     ]
   },
 
   mobileDevelopment: {
     name: 'Développement Mobile',
     emoji: '📱',
+    colors: ['#7c3aed', '#ec4899'],
     keywords: [
       'ios', 'android', 'swift', 'kotlin', 'react native', 'flutter',
       'cross-platform', 'mobile app', 'app store optimization',
@@ -37,12 +46,19 @@ export const TOPICS = {
       'flutter vs react native',
       'ios android development news',
       'mobile app best practices'
+    ],
+    feeds: [
+      'https://dev.to/feed/tag/mobile',
+      'https://android-developers.googleblog.com/feeds/posts/default',
+      'https://developer.apple.com/news/rss/news.rss',
+      'https://medium.com/feed/flutter'
     ]
   },
 
   artificialIntelligence: {
     name: 'Intelligence Artificielle',
     emoji: '🤖',
+    colors: ['#4f46e5', '#22d3ee'],
     keywords: [
       'machine learning', 'deep learning', 'nlp', 'computer vision',
       'ia générative', 'chatgpt', 'gpt', 'claude', 'llm', 'transformers',
@@ -55,12 +71,19 @@ export const TOPICS = {
       'generative ai developments',
       'llm updates and releases',
       'ai in software development'
+    ],
+    feeds: [
+      'https://hnrss.org/newest?q=LLM&points=100',
+      'https://dev.to/feed/tag/ai',
+      'https://huggingface.co/blog/feed.xml',
+      'https://openai.com/news/rss.xml'
     ]
   },
 
   blockchain: {
     name: 'Blockchain & Web3',
     emoji: '⛓️',
+    colors: ['#f59e0b', '#ef4444'],
     keywords: [
       'blockchain', 'ethereum', 'solidity', 'smart contracts', 'defi',
       'nft', 'web3', 'dao', 'tokenomics', 'layer 2', 'polygon',
@@ -72,12 +95,17 @@ export const TOPICS = {
       'web3 development updates',
       'ethereum ecosystem news',
       'defi and crypto trends'
+    ],
+    feeds: [
+      'https://dev.to/feed/tag/blockchain',
+      'https://blog.ethereum.org/feed.xml'
     ]
   },
 
   softwareArchitecture: {
     name: 'Architecture Logicielle',
     emoji: '🏗️',
+    colors: ['#0f766e', '#84cc16'],
     keywords: [
       'microservices', 'monolithe', 'architecture hexagonale', 'ddd',
       'design patterns', 'solid', 'clean architecture', 'cqrs',
@@ -90,12 +118,18 @@ export const TOPICS = {
       'microservices best practices',
       'system design trends',
       'scalable architecture news'
+    ],
+    feeds: [
+      'https://dev.to/feed/tag/architecture',
+      'https://martinfowler.com/feed.atom',
+      'https://hnrss.org/newest?q=architecture&points=50'
     ]
   },
 
   databases: {
     name: 'Bases de Données',
     emoji: '🗄️',
+    colors: ['#1e40af', '#10b981'],
     keywords: [
       'sql', 'nosql', 'postgresql', 'mongodb', 'mysql', 'redis',
       'elasticsearch', 'graphdb', 'time series', 'vector database',
@@ -107,12 +141,18 @@ export const TOPICS = {
       'sql vs nosql comparison',
       'vector database news',
       'database performance optimization'
+    ],
+    feeds: [
+      'https://dev.to/feed/tag/database',
+      'https://www.postgresql.org/news.rss',
+      'https://hnrss.org/newest?q=database&points=50'
     ]
   },
 
   dataAnalytics: {
     name: 'Analyse de Données',
     emoji: '📊',
+    colors: ['#9333ea', '#f97316'],
     keywords: [
       'data science', 'business intelligence', 'data visualization',
       'tableau', 'power bi', 'python data', 'pandas', 'numpy',
@@ -125,12 +165,17 @@ export const TOPICS = {
       'business intelligence news',
       'data science tools updates',
       'big data technology news'
+    ],
+    feeds: [
+      'https://dev.to/feed/tag/datascience',
+      'https://hnrss.org/newest?q=analytics&points=50'
     ]
   },
 
   cloudDevOps: {
     name: 'Cloud & DevOps',
     emoji: '☁️',
+    colors: ['#0284c7', '#6366f1'],
     keywords: [
       'aws', 'azure', 'google cloud', 'cloud native', 'serverless',
       'ci/cd', 'github actions', 'gitlab ci', 'jenkins', 'terraform',
@@ -142,12 +187,18 @@ export const TOPICS = {
       'devops best practices',
       'kubernetes news updates',
       'serverless architecture news'
+    ],
+    feeds: [
+      'https://dev.to/feed/tag/devops',
+      'https://kubernetes.io/feed.xml',
+      'https://aws.amazon.com/blogs/aws/feed/'
     ]
   },
 
   cybersecurity: {
     name: 'Cybersécurité',
     emoji: '🔒',
+    colors: ['#111827', '#dc2626'],
     keywords: [
       'sécurité web', 'owasp', 'penetration testing', 'vulnerability',
       'encryption', 'authentication', 'oauth', 'jwt', 'zero trust',
@@ -159,12 +210,18 @@ export const TOPICS = {
       'web security best practices',
       'data protection news',
       'security vulnerabilities updates'
+    ],
+    feeds: [
+      'https://dev.to/feed/tag/security',
+      'https://hnrss.org/newest?q=vulnerability&points=50',
+      'https://krebsonsecurity.com/feed/'
     ]
   },
 
   uxDesign: {
     name: 'UX/UI Design',
     emoji: '🎨',
+    colors: ['#db2777', '#facc15'],
     keywords: [
       'user experience', 'user interface', 'design system', 'figma',
       'prototyping', 'wireframing', 'usability testing', 'accessibility',
@@ -176,6 +233,11 @@ export const TOPICS = {
       'ui design best practices',
       'accessibility standards news',
       'design tools updates'
+    ],
+    feeds: [
+      'https://dev.to/feed/tag/ux',
+      'https://www.smashingmagazine.com/feed/',
+      'https://www.nngroup.com/feed/rss/'
     ]
   }
 };
@@ -207,4 +269,11 @@ export function getTrendSearchQueries() {
   return Object.values(TOPICS).flatMap(topic => topic.searchQueries);
 }
 
+/**
+ * Obtenir tous les flux RSS/Atom (sans doublons)
+ */
+export function getTrendFeeds() {
+  return [...new Set(Object.values(TOPICS).flatMap(topic => topic.feeds || []))];
+}
+
 export default TOPICS;
@@ -11,15 +11,33 @@
  *   node src/cron.js --publish          # Publier directement
  *   node src/cron.js --multilingual     # Traduire en FR/EN/ES
  *   node src/cron.js --category webDevelopment
+ *   node src/cron.js --resume <runId>   # Reprendre une génération échouée
+ *   node src/cron.js --replay <dir>     # Rejouer un enregistrement, hors ligne
+ *   node src/cron.js --batch-api -n 20  # Soumettre à l'API Batch (moitié prix)
+ *   node src/cron.js --collect          # Récupérer les résultats batch et sauvegarder
  */
 
 import 'dotenv/config';
 import { logger } from './utils/logger.js';
-import { testOpenAIConnection } from './services/openai.js';
+import { testLLMConnection } from './services/llm.js';
 import { testConnection as testDBConnection, createPost, disconnectDatabase, generateUniqueSlug } from './services/database.js';
 import { generateTopicSuggestions, getBestTopicForCategory } from './services/trends.js';
 import { generateArticle } from './generators/article.js';
 import { generateMultilingualArticle, toPayloadLocaleFormat, SUPPORTED_LOCALES } from './generators/translator.js';
+import { withStructuredData } from './generators/jsonld.js';
+import { ensureUniqueTopic } from './generators/duplicates.js';
+import { createUsageTracker, trackUsage, summarizeUsage, mergeUsage, formatUsage, formatCost } from './services/usage.js';
+import { configureLLMCache } from './services/cache.js';
+import { configureFixtures, getActiveFixturesConfig, isReplaying } from './services/fixtures.js';
+import { getRecordedSpend, recordSpend, sumCallsCost, findExceededLimits, describeExceeded, planArticle, formatBudget, withBudgetGuard, isBudgetExceeded } from './services/budget.js';
+import { withRouteOverride } from './services/routing.js';
+import { createBatchRun, runBatchPass, saveBatchRun, loadBatchRuns, submitBatchRuns, collectBatchJobs } from './services/batch.js';
+import { isCheckpointEnabled, isValidRunId } from './services/checkpoint.js';
+import { getBudgetConfig } from './config/budget.js';
+import { getQualityGateConfig } from './config/quality.js';
+import { getDuplicateCheckConfig } from './config/duplicates.js';
+import { getBatchConfig } from './config/batch.js';
+import { getImageConfig } from './config/images.js';
 import { getAllCategories, getRandomCategory } from './config/topics.js';
 
 // Configuration par défaut
@@ -29,6 +47,23 @@ const DEFAULT_CONFIG = {
   multilingual: false,
   category: null,
   language: 'fr',
+  longForm: false,
+  minScore: null,
+  internalLinks: false,
+  faq: false,
+  cite: false,
+  fetchPages: false,
+  dedup: true,
+  preferRising: null,
+  imageProvider: null,
+  cache: null,
+  maxCost: null,
+  record: null,
+  replay: null,
+  batchApi: false,
+  collect: false,
+  wait: false,
+  resume: null,
   dryRun: false
 };
 
@@ -38,12 +73,14 @@ const DEFAULT_CONFIG = {
 function parseArgs() {
   const args = process.argv.slice(2);
   const config = { ...DEFAULT_CONFIG };
+  let countGiven = false;
 
   for (let i = 0; i < args.length; i++) {
     switch (args[i]) {
       case '--count':
       case '-n':
         config.count = parseInt(args[++i], 10) || 1;
+        countGiven = true;
         break;
       case '--publish':
       case '-p':
@@ -61,6 +98,60 @@ function parseArgs() {
       case '-l':
         config.language = args[++i];
         break;
+      case '--long-form':
+        config.longForm = true;
+        break;
+      case '--min-score':
+        config.minScore = parseInt(args[++i], 10);
+        break;
+      case '--internal-links':
+        config.internalLinks = true;
+        break;
+      case '--no-dedup':
+        config.dedup = false;
+        break;
+      case '--prefer-rising':
+        config.preferRising = true;
+        break;
+      case '--cite':
+        config.cite = true;
+        break;
+      case '--fetch-pages':
+        config.fetchPages = true;
+        break;
+      case '--faq':
+        config.faq = true;
+        break;
+      case '--image-provider':
+        config.imageProvider = args[++i];
+        break;
+      case '--cache':
+        config.cache = true;
+        break;
+      case '--no-cache':
+        config.cache = false;
+        break;
+      case '--max-cost':
+        config.maxCost = parseFloat(args[++i]);
+        break;
+      case '--record':
+        config.record = args[++i];
+        break;
+      case '--replay':
+        config.replay = args[++i];
+        break;
+      case '--batch-api':
+        config.batchApi = true;
+        break;
+      case '--collect':
+        config.collect = true;
+        break;
+      case '--wait':
+        config.wait = true;
+        break;
+      case '--resume':
+        config.resume = args[++i];
+        break;
       case '--dry-run':
         config.dryRun = true;
         break;
@@ -71,6 +162,19 @@ function parseArgs() {
     }
   }
 
+  // Un run repris est un seul article
+  if (config.resume) {
+    if (countGiven) {
+      logger.error('--resume et --count sont incompatibles (un run repris est un seul article)');
+      process.exit(1);
+    }
+    if (!isValidRunId(config.resume)) {
+      logger.error(`Identifiant de run invalide: ${config.resume} (attendu : AAAAMMJJ-HHMMSS-xxxxxxxx)`);
+      process.exit(1);
+    }
+    config.count = 1;
+  }
+
   return config;
 }
 
@@ -89,6 +193,23 @@ Options:
   -m, --multilingual    Traduire en FR/EN/ES
   -c, --category <id>   Catégorie spécifique (ex: webDevelopment, artificialIntelligence)
   -l, --language <lang> Langue source (fr, en, es) (défaut: fr)
+  --long-form           Articles longs (3000-5000 mots), rédigés section par section
+  --min-score <n>       Score SEO minimum du quality gate (défaut: QUALITY_MIN_SCORE ou 70)
+  --internal-links      Ajouter des liens vers les articles publiés liés
+  --no-dedup            Ne pas vérifier si le sujet a déjà été traité
+  --prefer-rising       Préférer une tendance en hausse pas encore traitée (défaut: TREND_PREFER_RISING)
+  --cite                Rechercher en ligne et citer les sources (liens + section Sources)
+  --fetch-pages         Lire les pages sources et donner leurs passages pertinents au modèle
+  --faq                 Ajouter une section FAQ (JSON-LD FAQPage)
+  --image-provider <p>  Image de couverture : placeholder, openai, none (défaut: IMAGE_PROVIDER)
+  --cache / --no-cache  Réutiliser (ou ignorer) le cache des réponses LLM (défaut: LLM_CACHE)
+  --max-cost <usd>      Plafond de dépense LLM du run (défaut: BUDGET_RUN_USD)
+  --record <dir>        Enregistrer les appels LLM et de recherche (fixtures)
+  --replay <dir>        Rejouer un enregistrement, sans appel LLM ni de recherche
+  --batch-api           Soumettre les appels LLM à l'API Batch (moitié prix, résultats sous 24 h)
+  --collect             Récupérer les jobs batch terminés, assembler et sauvegarder les articles
+  --wait                Avec --collect : attendre la fin de tous les jobs (BATCH_POLL_INTERVAL_MS)
+  --resume <runId>      Reprendre un run échoué depuis sa dernière étape terminée
   --dry-run             Générer sans sauvegarder en base
   -h, --help            Afficher cette aide
 
@@ -109,13 +230,16 @@ Exemples:
   node src/cron.js -n 3 -p                      # 3 articles publiés
   node src/cron.js -c artificialIntelligence   # 1 article IA
   node src/cron.js -n 2 -m -p                   # 2 articles multilingues publiés
+  node src/cron.js --resume 20260118-090000-1a2b3c4d -p   # Reprendre un run
+  node src/cron.js --batch-api -n 20 -m         # 20 articles via l'API Batch...
+  node src/cron.js --collect                    # ...à récupérer (à relancer jusqu'à la fin)
 `);
 }
 
 /**
- * Sélectionner un sujet pour l'article
+ * Choisir la catégorie de l'article (--category, sinon aléatoire)
  */
-async function selectTopic(config) {
+function selectCategory(config) {
   let category;
   
   if (config.category) {
@@ -130,32 +254,50 @@ async function selectTopic(config) {
   }
 
   logger.info(`Catégorie: ${category.emoji} ${category.name}`);
+  return category;
+}
 
-  // Essayer de trouver un sujet tendance
+/**
+ * Sélectionner un sujet pour l'article dans la catégorie choisie
+ */
+async function selectTopic(config, category) {
+  // Candidats : le sujet tendance d'abord, puis des suggestions générées
+  const candidates = [];
   try {
-    const trendingTopic = await getBestTopicForCategory(category.id);
+    const trendingTopic = await getBestTopicForCategory(category.id, { preferRising: config.preferRising });
     if (trendingTopic.source === 'trending') {
       logger.info(`Sujet tendance trouvé: ${trendingTopic.title}`);
-      return {
-        ...trendingTopic,
-        category: category.id
-      };
+      candidates.push({ ...trendingTopic, category: category.id });
     }
   } catch (error) {
     logger.debug('Pas de tendance, utilisation des suggestions');
   }
 
-  // Fallback: suggestion générée
-  const suggestions = generateTopicSuggestions(category.id);
-  const topic = suggestions[Math.floor(Math.random() * suggestions.length)];
-  
-  logger.info(`Sujet sélectionné: ${topic.title}`);
-  
-  return {
-    title: topic.title,
-    category: category.id,
-    keyword: topic.keyword
-  };
+  for (const suggestion of generateTopicSuggestions(category.id)) {
+    candidates.push({ title: suggestion.title, category: category.id, keyword: suggestion.keyword });
+  }
+
+  // Écarter (ou réorienter) les sujets déjà traités sur le blog
+  for (const candidate of candidates) {
+    logger.info(`Sujet candidat: ${candidate.title}`);
+
+    try {
+      const { topic, decision } = await ensureUniqueTopic(
+        { ...candidate, keywords: candidate.keyword ? [candidate.keyword] : [] },
+        { language: config.language, enabled: config.dedup ? undefined : false }
+      );
+      if (topic) {
+        logger.info(`Sujet sélectionné: ${topic.title} (${decision.action})`);
+        return { ...topic, topicCheck: decision };
+      }
+    } catch (error) {
+      if (isBudgetExceeded(error)) throw error;
+      // Doublon possible (ou détecté sans nouvel angle) : jamais généré sans vérification
+      logger.warn(`Sujet écarté, détection de doublons en échec: ${error.message}`);
+    }
+  }
+
+  throw new Error(`Aucun sujet inédit trouvé pour la catégorie ${category.name}`);
 }
 
 /**
@@ -166,27 +308,42 @@ async function saveArticle(article, config) {
     logger.info('[DRY-RUN] Article non sauvegardé');
     logger.info(`Titre: ${article.title}`);
     logger.info(`Slug: ${article.slug}`);
-    return { id: 'dry-run', slug: article.slug };
+    return {
+      id: 'dry-run',
+      slug: article.slug,
+      usage: article._generation?.usage,
+      forcedDraft: config.publish && article._generation?.quality?.passed === false
+    };
   }
 
   const uniqueSlug = await generateUniqueSlug(article.slug);
   const { _generation, ...articleData } = article;
 
+  // Un article qui n'a pas passé le quality gate reste en brouillon, même avec --publish
+  const qualityFailed = _generation?.quality?.passed === false;
+  const publish = config.publish && !qualityFailed;
+  if (config.publish && qualityFailed) {
+    logger.warn('Quality gate non atteint : article enregistré en brouillon malgré --publish');
+  }
+
   let postData;
+  let usage = _generation?.usage;
 
   if (config.multilingual) {
     logger.info('Génération des traductions...');
-    const multilingualArticle = await generateMultilingualArticle(
+    const translationTracker = createUsageTracker();
+    const multilingualArticle = await trackUsage(translationTracker, () => generateMultilingualArticle(
       articleData,
       config.language,
       SUPPORTED_LOCALES.filter(l => l !== config.language)
-    );
+    ));
+    usage = mergeUsage(usage, summarizeUsage(translationTracker));
     
     postData = {
       ...multilingualArticle,
       slug: uniqueSlug,
-      status: config.publish ? 'published' : 'draft',
-      publishedAt: config.publish ? new Date() : null
+      status: publish ? 'published' : 'draft',
+      publishedAt: publish ? new Date() : null
     };
   } else {
     const localizedArticle = toPayloadLocaleFormat(articleData, config.language);
@@ -194,16 +351,94 @@ async function saveArticle(article, config) {
     postData = {
       ...localizedArticle,
       slug: uniqueSlug,
-      status: config.publish ? 'published' : 'draft',
-      publishedAt: config.publish ? new Date() : null
+      status: publish ? 'published' : 'draft',
+      publishedAt: publish ? new Date() : null
     };
   }
 
-  const result = await createPost(postData);
+  // Tokens et coût de la génération (traductions comprises)
+  postData.generationUsage = usage || null;
+
+  const result = await createPost(withStructuredData(postData));
   
-  logger.success(`Article ${config.publish ? 'publié' : 'sauvegardé'}: ${result.id}`);
+  logger.success(`Article ${publish ? 'publié' : 'sauvegardé'}: ${result.id}`);
   
-  return result;
+  return { ...result, usage, forcedDraft: config.publish && qualityFailed };
+}
+
+/**
+ * Mode batch : relever les jobs terminés, faire avancer les articles dont toutes les réponses
+ * sont arrivées (jusqu'à la sauvegarde) et soumettre leurs requêtes suivantes
+ * Avec --wait, recommence jusqu'à ce qu'aucun article ne soit plus en attente
+ */
+async function collectBatch(config, results, flushSpend) {
+  for (;;) {
+    const { runs, failed } = await collectBatchJobs();
+
+    for (const state of failed) {
+      logger.error(`Run ${state.runId} : ${state.error}`);
+      results.errors.push({ index: state.topic || state.runId, error: state.error, runId: state.runId });
+    }
+
+    const toSubmit = [];
+    for (const state of runs) {
+      // Réponses encore attendues d'un autre job
+      if (state.pending.length > 0) continue;
+      // Soumission précédente échouée : les requêtes repartent telles quelles
+      if (state.queued.length > 0) {
+        toSubmit.push(state);
+        continue;
+      }
+
+      logger.divider();
+      logger.info(`Run ${state.runId}${state.topic ? ` : ${state.topic}` : ''}`);
+
+      const resumeAndSave = async () => {
+        const article = await generateArticle(null, { resume: state.runId });
+        return { article, saved: await saveArticle(article, state.save) };
+      };
+
+      try {
+        const pass = await runBatchPass(state, () => (state.routeOverride
+          ? withRouteOverride(state.routeOverride, resumeAndSave)
+          : resumeAndSave()));
+
+        if (pass.status === 'pending') {
+          toSubmit.push(state);
+          continue;
+        }
+
+        const { article, saved } = pass.value;
+        state.status = 'completed';
+        results.success.push({
+          title: article.title,
+          slug: saved.slug,
+          id: saved.id,
+          score: article._generation?.quality?.score,
+          usage: saved.usage,
+          forcedDraft: saved.forcedDraft
+        });
+      } catch (error) {
+        logger.error(`Erreur: ${error.message}`);
+        state.status = 'failed';
+        state.error = error.message;
+        results.errors.push({ index: state.topic || state.runId, error: error.message, runId: state.runId });
+      } finally {
+        await flushSpend();
+      }
+      await saveBatchRun(state);
+    }
+
+    await submitBatchRuns(toSubmit);
+
+    const waiting = await loadBatchRuns();
+    results.batched = waiting.map(state => ({ runId: state.runId, topic: state.topic }));
+    if (!config.wait || waiting.length === 0) return;
+
+    const { pollIntervalMs } = getBatchConfig();
+    logger.info(`${waiting.length} article(s) en attente, nouvelle vérification dans ${Math.round(pollIntervalMs / 1000)}s...`);
+    await new Promise(resolve => setTimeout(resolve, pollIntervalMs));
+  }
 }
 
 /**
@@ -216,11 +451,42 @@ async function main() {
   logger.header('GLEEAM CRON - GÉNÉRATION AUTOMATIQUE');
   logger.info(`Configuration: ${JSON.stringify(config)}`);
   logger.info(`Date: ${new Date().toISOString()}`);
+
+  if (config.cache !== null) {
+    configureLLMCache({ enabled: config.cache });
+  }
+
+  if (config.record && config.replay) {
+    logger.error('--record et --replay sont incompatibles');
+    process.exit(1);
+  }
+  if (config.record || config.replay) {
+    configureFixtures(config.replay
+      ? { mode: 'replay', dir: config.replay }
+      : { mode: 'record', dir: config.record });
+  }
+  const fixtures = getActiveFixturesConfig();
+  if (fixtures.mode !== 'off') {
+    logger.info(`Fixtures: ${fixtures.mode === 'record' ? 'enregistrement' : 'rejeu'} (${fixtures.dir})`);
+  }
+
+  if (config.batchApi || config.collect) {
+    if (fixtures.mode !== 'off') {
+      logger.error('--batch-api et --collect sont incompatibles avec --record et --replay');
+      process.exit(1);
+    }
+    // Chaque tour reprend le pipeline depuis ses checkpoints
+    if (!isCheckpointEnabled()) {
+      logger.error('Le mode batch nécessite les checkpoints (CHECKPOINTS=false)');
+      process.exit(1);
+    }
+    logger.info(`Mode batch: ${config.collect ? 'récupération' : 'soumission'} (${getBatchConfig().dir})`);
+  }
   
   // Vérifications
-  const openaiOk = await testOpenAIConnection();
-  if (!openaiOk) {
-    logger.error('Connexion OpenAI échouée');
+  const llmOk = await testLLMConnection();
+  if (!llmOk) {
+    logger.error('Configuration LLM invalide');
     process.exit(1);
   }
 
@@ -230,51 +496,228 @@ async function main() {
       logger.error('Connexion MongoDB échouée');
       process.exit(1);
     }
+  } else if (config.dedup && !process.env.MONGODB_URI) {
+    // Sans base, aucun article existant à comparer : la détection est coupée explicitement
+    logger.warn('Dry-run sans MONGODB_URI : détection de doublons désactivée');
+    config.dedup = false;
+  }
+
+  // Budget : dépenses du jour et du mois (MongoDB), plafond du run
+  const budget = getBudgetConfig({ runLimit: Number.isFinite(config.maxCost) ? config.maxCost : undefined });
+  // Pas de suivi en base en dry-run (pas de MongoDB) ni en rejeu (aucune dépense réelle)
+  const trackSpend = !config.dryRun && !isReplaying();
+  const spent = { run: 0, day: null, month: null };
+  if (trackSpend) {
+    Object.assign(spent, await getRecordedSpend());
+  }
+  if (budget.enabled) {
+    logger.info(`Budget: ${formatBudget(budget, spent)}`);
+    if (!trackSpend && (budget.dailyLimit > 0 || budget.monthlyLimit > 0)) {
+      logger.warn('Limites journalière et mensuelle non suivies pendant ce run (dry-run ou rejeu)');
+    }
   }
 
   // Génération des articles
   const results = {
     success: [],
-    errors: []
+    errors: [],
+    budget: [],
+    budgetStop: null,
+    // Articles en attente de l'API Batch
+    batched: []
+  };
+
+  // Tous les appels LLM du run (sélection des sujets, articles, traductions)
+  const runTracker = createUsageTracker();
+  let recordedCalls = 0;
+
+  // Comptabiliser les appels du run pas encore enregistrés
+  const flushSpend = async () => {
+    const calls = runTracker.calls.slice(recordedCalls);
+    recordedCalls += calls.length;
+    spent.run += sumCallsCost(calls);
+    if (trackSpend && calls.length > 0) {
+      try {
+        const amount = await recordSpend(calls);
+        spent.day += amount;
+        spent.month += amount;
+      } catch (error) {
+        logger.warn(`Dépenses LLM non enregistrées: ${error.message}`);
+      }
+    }
+  };
+
+  // Budget vérifié avant chaque appel LLM, appels pas encore comptabilisés compris
+  const budgetGuard = {
+    config: budget,
+    getSpent: () => {
+      const pending = sumCallsCost(runTracker.calls.slice(recordedCalls));
+      return {
+        run: spent.run + pending,
+        day: spent.day === null ? null : spent.day + pending,
+        month: spent.month === null ? null : spent.month + pending
+      };
+    }
   };
 
-  for (let i = 0; i < config.count; i++) {
-    logger.divider();
-    logger.info(`Article ${i + 1}/${config.count}`);
+  // Articles du run interrompus par un appel mis en attente du batch
+  const batchRuns = [];
+
+  await trackUsage(runTracker, () => withBudgetGuard(budgetGuard, async () => {
+    if (config.collect) {
+      await collectBatch(config, results, flushSpend);
+      return;
+    }
+
+    for (let i = 0; i < config.count; i++) {
+      logger.divider();
+      logger.info(`Article ${i + 1}/${config.count}`);
     
-    try {
-      // Sélectionner le sujet
-      const topic = await selectTopic(config);
+      try {
+        // Limite déjà atteinte : inutile de chercher un sujet
+        const reached = budget.enabled ? findExceededLimits(budget, spent) : [];
+        if (reached.length > 0) {
+          results.budgetStop = describeExceeded(reached);
+          logger.warn(`Budget atteint, arrêt du run: ${results.budgetStop}`);
+          break;
+        }
+
+        // Catégorie choisie avant l'estimation : elle détermine les modèles routés
+        // (en reprise, le run contient déjà le sujet)
+        const category = config.resume ? null : selectCategory(config);
+
+        // Estimer le coût de l'article (sujet compris) et l'adapter au budget restant
+        let articleConfig = config;
+        let routeOverride = null;
+        if (budget.enabled) {
+          const qualityGate = getQualityGateConfig();
+          const dedup = getDuplicateCheckConfig({ enabled: config.dedup ? undefined : false });
+          const images = getImageConfig({ provider: config.imageProvider });
+          const plan = planArticle(budget, spent, {
+            category: category?.id || config.category,
+            longForm: config.longForm,
+            multilingual: config.multilingual,
+            locales: SUPPORTED_LOCALES.length - 1,
+            revisions: qualityGate.enabled ? qualityGate.maxRevisions : 0,
+            reangles: category && dedup.enabled && dedup.action === 'reangle' ? dedup.maxReangles : 0,
+            faq: config.faq || process.env.FAQ_SECTION === 'true',
+            links: config.internalLinks || process.env.INTERNAL_LINKS === 'true',
+            // Le placeholder SVG est gratuit : seule une couverture générée par un modèle est comptée
+            image: images.provider === 'openai' ? { provider: 'openai', model: images.model } : null
+          });
+
+          if (!plan.proceed) {
+            results.budgetStop = plan.reason;
+            logger.warn(`Budget insuffisant, arrêt du run: ${plan.reason}`);
+            break;
+          }
+
+          logger.info(`Coût estimé: ~${formatCost(plan.estimate.cost)}`);
+          if (plan.applied.length > 0) {
+            const changes = [
+              plan.applied.includes('skip-translations') ? 'sans traductions' : null,
+              plan.override ? `modèle de repli ${plan.override.provider}/${plan.override.model}` : null
+            ].filter(Boolean).join(', ');
+            logger.warn(`Budget: article ${changes} (${plan.reason})`);
+            results.budget.push({ index: i + 1, changes, reason: plan.reason });
+          }
+          articleConfig = { ...config, multilingual: plan.multilingual };
+          routeOverride = plan.override;
+        }
+
+        // Le modèle de repli vaut aussi pour les nouveaux angles du sujet
+        const withOverride = fn => (routeOverride ? withRouteOverride(routeOverride, fn) : fn());
+
+        const topic = category ? await withOverride(() => selectTopic(config, category)) : null;
       
-      // Générer l'article
-      const article = await generateArticle(topic, {
-        category: topic.category,
-        language: config.language
-      });
+        // Mode batch : options de sauvegarde conservées pour --collect
+        const batchState = config.batchApi
+          ? createBatchRun({
+            topic: topic?.title || null,
+            save: {
+              publish: articleConfig.publish,
+              multilingual: articleConfig.multilingual,
+              language: articleConfig.language,
+              dryRun: articleConfig.dryRun
+            },
+            routeOverride
+          })
+          : null;
+
+        // Générer l'article puis le sauvegarder (traductions comprises)
+        const generateAndSave = async () => {
+          const article = await generateArticle(topic, {
+            category: topic?.category,
+            language: config.language,
+            longForm: config.longForm,
+            internalLinks: config.internalLinks || undefined,
+            faq: config.faq || undefined,
+            cite: config.cite || undefined,
+            fetchPages: config.fetchPages || undefined,
+            topicCheck: topic?.topicCheck,
+            // En dry-run, l'image est écrite sur disque plutôt qu'uploadée dans Payload
+            images: { provider: config.imageProvider, storage: config.dryRun ? 'disk' : undefined },
+            resume: config.resume,
+            qualityGate: { minScore: Number.isInteger(config.minScore) ? config.minScore : undefined }
+          });
+          // Traductions mises en attente : le run est repris avec son identifiant
+          if (batchState) batchState.runId = article._generation.runId;
+          return { article, saved: await saveArticle(article, articleConfig) };
+        };
+        const runArticle = () => withOverride(generateAndSave);
+
+        let pass;
+        if (batchState) {
+          pass = await runBatchPass(batchState, runArticle);
+          if (pass.status === 'pending') {
+            logger.info(`Article en attente de l'API Batch (run ${batchState.runId})`);
+            batchRuns.push(batchState);
+            results.batched.push({ runId: batchState.runId, topic: batchState.topic });
+            continue;
+          }
+        } else {
+          pass = { value: await runArticle() };
+        }
+        const { article, saved } = pass.value;
       
-      // Sauvegarder
-      const saved = await saveArticle(article, config);
+        results.success.push({
+          title: article.title,
+          slug: saved.slug,
+          id: saved.id,
+          score: article._generation?.quality?.score,
+          usage: saved.usage,
+          forcedDraft: saved.forcedDraft
+        });
+
+        // Pause entre les articles (inutile en mode batch : rien n'est appelé en direct)
+        if (i < config.count - 1 && !config.batchApi) {
+          logger.info('Pause de 10 secondes...');
+          await new Promise(resolve => setTimeout(resolve, 10000));
+        }
       
-      results.success.push({
-        title: article.title,
-        slug: saved.slug,
-        id: saved.id
-      });
-
-      // Pause entre les articles
-      if (i < config.count - 1) {
-        logger.info('Pause de 10 secondes...');
-        await new Promise(resolve => setTimeout(resolve, 10000));
+      } catch (error) {
+        // Budget atteint en cours d'article : arrêt du run, l'article reste reprenable
+        if (isBudgetExceeded(error)) {
+          results.budgetStop = error.budgetReason;
+          logger.warn(`${error.message}, arrêt du run`);
+          break;
+        }
+        logger.error(`Erreur: ${error.message}`);
+        results.errors.push({
+          index: i + 1,
+          error: error.message,
+          runId: error.runId || null
+        });
+      } finally {
+        await flushSpend();
       }
-      
-    } catch (error) {
-      logger.error(`Erreur: ${error.message}`);
-      results.errors.push({
-        index: i + 1,
-        error: error.message
-      });
     }
-  }
+
+    // Un job par provider pour tous les articles en attente
+    if (batchRuns.length > 0) {
+      await submitBatchRuns(batchRuns);
+    }
+  }));
 
   // Résumé
   const duration = Math.round((Date.now() - startTime) / 1000);
@@ -286,22 +729,54 @@ async function main() {
   
   if (results.success.length > 0) {
     results.success.forEach(a => {
-      logger.info(`  ✓ ${a.title} (${a.slug})`);
+      const score = a.score !== undefined ? ` — score ${a.score}%` : '';
+      logger.info(`  ✓ ${a.title} (${a.slug})${score}${a.forcedDraft ? ' [brouillon: quality gate non atteint]' : ''}`);
+      if (a.usage) {
+        logger.info(`    Usage: ${formatUsage(a.usage)}`);
+      }
     });
   }
+
+  // Usage LLM du run (articles en erreur compris)
+  const runUsage = summarizeUsage(runTracker);
+  logger.info(`Usage LLM du run: ${formatUsage(runUsage)}`);
+  Object.entries(runUsage.byStage).forEach(([stage, totals]) => {
+    logger.info(`  ${stage}: ${formatUsage(totals)}`);
+  });
+
+  if (budget.enabled) {
+    logger.info(`Budget: ${formatBudget(budget, spent)}`);
+    results.budget.forEach(b => {
+      logger.warn(`  ⚠ Article ${b.index}: ${b.changes} (${b.reason})`);
+    });
+    if (results.budgetStop) {
+      logger.warn(`  ⛔ Run arrêté après ${results.success.length + results.errors.length} article(s) sur ${config.count}: ${results.budgetStop}`);
+    }
+  }
   
+  if (results.batched.length > 0) {
+    logger.info(`En attente de l'API Batch: ${results.batched.length} article(s)`);
+    results.batched.forEach(b => {
+      logger.info(`  ⏳ ${b.topic || b.runId} (run ${b.runId})`);
+    });
+    logger.info('  Récupérer avec: npm run cron:collect');
+  }
+
   if (results.errors.length > 0) {
     logger.warn(`Erreurs: ${results.errors.length}`);
     results.errors.forEach(e => {
       logger.error(`  ✗ Article ${e.index}: ${e.error}`);
+      if (e.runId) {
+        logger.info(`    Reprendre: node src/cron.js --resume ${e.runId}`);
+      }
     });
   }
 
   // Cleanup
   await disconnectDatabase();
   
-  // Exit code basé sur le succès
-  process.exit(results.errors.length > 0 ? 1 : 0);
+  // Exit code : 1 si un article a échoué, 2 si le budget a arrêté le run
+  process.exit(results.errors.length > 0 ? 1 : results.budgetStop ? 2 : 0);
 }
 
 // Gestion des erreurs non capturées
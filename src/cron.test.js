@@ -0,0 +1,76 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+let imagesDir;
+
+before(async () => {
+  imagesDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gleeam-cron-'));
+});
+
+after(async () => {
+  await fs.rm(imagesDir, { recursive: true, force: true });
+});
+
+/**
+ * Lancer le cron hors ligne (provider fake, sans MongoDB ni flux)
+ */
+function runCron(args, overrides = {}) {
+  const env = {
+    ...process.env,
+    LLM_PROVIDER: 'fake',
+    CHECKPOINTS: 'false',
+    FEEDS_ENABLED: 'false',
+    TREND_HISTORY_ENABLED: 'false',
+    IMAGES_DIR: imagesDir,
+    MONGODB_URI: '',
+    ...overrides
+  };
+  return promisify(execFile)(process.execPath, ['src/cron.js', ...args], { cwd: root, env, timeout: 120000 });
+}
+
+test('le cron rejoue l\'enregistrement d\'exemple en dry-run', async () => {
+  const recorded = JSON.parse(await fs.readFile(path.join(root, 'fixtures/llm/outline/001.json'), 'utf-8'));
+  const { title } = JSON.parse(recorded.response.content);
+
+  const { stdout } = await runCron(['--dry-run', '--image-provider', 'placeholder', '--replay', 'fixtures']);
+
+  assert.match(stdout, /Fixtures: rejeu \(fixtures\)/);
+  assert.match(stdout, /Articles générés: 1/);
+  assert.ok(stdout.includes(`Titre: ${title}`));
+  // Sans IMAGES_PUBLIC_URL, la couverture reste sur disque
+  assert.equal((await fs.readdir(imagesDir)).filter(file => file.endsWith('.svg')).length, 1);
+});
+
+test('--resume est refusé avec --count ou un identifiant invalide', async () => {
+  await assert.rejects(runCron(['--resume', '20260118-090000-1a2b3c4d', '-n', '2']), (error) => error.code === 1);
+  await assert.rejects(runCron(['--resume', '../../etc']), (error) => error.code === 1);
+});
+
+test('--batch-api met l\'article en attente, --collect --wait le termine', async () => {
+  const env = {
+    CHECKPOINTS: 'true',
+    RUNS_DIR: path.join(imagesDir, 'runs'),
+    BATCH_DIR: path.join(imagesDir, 'batches'),
+    BATCH_POLL_INTERVAL_MS: '10'
+  };
+
+  const submitted = await runCron(['--dry-run', '--image-provider', 'placeholder', '--batch-api', '--category', 'webDevelopment'], env);
+  assert.match(submitted.stdout, /Articles générés: 0/);
+  assert.match(submitted.stdout, /En attente de l'API Batch: 1 article\(s\)/);
+  assert.equal((await fs.readdir(path.join(imagesDir, 'batches', 'jobs'))).length, 1);
+
+  const collected = await runCron(['--collect', '--wait', '--dry-run'], env);
+  assert.match(collected.stdout, /Articles générés: 1/);
+  assert.doesNotMatch(collected.stdout, /En attente de l'API Batch/);
+});
+
+test('--batch-api est refusé sans checkpoints', async () => {
+  await assert.rejects(runCron(['--dry-run', '--batch-api']), (error) => error.code === 1 && /nécessite les checkpoints/.test(error.stdout + error.stderr));
+});
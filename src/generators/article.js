@@ -7,17 +7,38 @@
  * 3. Génération du contenu
  * 4. Post-traitement (nettoyage IA, markdown)
  * 5. Métadonnées SEO + assemblage final
+ * 6. Contrôle qualité (score SEO, longueur, structure) avec révisions ciblées
+ * 7. (Optionnel) Section FAQ construite à partir du contenu
+ * 8. (Optionnel) Maillage interne vers les articles déjà publiés
+ * 9. (Optionnel, --cite) Liens vers les sources citées + section "Sources"
+ * 10. Image de couverture (provider configurable, placeholder hors ligne par défaut)
+ *
+ * Chaque étape est sauvegardée (checkpoint) et peut être reprise avec --resume <runId>
  */
 
-import { generateCompletion, generateJSON } from '../services/openai.js';
+import { generateCompletion, generateJSON, isBatchPending } from '../services/llm.js';
 import { 
   SYSTEM_PROMPT_ARTICLE, 
   SYSTEM_PROMPT_TOPIC_AND_OUTLINE,
   AI_PHRASES_BLACKLIST,
-  generateArticlePrompt
+  generateArticlePrompt,
+  generateLongFormIntroPrompt,
+  generateLongFormSectionPrompt,
+  generateLongFormConclusionPrompt
 } from '../prompts/templates.js';
+import { OUTLINE_SCHEMA } from '../prompts/schemas.js';
 import { generateSEO } from './seo.js';
+import { checkQualityGate, reviseContent } from './quality.js';
+import { addInternalLinks } from './linker.js';
+import { generateFAQ, appendFAQSection } from './jsonld.js';
+import { generateCoverImage } from './image.js';
+import { formatSourcesForCitation, applyCitations } from './citations.js';
+import { getQualityGateConfig } from '../config/quality.js';
 import { researchTopicOnline } from '../services/trends.js';
+import { createRun, loadRun, saveStage, updateRunStatus, isCheckpointEnabled } from '../services/checkpoint.js';
+import { createUsageTracker, trackUsage, summarizeUsage, mergeUsage, formatUsage } from '../services/usage.js';
+import { withRoutingCategory, resolveRouting } from '../services/routing.js';
+import { isBudgetExceeded } from '../services/budget.js';
 import { logger } from '../utils/logger.js';
 import { 
   generateSlug, 
@@ -30,13 +51,17 @@ import {
 
 /**
  * Analyser le sujet ET générer le plan en un seul appel API
+ * @param {object} options.previousOutline - Plan précédent à retravailler (avec options.feedback)
+ * @param {string} options.feedback - Retours de l'éditeur pour régénérer le plan
  */
 export async function researchTopicAndOutline(input, options = {}) {
   
   const {
     category = 'Développement Web',
     language = 'fr',
-    onlineContext = null
+    onlineContext = null,
+    previousOutline = null,
+    feedback = null
   } = options;
   
   const langLabel = language === 'fr' ? 'Français' : language === 'en' ? 'English' : 'Español';
@@ -56,6 +81,19 @@ ${onlineContext}
 --- Fin informations ---`;
   }
 
+  // Régénération demandée par l'éditeur : on montre le plan précédent et ses retours
+  if (previousOutline && feedback) {
+    prompt += `
+
+--- Plan précédent (refusé) ---
+Titre : ${previousOutline.title}
+Angle : ${previousOutline.angle}
+Sections : ${previousOutline.sections.map(s => s.h2).join(' / ')}
+--- Fin plan précédent ---
+
+Retours de l'éditeur à prendre en compte : ${feedback}`;
+  }
+
   prompt += `
 
 Analyse ce sujet, détermine le meilleur angle et type d'article, puis génère directement le plan structuré complet.`;
@@ -63,20 +101,10 @@ Analyse ce sujet, détermine le meilleur angle et type d'article, puis génère
   const result = await generateJSON(
     SYSTEM_PROMPT_TOPIC_AND_OUTLINE,
     prompt,
-    { maxTokens: 4000 }
+    { maxTokens: 4000, stage: 'outline', schema: OUTLINE_SCHEMA }
   );
 
-  // Valider la structure
-  if (!result.sections || result.sections.length === 0) {
-    throw new Error('Plan invalide: aucune section générée');
-  }
-
-  // Assurer que le champ title existe (harmonisation)
-  if (!result.title && result.proposedTitle) {
-    result.title = result.proposedTitle;
-  }
-
-  logger.info(`Type: ${result.articleType || 'analyse'}`);
+  logger.info(`Type: ${result.articleType}`);
   logger.info(`Angle: ${result.angle}`);
   logger.info(`Titre: ${result.title}`);
   logger.info(`Plan: ${result.sections.length} sections`);
@@ -87,11 +115,26 @@ Analyse ce sujet, détermine le meilleur angle et type d'article, puis génère
   return result;
 }
 
+/**
+ * Paramètres de rédaction partagés par tous les appels de contenu
+ */
+const CONTENT_GENERATION_PARAMS = {
+  stage: 'content',
+  temperature: 0.85,
+  frequencyPenalty: 0.4,
+  presencePenalty: 0.3
+};
+
 /**
  * Générer le contenu de l'article à partir du plan
+ * @param {boolean} options.longForm - Rédiger section par section (articles de 3000-5000 mots)
+ * @param {Function} options.onChunk - Reçoit la rédaction en streaming ({ stage, delta, text, done })
  */
 export async function generateContent(topic, outline, options = {}) {
-  
+  if (options.longForm) {
+    return generateContentBySections(outline, options);
+  }
+
   const prompt = generateArticlePrompt(topic, {
     ...options,
     outline
@@ -101,10 +144,9 @@ export async function generateContent(topic, outline, options = {}) {
     SYSTEM_PROMPT_ARTICLE,
     prompt,
     {
-      temperature: 0.85,
-      frequencyPenalty: 0.4,
-      presencePenalty: 0.3,
-      maxTokens: 6000
+      ...CONTENT_GENERATION_PARAMS,
+      maxTokens: 6000,
+      onChunk: options.onChunk
     }
   );
 
@@ -116,6 +158,116 @@ export async function generateContent(topic, outline, options = {}) {
   return cleanedContent;
 }
 
+/**
+ * Extraire la fin d'un passage (derniers paragraphes) pour assurer la continuité
+ * entre deux appels de rédaction
+ */
+function getPassageEnding(text, maxLength = 800) {
+  const paragraphs = text.trim().split(/\n{2,}/).filter(p => !/^#{2,3}\s/.test(p));
+  let ending = '';
+
+  for (let i = paragraphs.length - 1; i >= 0; i--) {
+    const candidate = ending ? `${paragraphs[i]}\n\n${ending}` : paragraphs[i];
+    if (candidate.length > maxLength && ending) break;
+    ending = candidate;
+  }
+
+  return ending.length > maxLength ? ending.slice(-maxLength) : ending;
+}
+
+/**
+ * Répartir la longueur cible ("3000-5000") entre intro, sections et conclusion
+ */
+function computeLongFormBudget(targetLength, sectionsCount) {
+  const bounds = String(targetLength).split('-').map(n => parseInt(n, 10)).filter(n => !isNaN(n));
+  const target = bounds.length > 1
+    ? Math.round((bounds[0] + bounds[1]) / 2)
+    : (bounds[0] || 4000);
+
+  const introWords = Math.min(350, Math.round(target * 0.07));
+  const conclusionWords = Math.min(300, Math.round(target * 0.06));
+  const sectionWords = Math.round((target - introWords - conclusionWords) / sectionsCount);
+
+  return { introWords, sectionWords, conclusionWords };
+}
+
+/**
+ * Rédiger l'article section par section puis assembler
+ * Chaque section H2 est écrite dans son propre appel, avec la fin de la partie
+ * précédente en contexte : la longueur n'est plus limitée par un seul max_tokens
+ */
+async function generateContentBySections(outline, options = {}) {
+  const {
+    language = 'fr',
+    keywords = [],
+    targetLength = '3000-5000',
+    onlineContext = null,
+    onChunk
+  } = options;
+
+  const budget = computeLongFormBudget(targetLength, outline.sections.length);
+  // ~1.6 token par mot en français, avec de la marge pour le Markdown et le raisonnement
+  const tokensFor = (words) => Math.max(3000, Math.round(words * 3));
+
+  logger.info(`Rédaction section par section (${outline.sections.length} sections, ~${budget.sectionWords} mots chacune)`);
+
+  const intro = cleanMarkdown(await generateCompletion(
+    SYSTEM_PROMPT_ARTICLE,
+    generateLongFormIntroPrompt(outline, {
+      language,
+      keywords,
+      targetWords: budget.introWords,
+      onlineContext
+    }),
+    { ...CONTENT_GENERATION_PARAMS, maxTokens: tokensFor(budget.introWords), onChunk }
+  )).replace(/^#{1,3}\s+.+\n+/gm, '');
+
+  const parts = [intro];
+  let previousEnding = getPassageEnding(intro);
+
+  for (let i = 0; i < outline.sections.length; i++) {
+    const section = outline.sections[i];
+    logger.info(`  Section ${i + 1}/${outline.sections.length}: ${section.h2}`);
+
+    let sectionContent = cleanMarkdown(await generateCompletion(
+      SYSTEM_PROMPT_ARTICLE,
+      generateLongFormSectionPrompt(outline, i, {
+        language,
+        keywords,
+        targetWords: budget.sectionWords,
+        previousEnding,
+        onlineContext
+      }),
+      { ...CONTENT_GENERATION_PARAMS, maxTokens: tokensFor(budget.sectionWords), onChunk }
+    ));
+
+    // Garantir que la section commence par son H2
+    if (!/^##\s/.test(sectionContent)) {
+      sectionContent = `## ${section.h2}\n\n${sectionContent}`;
+    }
+
+    parts.push(sectionContent);
+    previousEnding = getPassageEnding(sectionContent);
+  }
+
+  const conclusion = cleanMarkdown(await generateCompletion(
+    SYSTEM_PROMPT_ARTICLE,
+    generateLongFormConclusionPrompt(outline, {
+      language,
+      targetWords: budget.conclusionWords,
+      previousEnding
+    }),
+    { ...CONTENT_GENERATION_PARAMS, maxTokens: tokensFor(budget.conclusionWords), onChunk }
+  )).replace(/^#{1,3}\s+.+\n+/gm, '');
+
+  parts.push(conclusion);
+
+  const content = cleanMarkdown(parts.join('\n\n'));
+  logger.info(`Contenu généré: ${content.split(/\s+/).length} mots (${parts.length} appels)`);
+
+  return content;
+}
+
 /**
  * Post-traiter le contenu pour nettoyer les patterns IA et garantir un résultat publiable
  */
@@ -190,31 +342,141 @@ function postProcessContent(content) {
   return processed;
 }
 
+/**
+ * Appliquer le quality gate : tant que l'article ne passe pas les seuils,
+ * renvoyer les remarques au modèle pour une révision ciblée (max N passes)
+ */
+async function runQualityGate({ title, content, seo }, gate, articleOptions) {
+  const evaluate = (c, s) => checkQualityGate({ title, content: c, seo: s }, gate);
+  let report = evaluate(content, seo);
+  let revisions = 0;
+
+  while (!report.passed && revisions < gate.maxRevisions) {
+    revisions++;
+    logger.warn(`Quality gate non atteint (${report.failures.join(', ')}) — révision ${revisions}/${gate.maxRevisions}`);
+
+    const revised = postProcessContent(await reviseContent(content, report, {
+      ...articleOptions,
+      minWordCount: gate.minWordCount
+    }));
+
+    // Garde-fou : une révision qui ampute l'article est rejetée
+    if (revised.split(/\s+/).length < content.split(/\s+/).length * 0.7) {
+      logger.warn('Révision rejetée (contenu nettement raccourci), arrêt des révisions');
+      break;
+    }
+
+    content = revised;
+    seo = await generateSEO({
+      title,
+      content,
+      category: articleOptions.category,
+      suggestedKeywords: articleOptions.keywords
+    });
+    report = evaluate(content, seo);
+  }
+
+  if (report.passed) {
+    logger.success(`Quality gate validé (score ${report.score}%, ${report.wordCount} mots, ${report.h2Count} H2)`);
+  } else {
+    logger.warn(`Quality gate non atteint après ${revisions} révision(s) : ${report.failures.join(', ')}`);
+    logger.warn('L\'article sera enregistré en brouillon');
+  }
+
+  return { content, seo, report: { ...report, revisions } };
+}
+
 /**
  * Générer un article complet (processus en 4 étapes)
- * @param {string|object} input - Sujet ou objet topic
+ * Chaque étape est sauvegardée sous un runId (voir services/checkpoint.js)
+ * @param {string|object} input - Sujet ou objet topic (ignoré en reprise)
  * @param {object} options - Options de génération
  * @param {boolean} options.researchOnline - Rechercher des infos actuelles sur internet
+ * @param {boolean} options.longForm - Rédaction section par section (articles longs)
+ * @param {object} options.onlineResearch - Résultat de researchTopicOnline déjà obtenu (évite une 2e recherche)
+ * @param {string} options.resume - runId à reprendre depuis la dernière étape terminée
+ * @param {object} options.qualityGate - Surcharge des seuils du quality gate (voir config/quality.js)
+ * @param {object} options.topicCheck - Décision de la détection de doublons (conservée dans _generation)
+ * @param {boolean} options.cite - Citer les sources de la recherche web (active researchOnline)
+ * @param {boolean} options.fetchPages - Télécharger les pages sources et en extraire les passages pertinents (active researchOnline)
+ * @param {boolean} options.faq - Ajouter une section FAQ (et son JSON-LD FAQPage)
+ * @param {boolean} options.internalLinks - Ajouter 2 à 5 liens vers des articles publiés liés
+ * @param {object|false} options.images - Surcharge de config/images.js (provider, storage...), false pour désactiver
+ * @param {Function} options.onChunk - Reçoit la rédaction du contenu en streaming ({ stage, delta, text, done })
+ * @returns {object} Article ; _generation.usage : tokens et coût des appels LLM (voir services/usage.js),
+ *   _generation.routing : provider et modèle de chaque étape (voir config/routing.js)
  */
 export async function generateArticle(input, options = {}) {
+  const tracker = createUsageTracker();
+  return trackUsage(tracker, () => withRoutingCategory(options.category, () => runArticlePipeline(input, options, tracker)));
+}
+
+/**
+ * Pipeline de génération, appels LLM comptabilisés dans tracker
+ */
+async function runArticlePipeline(input, options, tracker) {
   logger.header('GÉNÉRATION D\'ARTICLE');
-  const totalSteps = options.researchOnline ? 5 : 4;
+
+  // ═══════════════════════════════════════════
+  // Initialisation du run (nouveau ou reprise)
+  // ═══════════════════════════════════════════
+  let run;
+  if (options.resume) {
+    run = await loadRun(options.resume);
+    // Les options d'origine priment : on reprend le même article
+    input = run.input;
+    options = { ...options, ...run.options, resume: run.runId };
+    logger.info(`Reprise du run ${run.runId} (étapes terminées: ${run.completedStages.join(', ') || 'aucune'})`);
+  } else {
+    // La recherche éventuellement fournie est sauvegardée comme étape, pas dans les options
+    const runOptions = { ...options };
+    delete runOptions.onlineResearch;
+    run = { ...(await createRun(input, runOptions)), stages: {} };
+  }
+  const { runId, stages: completed } = run;
+  logger.info(`Run ID: ${runId}`);
+
+  // En reprise, l'usage des tentatives précédentes s'ajoute à celui de ce run
+  const usageSoFar = () => mergeUsage(run.usage, summarizeUsage(tracker));
+
+  const qualityGate = getQualityGateConfig(options.qualityGate);
+  // Citer des sources ou lire les pages sources suppose une recherche web
+  if (options.cite || options.fetchPages) options = { ...options, researchOnline: true };
+  const totalSteps = 4 + (options.researchOnline ? 1 : 0) + (qualityGate.enabled ? 1 : 0);
   
   try {
     // ═══════════════════════════════════════════
     // ÉTAPE 0 (optionnelle): Recherche web en parallèle avec rien (c'est la première chose)
     // ═══════════════════════════════════════════
     let onlineContext = null;
+    let citableSources = [];
+    let sourceExcerpts = [];
     if (options.researchOnline) {
       logger.step(1, totalSteps, 'Recherche d\'informations actuelles en ligne');
-      const searchTopic = typeof input === 'string' ? input : (input.proposedTitle || input.title || input);
-      const onlineResearch = await researchTopicOnline(searchTopic, {
-        language: options.language || 'fr'
-      });
+      let onlineResearch = completed.research;
+
+      if (onlineResearch) {
+        logger.info('Recherche reprise depuis le checkpoint');
+      } else if (options.onlineResearch) {
+        // Recherche déjà effectuée par l'appelant (ex: revue du plan en mode interactif)
+        onlineResearch = options.onlineResearch;
+        await saveStage(runId, 'research', onlineResearch);
+      } else {
+        const searchTopic = typeof input === 'string' ? input : (input.title || input);
+        onlineResearch = await researchTopicOnline(searchTopic, {
+          language: options.language || 'fr',
+          fetchPages: options.fetchPages
+        });
+        await saveStage(runId, 'research', onlineResearch);
+      }
       
       if (onlineResearch.hasRecentData) {
         logger.success(`${onlineResearch.sourcesCount} sources trouvées`);
         onlineContext = onlineResearch.contextSummary;
+        if (options.cite) {
+          citableSources = onlineResearch.sources.filter(s => s.url);
+          sourceExcerpts = onlineResearch.excerpts || [];
+        }
       } else {
         logger.warn('Aucune source récente trouvée');
       }
@@ -226,18 +488,27 @@ export async function generateArticle(input, options = {}) {
     const stepOffset = options.researchOnline ? 1 : 0;
     let outline;
     
-    if (typeof input === 'string' || !input.sections) {
+    if (completed.outline) {
+      outline = completed.outline;
+      logger.step(1 + stepOffset, totalSteps, 'Plan repris depuis le checkpoint');
+    } else if (typeof input === 'string' || !input.sections) {
       logger.step(1 + stepOffset, totalSteps, 'Analyse du sujet et création du plan');
-      const topicInput = typeof input === 'string' ? input : (input.proposedTitle || input.title || input);
+      let topicInput = typeof input === 'string' ? input : (input.title || input);
+      // Angle imposé (ex: sujet réorienté pour éviter un doublon)
+      if (input.angle && typeof topicInput === 'string') {
+        topicInput = { title: topicInput, angle: input.angle };
+      }
       outline = await researchTopicAndOutline(topicInput, {
         category: options.category,
         language: options.language || process.env.DEFAULT_LANGUAGE || 'fr',
         onlineContext
       });
+      await saveStage(runId, 'outline', outline);
     } else {
       // Déjà un outline complet
       outline = input;
       logger.step(1 + stepOffset, totalSteps, 'Plan déjà fourni');
+      await saveStage(runId, 'outline', outline);
     }
 
     // Préparer les options pour la rédaction
@@ -245,34 +516,141 @@ export async function generateArticle(input, options = {}) {
       category: outline.category || options.category,
       keywords: outline.keyPoints || options.keywords || [],
       tone: options.tone || 'professionnel et accessible',
-      targetLength: options.targetLength || '1800-2200',
+      targetLength: options.targetLength || (options.longForm ? '3000-5000' : '1800-2200'),
       language: options.language || process.env.DEFAULT_LANGUAGE || 'fr',
-      onlineContext
+      longForm: !!options.longForm,
+      // En mode --cite, la rédaction reçoit les sources numérotées
+      onlineContext: citableSources.length > 0 ? formatSourcesForCitation(citableSources, sourceExcerpts) : onlineContext
     };
 
     // ═══════════════════════════════════════════
     // ÉTAPE 3 (ou 2): Génération du contenu
     // ═══════════════════════════════════════════
-    logger.step(2 + stepOffset, totalSteps, 'Génération du contenu');
-    const rawContent = await generateContent(outline, outline, articleOptions);
+    let rawContent = completed.content?.content;
+    if (rawContent) {
+      logger.step(2 + stepOffset, totalSteps, 'Contenu repris depuis le checkpoint');
+    } else {
+      logger.step(2 + stepOffset, totalSteps, 'Génération du contenu');
+      rawContent = await generateContent(outline, outline, { ...articleOptions, onChunk: options.onChunk });
+      await saveStage(runId, 'content', { content: rawContent });
+    }
     
     // ═══════════════════════════════════════════
     // ÉTAPE 4 (ou 3): Post-traitement (instantané, pas d'API)
     // ═══════════════════════════════════════════
     logger.step(3 + stepOffset, totalSteps, 'Post-traitement du contenu');
-    const content = postProcessContent(rawContent);
+    let content = completed.processed?.content;
+    if (!content) {
+      content = postProcessContent(rawContent);
+      await saveStage(runId, 'processed', { content });
+    }
 
     // ═══════════════════════════════════════════
     // ÉTAPE 5 (ou 4): Génération SEO
     // ═══════════════════════════════════════════
     logger.step(4 + stepOffset, totalSteps, 'Métadonnées SEO + assemblage');
-    const title = outline.title || outline.proposedTitle;
-    const seo = await generateSEO({
-      title,
-      content,
-      category: articleOptions.category,
-      suggestedKeywords: articleOptions.keywords
-    });
+    const title = outline.title;
+    let seo = completed.seo;
+    if (!seo) {
+      seo = await generateSEO({
+        title,
+        content,
+        category: articleOptions.category,
+        suggestedKeywords: articleOptions.keywords
+      });
+      await saveStage(runId, 'seo', seo);
+    }
+
+    // ═══════════════════════════════════════════
+    // ÉTAPE 6 (ou 5): Quality gate + révisions ciblées
+    // ═══════════════════════════════════════════
+    let quality = null;
+    if (completed.quality) {
+      logger.step(5 + stepOffset, totalSteps, 'Contrôle qualité repris depuis le checkpoint');
+      ({ content, seo, report: quality } = completed.quality);
+    } else if (qualityGate.enabled) {
+      logger.step(5 + stepOffset, totalSteps, 'Contrôle qualité');
+      ({ content, seo, report: quality } = await runQualityGate({ title, content, seo }, qualityGate, articleOptions));
+      await saveStage(runId, 'quality', { content, seo, report: quality });
+    }
+
+    // ═══════════════════════════════════════════
+    // (Optionnel) FAQ en fin d'article (FAQPage JSON-LD)
+    // ═══════════════════════════════════════════
+    let faq = null;
+    if (completed.faq) {
+      ({ content, faq } = completed.faq);
+    } else if (options.faq ?? process.env.FAQ_SECTION === 'true') {
+      logger.info('Génération de la FAQ...');
+      faq = await generateFAQ({ title, content }, { language: articleOptions.language });
+      content = appendFAQSection(content, faq, articleOptions.language);
+      await saveStage(runId, 'faq', { content, faq });
+    }
+
+    // ═══════════════════════════════════════════
+    // (Optionnel) Maillage interne vers les articles publiés
+    // ═══════════════════════════════════════════
+    let internalLinks = null;
+    if (completed.links) {
+      ({ content, links: internalLinks } = completed.links);
+    } else if (options.internalLinks ?? process.env.INTERNAL_LINKS === 'true') {
+      logger.info('Recherche d\'articles liés pour le maillage interne...');
+      try {
+        ({ content, links: internalLinks } = await addInternalLinks({
+          title,
+          slug: generateSlug(title),
+          content,
+          category: articleOptions.category,
+          tags: seo.tags,
+          seo
+        }, { locale: articleOptions.language }));
+        await saveStage(runId, 'links', { content, links: internalLinks });
+      } catch (error) {
+        if (isBatchPending(error) || isBudgetExceeded(error)) throw error;
+        // Le maillage est un bonus : une base indisponible ne bloque pas l'article
+        logger.warn(`Maillage interne ignoré: ${error.message}`);
+      }
+    }
+
+    // ═══════════════════════════════════════════
+    // (Optionnel) Citations : liens [n] + section "Sources"
+    // ═══════════════════════════════════════════
+    let sources = null;
+    if (completed.citations) {
+      ({ content, sources } = completed.citations);
+    } else if (citableSources.length > 0) {
+      ({ content, sources } = applyCitations(content, citableSources, { language: articleOptions.language }));
+      logger.info(`${sources.length}/${citableSources.length} source(s) citée(s)`);
+      if (sources.length === 0) {
+        logger.warn('Aucune citation placée par le modèle : pas de section Sources');
+      }
+      await saveStage(runId, 'citations', { content, sources });
+    }
+
+    // ═══════════════════════════════════════════
+    // Image de couverture (sauf si fournie ou désactivée)
+    // ═══════════════════════════════════════════
+    let cover = null;
+    if (completed.image) {
+      cover = completed.image;
+    } else if (!options.coverImage && options.images !== false) {
+      try {
+        cover = await generateCoverImage({
+          title,
+          slug: generateSlug(title),
+          angle: outline.angle,
+          category: articleOptions.category
+        }, { ...options.images, language: articleOptions.language });
+        if (cover) await saveStage(runId, 'image', cover);
+      } catch (error) {
+        // Un visuel manquant ne bloque pas l'article (sauf budget atteint : l'article reste reprenable)
+        if (isBudgetExceeded(error)) throw error;
+        logger.warn(`Image de couverture ignorée: ${error.message}`);
+      }
+    }
+
+    // Un article qui échoue au quality gate n'est jamais publié automatiquement
+    const canPublish = options.autoPublish && quality?.passed !== false;
 
     // ═══════════════════════════════════════════
     // Assemblage final (pas d'appel API)
@@ -285,27 +663,46 @@ export async function generateArticle(input, options = {}) {
       slug,
       excerpt: seo.excerpt,
       content,
-      coverImage: options.coverImage || null,
+      category: articleOptions.category || null,
+      sources: sources || [],
+      coverImage: options.coverImage || cover?.coverImage || null,
       seo: {
         metaTitle: seo.metaTitle,
         metaDescription: seo.metaDescription,
         keywords: seo.keywords,
-        ogImage: options.ogImage || null,
+        ogImage: options.ogImage || cover?.ogImage || null,
         canonicalUrl: null,
         noIndex: false
       },
-      status: options.autoPublish ? 'published' : 'draft',
-      publishedAt: options.autoPublish ? generatePublishDate() : null,
+      status: canPublish ? 'published' : 'draft',
+      publishedAt: canPublish ? generatePublishDate() : null,
       tags: formatTags(seo.tags),
       author: options.author || process.env.DEFAULT_AUTHOR || 'Gleeam',
       readingTime,
       _generation: {
+        runId,
         topic: outline.originalTopic || input,
         angle: outline.angle,
+        longForm: articleOptions.longForm,
         outline: {
           sectionsCount: outline.sections.length,
           sections: outline.sections.map(s => s.h2)
         },
+        topicCheck: options.topicCheck || null,
+        internalLinks,
+        faqCount: faq?.length || 0,
+        image: cover?.image || null,
+        sources,
+        routing: resolveRouting(articleOptions.category),
+        usage: usageSoFar(),
+        quality: quality && {
+          passed: quality.passed,
+          score: quality.score,
+          wordCount: quality.wordCount,
+          h2Count: quality.h2Count,
+          revisions: quality.revisions,
+          failures: quality.failures
+        },
         generatedAt: new Date().toISOString()
       }
     };
@@ -319,6 +716,8 @@ export async function generateArticle(input, options = {}) {
       logger.success('Structure SEO validée');
     }
 
+    await updateRunStatus(runId, 'completed', { slug: article.slug, title: article.title, usage: article._generation.usage });
+
     logger.divider();
     logger.success('Article généré avec succès!');
     logger.info(`Titre: ${article.title}`);
@@ -326,11 +725,23 @@ export async function generateArticle(input, options = {}) {
     logger.info(`Mots: ${content.split(/\s+/).length}`);
     logger.info(`Sections: ${outline.sections.length}`);
     logger.info(`Temps de lecture: ${readingTime} min`);
+    logger.info(`Usage LLM: ${formatUsage(article._generation.usage)}`);
 
     return article;
 
   } catch (error) {
+    // Mode batch : un appel attend sa réponse, le run sera repris au prochain --collect
+    if (isBatchPending(error)) {
+      await updateRunStatus(runId, 'batch', { usage: usageSoFar() });
+      error.runId = runId;
+      throw error;
+    }
     logger.error('Erreur lors de la génération:', error.message);
+    await updateRunStatus(runId, 'failed', { error: error.message, usage: usageSoFar() }).catch(() => {});
+    if (isCheckpointEnabled()) {
+      logger.info(`Reprendre avec : --resume ${runId}`);
+    }
+    error.runId = runId;
     throw error;
   }
 }
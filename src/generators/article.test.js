@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Provider hors ligne : les modules lisent la configuration au moment de l'appel
+process.env.LLM_PROVIDER = 'fake';
+process.env.CHECKPOINTS = 'false';
+
+const { generateContent, generateArticle } = await import('./article.js');
+const { createUsageTracker, trackUsage } = await import('../services/usage.js');
+
+const OUTLINE = {
+  title: 'Les nouveautés de React 19',
+  angle: 'Ce qui change pour une équipe produit',
+  introduction: { hook: 'Accroche', context: 'Contexte', promise: 'Promesse' },
+  sections: [
+    { h2: 'Les actions serveur', narrativeGoal: 'Expliquer', keyPoints: ['formulaires'], subsections: [] },
+    { h2: 'Le compilateur', narrativeGoal: 'Mesurer', keyPoints: ['mémoïsation'], subsections: [{ h3: 'Adoption', content: 'Par étapes' }] },
+    { h2: 'Migrer une application', narrativeGoal: 'Guider', keyPoints: ['dépréciations'], subsections: [] }
+  ],
+  conclusion: { type: 'projection', direction: 'La suite' }
+};
+
+test('le mode long format rédige une section H2 par appel, dans l\'ordre du plan', async () => {
+  const tracker = createUsageTracker();
+  const content = await trackUsage(tracker, () => generateContent(OUTLINE.title, OUTLINE, { longForm: true }));
+
+  const headings = content.match(/^## .+$/gm);
+  assert.deepEqual(headings, OUTLINE.sections.map(section => `## ${section.h2}`));
+  assert.doesNotMatch(content, /^# /m);
+  // Introduction, une section par appel, conclusion
+  assert.equal(tracker.calls.length, OUTLINE.sections.length + 2);
+  assert.ok(tracker.calls.every(call => call.stage === 'content'));
+});
+
+test('le mode long format répartit la longueur cible entre les sections', async () => {
+  const short = await generateContent(OUTLINE.title, OUTLINE, { longForm: true, targetLength: '900-1100' });
+  const long = await generateContent(OUTLINE.title, OUTLINE, { longForm: true, targetLength: '3000-5000' });
+  assert.ok(long.split(/\s+/).length > short.split(/\s+/).length * 2);
+});
+
+test('un plan relu et fourni tel quel n\'est pas régénéré', async () => {
+  const article = await generateArticle(OUTLINE, { images: { provider: 'none' }, qualityGate: { enabled: false } });
+
+  assert.equal(article.title, OUTLINE.title);
+  assert.deepEqual(article._generation.outline.sections, OUTLINE.sections.map(section => section.h2));
+  assert.equal(article._generation.usage.byStage.outline, undefined);
+  assert.ok(article._generation.usage.byStage.content);
+});
@@ -0,0 +1,98 @@
+/**
+ * Citations des sources de la recherche web (mode --cite)
+ *
+ * Processus :
+ * 1. Les sources sont numérotées dans le contexte envoyé au modèle
+ * 2. Le modèle place un marqueur [n] après chaque fait tiré d'une source
+ * 3. Les marqueurs deviennent des liens et une section "Sources" est ajoutée
+ */
+
+/**
+ * Titre de la section des sources par langue
+ */
+const SOURCES_HEADINGS = {
+  fr: 'Sources',
+  en: 'Sources',
+  es: 'Fuentes'
+};
+
+/**
+ * Contexte de recherche numéroté, avec la consigne de citation
+ * @param {Array} excerpts - Passages des pages sources (--fetch-pages), rangés sous leur source
+ */
+export function formatSourcesForCitation(sources, excerpts = []) {
+  const list = sources.map((s, i) => {
+    const meta = [s.source, s.date].filter(Boolean).join(', ');
+    const passages = excerpts.filter(excerpt => excerpt.url === s.url).map(excerpt => `\n    « ${excerpt.text} »`);
+    return `[${i + 1}] ${s.title}: ${s.snippet || 'N/A'}${meta ? ` (${meta})` : ''}${passages.join('')}`;
+  }).join('\n');
+
+  return `Sources numérotées. Après chaque fait, chiffre, date ou annonce tiré d'une de ces sources, ajoute son numéro entre crochets juste après la phrase, par exemple [2]. Pas de numéro sur tes propres analyses ou opinions, et n'invente jamais de numéro.
+
+${list}`;
+}
+
+/**
+ * Remplacer les marqueurs [n] par des liens et ajouter la section "Sources"
+ * Les sources sont renumérotées dans l'ordre de leur première citation ;
+ * les marqueurs qui ne correspondent à aucune source sont retirés.
+ * @returns {object} { content, sources } — sources : liste des sources citées
+ */
+export function applyCitations(content, sources, options = {}) {
+  const { language = 'fr' } = options;
+  const lines = content.split('\n');
+  const renumbered = new Map();
+  let inCodeBlock = false;
+
+  // [2] ou [2, 4] / [2][4] — jamais un lien Markdown existant ([texte](url))
+  const linkMarkers = (text) => text.replace(/ ?\[(\d+(?:\s*,\s*\d+)*)\](?!\()/g, (match, numbers) => {
+    const refs = numbers.split(',')
+      .map(n => parseInt(n.trim(), 10))
+      .filter(n => n >= 1 && n <= sources.length)
+      .map(n => {
+        if (!renumbered.has(n)) renumbered.set(n, renumbered.size + 1);
+        return `[[${renumbered.get(n)}]](${sources[n - 1].url})`;
+      });
+    return refs.length > 0 ? refs.join('') : '';
+  });
+
+  const linked = lines.map(line => {
+    if (line.trim().startsWith('```')) {
+      inCodeBlock = !inCodeBlock;
+      return line;
+    }
+    // Blocs de code, titres et tableaux (a[2] dans une cellule) ne contiennent pas de citation
+    if (inCodeBlock || /^#{1,6}\s/.test(line) || line.trim().startsWith('|')) return line;
+
+    // Code inline (`items[0]`) laissé intact : les segments impairs sont entre backticks
+    return line.split(/(`[^`]*`)/)
+      .map((segment, i) => (i % 2 === 1 ? segment : linkMarkers(segment)))
+      .join('');
+  });
+
+  const cited = [...renumbered.entries()]
+    .sort((a, b) => a[1] - b[1])
+    .map(([original, number]) => ({ number, ...sources[original - 1] }));
+
+  if (cited.length === 0) {
+    return { content: linked.join('\n'), sources: [] };
+  }
+
+  const section = [
+    `## ${SOURCES_HEADINGS[language] || SOURCES_HEADINGS.fr}`,
+    cited.map(s => {
+      const meta = [s.source, s.date].filter(Boolean).join(', ');
+      return `${s.number}. [${s.title}](${s.url})${meta ? ` — ${meta}` : ''}`;
+    }).join('\n')
+  ].join('\n\n');
+
+  return {
+    content: `${linked.join('\n').trimEnd()}\n\n${section}\n`,
+    sources: cited
+  };
+}
+
+export default {
+  formatSourcesForCitation,
+  applyCitations
+};
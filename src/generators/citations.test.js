@@ -0,0 +1,60 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatSourcesForCitation, applyCitations } from './citations.js';
+
+const SOURCES = [
+  { title: 'Annonce', url: 'https://a.example', source: 'Blog A', date: '2026-01-10' },
+  { title: 'Analyse', url: 'https://b.example', source: 'Blog B' },
+  { title: 'Benchmark', url: 'https://c.example' }
+];
+
+test('formatSourcesForCitation numérote les sources et range les passages sous leur source', () => {
+  const context = formatSourcesForCitation(SOURCES, [{ url: 'https://b.example', text: 'Passage' }]);
+  assert.match(context, /\[1\] Annonce: N\/A \(Blog A, 2026-01-10\)/);
+  assert.match(context, /\[2\] Analyse: N\/A \(Blog B\)\n {4}« Passage »/);
+});
+
+test('les marqueurs deviennent des liens renumérotés dans l\'ordre de citation', () => {
+  const { content, sources } = applyCitations('Premier fait [3]. Second fait [1, 3].', SOURCES);
+
+  assert.match(content, /^Premier fait\[\[1\]\]\(https:\/\/c\.example\)\. Second fait\[\[2\]\]\(https:\/\/a\.example\)\[\[1\]\]\(https:\/\/c\.example\)\./);
+  assert.deepEqual(sources.map(s => [s.number, s.url]), [[1, 'https://c.example'], [2, 'https://a.example']]);
+  assert.match(content, /## Sources\n\n1\. \[Benchmark\]\(https:\/\/c\.example\)\n2\. \[Annonce\]\(https:\/\/a\.example\) — Blog A, 2026-01-10\n$/);
+});
+
+test('un marqueur sans source est retiré, un lien Markdown est conservé', () => {
+  const { content, sources } = applyCitations('Fait [9]. Voir [2](https://doc.example).', SOURCES);
+  assert.equal(content, 'Fait. Voir [2](https://doc.example).');
+  assert.deepEqual(sources, []);
+});
+
+test('le code inline n\'est pas modifié', () => {
+  const text = 'Lire `items[0]` puis `items[1]`, comme annoncé [2].';
+  const { content, sources } = applyCitations(text, SOURCES);
+
+  assert.match(content, /^Lire `items\[0\]` puis `items\[1\]`, comme annoncé\[\[1\]\]\(https:\/\/b\.example\)\./);
+  assert.deepEqual(sources.map(s => s.url), ['https://b.example']);
+});
+
+test('les tableaux, titres et blocs de code ne sont pas cités', () => {
+  const text = [
+    '## Résultats [1]',
+    '',
+    '| Variable | Valeur |',
+    '|----------|--------|',
+    '| a[2] | 3 |',
+    '',
+    '```js',
+    'const x = items[1];',
+    '```'
+  ].join('\n');
+  const { content, sources } = applyCitations(text, SOURCES);
+
+  assert.equal(content, text);
+  assert.deepEqual(sources, []);
+});
+
+test('la section des sources suit la langue', () => {
+  const { content } = applyCitations('Hecho [1].', SOURCES, { language: 'es' });
+  assert.match(content, /## Fuentes/);
+});
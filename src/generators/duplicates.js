@@ -0,0 +1,283 @@
+/**
+ * Détection des sujets déjà traités sur le blog
+ *
+ * Processus :
+ * 1. Similarité des titres normalisés (pondérée par la rareté des mots) et des mots-clés
+ * 2. (Optionnel) Similarité cosinus sur les embeddings stockés dans post_embeddings
+ * 3. Au-delà du seuil : nouvel angle proposé par le modèle, ou sujet écarté
+ */
+
+import { generateJSON, generateEmbeddings, getEmbeddingModel } from '../services/llm.js';
+import { findPostSummaries, findEmbeddings, saveEmbedding } from '../services/database.js';
+import { SYSTEM_PROMPT_REANGLE, generateReanglePrompt } from '../prompts/templates.js';
+import { getDuplicateCheckConfig } from '../config/duplicates.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Mots vides FR/EN/ES ignorés dans la comparaison des titres
+ */
+const STOP_WORDS = new Set([
+  'le', 'la', 'les', 'un', 'une', 'des', 'du', 'de', 'd', 'l', 'et', 'ou', 'en', 'au', 'aux', 'pour', 'par',
+  'sur', 'dans', 'avec', 'sans', 'que', 'qui', 'quoi', 'ce', 'ces', 'cet', 'cette', 'est', 'sont', 'on', 'nous',
+  'vous', 'il', 'elle', 'ils', 'se', 'sa', 'son', 'ses', 'pas', 'plus', 'vs', 'versus', 'face',
+  'the', 'a', 'an', 'and', 'or', 'of', 'to', 'in', 'on', 'for', 'with', 'without', 'is', 'are', 'what', 'why',
+  'how', 'your', 'you', 'we', 'it', 'its', 'this', 'that', 'from', 'by', 'at', 'as',
+  'el', 'los', 'las', 'una', 'unos', 'y', 'o', 'con', 'sin', 'para', 'por', 'del', 'al', 'es', 'lo', 'su'
+]);
+
+/**
+ * Normaliser un titre en liste de mots significatifs
+ * (minuscules, sans accents ni ponctuation, sans mots vides ni années)
+ */
+export function normalizeTitle(text) {
+  return (text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-z0-9.+#]+/g, ' ')
+    .split(' ')
+    .map(w => w.replace(/^\.+|\.+$/g, ''))
+    .filter(w => w.length > 1 && !STOP_WORDS.has(w) && !/^(19|20)\d{2}$/.test(w))
+    .map(w => (w.length > 4 && w.endsWith('s') ? w.slice(0, -1) : w));
+}
+
+function toKeywordSet(keywords) {
+  const list = Array.isArray(keywords) ? keywords : String(keywords || '').split(',');
+  return new Set(list.map(k => (k.tag || k).trim().toLowerCase()).filter(Boolean));
+}
+
+/**
+ * Lire toutes les versions linguistiques d'un champ éventuellement localisé
+ */
+function allLocales(field) {
+  if (typeof field === 'object' && field !== null && !Array.isArray(field)) {
+    return Object.values(field).filter(Boolean);
+  }
+  return field ? [field] : [];
+}
+
+/**
+ * Poids des mots selon leur rareté dans le corpus des titres existants :
+ * les tournures récurrentes ("ce qui change vraiment...") pèsent peu,
+ * les noms de technologies beaucoup
+ */
+function buildWordWeights(tokenLists) {
+  const documentFrequency = new Map();
+  for (const tokens of tokenLists) {
+    for (const token of new Set(tokens)) {
+      documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1);
+    }
+  }
+  const total = tokenLists.length;
+  return (token) => Math.log((total + 1) / ((documentFrequency.get(token) || 0) + 1)) + 1;
+}
+
+/**
+ * Similarité pondérée (Dice) entre deux titres normalisés (0-1)
+ */
+function weightedTitleSimilarity(tokensA, tokensB, weight) {
+  const setA = new Set(tokensA);
+  const setB = new Set(tokensB);
+  if (setA.size === 0 || setB.size === 0) return 0;
+
+  const sum = (tokens) => [...tokens].reduce((total, t) => total + weight(t), 0);
+  const shared = [...setA].filter(t => setB.has(t));
+
+  return (2 * sum(shared)) / (sum(setA) + sum(setB));
+}
+
+/**
+ * Part des mots-clés du sujet retrouvés dans l'article (mots-clés, tags ou titre), 0-1
+ * null si le sujet n'a pas de mots-clés
+ */
+function keywordSimilarity(topicKeywords, postKeywords, postTitleTokens) {
+  if (topicKeywords.size === 0) return null;
+  const titleTokens = new Set(postTitleTokens);
+  const found = [...topicKeywords].filter(keyword => {
+    if (postKeywords.has(keyword)) return true;
+    const tokens = normalizeTitle(keyword);
+    return tokens.length > 0 && tokens.every(t => titleTokens.has(t));
+  });
+  return found.length / topicKeywords.size;
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / (Math.sqrt(normA) * Math.sqrt(normB)) : 0;
+}
+
+/**
+ * Texte d'un article utilisé pour son embedding
+ */
+function postEmbeddingText(post) {
+  return [allLocales(post.title)[0], allLocales(post.seo?.keywords)[0]].filter(Boolean).join('\n');
+}
+
+/**
+ * Similarité cosinus avec chaque article, en calculant et stockant les embeddings manquants
+ * @returns {Map} slug → similarité
+ */
+async function embeddingSimilarities(topic, posts) {
+  const model = getEmbeddingModel();
+  const stored = await findEmbeddings(posts.map(p => p.slug), model);
+
+  const missing = posts.filter(p => !stored.has(p.slug) || stored.get(p.slug).text !== postEmbeddingText(p));
+  if (missing.length > 0) {
+    logger.debug(`Calcul de ${missing.length} embedding(s) d'articles manquant(s)`);
+    const vectors = await generateEmbeddings(missing.map(postEmbeddingText), { model });
+    await Promise.all(missing.map(async (post, i) => {
+      const doc = { slug: post.slug, model, text: postEmbeddingText(post), vector: vectors[i] };
+      stored.set(post.slug, doc);
+      await saveEmbedding(doc);
+    }));
+  }
+
+  const topicText = [topic.title, topic.angle, [...toKeywordSet(topic.keywords)].join(', ')].filter(Boolean).join('\n');
+  const [topicVector] = await generateEmbeddings([topicText], { model });
+
+  return new Map(posts.map(p => [p.slug, cosineSimilarity(topicVector, stored.get(p.slug).vector)]));
+}
+
+/**
+ * Comparer un sujet candidat aux articles existants
+ * @param {object} topic - { title, angle, keywords }
+ * @param {object} options - { posts (déjà chargés), ...surcharges de config/duplicates.js }
+ * @returns {object} { duplicate, score, method, match, matches }
+ */
+export async function checkTopicDuplicate(topic, options = {}) {
+  const { posts: preloaded, ...overrides } = options;
+  const config = getDuplicateCheckConfig(overrides);
+  const posts = preloaded || await findPostSummaries();
+
+  if (posts.length === 0) {
+    return { duplicate: false, score: 0, method: 'title', match: null, matches: [] };
+  }
+
+  const postTitles = posts.map(post => allLocales(post.title).map(normalizeTitle));
+  const topicTokens = normalizeTitle(topic.title);
+  const weight = buildWordWeights([topicTokens, ...postTitles.flat()]);
+  const topicKeywords = toKeywordSet(topic.keywords);
+
+  const embeddings = config.useEmbeddings ? await embeddingSimilarities(topic, posts) : null;
+
+  const matches = posts.map((post, i) => {
+    const titleScore = Math.max(0, ...postTitles[i].map(tokens => weightedTitleSimilarity(topicTokens, tokens, weight)));
+    const postKeywords = new Set([
+      ...toKeywordSet(post.tags || []),
+      ...allLocales(post.seo?.keywords).flatMap(k => [...toKeywordSet(k)])
+    ]);
+    const keywordScore = keywordSimilarity(topicKeywords, postKeywords, postTitles[i].flat());
+    const score = keywordScore === null ? titleScore : 0.75 * titleScore + 0.25 * keywordScore;
+
+    return {
+      slug: post.slug,
+      title: allLocales(post.title)[0],
+      status: post.status,
+      score: Math.round(score * 100) / 100,
+      embeddingScore: embeddings ? Math.round(embeddings.get(post.slug) * 100) / 100 : null
+    };
+  });
+
+  const isDuplicate = (m) =>
+    m.score >= config.threshold ||
+    (m.embeddingScore !== null && m.embeddingScore >= config.embeddingThreshold);
+
+  // Les doublons d'abord, puis par score décroissant
+  matches.sort((a, b) =>
+    (isDuplicate(b) - isDuplicate(a)) ||
+    (Math.max(b.score, b.embeddingScore || 0) - Math.max(a.score, a.embeddingScore || 0))
+  );
+
+  const best = matches[0];
+  const duplicate = isDuplicate(best);
+
+  return {
+    duplicate,
+    score: duplicate && best.score < config.threshold ? best.embeddingScore : best.score,
+    method: duplicate && best.score < config.threshold ? 'embedding' : 'title',
+    match: best,
+    matches: matches.slice(0, 3)
+  };
+}
+
+/**
+ * Proposer un nouvel angle pour un sujet trop proche d'articles existants
+ * @returns {object} { title, angle }
+ */
+export async function reangleTopic(topic, matches, options = {}) {
+  const { language = 'fr' } = options;
+
+  const result = await generateJSON(
+    SYSTEM_PROMPT_REANGLE,
+    generateReanglePrompt(topic, matches.map(m => m.title), { language }),
+    { stage: 'reangle', temperature: 0.8, maxTokens: 800 }
+  );
+
+  if (!result.title) {
+    throw new Error('Nouvel angle invalide : titre manquant');
+  }
+
+  return { title: result.title.trim(), angle: result.angle?.trim() || null };
+}
+
+/**
+ * Vérifier un sujet avant génération et le réorienter (ou l'écarter) s'il est déjà traité
+ * @param {object} topic - { title, angle, keywords, ... }
+ * @param {object} options - { language, ...surcharges de config/duplicates.js }
+ * @returns {object} { topic, decision } — topic : null si écarté ; decision : { action, score, method, match, attempts }
+ */
+export async function ensureUniqueTopic(topic, options = {}) {
+  const { language = 'fr', ...overrides } = options;
+  const config = getDuplicateCheckConfig(overrides);
+
+  if (!config.enabled) {
+    return { topic, decision: { action: 'skipped', attempts: 0 } };
+  }
+
+  const posts = await findPostSummaries();
+  let candidate = topic;
+  let result = await checkTopicDuplicate(candidate, { ...config, posts });
+
+  if (!result.duplicate) {
+    logger.info(`Sujet inédit (similarité max ${result.score}${result.match ? ` avec « ${result.match.title} »` : ''})`);
+    return { topic: candidate, decision: { action: 'accepted', score: result.score, method: result.method, match: result.match, attempts: 0 } };
+  }
+
+  logger.warn(`Sujet trop proche de « ${result.match.title} » (${result.score}, ${result.method})`);
+
+  if (config.action === 'reangle') {
+    for (let attempt = 1; attempt <= config.maxReangles; attempt++) {
+      const reangled = await reangleTopic(candidate, result.matches, { language });
+      const next = { ...candidate, ...reangled, originalTitle: topic.title };
+      result = await checkTopicDuplicate(next, { ...config, posts });
+
+      if (!result.duplicate) {
+        logger.info(`Nouvel angle retenu : « ${next.title} » (similarité max ${result.score})`);
+        return { topic: next, decision: { action: 'reangled', score: result.score, method: result.method, match: result.match, attempts: attempt } };
+      }
+
+      logger.warn(`Nouvel angle « ${next.title} » encore trop proche de « ${result.match.title} » (${result.score})`);
+      candidate = next;
+    }
+  }
+
+  logger.warn(`Sujet écarté : « ${topic.title} »`);
+  return {
+    topic: null,
+    decision: { action: 'rejected', score: result.score, method: result.method, match: result.match, attempts: config.action === 'reangle' ? config.maxReangles : 0 }
+  };
+}
+
+export default {
+  normalizeTitle,
+  checkTopicDuplicate,
+  reangleTopic,
+  ensureUniqueTopic
+};
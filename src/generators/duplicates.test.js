@@ -0,0 +1,55 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { normalizeTitle, checkTopicDuplicate } from './duplicates.js';
+import { getDuplicateCheckConfig } from '../config/duplicates.js';
+
+const POSTS = [
+  { slug: 'react-19-nouveautes', title: { fr: 'React 19 : les nouveautés à connaître', en: 'React 19: what is new' }, status: 'published', tags: ['react'] },
+  { slug: 'vite-6', title: 'Vite 6 : ce qui change vraiment', status: 'draft', seo: { keywords: 'vite, bundler' } },
+  { slug: 'node-24', title: 'Node.js 24 : ce qui change vraiment', status: 'published' }
+];
+
+afterEach(() => {
+  delete process.env.TOPIC_MAX_REANGLES;
+});
+
+test('normalizeTitle retire accents, mots vides, années et pluriels', () => {
+  assert.deepEqual(normalizeTitle('Les Nouveautés de React en 2026 !'), ['nouveaute', 'react']);
+  assert.deepEqual(normalizeTitle('Deno, C++ et C# : ...'), ['deno', 'c++', 'c#']);
+  assert.deepEqual(normalizeTitle(null), []);
+});
+
+test('un titre proche d\'un article existant est un doublon, dans toutes ses langues', async () => {
+  const result = await checkTopicDuplicate({ title: 'Les nouveautés de React 19' }, { posts: POSTS, useEmbeddings: false });
+  assert.equal(result.duplicate, true);
+  assert.equal(result.method, 'title');
+  assert.equal(result.match.slug, 'react-19-nouveautes');
+
+  const english = await checkTopicDuplicate({ title: 'What is new in React 19' }, { posts: POSTS, useEmbeddings: false });
+  assert.equal(english.match.slug, 'react-19-nouveautes');
+});
+
+test('une tournure récurrente ne suffit pas à faire un doublon', async () => {
+  const result = await checkTopicDuplicate({ title: 'Bun 2 : ce qui change vraiment' }, { posts: POSTS, useEmbeddings: false });
+  assert.equal(result.duplicate, false);
+  assert.ok(result.matches.length <= 3);
+});
+
+test('les mots-clés du sujet complètent la similarité des titres', async () => {
+  const withKeywords = await checkTopicDuplicate({ title: 'Vite 6 en production', keywords: ['vite', 'bundler'] }, { posts: POSTS, useEmbeddings: false, threshold: 0.99 });
+  const without = await checkTopicDuplicate({ title: 'Vite 6 en production' }, { posts: POSTS, useEmbeddings: false, threshold: 0.99 });
+  assert.equal(withKeywords.match.slug, 'vite-6');
+  assert.ok(withKeywords.score > without.score);
+});
+
+test('sans article existant, aucun doublon', async () => {
+  const result = await checkTopicDuplicate({ title: 'React 19' }, { posts: [] });
+  assert.deepEqual(result, { duplicate: false, score: 0, method: 'title', match: null, matches: [] });
+});
+
+test('TOPIC_MAX_REANGLES accepte 0 et ignore une valeur invalide', () => {
+  process.env.TOPIC_MAX_REANGLES = '0';
+  assert.equal(getDuplicateCheckConfig().maxReangles, 0);
+  process.env.TOPIC_MAX_REANGLES = 'abc';
+  assert.equal(getDuplicateCheckConfig().maxReangles, 2);
+});
@@ -0,0 +1,91 @@
+/**
+ * Générateur d'images de couverture
+ *
+ * Processus :
+ * 1. Prompt d'image et texte alternatif à partir du titre et de l'angle
+ * 2. Génération par le provider configuré (placeholder hors ligne par défaut)
+ * 3. Stockage (collection media de Payload ou disque) et référence sur l'article
+ */
+
+import { TOPICS } from '../config/topics.js';
+import { getImageConfig } from '../config/images.js';
+import { createImage, storeImage } from '../services/images.js';
+import { generateImagePrompt } from '../prompts/templates.js';
+import { logger } from '../utils/logger.js';
+import { truncateText } from '../utils/helpers.js';
+
+/**
+ * Texte alternatif par langue
+ */
+const ALT_TEMPLATES = {
+  fr: (title) => `Illustration de l'article « ${title} »`,
+  en: (title) => `Cover illustration for "${title}"`,
+  es: (title) => `Ilustración del artículo «${title}»`
+};
+
+/**
+ * Construire le texte alternatif de la couverture
+ */
+export function buildImageAlt(title, language = 'fr') {
+  const template = ALT_TEMPLATES[language] || ALT_TEMPLATES.fr;
+  return truncateText(template(title), 125);
+}
+
+/**
+ * Générer, stocker et référencer l'image de couverture d'un article
+ * @param {object} article - { title, slug, angle, category }
+ * @param {object} options - { language, ...surcharges de config/images.js }
+ * @returns {object|null} { coverImage, ogImage, image } ou null si désactivé (provider none)
+ *   coverImage / ogImage : id media Payload ou URL publique, null si l'image n'est que sur disque
+ *   (ogImage : null aussi pour une image SVG)
+ */
+export async function generateCoverImage(article, options = {}) {
+  const { language = 'fr', ...overrides } = options;
+  const config = getImageConfig(overrides);
+
+  if (config.provider === 'none') {
+    return null;
+  }
+
+  const category = TOPICS[article.category] || null;
+  const request = {
+    title: article.title,
+    alt: buildImageAlt(article.title, language),
+    prompt: generateImagePrompt(article.title, article.angle, category),
+    category
+  };
+
+  const image = await createImage(request, config);
+  const stored = await storeImage(image, { filename: article.slug, alt: request.alt }, config);
+
+  // Payload référence le document media par son id, sinon l'URL publique ;
+  // un fichier local sans IMAGES_PUBLIC_URL n'est pas servi et n'est pas référencé sur l'article
+  const reference = stored.id || stored.url || null;
+
+  if (reference) {
+    logger.info(`Image de couverture (${config.provider} → ${stored.storage}): ${reference}`);
+  } else {
+    logger.warn(`Image de couverture écrite dans ${stored.path} sans URL publique (IMAGES_PUBLIC_URL) : non référencée sur l'article`);
+  }
+
+  return {
+    coverImage: reference,
+    // Facebook, X et LinkedIn refusent le SVG en og:image : la carte hors ligne n'est que la couverture
+    ogImage: image.mimeType === 'image/svg+xml' ? null : reference,
+    image: {
+      provider: config.provider,
+      storage: stored.storage,
+      url: stored.url,
+      path: stored.path || null,
+      alt: request.alt,
+      prompt: request.prompt,
+      width: image.width,
+      height: image.height
+    }
+  };
+}
+
+export default {
+  buildImageAlt,
+  generateCoverImage
+};
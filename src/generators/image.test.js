@@ -0,0 +1,56 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { buildImageAlt, generateCoverImage } from './image.js';
+import { registerImageProvider } from '../services/images.js';
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gleeam-covers-'));
+});
+
+after(async () => {
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+const ARTICLE = { title: 'Les nouveautés de React 19', slug: 'nouveautes-react-19', angle: 'Pour une équipe produit', category: 'webDevelopment' };
+
+test('le texte alternatif suit la langue et reste court', () => {
+  assert.equal(buildImageAlt('Titre', 'en'), 'Cover illustration for "Titre"');
+  assert.equal(buildImageAlt('Titre', 'de'), 'Illustration de l\'article « Titre »');
+  assert.ok(buildImageAlt('mot '.repeat(60)).length <= 125);
+});
+
+test('une image sur disque sans URL publique n\'est pas référencée sur l\'article', async () => {
+  const cover = await generateCoverImage(ARTICLE, { provider: 'placeholder', storage: 'disk', outputDir: dir, publicUrl: null });
+
+  assert.equal(cover.coverImage, null);
+  assert.equal(cover.ogImage, null);
+  assert.equal(cover.image.url, null);
+  assert.equal(cover.image.path, path.join(dir, 'nouveautes-react-19.svg'));
+});
+
+test('une image sur disque avec URL publique est référencée par son URL', async () => {
+  const cover = await generateCoverImage(ARTICLE, { provider: 'placeholder', storage: 'disk', outputDir: dir, publicUrl: 'https://cdn.example.com' });
+
+  assert.equal(cover.coverImage, 'https://cdn.example.com/nouveautes-react-19.svg');
+  // Pas de SVG en og:image
+  assert.equal(cover.ogImage, null);
+});
+
+test('une image matricielle sert aussi d\'image Open Graph', async () => {
+  registerImageProvider('raster', async (request, config) => ({
+    buffer: Buffer.from('png'), mimeType: 'image/png', extension: 'png', width: config.width, height: config.height
+  }));
+  const cover = await generateCoverImage(ARTICLE, { provider: 'raster', storage: 'disk', outputDir: dir, publicUrl: 'https://cdn.example.com' });
+
+  assert.equal(cover.coverImage, 'https://cdn.example.com/nouveautes-react-19.png');
+  assert.equal(cover.ogImage, cover.coverImage);
+});
+
+test('le provider none désactive la couverture', async () => {
+  assert.equal(await generateCoverImage(ARTICLE, { provider: 'none' }), null);
+});
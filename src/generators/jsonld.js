@@ -0,0 +1,246 @@
+/**
+ * Données structurées schema.org (JSON-LD) et FAQ des articles
+ *
+ * - BlogPosting : titre, auteur, dates, mots-clés, nombre de mots, langue
+ * - FAQPage : construite à partir de la section FAQ présente dans le contenu
+ *
+ * Le JSON-LD est stocké par langue sur l'article (champ structuredData)
+ * pour que le frontend Payload l'injecte tel quel dans la page.
+ */
+
+import { generateJSON } from '../services/llm.js';
+import { SYSTEM_PROMPT_FAQ, generateFAQPrompt } from '../prompts/templates.js';
+import { buildPostUrl } from './linker.js';
+import { extractSingleLocaleContent, getArticleLocales } from './translator.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Titre de la section FAQ par langue
+ */
+const FAQ_HEADINGS = {
+  fr: 'Questions fréquentes',
+  en: 'Frequently asked questions',
+  es: 'Preguntas frecuentes'
+};
+
+/**
+ * Codes de langue schema.org (BCP 47)
+ */
+const LANGUAGE_TAGS = {
+  fr: 'fr-FR',
+  en: 'en-US',
+  es: 'es-ES'
+};
+
+function getSiteName() {
+  return process.env.SITE_NAME || 'Gleeam';
+}
+
+/**
+ * URL absolue d'un article (relative si SITE_URL n'est pas défini)
+ */
+function getAbsoluteUrl(slug, locale) {
+  const siteUrl = (process.env.SITE_URL || '').replace(/\/$/, '');
+  return `${siteUrl}${buildPostUrl(slug, locale)}`;
+}
+
+function toISODate(date) {
+  if (!date) return undefined;
+  const parsed = new Date(date);
+  return isNaN(parsed) ? undefined : parsed.toISOString();
+}
+
+/**
+ * Vérifier si un titre H2 est celui d'une section FAQ (quelle que soit la langue)
+ */
+function isFAQHeading(heading) {
+  const normalized = heading.trim().toLowerCase();
+  return /\bfaq\b/.test(normalized) ||
+    Object.values(FAQ_HEADINGS).some(h => normalized.startsWith(h.toLowerCase()));
+}
+
+/**
+ * Générer les questions/réponses de la FAQ à partir du contenu de l'article
+ * @returns {Array} [{ question, answer }]
+ */
+export async function generateFAQ(article, options = {}) {
+  const { language = 'fr', count = 5 } = options;
+
+  logger.debug('Génération de la FAQ...');
+
+  const result = await generateJSON(
+    SYSTEM_PROMPT_FAQ,
+    generateFAQPrompt(article, { language, count }),
+    { stage: 'faq', temperature: 0.5, maxTokens: 2000 }
+  );
+
+  return (Array.isArray(result.faq) ? result.faq : [])
+    .filter(item => item?.question && item?.answer)
+    .map(item => ({ question: item.question.trim(), answer: item.answer.trim() }))
+    .slice(0, count);
+}
+
+/**
+ * Ajouter la section FAQ (Markdown) en fin de contenu
+ * Une FAQ déjà présente est remplacée
+ */
+export function appendFAQSection(content, faq, locale = 'fr') {
+  if (!faq || faq.length === 0) return content;
+
+  const section = [
+    `## ${FAQ_HEADINGS[locale] || FAQ_HEADINGS.fr}`,
+    ...faq.map(item => `### ${item.question}\n\n${item.answer}`)
+  ].join('\n\n');
+
+  return `${stripFAQSection(content).trimEnd()}\n\n${section}\n`;
+}
+
+/**
+ * Retirer la section FAQ d'un contenu
+ */
+export function stripFAQSection(content) {
+  const lines = (content || '').split('\n');
+  const start = lines.findIndex(line => /^##\s/.test(line) && isFAQHeading(line.replace(/^##\s/, '')));
+  if (start === -1) return content;
+
+  const end = lines.findIndex((line, i) => i > start && /^##\s/.test(line));
+  return [...lines.slice(0, start), ...(end === -1 ? [] : lines.slice(end))].join('\n').trimEnd() + '\n';
+}
+
+/**
+ * Relire la FAQ depuis le contenu Markdown (fonctionne aussi sur une traduction)
+ * @returns {Array} [{ question, answer }]
+ */
+export function extractFAQFromContent(content) {
+  const lines = (content || '').split('\n');
+  const start = lines.findIndex(line => /^##\s/.test(line) && isFAQHeading(line.replace(/^##\s/, '')));
+  if (start === -1) return [];
+
+  const faq = [];
+  let current = null;
+
+  for (const line of lines.slice(start + 1)) {
+    if (/^##\s/.test(line)) break;
+
+    const question = line.match(/^###\s+(.+)$/);
+    if (question) {
+      current = { question: question[1].trim(), answer: '' };
+      faq.push(current);
+    } else if (current && line.trim()) {
+      current.answer = `${current.answer} ${line.trim()}`.trim();
+    }
+  }
+
+  return faq
+    .filter(item => item.answer)
+    .map(item => ({ ...item, answer: item.answer.replace(/\[([^\]]+)\]\([^)]+\)/g, '$1').replace(/[*_`]/g, '') }));
+}
+
+/**
+ * Construire le JSON-LD BlogPosting d'un article mono-langue
+ */
+export function buildBlogPostingSchema(article, locale = 'fr') {
+  const siteName = getSiteName();
+  const author = article.author || siteName;
+  const url = getAbsoluteUrl(article.slug, locale);
+  const image = [article.seo?.ogImage, article.coverImage].find(i => typeof i === 'string' && /^https?:\/\//.test(i));
+  const now = new Date().toISOString();
+
+  const schema = {
+    '@context': 'https://schema.org',
+    '@type': 'BlogPosting',
+    headline: article.title,
+    description: article.seo?.metaDescription || article.excerpt,
+    author: {
+      '@type': author === siteName ? 'Organization' : 'Person',
+      name: author
+    },
+    publisher: {
+      '@type': 'Organization',
+      name: siteName
+    },
+    // Article pas encore enregistré (ni publication ni createdAt) : daté du jour ;
+    // jamais modifié : dateModified = datePublished
+    datePublished: toISODate(article.publishedAt || article.createdAt) || now,
+    dateModified: toISODate(article.updatedAt || article.publishedAt || article.createdAt) || now,
+    keywords: article.seo?.keywords || undefined,
+    articleSection: article.category || undefined,
+    wordCount: (article.content || '').split(/\s+/).filter(Boolean).length,
+    inLanguage: LANGUAGE_TAGS[locale] || locale,
+    url,
+    mainEntityOfPage: { '@type': 'WebPage', '@id': url },
+    image
+  };
+
+  // Retirer les champs vides (JSON-LD plus propre)
+  return JSON.parse(JSON.stringify(schema));
+}
+
+/**
+ * Construire le JSON-LD FAQPage (null si pas de FAQ)
+ */
+export function buildFAQPageSchema(faq, locale = 'fr') {
+  if (!faq || faq.length === 0) return null;
+
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'FAQPage',
+    inLanguage: LANGUAGE_TAGS[locale] || locale,
+    mainEntity: faq.map(item => ({
+      '@type': 'Question',
+      name: item.question,
+      acceptedAnswer: {
+        '@type': 'Answer',
+        text: item.answer
+      }
+    }))
+  };
+}
+
+/**
+ * Données structurées d'un article mono-langue
+ * @returns {object} { faq, jsonLd } — jsonLd : liste des blocs à injecter dans la page
+ */
+export function buildStructuredData(article, locale = 'fr') {
+  const faq = extractFAQFromContent(article.content);
+  const faqPage = buildFAQPageSchema(faq, locale);
+
+  return {
+    faq,
+    jsonLd: [buildBlogPostingSchema(article, locale), ...(faqPage ? [faqPage] : [])]
+  };
+}
+
+/**
+ * Ajouter les données structurées de chaque langue à un article au format Payload
+ * À appeler juste avant la sauvegarde (slug et date de publication définitifs) ;
+ * updatedAt : date de la sauvegarde si le contenu change (dateModified)
+ */
+export function withStructuredData(post) {
+  const locales = getArticleLocales(post);
+  const structuredData = {};
+  const faq = {};
+
+  for (const locale of locales) {
+    const data = buildStructuredData({
+      ...extractSingleLocaleContent(post, locale),
+      createdAt: post.createdAt,
+      updatedAt: post.updatedAt
+    }, locale);
+    structuredData[locale] = data.jsonLd;
+    faq[locale] = data.faq;
+  }
+
+  return { ...post, structuredData, faq };
+}
+
+export default {
+  generateFAQ,
+  appendFAQSection,
+  stripFAQSection,
+  extractFAQFromContent,
+  buildBlogPostingSchema,
+  buildFAQPageSchema,
+  buildStructuredData,
+  withStructuredData
+};
@@ -0,0 +1,94 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  appendFAQSection,
+  stripFAQSection,
+  extractFAQFromContent,
+  buildBlogPostingSchema,
+  buildFAQPageSchema,
+  withStructuredData
+} from './jsonld.js';
+import { toPayloadLocaleFormat } from './translator.js';
+
+const FAQ = [
+  { question: 'Faut-il migrer tout de suite ?', answer: 'Non, la migration peut être **progressive**.' },
+  { question: 'Le compilateur est-il stable ?', answer: 'Oui, voir [l\'annonce](https://react.dev).' }
+];
+
+const ARTICLE = {
+  title: 'Les nouveautés de React 19',
+  slug: 'nouveautes-react-19',
+  excerpt: 'Ce qui change',
+  content: '## Introduction\n\nUn texte de cinq mots.',
+  coverImage: 'data/images/nouveautes-react-19.svg',
+  seo: { metaTitle: 'React 19', metaDescription: 'Ce qui change avec React 19', keywords: 'react', ogImage: null },
+  status: 'draft',
+  publishedAt: null,
+  author: 'Gleeam'
+};
+
+test('la FAQ ajoutée au contenu se relit et remplace une FAQ existante', () => {
+  const once = appendFAQSection(ARTICLE.content, FAQ, 'fr');
+  const twice = appendFAQSection(once, FAQ.slice(0, 1), 'fr');
+
+  assert.equal((twice.match(/^## Questions fréquentes$/gm) || []).length, 1);
+  assert.deepEqual(extractFAQFromContent(once), [
+    { question: FAQ[0].question, answer: 'Non, la migration peut être progressive.' },
+    { question: FAQ[1].question, answer: 'Oui, voir l\'annonce.' }
+  ]);
+  assert.equal(stripFAQSection(once).trim(), ARTICLE.content);
+});
+
+test('la FAQ est aussi reconnue dans une traduction', () => {
+  const content = appendFAQSection(ARTICLE.content, FAQ, 'en');
+  assert.match(content, /^## Frequently asked questions$/m);
+  assert.equal(extractFAQFromContent(content).length, 2);
+});
+
+test('BlogPosting n\'expose que des images publiques', () => {
+  const schema = buildBlogPostingSchema(ARTICLE, 'fr');
+  assert.equal(schema.image, undefined);
+  assert.equal(schema.inLanguage, 'fr-FR');
+  assert.equal(schema.wordCount, 7);
+
+  const withImage = buildBlogPostingSchema({ ...ARTICLE, coverImage: 'https://cdn.example.com/cover.png' }, 'fr');
+  assert.equal(withImage.image, 'https://cdn.example.com/cover.png');
+});
+
+test('un article pas encore enregistré est daté du jour', () => {
+  const before = Date.now();
+  const post = withStructuredData(toPayloadLocaleFormat(ARTICLE, 'fr'));
+  const [blogPosting] = post.structuredData.fr;
+
+  assert.ok(blogPosting.datePublished);
+  assert.ok(new Date(blogPosting.datePublished).getTime() >= before - 1000);
+  assert.equal(blogPosting.datePublished, blogPosting.dateModified);
+});
+
+test('la date de publication prime sur la date du jour', () => {
+  const schema = buildBlogPostingSchema({ ...ARTICLE, publishedAt: '2026-01-15T09:00:00.000Z' }, 'fr');
+  assert.equal(schema.datePublished, '2026-01-15T09:00:00.000Z');
+});
+
+test('dateModified suit l\'updatedAt de l\'article, sinon sa date de publication', () => {
+  const stored = {
+    ...toPayloadLocaleFormat({ ...ARTICLE, publishedAt: '2026-01-15T09:00:00.000Z' }, 'fr'),
+    createdAt: new Date('2026-01-15T08:00:00.000Z')
+  };
+
+  const [unchanged] = withStructuredData(stored).structuredData.fr;
+  assert.equal(unchanged.dateModified, '2026-01-15T09:00:00.000Z');
+
+  const [updated] = withStructuredData({ ...stored, updatedAt: new Date('2026-03-02T10:30:00.000Z') }).structuredData.fr;
+  assert.equal(updated.datePublished, '2026-01-15T09:00:00.000Z');
+  assert.equal(updated.dateModified, '2026-03-02T10:30:00.000Z');
+});
+
+test('FAQPage suit la FAQ du contenu, absente sans FAQ', () => {
+  assert.equal(buildFAQPageSchema([], 'fr'), null);
+
+  const post = withStructuredData(toPayloadLocaleFormat({ ...ARTICLE, content: appendFAQSection(ARTICLE.content, FAQ, 'fr') }, 'fr'));
+  assert.equal(post.faq.fr.length, 2);
+  assert.equal(post.structuredData.fr[1]['@type'], 'FAQPage');
+  assert.equal(post.structuredData.fr[1].mainEntity[0].name, FAQ[0].question);
+});
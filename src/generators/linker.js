@@ -0,0 +1,204 @@
+/**
+ * Maillage interne : liens vers les articles déjà publiés
+ *
+ * Processus :
+ * 1. Sélection des articles publiés proches (tags, mots-clés, catégorie)
+ * 2. Choix des ancres par le modèle (extraits exacts du texte)
+ * 3. Insertion des liens Markdown vers /blog/<slug> dans la bonne langue
+ */
+
+import { generateJSON } from '../services/llm.js';
+import { findPublishedPosts } from '../services/database.js';
+import { SYSTEM_PROMPT_INTERNAL_LINKS, generateInternalLinksPrompt } from '../prompts/templates.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Construire l'URL d'un article dans une langue
+ * BLOG_URL_PATTERN accepte {slug} et {locale} ; sans {locale}, les langues autres
+ * que BLOG_DEFAULT_LOCALE sont préfixées (/en/blog/<slug>)
+ */
+export function buildPostUrl(slug, locale = 'fr') {
+  const pattern = process.env.BLOG_URL_PATTERN || '/blog/{slug}';
+  const defaultLocale = process.env.BLOG_DEFAULT_LOCALE || 'fr';
+  const url = pattern.replace('{slug}', slug).replace('{locale}', locale);
+
+  if (pattern.includes('{locale}') || locale === defaultLocale) {
+    return url;
+  }
+  return `/${locale}${url}`;
+}
+
+/**
+ * Réécrire les liens internes d'un contenu traduit vers les URLs de la langue cible
+ */
+export function localizeInternalLinks(content, fromLocale, toLocale) {
+  if (!content || fromLocale === toLocale) return content;
+
+  const [fromPrefix, fromSuffix] = buildPostUrl('\u0000', fromLocale).split('\u0000');
+  const escape = (str) => str.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+  const pattern = new RegExp(`\\]\\(${escape(fromPrefix)}([a-z0-9-]+)${escape(fromSuffix)}\\)`, 'g');
+
+  return content.replace(pattern, (match, slug) => `](${buildPostUrl(slug, toLocale)})`);
+}
+
+/**
+ * Lire un champ éventuellement localisé
+ */
+function getLocalized(field, locale) {
+  if (typeof field === 'object' && field !== null && !Array.isArray(field)) {
+    return field[locale] || '';
+  }
+  return field || '';
+}
+
+function toKeywordSet(keywords) {
+  const list = Array.isArray(keywords) ? keywords : String(keywords || '').split(',');
+  return new Set(list.map(k => k.trim().toLowerCase()).filter(Boolean));
+}
+
+function significantWords(text) {
+  return new Set(
+    (text || '')
+      .toLowerCase()
+      .normalize('NFD')
+      .replace(/[\u0300-\u036f]/g, '')
+      .split(/[^a-z0-9]+/)
+      .filter(w => w.length > 3)
+  );
+}
+
+/**
+ * Trouver les articles publiés les plus proches d'un article
+ * Score : tags communs (3), mots-clés communs (2), même catégorie (2), mots du titre (0.5)
+ */
+export async function findRelatedPosts(article, options = {}) {
+  const { locale = 'fr', limit = 8 } = options;
+
+  const posts = await findPublishedPosts({ locale, excludeSlug: article.slug });
+
+  const tags = new Set((article.tags || []).map(t => (t.tag || t).toLowerCase()));
+  const keywords = toKeywordSet(article.seo?.keywords || article.keywords);
+  const titleWords = significantWords(article.title);
+
+  const scored = posts.map(post => {
+    const postTags = (post.tags || []).map(t => (t.tag || t).toLowerCase());
+    const postKeywords = toKeywordSet(getLocalized(post.seo?.keywords, locale));
+    const postTitle = getLocalized(post.title, locale);
+
+    let score = 0;
+    score += postTags.filter(t => tags.has(t)).length * 3;
+    score += [...postKeywords].filter(k => keywords.has(k)).length * 2;
+    if (article.category && post.category === article.category) score += 2;
+    score += [...significantWords(postTitle)].filter(w => titleWords.has(w)).length * 0.5;
+
+    return {
+      slug: post.slug,
+      title: postTitle,
+      excerpt: getLocalized(post.excerpt, locale),
+      score
+    };
+  });
+
+  return scored
+    .filter(p => p.score > 0 && p.title)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+/**
+ * Insérer des liens Markdown sur la première occurrence de chaque ancre
+ * (hors titres, liens existants et blocs de code)
+ */
+export function insertInternalLinks(content, links, locale = 'fr') {
+  const lines = content.split('\n');
+  const inserted = [];
+  const linkedSlugs = new Set();
+
+  for (const link of links) {
+    if (!link.anchor || linkedSlugs.has(link.slug)) continue;
+
+    const url = buildPostUrl(link.slug, locale);
+    if (content.includes(`](${url})`)) continue;
+
+    let inCodeBlock = false;
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      if (line.trim().startsWith('```')) {
+        inCodeBlock = !inCodeBlock;
+        continue;
+      }
+      if (inCodeBlock || /^#{1,6}\s/.test(line) || line.trim().startsWith('|')) continue;
+
+      const index = line.indexOf(link.anchor);
+      if (index === -1) continue;
+
+      // Ne pas insérer à l'intérieur d'un lien ou d'un code inline existant
+      const before = line.slice(0, index);
+      const openBrackets = (before.match(/\[/g) || []).length - (before.match(/\]/g) || []).length;
+      const openTicks = (before.match(/`/g) || []).length % 2;
+      if (openBrackets > 0 || openTicks > 0) continue;
+
+      lines[i] = `${before}[${link.anchor}](${url})${line.slice(index + link.anchor.length)}`;
+      linkedSlugs.add(link.slug);
+      inserted.push({ ...link, url });
+      break;
+    }
+  }
+
+  return { content: lines.join('\n'), links: inserted };
+}
+
+/**
+ * Ajouter 2 à 5 liens internes contextuels à un article
+ * @param {object} article - { title, slug, content, tags, seo, category }
+ * @returns {object} { content, links } — links : rapport des liens ajoutés
+ */
+export async function addInternalLinks(article, options = {}) {
+  const {
+    locale = 'fr',
+    minLinks = 2,
+    maxLinks = 5
+  } = options;
+
+  const candidates = await findRelatedPosts(article, { locale, limit: maxLinks * 2 });
+
+  if (candidates.length === 0) {
+    logger.info('Aucun article lié trouvé pour le maillage interne');
+    return { content: article.content, links: [] };
+  }
+
+  logger.debug(`Maillage interne: ${candidates.length} articles candidats`);
+
+  const result = await generateJSON(
+    SYSTEM_PROMPT_INTERNAL_LINKS,
+    generateInternalLinksPrompt(article.content, candidates, {
+      minLinks: Math.min(minLinks, candidates.length),
+      maxLinks: Math.min(maxLinks, candidates.length)
+    }),
+    { stage: 'links', temperature: 0.3, maxTokens: 1500 }
+  );
+
+  // Ne garder que les cibles proposées (pas de slug inventé)
+  const bySlug = new Map(candidates.map(c => [c.slug, c]));
+  const proposed = (Array.isArray(result.links) ? result.links : [])
+    .filter(l => bySlug.has(l.slug) && typeof l.anchor === 'string')
+    .map(l => ({ slug: l.slug, anchor: l.anchor.trim(), title: bySlug.get(l.slug).title }))
+    .slice(0, maxLinks);
+
+  const { content, links } = insertInternalLinks(article.content, proposed, locale);
+
+  if (links.length < proposed.length) {
+    logger.debug(`${proposed.length - links.length} ancre(s) introuvable(s) dans le texte, ignorée(s)`);
+  }
+  logger.info(`${links.length} lien(s) interne(s) ajouté(s)`);
+
+  return { content, links };
+}
+
+export default {
+  buildPostUrl,
+  localizeInternalLinks,
+  findRelatedPosts,
+  insertInternalLinks,
+  addInternalLinks
+};
@@ -0,0 +1,56 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildPostUrl, localizeInternalLinks, insertInternalLinks } from './linker.js';
+
+afterEach(() => {
+  delete process.env.BLOG_URL_PATTERN;
+  delete process.env.BLOG_DEFAULT_LOCALE;
+});
+
+test('buildPostUrl préfixe les langues autres que la langue par défaut', () => {
+  assert.equal(buildPostUrl('mon-article', 'fr'), '/blog/mon-article');
+  assert.equal(buildPostUrl('mon-article', 'en'), '/en/blog/mon-article');
+  process.env.BLOG_URL_PATTERN = '/{locale}/articles/{slug}';
+  assert.equal(buildPostUrl('mon-article', 'fr'), '/fr/articles/mon-article');
+});
+
+test('localizeInternalLinks réécrit les liens internes vers la langue cible', () => {
+  const content = 'Voir [cet article](/blog/react-19) et [la doc](https://react.dev).';
+  assert.equal(
+    localizeInternalLinks(content, 'fr', 'es'),
+    'Voir [cet article](/es/blog/react-19) et [la doc](https://react.dev).'
+  );
+});
+
+test('insertInternalLinks lie la première occurrence hors titres, code, tableaux et liens', () => {
+  const content = [
+    '## Le rendu serveur',
+    '',
+    '```js',
+    'const rendu = "rendu serveur";',
+    '```',
+    '',
+    '| rendu serveur | oui |',
+    '',
+    'Un [rendu serveur existant](https://example.com) et `rendu serveur` en code.',
+    '',
+    'Le rendu serveur accélère le premier affichage.'
+  ].join('\n');
+
+  const { content: linked, links } = insertInternalLinks(content, [
+    { slug: 'ssr', anchor: 'rendu serveur' },
+    { slug: 'ssr', anchor: 'premier affichage' },
+    { slug: 'absent', anchor: 'introuvable' }
+  ]);
+
+  assert.equal(links.length, 1);
+  assert.equal(links[0].url, '/blog/ssr');
+  assert.match(linked, /^Le \[rendu serveur\]\(\/blog\/ssr\) accélère le premier affichage\.$/m);
+  assert.equal(linked.split('\n').slice(0, 9).join('\n'), content.split('\n').slice(0, 9).join('\n'));
+});
+
+test('insertInternalLinks ne lie pas deux fois un article déjà cité', () => {
+  const content = 'Déjà lié : [React 19](/blog/react-19). React 19 arrive.';
+  const { links } = insertInternalLinks(content, [{ slug: 'react-19', anchor: 'React 19 arrive' }]);
+  assert.deepEqual(links, []);
+});
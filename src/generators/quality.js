@@ -0,0 +1,85 @@
+/**
+ * Contrôle qualité des articles et révisions ciblées
+ *
+ * Compare l'article aux seuils du quality gate (score SEO, nombre de mots, H2)
+ * et renvoie au modèle des consignes précises quand il ne passe pas.
+ */
+
+import { generateCompletion } from '../services/llm.js';
+import { SYSTEM_PROMPT_ARTICLE, generateRevisionPrompt } from '../prompts/templates.js';
+import { analyzeSEOScore } from './seo.js';
+import { logger } from '../utils/logger.js';
+import { cleanMarkdown, validateSEOStructure } from '../utils/helpers.js';
+
+/**
+ * Vérifier un article contre les règles du quality gate
+ * @param {object} article - { title, content, seo }
+ * @param {object} rules - Voir config/quality.js
+ * @returns {object} Rapport : passed, score, failures (bloquants), revisionNotes (consignes pour le modèle)
+ */
+export function checkQualityGate(article, rules) {
+  const seoScore = analyzeSEOScore(article);
+  const structure = validateSEOStructure(article);
+  const content = article.content || '';
+
+  const wordCount = content.split(/\s+/).filter(Boolean).length;
+  const h2Count = (content.match(/^## /gm) || []).length;
+  const h3Count = (content.match(/^### /gm) || []).length;
+
+  const failures = [];
+  const revisionNotes = [];
+
+  if (wordCount < rules.minWordCount) {
+    failures.push(`${wordCount} mots (minimum ${rules.minWordCount})`);
+    revisionNotes.push(`Le texte fait ${wordCount} mots, il en faut au moins ${rules.minWordCount}. Développe les sections les plus courtes avec des exemples concrets, des chiffres ou des explications, sans remplissage.`);
+  }
+
+  if (h2Count < rules.minH2Count) {
+    failures.push(`${h2Count} sections H2 (minimum ${rules.minH2Count})`);
+    revisionNotes.push(`L'article n'a que ${h2Count} sections H2, il en faut au moins ${rules.minH2Count}. Découpe les sections trop denses ou ajoute une section qui prolonge logiquement le propos.`);
+  }
+
+  if (seoScore.percentage < rules.minScore) {
+    failures.push(`score SEO ${seoScore.percentage}% (minimum ${rules.minScore}%)`);
+    if (h3Count < 2) {
+      revisionNotes.push('Structure les sections longues avec des sous-titres H3 (au moins 2 sous un même H2).');
+    }
+  }
+
+  return {
+    passed: failures.length === 0,
+    score: seoScore.percentage,
+    level: seoScore.level,
+    wordCount,
+    h2Count,
+    h3Count,
+    failures,
+    revisionNotes,
+    feedback: [...new Set([...seoScore.feedback, ...structure.issues])]
+  };
+}
+
+/**
+ * Demander au modèle une révision ciblée du contenu à partir du rapport qualité
+ */
+export async function reviseContent(content, report, options = {}) {
+  const prompt = generateRevisionPrompt(content, report, options);
+  const wordCount = content.split(/\s+/).length;
+
+  const revised = await generateCompletion(SYSTEM_PROMPT_ARTICLE, prompt, {
+    stage: 'revision',
+    temperature: 0.7,
+    // L'article complet est réécrit : prévoir assez de tokens pour la version allongée
+    maxTokens: Math.min(16000, Math.round(Math.max(wordCount, options.minWordCount || 0) * 3) + 2000)
+  });
+
+  const cleaned = cleanMarkdown(revised);
+  logger.debug(`Révision: ${wordCount} → ${cleaned.split(/\s+/).length} mots`);
+
+  return cleaned;
+}
+
+export default {
+  checkQualityGate,
+  reviseContent
+};
@@ -0,0 +1,52 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { checkQualityGate } from './quality.js';
+import { getQualityGateConfig } from '../config/quality.js';
+
+const RULES = getQualityGateConfig({ minScore: 0, minWordCount: 50, minH2Count: 2 });
+
+function buildArticle(sections, wordsPerSection) {
+  const body = Array.from({ length: wordsPerSection }, (_, i) => `mot${i}`).join(' ');
+  return {
+    title: 'Un titre d\'article',
+    content: Array.from({ length: sections }, (_, i) => `## Section ${i + 1}\n\n${body}`).join('\n\n'),
+    seo: {}
+  };
+}
+
+test('un article conforme passe le quality gate', () => {
+  const report = checkQualityGate(buildArticle(3, 30), RULES);
+  assert.equal(report.passed, true);
+  assert.equal(report.h2Count, 3);
+  assert.deepEqual(report.failures, []);
+});
+
+test('un article trop court échoue avec une consigne de révision par règle', () => {
+  const report = checkQualityGate(buildArticle(1, 10), RULES);
+  assert.equal(report.passed, false);
+  assert.equal(report.failures.length, 2);
+  assert.equal(report.revisionNotes.length, 2);
+  assert.match(report.failures[0], /mots \(minimum 50\)/);
+  assert.match(report.failures[1], /1 sections H2 \(minimum 2\)/);
+});
+
+test('le score SEO minimum est une règle bloquante', () => {
+  const report = checkQualityGate(buildArticle(3, 30), { ...RULES, minScore: 101 });
+  assert.equal(report.passed, false);
+  assert.match(report.failures[0], /score SEO/);
+});
+
+test('les seuils viennent de l\'environnement, surchargés par les options', () => {
+  process.env.QUALITY_MIN_WORDS = '900';
+  process.env.QUALITY_GATE = 'false';
+  try {
+    const config = getQualityGateConfig({ minScore: 60, maxRevisions: undefined });
+    assert.equal(config.minWordCount, 900);
+    assert.equal(config.enabled, false);
+    assert.equal(config.minScore, 60);
+    assert.equal(config.maxRevisions, 2);
+  } finally {
+    delete process.env.QUALITY_MIN_WORDS;
+    delete process.env.QUALITY_GATE;
+  }
+});
@@ -0,0 +1,136 @@
+/**
+ * Rafraîchissement d'articles déjà publiés
+ *
+ * Processus :
+ * 1. Recherche web sur le titre de l'article
+ * 2. Mise à jour des passages dépassés (structure et URL conservées)
+ * 3. Mise à jour des champs courts qui mentionnent une année passée
+ * 4. Note "dernière mise à jour" en tête de contenu
+ */
+
+import { generateCompletion } from '../services/llm.js';
+import { researchTopicOnline } from '../services/trends.js';
+import { SYSTEM_PROMPT_REFRESH, generateRefreshPrompt } from '../prompts/templates.js';
+import { logger } from '../utils/logger.js';
+import { cleanMarkdown, estimateReadingTime } from '../utils/helpers.js';
+
+/**
+ * Libellés de la note de mise à jour par langue
+ */
+const LAST_UPDATED_LABELS = {
+  fr: { label: 'Mis à jour le', dateLocale: 'fr-FR' },
+  en: { label: 'Last updated on', dateLocale: 'en-US' },
+  es: { label: 'Actualizado el', dateLocale: 'es-ES' }
+};
+
+const LAST_UPDATED_PATTERN = new RegExp(
+  `^\\*(?:${Object.values(LAST_UPDATED_LABELS).map(l => l.label).join('|')}) [^*\\n]+\\*\\n*`
+);
+
+/**
+ * Retirer la note "dernière mise à jour" d'un contenu
+ */
+export function stripLastUpdatedNote(content) {
+  return content.replace(LAST_UPDATED_PATTERN, '');
+}
+
+/**
+ * Ajouter (ou remplacer) la note "dernière mise à jour" en tête de contenu
+ */
+export function addLastUpdatedNote(content, locale = 'fr', date = new Date()) {
+  const { label, dateLocale } = LAST_UPDATED_LABELS[locale] || LAST_UPDATED_LABELS.fr;
+  const formatted = date.toLocaleDateString(dateLocale, { day: 'numeric', month: 'long', year: 'numeric' });
+  return `*${label} ${formatted}*\n\n${stripLastUpdatedNote(content)}`;
+}
+
+/**
+ * Vérifier si un texte mentionne une année révolue
+ */
+function mentionsPastYear(text) {
+  const currentYear = new Date().getFullYear();
+  const years = (text || '').match(/\b20\d{2}\b/g) || [];
+  return years.some(y => parseInt(y, 10) < currentYear);
+}
+
+/**
+ * Mettre à jour un champ court (titre, meta) uniquement s'il mentionne une année passée
+ */
+async function refreshDatedText(text, language) {
+  if (!mentionsPastYear(text)) return text;
+
+  const updated = await generateCompletion(
+    'Tu mets à jour des titres et métadonnées de blog. Tu réponds uniquement avec le texte mis à jour, sans guillemets.',
+    `Ce texte (${language}) mentionne une année dépassée. Actualise-le pour ${new Date().getFullYear()} en gardant le même sens, la même langue et une longueur proche (${text.length} caractères) :\n\n${text}`,
+    { stage: 'refresh', maxTokens: 500, temperature: 0.4 }
+  );
+
+  return updated.trim().replace(/^["«]\s*|\s*["»]$/g, '');
+}
+
+/**
+ * Rafraîchir un article mono-langue (format extractSingleLocaleContent)
+ * @returns {object|null} { article, research } ou null si aucune source récente
+ */
+export async function refreshArticle(article, options = {}) {
+  const { language = 'fr' } = options;
+
+  logger.step(1, 3, 'Recherche d\'informations récentes');
+  const research = await researchTopicOnline(article.title, { language });
+
+  if (!research.hasRecentData) {
+    logger.warn('Aucune source récente trouvée : rien sur quoi appuyer la mise à jour');
+    return null;
+  }
+
+  logger.step(2, 3, 'Mise à jour des passages dépassés');
+  const sourceContent = stripLastUpdatedNote(article.content);
+  const wordCount = sourceContent.split(/\s+/).length;
+
+  const refreshed = await generateCompletion(
+    SYSTEM_PROMPT_REFRESH,
+    generateRefreshPrompt({ ...article, content: sourceContent }, research.contextSummary, { language }),
+    {
+      stage: 'refresh',
+      temperature: 0.5,
+      maxTokens: Math.min(16000, wordCount * 3 + 2000)
+    }
+  );
+
+  const content = cleanMarkdown(refreshed);
+
+  // Garde-fou : la structure (titres) doit être conservée
+  const headings = (text) => (text.match(/^#{2,3}\s.+$/gm) || []).length;
+  if (headings(content) < headings(sourceContent)) {
+    logger.warn(`Structure modifiée (${headings(sourceContent)} → ${headings(content)} titres) : vérifiez le diff`);
+  }
+
+  logger.step(3, 3, 'Mise à jour du titre et des métadonnées datés');
+  const [title, excerpt, metaTitle, metaDescription] = await Promise.all([
+    refreshDatedText(article.title, language),
+    refreshDatedText(article.excerpt, language),
+    refreshDatedText(article.seo.metaTitle, language),
+    refreshDatedText(article.seo.metaDescription, language)
+  ]);
+
+  return {
+    research,
+    article: {
+      ...article,
+      title,
+      excerpt,
+      content,
+      readingTime: estimateReadingTime(content),
+      seo: {
+        ...article.seo,
+        metaTitle,
+        metaDescription
+      }
+    }
+  };
+}
+
+export default {
+  refreshArticle,
+  addLastUpdatedNote,
+  stripLastUpdatedNote
+};
@@ -0,0 +1,27 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addLastUpdatedNote, stripLastUpdatedNote, refreshArticle } from './refresher.js';
+
+const DATE = new Date('2026-03-05T12:00:00Z');
+
+test('la note de mise à jour est ajoutée en tête, dans la langue de l\'article', () => {
+  assert.equal(addLastUpdatedNote('## Intro\n\nTexte', 'fr', DATE), '*Mis à jour le 5 mars 2026*\n\n## Intro\n\nTexte');
+  assert.equal(addLastUpdatedNote('Text', 'en', DATE), '*Last updated on March 5, 2026*\n\nText');
+});
+
+test('une note existante est remplacée, pas empilée', () => {
+  const once = addLastUpdatedNote('Texto', 'es', DATE);
+  const twice = addLastUpdatedNote(once, 'es', new Date('2026-04-01T12:00:00Z'));
+  assert.equal(twice, '*Actualizado el 1 de abril de 2026*\n\nTexto');
+  assert.equal(stripLastUpdatedNote(twice), 'Texto');
+});
+
+test('sans source récente, l\'article n\'est pas réécrit', async () => {
+  process.env.SEARCH_PROVIDERS = ',';
+  try {
+    const article = { title: 'Un titre', excerpt: '', content: 'Texte', seo: { metaTitle: '', metaDescription: '' } };
+    assert.equal(await refreshArticle(article), null);
+  } finally {
+    delete process.env.SEARCH_PROVIDERS;
+  }
+});
@@ -2,8 +2,9 @@
  * Générateur de métadonnées SEO optimisées
  */
 
-import { generateJSON } from '../services/openai.js';
+import { generateJSON } from '../services/llm.js';
 import { SYSTEM_PROMPT_SEO, generateSEOPrompt } from '../prompts/templates.js';
+import { SEO_SCHEMA } from '../prompts/schemas.js';
 import { logger } from '../utils/logger.js';
 import { truncateText } from '../utils/helpers.js';
 
@@ -16,6 +17,8 @@ export async function generateSEO(article) {
   const prompt = generateSEOPrompt(article);
   
   const seo = await generateJSON(SYSTEM_PROMPT_SEO, prompt, {
+    stage: 'seo',
+    schema: SEO_SCHEMA,
     temperature: 0.6,
     maxTokens: 2000 // Largement suffisant pour un petit JSON SEO
   });
@@ -5,7 +5,11 @@
  * Optimisé : traductions parallèles par langue et par champ
  */
 
-import { generateCompletion, generateJSON } from '../services/openai.js';
+import { generateCompletion, generateJSON, isBatchPending } from '../services/llm.js';
+import { localizeInternalLinks } from './linker.js';
+import { SEO_TRANSLATION_SCHEMA } from '../prompts/schemas.js';
+import { withRoutingCategory } from '../services/routing.js';
+import { isBudgetExceeded } from '../services/budget.js';
 import { logger } from '../utils/logger.js';
 
 export const SUPPORTED_LOCALES = ['fr', 'en', 'es'];
@@ -58,7 +62,7 @@ ${text}
   const translated = await generateCompletion(
     SYSTEM_PROMPT_TRANSLATE,
     prompt,
-    { maxTokens: 8000 }
+    { stage: 'translation-content', maxTokens: 8000 }
   );
 
   return translated.trim();
@@ -81,9 +85,10 @@ Excerpt: ${seo.excerpt}`;
     return await generateJSON(
       SYSTEM_PROMPT_TRANSLATE_SEO,
       prompt,
-      { maxTokens: 1000 }
+      { stage: 'translation-seo', maxTokens: 1000, schema: SEO_TRANSLATION_SCHEMA }
     );
   } catch (e) {
+    if (isBatchPending(e) || isBudgetExceeded(e)) throw e;
     logger.warn(`Erreur parsing traduction SEO ${targetLocale}, fallback`);
     return seo;
   }
@@ -93,9 +98,10 @@ Excerpt: ${seo.excerpt}`;
  * Traduire tous les champs d'un article vers UNE langue cible
  * Lance contenu + (titre + excerpt + SEO) en parallèle
  */
-async function translateArticleToLocale(article, targetLocale, sourceLocale) {
+export async function translateArticleToLocale(article, targetLocale, sourceLocale) {
   // Le contenu est le plus long → le lancer en parallèle avec les petits champs
-  const [content, title, excerpt, translatedSEO] = await Promise.all([
+  // (allSettled : en mode batch, chaque appel doit être mis en attente avant d'interrompre le tour)
+  const settled = await Promise.allSettled([
     translateText(article.content, targetLocale, sourceLocale),
     translateText(article.title, targetLocale, sourceLocale),
     translateText(article.excerpt, targetLocale, sourceLocale),
@@ -111,6 +117,10 @@ async function translateArticleToLocale(article, targetLocale, sourceLocale) {
     )
   ]);
 
+  const rejected = settled.find(outcome => outcome.status === 'rejected');
+  if (rejected) throw rejected.reason;
+  const [content, title, excerpt, translatedSEO] = settled.map(outcome => outcome.value);
+
   return { content, title, excerpt, translatedSEO };
 }
 
@@ -131,6 +141,8 @@ export async function generateMultilingualArticle(article, sourceLocale = 'fr',
     publishedAt: article.publishedAt,
     author: article.author,
     readingTime: article.readingTime,
+    category: article.category,
+    sources: article.sources,
     title: { [sourceLocale]: article.title },
     excerpt: { [sourceLocale]: article.excerpt },
     content: { [sourceLocale]: article.content },
@@ -145,27 +157,36 @@ export async function generateMultilingualArticle(article, sourceLocale = 'fr',
     tags: article.tags
   };
 
-  // Lancer TOUTES les langues en parallèle
-  const translationPromises = locales.map(async (locale) => {
+  // Lancer TOUTES les langues en parallèle (routage des modèles selon la catégorie de l'article)
+  const translationPromises = locales.map((locale) => withRoutingCategory(article.category, async () => {
     logger.info(`  → ${LOCALE_NAMES[locale]}...`);
     try {
       const result = await translateArticleToLocale(article, locale, sourceLocale);
       logger.success(`  ✓ ${LOCALE_NAMES[locale]} terminé`);
       return { locale, result, error: null };
     } catch (error) {
+      if (isBatchPending(error) || isBudgetExceeded(error)) return { locale, result: null, error };
       logger.error(`  ✗ Erreur ${locale}: ${error.message}`);
       return { locale, result: null, error };
     }
-  });
+  }));
 
   const results = await Promise.all(translationPromises);
 
+  // Mode batch : traductions en attente, l'article sera assemblé au prochain tour
+  const pending = results.find(({ error }) => isBatchPending(error));
+  if (pending) throw pending.error;
+
+  // Budget atteint pendant une traduction : l'article n'est pas sauvegardé à moitié traduit
+  const stopped = results.find(({ error }) => isBudgetExceeded(error));
+  if (stopped) throw stopped.error;
+
   // Assembler les résultats
   for (const { locale, result, error } of results) {
     if (result) {
       multilingualArticle.title[locale] = result.title;
       multilingualArticle.excerpt[locale] = result.excerpt;
-      multilingualArticle.content[locale] = result.content;
+      multilingualArticle.content[locale] = localizeInternalLinks(result.content, sourceLocale, locale);
       multilingualArticle.seo.metaTitle[locale] = result.translatedSEO.metaTitle;
       multilingualArticle.seo.metaDescription[locale] = result.translatedSEO.metaDescription;
       multilingualArticle.seo.keywords[locale] = result.translatedSEO.keywords;
@@ -196,6 +217,8 @@ export function toPayloadLocaleFormat(article, locale = 'fr') {
     author: article.author,
     readingTime: article.readingTime,
     tags: article.tags,
+    category: article.category,
+    sources: article.sources,
     
     title: { [locale]: article.title },
     excerpt: { [locale]: article.excerpt },
@@ -211,11 +234,61 @@ export function toPayloadLocaleFormat(article, locale = 'fr') {
   };
 }
 
+/**
+ * Extraire le contenu mono-langue d'un article Payload (inverse de toPayloadLocaleFormat)
+ * Accepte aussi les anciens articles dont les champs ne sont pas localisés
+ */
+export function extractSingleLocaleContent(article, locale = 'fr') {
+  const getLocalized = (field) => {
+    if (typeof field === 'object' && field !== null && !Array.isArray(field)) {
+      return field[locale] || Object.values(field)[0] || '';
+    }
+    return field || '';
+  };
+
+  return {
+    title: getLocalized(article.title),
+    slug: article.slug,
+    excerpt: getLocalized(article.excerpt),
+    content: getLocalized(article.content),
+    coverImage: article.coverImage,
+    seo: {
+      metaTitle: getLocalized(article.seo?.metaTitle),
+      metaDescription: getLocalized(article.seo?.metaDescription),
+      keywords: getLocalized(article.seo?.keywords),
+      ogImage: article.seo?.ogImage,
+      canonicalUrl: article.seo?.canonicalUrl,
+      noIndex: article.seo?.noIndex
+    },
+    status: article.status,
+    publishedAt: article.publishedAt,
+    tags: article.tags,
+    category: article.category,
+    sources: article.sources,
+    author: article.author,
+    readingTime: article.readingTime
+  };
+}
+
+/**
+ * Lister les langues déjà présentes sur un article Payload
+ */
+export function getArticleLocales(article) {
+  const content = article.content;
+  if (typeof content === 'object' && content !== null && !Array.isArray(content)) {
+    return SUPPORTED_LOCALES.filter(l => content[l]);
+  }
+  return [];
+}
+
 export default {
   translateText,
   translateSEO,
+  translateArticleToLocale,
   generateMultilingualArticle,
   toPayloadLocaleFormat,
+  extractSingleLocaleContent,
+  getArticleLocales,
   SUPPORTED_LOCALES,
   LOCALE_NAMES
 };
@@ -12,14 +12,37 @@ import ora from 'ora';
 import chalk from 'chalk';
 
 import { logger } from './utils/logger.js';
-import { testOpenAIConnection } from './services/openai.js';
+import { createStreamProgress } from './utils/progress.js';
+import { testLLMConnection } from './services/llm.js';
 import { testConnection as testDBConnection, createPost, disconnectDatabase, generateUniqueSlug } from './services/database.js';
-import { getTrendingTopics, generateTopicSuggestions, getBestTopicForCategory } from './services/trends.js';
-import { generateArticle, generateArticleBatch } from './generators/article.js';
+import { createUsageTracker, trackUsage, summarizeUsage, mergeUsage, formatUsage } from './services/usage.js';
+import { configureLLMCache } from './services/cache.js';
+import { configureFixtures, getActiveFixturesConfig } from './services/fixtures.js';
+import { getTrendingTopics, generateTopicSuggestions, getBestTopicForCategory, researchTopicOnline } from './services/trends.js';
+import { formatTrendScore } from './services/ranking.js';
+import { getTrendMomentum, formatMomentum } from './services/history.js';
+import { generateArticle, generateArticleBatch, researchTopicAndOutline } from './generators/article.js';
 import { analyzeSEOScore } from './generators/seo.js';
 import { generateMultilingualArticle, toPayloadLocaleFormat, SUPPORTED_LOCALES, LOCALE_NAMES } from './generators/translator.js';
+import { withStructuredData } from './generators/jsonld.js';
+import { checkTopicDuplicate, reangleTopic } from './generators/duplicates.js';
+import { getDuplicateCheckConfig } from './config/duplicates.js';
 import { getAllCategories, getRandomCategory } from './config/topics.js';
 
+/**
+ * Affichage de la rédaction en streaming (--no-stream, --tail)
+ */
+const streamDisplay = { enabled: true, tail: 0 };
+
+/**
+ * Callback de progression pour le spinner de génération (undefined si désactivé)
+ */
+function streamProgress(spinner) {
+  return streamDisplay.enabled
+    ? createStreamProgress(spinner, { tail: streamDisplay.tail })
+    : undefined;
+}
+
 /**
  * Afficher le banner
  */
@@ -41,10 +64,10 @@ function showBanner() {
 async function checkPrerequisites() {
   const spinner = ora('Vérification des prérequis...').start();
   
-  // Vérifier OpenAI
-  const openaiOk = await testOpenAIConnection();
-  if (!openaiOk) {
-    spinner.fail('Connexion OpenAI échouée');
+  // Vérifier le provider LLM
+  const llmOk = await testLLMConnection();
+  if (!llmOk) {
+    spinner.fail('Configuration LLM invalide');
     process.exit(1);
   }
 
@@ -76,6 +99,7 @@ async function interactiveMode() {
         { name: '🔥 Générer un article sur une tendance actuelle', value: 'generate_trending' },
         { name: '🎲 Générer un article sur un sujet aléatoire', value: 'generate_random' },
         { name: '📊 Rechercher les tendances tech du moment', value: 'research' },
+        { name: '📈 Historique des tendances (sujets en hausse)', value: 'history' },
         { name: '💡 Obtenir des suggestions de sujets', value: 'suggestions' },
         new inquirer.Separator(),
         { name: '❌ Quitter', value: 'exit' }
@@ -96,6 +120,9 @@ async function interactiveMode() {
     case 'research':
       await handleResearch();
       break;
+    case 'history':
+      await handleTrendHistory();
+      break;
     case 'suggestions':
       await handleSuggestions();
       break;
@@ -114,7 +141,7 @@ async function interactiveMode() {
  * Générer un article sur un sujet spécifique
  */
 async function handleSpecificGeneration(canSaveToDB) {
-  const { topic, category, language, researchOnline } = await inquirer.prompt([
+  const { topic, category, language, researchOnline, cite, fetchPages, longForm, reviewPlan } = await inquirer.prompt([
     {
       type: 'input',
       name: 'topic',
@@ -143,16 +170,57 @@ async function handleSpecificGeneration(canSaveToDB) {
       name: 'researchOnline',
       message: 'Rechercher des infos actuelles sur internet ?',
       default: true
+    },
+    {
+      type: 'confirm',
+      name: 'cite',
+      message: 'Citer les sources (liens + section Sources) ?',
+      default: false,
+      when: answers => answers.researchOnline
+    },
+    {
+      type: 'confirm',
+      name: 'fetchPages',
+      message: 'Lire les pages sources (passages pertinents, plus précis que les extraits de recherche) ?',
+      default: false,
+      when: answers => answers.researchOnline
+    },
+    {
+      type: 'confirm',
+      name: 'longForm',
+      message: 'Article long format (3000-5000 mots, rédaction section par section) ?',
+      default: false
+    },
+    {
+      type: 'confirm',
+      name: 'reviewPlan',
+      message: 'Relire et modifier le plan avant la rédaction ?',
+      default: true
     }
   ]);
 
-  const spinner = ora(researchOnline 
+  const checked = await reviewTopicDuplicates({ title: topic }, canSaveToDB, language);
+  if (!checked) return;
+
+  let input = checked.angle ? { title: checked.title, angle: checked.angle } : checked.title;
+  let onlineResearch = null;
+
+  if (reviewPlan) {
+    const reviewed = await prepareReviewedOutline(input, { category, language, researchOnline, fetchPages });
+    if (!reviewed) return;
+    ({ outline: input, onlineResearch } = reviewed);
+  }
+
+  const spinner = ora(researchOnline && !reviewPlan
     ? 'Recherche d\'informations et génération de l\'article...' 
     : 'Génération de l\'article en cours...'
   ).start();
   
   try {
-    const article = await generateArticle(topic, { category, language, researchOnline });
+    const article = await generateArticle(input, {
+      category, language, researchOnline, cite, fetchPages, longForm, onlineResearch, topicCheck: checked.topicCheck,
+      onChunk: streamProgress(spinner)
+    });
     spinner.succeed('Article généré !');
     
     await displayArticlePreview(article);
@@ -162,6 +230,278 @@ async function handleSpecificGeneration(canSaveToDB) {
   }
 }
 
+/**
+ * Vérifier qu'un sujet n'a pas déjà été traité sur le blog avant de le générer
+ * En cas de doublon probable : nouvel angle, génération quand même ou abandon
+ * Retourne le sujet à générer ({ title, angle, topicCheck }) ou null si l'utilisateur abandonne
+ */
+async function reviewTopicDuplicates(topic, canSaveToDB, language = 'fr') {
+  if (!canSaveToDB || !getDuplicateCheckConfig().enabled) {
+    return topic;
+  }
+
+  const spinner = ora('Recherche d\'articles similaires...').start();
+  let candidate = topic;
+  let result;
+
+  try {
+    result = await checkTopicDuplicate(candidate);
+  } catch (error) {
+    spinner.warn(`Détection de doublons indisponible: ${error.message}`);
+    return topic;
+  }
+
+  while (result.duplicate) {
+    spinner.warn(`Sujet proche d'un article existant (${result.score}, ${result.method})`);
+    result.matches.forEach(m => {
+      console.log(chalk.gray(`   ${m.score}  ${m.title} (${m.status}, /${m.slug})`));
+    });
+
+    const { action } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'action',
+        message: 'Que faire ?',
+        choices: [
+          { name: '🔀 Proposer un nouvel angle', value: 'reangle' },
+          { name: '✅ Générer quand même', value: 'continue' },
+          { name: '❌ Annuler', value: 'cancel' }
+        ]
+      }
+    ]);
+
+    if (action === 'cancel') {
+      logger.info(`Sujet abandonné (doublon de /${result.match.slug})`);
+      return null;
+    }
+    if (action === 'continue') {
+      logger.info(`Doublon probable accepté par l'éditeur (/${result.match.slug}, ${result.score})`);
+      return { ...candidate, topicCheck: { action: 'forced', score: result.score, method: result.method, match: result.match } };
+    }
+
+    spinner.start('Recherche d\'un nouvel angle...');
+    let reangled;
+    try {
+      reangled = await reangleTopic(candidate, result.matches, { language });
+    } catch (error) {
+      // Le doublon n'est jamais accepté sans que l'éditeur le choisisse
+      spinner.warn(`Nouvel angle indisponible: ${error.message}`);
+      continue;
+    }
+    candidate = { ...candidate, ...reangled, originalTitle: topic.title };
+    result = await checkTopicDuplicate(candidate);
+    console.log(chalk.cyan(`\n   → ${candidate.title}`));
+    if (candidate.angle) console.log(chalk.gray(`     ${candidate.angle}`));
+  }
+
+  spinner.succeed(`Sujet inédit (similarité max ${result.score})`);
+  const action = candidate === topic ? 'accepted' : 'reangled';
+  return { ...candidate, topicCheck: { action, score: result.score, method: result.method, match: result.match } };
+}
+
+/**
+ * Rechercher (optionnellement) puis générer le plan, et le soumettre à la relecture
+ * Retourne { outline, onlineResearch } ou null si l'utilisateur abandonne
+ */
+async function prepareReviewedOutline(topic, { category, language, researchOnline, fetchPages }) {
+  let onlineResearch = null;
+  let onlineContext = null;
+
+  try {
+    if (researchOnline) {
+      const researchSpinner = ora('Recherche d\'informations actuelles...').start();
+      onlineResearch = await researchTopicOnline(topic.title || topic, { language, fetchPages });
+      researchSpinner.succeed(`${onlineResearch.sourcesCount} sources trouvées`);
+      onlineContext = onlineResearch.hasRecentData ? onlineResearch.contextSummary : null;
+    }
+
+    const outlineOptions = { category, language, onlineContext };
+    const outlineSpinner = ora('Création du plan...').start();
+    const outline = await researchTopicAndOutline(topic, outlineOptions);
+    outlineSpinner.succeed('Plan proposé');
+
+    const reviewed = await reviewOutline(outline, async (previousOutline, feedback) => {
+      const regenSpinner = ora('Régénération du plan...').start();
+      const regenerated = await researchTopicAndOutline(topic, { ...outlineOptions, previousOutline, feedback });
+      regenSpinner.succeed('Nouveau plan proposé');
+      return regenerated;
+    });
+
+    return reviewed ? { outline: reviewed, onlineResearch } : null;
+  } catch (error) {
+    logger.error(`Erreur lors de la préparation du plan: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Afficher le plan proposé (titre, angle, type, H2/H3)
+ */
+function displayOutline(outline) {
+  console.log(chalk.bold('\n' + '═'.repeat(60)));
+  console.log(chalk.bold.green(' 🗂️  PLAN PROPOSÉ'));
+  console.log(chalk.bold('═'.repeat(60) + '\n'));
+
+  console.log(chalk.bold('Titre: ') + chalk.white(outline.title));
+  console.log(chalk.bold('Type: ') + chalk.gray(outline.articleType || 'analyse'));
+  console.log(chalk.bold('Angle: ') + chalk.gray(outline.angle || '-'));
+  console.log('');
+
+  outline.sections.forEach((section, i) => {
+    console.log(chalk.cyan(`${i + 1}. ${section.h2}`));
+    (section.subsections || []).forEach(sub => {
+      console.log(chalk.gray(`     └ ${sub.h3}`));
+    });
+  });
+
+  console.log(chalk.gray('\n' + '─'.repeat(60)));
+}
+
+/**
+ * Choisir une section du plan
+ */
+async function promptSectionIndex(outline, message) {
+  const { index } = await inquirer.prompt([
+    {
+      type: 'list',
+      name: 'index',
+      message,
+      choices: outline.sections.map((section, i) => ({ name: `${i + 1}. ${section.h2}`, value: i }))
+    }
+  ]);
+  return index;
+}
+
+/**
+ * Boucle de relecture du plan : réordonner, renommer, supprimer, ajouter,
+ * régénérer avec des retours, ou valider.
+ * Retourne le plan validé (accepté tel quel par generateArticle) ou null si annulé
+ */
+async function reviewOutline(initialOutline, regenerate) {
+  let outline = structuredClone(initialOutline);
+
+  while (true) {
+    displayOutline(outline);
+
+    const { action } = await inquirer.prompt([
+      {
+        type: 'list',
+        name: 'action',
+        message: 'Que faire avec ce plan ?',
+        choices: [
+          { name: '✅ Valider et rédiger', value: 'accept' },
+          { name: '✏️  Modifier le titre', value: 'edit_title' },
+          { name: '✏️  Renommer une section', value: 'rename' },
+          { name: '↕️  Déplacer une section', value: 'move' },
+          { name: '🗑️  Supprimer une section', value: 'delete' },
+          { name: '➕ Ajouter une section', value: 'add' },
+          { name: '🔄 Régénérer avec des retours', value: 'regenerate' },
+          new inquirer.Separator(),
+          { name: '❌ Annuler', value: 'cancel' }
+        ]
+      }
+    ]);
+
+    switch (action) {
+      case 'accept':
+        return outline;
+
+      case 'cancel':
+        console.log(chalk.gray('Génération annulée.'));
+        return null;
+
+      case 'edit_title': {
+        const { title } = await inquirer.prompt([
+          { type: 'input', name: 'title', message: 'Nouveau titre :', default: outline.title }
+        ]);
+        outline.title = title.trim() || outline.title;
+        break;
+      }
+
+      case 'rename': {
+        const index = await promptSectionIndex(outline, 'Section à renommer :');
+        const { h2 } = await inquirer.prompt([
+          { type: 'input', name: 'h2', message: 'Nouveau titre de section :', default: outline.sections[index].h2 }
+        ]);
+        outline.sections[index].h2 = h2.trim() || outline.sections[index].h2;
+        break;
+      }
+
+      case 'move': {
+        const from = await promptSectionIndex(outline, 'Section à déplacer :');
+        const { to } = await inquirer.prompt([
+          {
+            type: 'number',
+            name: 'to',
+            message: `Nouvelle position (1-${outline.sections.length}) :`,
+            validate: n => (Number.isInteger(n) && n >= 1 && n <= outline.sections.length) || 'Position invalide'
+          }
+        ]);
+        const [section] = outline.sections.splice(from, 1);
+        outline.sections.splice(to - 1, 0, section);
+        break;
+      }
+
+      case 'delete': {
+        if (outline.sections.length <= 1) {
+          console.log(chalk.yellow('Le plan doit garder au moins une section.'));
+          break;
+        }
+        const index = await promptSectionIndex(outline, 'Section à supprimer :');
+        outline.sections.splice(index, 1);
+        break;
+      }
+
+      case 'add': {
+        const { h2, narrativeGoal, position } = await inquirer.prompt([
+          {
+            type: 'input',
+            name: 'h2',
+            message: 'Titre de la nouvelle section :',
+            validate: input => input.trim().length > 3 || 'Titre trop court'
+          },
+          {
+            type: 'input',
+            name: 'narrativeGoal',
+            message: 'Ce que la section doit apporter (optionnel) :'
+          },
+          {
+            type: 'number',
+            name: 'position',
+            message: `Position (1-${outline.sections.length + 1}) :`,
+            default: outline.sections.length + 1,
+            validate: n => (Number.isInteger(n) && n >= 1 && n <= outline.sections.length + 1) || 'Position invalide'
+          }
+        ]);
+        outline.sections.splice(position - 1, 0, {
+          h2: h2.trim(),
+          narrativeGoal: narrativeGoal.trim() || undefined,
+          keyPoints: [],
+          subsections: []
+        });
+        break;
+      }
+
+      case 'regenerate': {
+        const { feedback } = await inquirer.prompt([
+          {
+            type: 'input',
+            name: 'feedback',
+            message: 'Vos retours sur ce plan :',
+            validate: input => input.trim().length > 5 || 'Décrivez ce qui doit changer'
+          }
+        ]);
+        try {
+          outline = await regenerate(outline, feedback.trim());
+        } catch (error) {
+          logger.error(`Régénération échouée: ${error.message}`);
+        }
+        break;
+      }
+    }
+  }
+}
+
 /**
  * Générer un article sur une tendance
  */
@@ -210,10 +550,14 @@ async function handleTrendingGeneration(canSaveToDB) {
       }
     }
 
+    spinner.stop();
+    const checked = await reviewTopicDuplicates(topic, canSaveToDB);
+    if (!checked) return;
+
     spinner.text = 'Génération de l\'article...';
     spinner.start();
     
-    const article = await generateArticle(topic);
+    const article = await generateArticle(checked, { topicCheck: checked.topicCheck, onChunk: streamProgress(spinner) });
     spinner.succeed('Article généré !');
     
     await displayArticlePreview(article);
@@ -251,8 +595,14 @@ async function handleRandomGeneration(canSaveToDB) {
       return;
     }
 
+    const checked = await reviewTopicDuplicates({ title: topic.title, keywords: [topic.keyword] }, canSaveToDB);
+    if (!checked) return;
+
     const genSpinner = ora('Génération de l\'article...').start();
-    const article = await generateArticle(topic.title, { category: category.id });
+    const article = await generateArticle(
+      checked.angle ? { title: checked.title, angle: checked.angle } : checked.title,
+      { category: category.id, topicCheck: checked.topicCheck, onChunk: streamProgress(genSpinner) }
+    );
     genSpinner.succeed('Article généré !');
     
     await displayArticlePreview(article);
@@ -273,7 +623,7 @@ async function handleResearch() {
     spinner.succeed(`${trends.length} tendances trouvées`);
     
     if (trends.length === 0) {
-      console.log(chalk.yellow('\nAucune tendance trouvée. Vérifiez vos clés API.'));
+      console.log(chalk.yellow('\nAucune tendance trouvée. Vérifiez vos clés API et vos flux RSS.'));
       return;
     }
 
@@ -287,6 +637,48 @@ async function handleResearch() {
       if (trend.source) {
         console.log(chalk.gray(`   Source: ${trend.source}`));
       }
+      if (trend.scoreBreakdown) {
+        console.log(chalk.gray(`   Score ${trend.score}/100 — ${formatTrendScore(trend.scoreBreakdown)}`));
+        if (trend.scoreBreakdown.closestPost) {
+          console.log(chalk.gray(`   Article le plus proche: ${trend.scoreBreakdown.closestPost}`));
+        }
+      }
+      console.log('');
+    });
+  } catch (error) {
+    spinner.fail(`Erreur: ${error.message}`);
+  }
+}
+
+/**
+ * Afficher les sujets en hausse d'après l'historique des tendances (collection trends)
+ */
+async function handleTrendHistory(category = null) {
+  const spinner = ora('Lecture de l\'historique des tendances...').start();
+
+  try {
+    const stories = await getTrendMomentum({ category });
+    const rising = stories.filter(story => story.status === 'rising');
+    spinner.succeed(`${stories.length} histoire(s) suivie(s), ${rising.length} en hausse`);
+
+    if (rising.length === 0) {
+      console.log(chalk.yellow('\nAucune tendance en hausse. Lancez `npm run research` régulièrement pour alimenter l\'historique.'));
+      return;
+    }
+
+    console.log(chalk.bold('\n📈 Tendances en Hausse\n'));
+
+    rising.slice(0, 15).forEach((story, i) => {
+      console.log(chalk.cyan(`${i + 1}. ${story.title}`));
+      console.log(chalk.gray(`   ${formatMomentum(story)}`));
+      if (story.providers.length > 0) {
+        console.log(chalk.gray(`   Providers: ${story.providers.join(', ')}`));
+      }
+      if (story.covered) {
+        console.log(chalk.yellow(`   Déjà traité: ${story.closestPost}`));
+      } else if (story.closestPost) {
+        console.log(chalk.gray(`   Article le plus proche: ${story.closestPost}`));
+      }
       console.log('');
     });
   } catch (error) {
@@ -330,6 +722,10 @@ async function displayArticlePreview(article) {
   console.log(chalk.bold('Slug: ') + chalk.gray(article.slug));
   console.log(chalk.bold('Auteur: ') + chalk.gray(article.author));
   console.log(chalk.bold('Temps de lecture: ') + chalk.gray(`${article.readingTime} min`));
+  if (article._generation?.image) {
+    const image = article._generation.image;
+    console.log(chalk.bold('Couverture: ') + chalk.gray(`${image.url || article.coverImage || image.path} (${image.provider})`));
+  }
   
   console.log(chalk.bold('\n📊 SEO'));
   console.log(chalk.gray('─'.repeat(40)));
@@ -351,6 +747,49 @@ async function displayArticlePreview(article) {
     seoScore.feedback.slice(0, 3).forEach(f => console.log(chalk.gray(`   - ${f}`)));
   }
 
+  // Quality gate
+  const quality = article._generation?.quality;
+  if (quality) {
+    const revisions = quality.revisions > 0 ? ` après ${quality.revisions} révision(s)` : '';
+    console.log(quality.passed
+      ? chalk.green(`✓ Quality gate validé${revisions}`)
+      : chalk.red(`✗ Quality gate non atteint${revisions} : ${quality.failures.join(', ')} — brouillon uniquement`)
+    );
+  }
+
+  if (article._generation?.faqCount > 0) {
+    console.log(chalk.gray(`❓ FAQ: ${article._generation.faqCount} questions (JSON-LD FAQPage)`));
+  }
+
+  // Sources citées
+  const sources = article._generation?.sources;
+  if (sources?.length > 0) {
+    console.log(chalk.bold('\n📚 Sources citées'));
+    console.log(chalk.gray('─'.repeat(40)));
+    sources.forEach(s => {
+      console.log(chalk.gray(`   [${s.number}] ${s.title} — ${s.url}`));
+    });
+  }
+
+  // Maillage interne
+  const internalLinks = article._generation?.internalLinks;
+  if (internalLinks?.length > 0) {
+    console.log(chalk.bold('\n🔗 Liens internes'));
+    console.log(chalk.gray('─'.repeat(40)));
+    internalLinks.forEach(link => {
+      console.log(chalk.gray(`   "${link.anchor}" → ${link.url}`));
+    });
+  }
+
+  // Usage LLM (tokens et coût par étape)
+  const usage = article._generation?.usage;
+  if (usage) {
+    console.log(chalk.bold('\n💰 Usage LLM: ') + chalk.white(formatUsage(usage)));
+    Object.entries(usage.byStage).forEach(([stage, totals]) => {
+      console.log(chalk.gray(`   ${stage}: ${formatUsage(totals)}`));
+    });
+  }
+
   console.log(chalk.bold('\n📝 Extrait du contenu'));
   console.log(chalk.gray('─'.repeat(40)));
   const preview = article.content.slice(0, 500).replace(/\n/g, ' ').trim();
@@ -425,18 +864,27 @@ async function saveArticle(article, publish = false, multilingual = false, sourc
     
     // Préparer les données pour Payload CMS
     const { _generation, ...articleData } = article;
+
+    // Un article qui n'a pas passé le quality gate reste en brouillon
+    if (publish && _generation?.quality?.passed === false) {
+      logger.warn(`Quality gate non atteint (${_generation.quality.failures.join(', ')}) : enregistrement en brouillon`);
+      publish = false;
+    }
     
     let postData;
+    let usage = _generation?.usage;
     
     if (multilingual) {
       // Génération multilingue
       spinner = ora('Traduction en cours (FR → EN → ES)...').start();
       
-      const multilingualArticle = await generateMultilingualArticle(
+      const translationTracker = createUsageTracker();
+      const multilingualArticle = await trackUsage(translationTracker, () => generateMultilingualArticle(
         articleData, 
         sourceLocale,
         SUPPORTED_LOCALES.filter(l => l !== sourceLocale)
-      );
+      ));
+      usage = mergeUsage(usage, summarizeUsage(translationTracker));
       
       spinner.succeed('Traductions générées !');
       spinner = ora('Sauvegarde en cours...').start();
@@ -461,7 +909,10 @@ async function saveArticle(article, publish = false, multilingual = false, sourc
       };
     }
 
-    const result = await createPost(postData);
+    // Tokens et coût de la génération (traductions comprises)
+    postData.generationUsage = usage || null;
+
+    const result = await createPost(withStructuredData(postData));
     
     spinner.succeed(
       publish 
@@ -476,6 +927,9 @@ async function saveArticle(article, publish = false, multilingual = false, sourc
     } else {
       console.log(chalk.gray(`Langue: ${LOCALE_NAMES[sourceLocale]}`));
     }
+    if (usage) {
+      console.log(chalk.gray(`💰 Usage LLM total: ${formatUsage(usage)}`));
+    }
   } catch (error) {
     if (spinner) spinner.fail(`Erreur de sauvegarde: ${error.message}`);
     else logger.error(`Erreur de sauvegarde: ${error.message}`);
@@ -494,42 +948,129 @@ program
   .option('-l, --language <lang>', 'Langue source (fr, en, es)', 'fr')
   .option('-m, --multilingual', 'Générer dans toutes les langues (FR + EN + ES)')
   .option('-r, --research', 'Rechercher des infos actuelles sur internet avant de générer')
+  .option('--cite', 'Citer les sources de la recherche (liens + section Sources, active --research)')
+  .option('--fetch-pages', 'Lire les pages sources et donner leurs passages pertinents au modèle (active --research)')
+  .option('--long-form', 'Article long format (3000-5000 mots), rédigé section par section')
+  .option('--resume <runId>', 'Reprendre une génération interrompue depuis sa dernière étape terminée')
+  .option('--review-outline', 'Relire et modifier le plan avant la rédaction')
+  .option('--internal-links', 'Ajouter des liens vers les articles publiés liés')
+  .option('--faq', 'Ajouter une section FAQ (JSON-LD FAQPage)')
+  .option('--image-provider <provider>', 'Provider de l\'image de couverture (placeholder, openai, none)')
+  .option('--cache', 'Réutiliser les réponses LLM identiques déjà obtenues (cache disque ou Mongo)')
+  .option('--no-cache', 'Ignorer le cache des réponses LLM (même si LLM_CACHE=true)')
+  .option('--record <dir>', 'Enregistrer les appels LLM et de recherche dans un dossier de fixtures')
+  .option('--replay <dir>', 'Rejouer un enregistrement, sans aucun appel LLM ni de recherche')
+  .option('--no-stream', 'Désactiver l\'affichage de la rédaction en direct (mots, section, tokens/s)')
+  .option('--tail [lines]', 'Afficher les dernières lignes du texte pendant la rédaction (défaut: 3)')
   .option('--research-only', 'Rechercher les tendances uniquement')
+  .option('--history', 'Avec --research-only : sujets en hausse d\'après l\'historique des tendances (MongoDB)')
   .option('--batch', 'Mode batch (plusieurs articles)')
   .option('--count <n>', 'Nombre d\'articles en batch', '3')
   .option('--auto-publish', 'Publier automatiquement')
   .action(async (options) => {
     showBanner();
 
+    // --cache / --no-cache priment sur LLM_CACHE
+    if (options.cache !== undefined) {
+      configureLLMCache({ enabled: options.cache });
+    }
+
+    // --record / --replay priment sur FIXTURES_MODE
+    if (options.record && options.replay) {
+      console.log(chalk.red('❌ --record et --replay sont incompatibles'));
+      process.exit(1);
+    }
+    if (options.record || options.replay) {
+      configureFixtures(options.replay
+        ? { mode: 'replay', dir: options.replay }
+        : { mode: 'record', dir: options.record });
+    }
+    const fixtures = getActiveFixturesConfig();
+    if (fixtures.mode === 'record') {
+      console.log(chalk.cyan(`🎞️  Enregistrement des appels LLM et de recherche dans ${fixtures.dir}`));
+    } else if (fixtures.mode === 'replay') {
+      console.log(chalk.cyan(`🎞️  Rejeu de ${fixtures.dir} (aucun appel LLM ni de recherche)`));
+    }
+
+    // Progression en direct seulement dans un terminal interactif
+    streamDisplay.enabled = options.stream && Boolean(process.stdout.isTTY);
+    streamDisplay.tail = options.tail === true ? 3 : parseInt(options.tail, 10) || 0;
+
     if (options.researchOnly) {
-      await handleResearch();
+      await (options.history ? handleTrendHistory(options.category) : handleResearch());
       await disconnectDatabase();
       return;
     }
 
-    if (options.topic) {
-      // Mode direct avec sujet
+    if (options.topic || options.resume) {
+      // Mode direct avec sujet (ou reprise d'un run)
       const canSaveToDB = await checkPrerequisites();
       
       // Afficher les options actives
+      if (options.cite) {
+        options.research = true;
+        console.log(chalk.cyan('📚 Citation des sources activée'));
+      }
+      if (options.fetchPages) {
+        options.research = true;
+        console.log(chalk.cyan('📄 Lecture des pages sources activée'));
+      }
       if (options.research) {
         console.log(chalk.cyan('🔍 Recherche d\'informations actuelles activée'));
       }
       if (options.multilingual) {
         console.log(chalk.cyan('🌍 Génération multilingue activée (FR + EN + ES)'));
       }
+      if (options.longForm) {
+        console.log(chalk.cyan('📚 Mode long format activé (rédaction section par section)'));
+      }
+      if (options.internalLinks) {
+        console.log(chalk.cyan('🔗 Maillage interne activé'));
+      }
+      if (options.faq) {
+        console.log(chalk.cyan('❓ Section FAQ activée'));
+      }
+      if (options.resume) {
+        console.log(chalk.cyan(`♻️  Reprise du run ${options.resume}`));
+      }
+      
+      // Relecture du plan avant rédaction (pas en reprise : le plan est déjà dans le run)
+      let input = options.topic;
+      let onlineResearch = null;
+      if (options.reviewOutline && !options.resume) {
+        const reviewed = await prepareReviewedOutline(options.topic, {
+          category: options.category,
+          language: options.language,
+          researchOnline: options.research,
+          fetchPages: options.fetchPages
+        });
+        if (!reviewed) {
+          await disconnectDatabase();
+          return;
+        }
+        ({ outline: input, onlineResearch } = reviewed);
+      }
       
-      const spinner = ora(options.research 
+      const spinner = ora(options.research && !onlineResearch
         ? 'Recherche d\'informations et génération de l\'article...' 
         : 'Génération de l\'article...'
       ).start();
       
       try {
-        const article = await generateArticle(options.topic, {
+        const article = await generateArticle(input, {
           category: options.category,
           language: options.language,
           autoPublish: options.autoPublish,
-          researchOnline: options.research
+          researchOnline: options.research,
+          cite: options.cite,
+          fetchPages: options.fetchPages,
+          longForm: options.longForm,
+          internalLinks: options.internalLinks,
+          faq: options.faq,
+          images: { provider: options.imageProvider },
+          resume: options.resume,
+          onlineResearch,
+          onChunk: streamProgress(spinner)
         });
         spinner.succeed('Article généré !');
         
@@ -569,9 +1110,18 @@ program
 
       const { articles, errors } = await generateArticleBatch(topics, {
         language: options.language,
-        autoPublish: options.autoPublish
+        autoPublish: options.autoPublish,
+        longForm: options.longForm,
+        internalLinks: options.internalLinks,
+        faq: options.faq,
+        images: { provider: options.imageProvider }
       });
 
+      if (articles.length > 0) {
+        const batchUsage = mergeUsage(...articles.map(a => a._generation?.usage));
+        console.log(chalk.cyan(`\n💰 Usage LLM du batch (hors traductions): ${formatUsage(batchUsage)}`));
+      }
+
       if (canSaveToDB && articles.length > 0) {
         const { saveAll } = await inquirer.prompt([
           {
@@ -0,0 +1,173 @@
+#!/usr/bin/env node
+
+/**
+ * Script pour ajouter des liens internes aux articles déjà publiés
+ *
+ * Usage:
+ *   node src/link-articles.js --slug mon-article
+ *   node src/link-articles.js --all --limit 20 --dry-run
+ */
+
+import 'dotenv/config';
+import { program } from 'commander';
+import ora from 'ora';
+import chalk from 'chalk';
+import { ObjectId } from 'mongodb';
+
+import { logger } from './utils/logger.js';
+import { testLLMConnection } from './services/llm.js';
+import {
+  connectDatabase,
+  disconnectDatabase,
+  findPostBySlugOrId,
+  findPublishedPosts,
+  updatePost
+} from './services/database.js';
+import {
+  extractSingleLocaleContent,
+  getArticleLocales,
+  LOCALE_NAMES
+} from './generators/translator.js';
+import { addInternalLinks } from './generators/linker.js';
+import { withStructuredData } from './generators/jsonld.js';
+
+/**
+ * Ajouter les liens internes dans chaque langue d'un article
+ * @returns {number} Nombre de liens ajoutés (toutes langues)
+ */
+async function linkPost(post, options) {
+  const locales = getArticleLocales(post);
+  const updates = { content: post.content };
+  let total = 0;
+
+  // Anciens articles non localisés : ni contenu par langue ni données structurées à mettre à jour
+  if (locales.length === 0) {
+    console.log(chalk.gray('   Article non localisé : ignoré'));
+    return 0;
+  }
+
+  for (const locale of locales) {
+    const article = extractSingleLocaleContent(post, locale);
+    const { content, links } = await addInternalLinks(article, { locale });
+
+    links.forEach(link => {
+      console.log(chalk.gray(`   [${locale}] "${link.anchor}" → ${link.url}`));
+    });
+
+    if (links.length === 0) continue;
+    total += links.length;
+
+    updates.content = { ...updates.content, [locale]: content };
+  }
+
+  if (total > 0 && !options.dryRun) {
+    // JSON-LD recalculé sur le contenu lié (wordCount, dateModified daté de la sauvegarde)
+    updates.updatedAt = new Date();
+    const { structuredData, faq } = withStructuredData({ ...post, ...updates });
+    updates.structuredData = structuredData;
+    updates.faq = faq;
+    await updatePost(post._id.toString(), updates);
+  }
+
+  return total;
+}
+
+/**
+ * Programme principal
+ */
+async function main() {
+  program
+    .name('link-articles')
+    .description('Ajouter des liens internes vers les articles publiés liés')
+    .option('-s, --slug <slug>', 'Slug de l\'article')
+    .option('-i, --id <id>', 'ID MongoDB de l\'article')
+    .option('-a, --all', 'Traiter tous les articles publiés')
+    .option('--limit <n>', 'Nombre maximum d\'articles avec --all', '50')
+    .option('--dry-run', 'Afficher les liens sans sauvegarder')
+    .parse();
+
+  const options = program.opts();
+
+  if (!options.slug && !options.id && !options.all) {
+    console.error(chalk.red('Erreur: Spécifiez --slug, --id ou --all'));
+    process.exit(1);
+  }
+
+  if (options.id && !ObjectId.isValid(options.id)) {
+    console.error(chalk.red(`Erreur: ID MongoDB invalide: ${options.id}`));
+    process.exit(1);
+  }
+
+  logger.header('MAILLAGE INTERNE');
+
+  // Vérifications
+  const llmOk = await testLLMConnection();
+  if (!llmOk) {
+    logger.error('Configuration LLM invalide');
+    process.exit(1);
+  }
+
+  await connectDatabase();
+
+  const spinner = ora('Recherche des articles...').start();
+  let posts;
+
+  if (options.all) {
+    const published = await findPublishedPosts({ limit: parseInt(options.limit, 10) || 50 });
+    // La projection de findPublishedPosts ne contient pas le contenu
+    posts = await Promise.all(published.map(p => findPostBySlugOrId(p.slug)));
+  } else {
+    posts = [await findPostBySlugOrId(options.slug, options.id)];
+  }
+  posts = posts.filter(Boolean);
+
+  if (posts.length === 0) {
+    spinner.fail('Aucun article trouvé');
+    await disconnectDatabase();
+    process.exit(1);
+  }
+
+  spinner.succeed(`${posts.length} article(s) à traiter`);
+
+  let linked = 0;
+  let failed = 0;
+  for (const post of posts) {
+    const locales = getArticleLocales(post).map(l => LOCALE_NAMES[l]).join(', ');
+    console.log(chalk.bold(`\n${post.slug}`) + (locales ? chalk.gray(` (${locales})`) : ''));
+    try {
+      const count = await linkPost(post, options);
+      if (count > 0) linked++;
+    } catch (error) {
+      logger.error(`  ✗ ${post.slug}: ${error.message}`);
+      failed++;
+    }
+  }
+
+  if (options.dryRun) {
+    logger.info('[DRY-RUN] Aucun article sauvegardé');
+  } else {
+    logger.success(`${linked} article(s) mis à jour`);
+  }
+
+  await disconnectDatabase();
+
+  if (failed > 0) {
+    logger.error(`${failed} article(s) en erreur`);
+    process.exit(1);
+  }
+}
+
+// Gestion des erreurs
+process.on('uncaughtException', async (error) => {
+  logger.error('Erreur:', error.message);
+  await disconnectDatabase();
+  process.exit(1);
+});
+
+process.on('unhandledRejection', async (error) => {
+  logger.error('Erreur:', error.message);
+  await disconnectDatabase();
+  process.exit(1);
+});
+
+main();
@@ -0,0 +1,23 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+
+/**
+ * Lancer link-articles hors ligne (provider fake, sans MongoDB)
+ */
+function runLink(args) {
+  const env = { ...process.env, LLM_PROVIDER: 'fake', CHECKPOINTS: 'false', MONGODB_URI: '' };
+  return promisify(execFile)(process.execPath, ['src/link-articles.js', ...args], { cwd: root, env, timeout: 60000 });
+}
+
+test('un identifiant invalide est refusé avant tout appel', async () => {
+  await assert.rejects(runLink(['--id', 'pas-un-id']), (error) => error.code === 1 && /ID MongoDB invalide/.test(error.stderr));
+});
+
+test('une base indisponible fait échouer la commande', async () => {
+  await assert.rejects(runLink(['--slug', 'mon-article']), (error) => error.code === 1 && /MONGODB_URI non définie/.test(error.stdout + error.stderr));
+});
@@ -0,0 +1,124 @@
+/**
+ * Schémas JSON des réponses structurées (plan, SEO, traduction SEO)
+ *
+ * Envoyés en structured outputs stricts aux providers qui les supportent,
+ * et toujours validés localement (voir utils/schema.js) : en cas d'écart,
+ * le modèle reçoit la liste des erreurs et corrige sa réponse.
+ */
+
+/**
+ * Chaîne non vide
+ */
+const TEXT = { type: 'string', minLength: 1 };
+
+/**
+ * Plan d'article (researchTopicAndOutline)
+ */
+export const OUTLINE_SCHEMA = {
+  name: 'article_outline',
+  schema: {
+    type: 'object',
+    properties: {
+      originalTopic: TEXT,
+      title: TEXT,
+      articleType: { type: 'string', enum: ['vulgarisation', 'actualité', 'guide', 'analyse', 'opinion'] },
+      angle: TEXT,
+      targetAudience: TEXT,
+      introduction: {
+        type: 'object',
+        properties: {
+          hook: TEXT,
+          context: TEXT,
+          promise: TEXT
+        },
+        required: ['hook', 'context', 'promise'],
+        additionalProperties: false
+      },
+      sections: {
+        type: 'array',
+        minItems: 3,
+        items: {
+          type: 'object',
+          properties: {
+            h2: TEXT,
+            narrativeGoal: TEXT,
+            keyPoints: { type: 'array', items: TEXT },
+            subsections: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  h3: TEXT,
+                  content: TEXT
+                },
+                required: ['h3', 'content'],
+                additionalProperties: false
+              }
+            }
+          },
+          required: ['h2', 'narrativeGoal', 'keyPoints', 'subsections'],
+          additionalProperties: false
+        }
+      },
+      conclusion: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: ['réflexion', 'projection', 'appel à l\'action', 'question ouverte'] },
+          direction: TEXT
+        },
+        required: ['type', 'direction'],
+        additionalProperties: false
+      },
+      estimatedWordCount: { type: 'integer', minimum: 300 }
+    },
+    required: [
+      'originalTopic', 'title', 'articleType', 'angle', 'targetAudience',
+      'introduction', 'sections', 'conclusion', 'estimatedWordCount'
+    ],
+    additionalProperties: false
+  }
+};
+
+/**
+ * Métadonnées SEO (generateSEO)
+ * Les longueurs fines (50-60, 150-160 caractères) sont ajustées après coup par validateAndAdjustSEO
+ */
+export const SEO_SCHEMA = {
+  name: 'article_seo',
+  schema: {
+    type: 'object',
+    properties: {
+      metaTitle: TEXT,
+      metaDescription: TEXT,
+      keywords: TEXT,
+      excerpt: TEXT,
+      tags: { type: 'array', minItems: 1, items: TEXT }
+    },
+    required: ['metaTitle', 'metaDescription', 'keywords', 'excerpt', 'tags'],
+    additionalProperties: false
+  }
+};
+
+/**
+ * Métadonnées SEO traduites (translateSEO)
+ */
+export const SEO_TRANSLATION_SCHEMA = {
+  name: 'article_seo_translation',
+  schema: {
+    type: 'object',
+    properties: {
+      metaTitle: TEXT,
+      metaDescription: TEXT,
+      keywords: TEXT,
+      excerpt: TEXT
+    },
+    required: ['metaTitle', 'metaDescription', 'keywords', 'excerpt'],
+    additionalProperties: false
+  }
+};
+
+export default {
+  OUTLINE_SCHEMA,
+  SEO_SCHEMA,
+  SEO_TRANSLATION_SCHEMA
+};
@@ -168,7 +168,7 @@ BONS EXEMPLES de titres H2 : "Le problème que personne ne voyait venir", "Ce qu
 
 {
   "originalTopic": "string (sujet d'entrée)",
-  "proposedTitle": "string (titre final de l'article)",
+  "title": "string (titre final de l'article)",
   "articleType": "vulgarisation | actualité | guide | analyse | opinion",
   "angle": "string (angle unique, en une phrase)",
   "targetAudience": "string (à qui s'adresse cet article)",
@@ -217,7 +217,7 @@ export function generateArticlePrompt(topic, options = {}) {
   // Si on a un plan, l'utiliser pour structurer l'article
   if (outline) {
     const sectionsDescription = outline.sections.map((section, i) => {
-      let desc = `${i + 1}. "${section.h2}" — ${section.narrativeGoal || section.purpose || 'Développer ce point'}`;
+      let desc = `${i + 1}. "${section.h2}" — ${section.narrativeGoal || 'Développer ce point'}`;
       if (section.keyPoints?.length > 0) {
         desc += `\n   Idées à développer : ${section.keyPoints.join(' / ')}`;
       }
@@ -240,14 +240,14 @@ ${keywordsStr ? `Mots-clés SEO à intégrer naturellement dans le texte : ${key
 
 Introduction :
 - Accroche : ${outline.introduction.hook}
-- Contexte : ${outline.introduction.context || outline.introduction.problemStatement}
+- Contexte : ${outline.introduction.context}
 - Promesse : ${outline.introduction.promise}
 
 Sections :
 ${sectionsDescription}
 
 Conclusion (${outline.conclusion.type || 'ouverture'}) :
-${outline.conclusion.direction || outline.conclusion.summary || 'Conclure naturellement'}
+${outline.conclusion.direction}
 
 --- FIN DU PLAN ---
 ${onlineContext ? `
@@ -295,6 +295,310 @@ CONSIGNES :
   return prompt;
 }
 
+/**
+ * Rappel du plan complet pour les prompts de rédaction section par section
+ * Donne au modèle la vue d'ensemble sans lui demander de tout écrire
+ */
+function describeOutlineForLongForm(outline) {
+  const sectionsList = outline.sections
+    .map((section, i) => `${i + 1}. ${section.h2}`)
+    .join('\n');
+
+  return `Article : "${outline.title}"
+Type : ${outline.articleType || 'analyse'}
+Angle : ${outline.angle || 'Non précisé'}
+
+Plan général (pour situer la partie à écrire) :
+${sectionsList}`;
+}
+
+/**
+ * Bloc de continuité : fin de la partie précédente à prolonger naturellement
+ */
+function describePreviousEnding(previousEnding) {
+  if (!previousEnding) return '';
+  return `
+--- FIN DE LA PARTIE PRÉCÉDENTE (déjà rédigée, ne pas réécrire) ---
+${previousEnding}
+--- FIN DE L'EXTRAIT ---
+Enchaîne naturellement avec ce qui précède : reprends le fil sans répéter ce qui a déjà été dit.
+`;
+}
+
+/**
+ * Prompt de rédaction de l'introduction (mode long format)
+ */
+export function generateLongFormIntroPrompt(outline, options = {}) {
+  const {
+    language = 'fr',
+    keywords = [],
+    targetWords = 250,
+    onlineContext = null
+  } = options;
+
+  const langLabel = language === 'fr' ? 'Français' : language === 'en' ? 'English' : 'Español';
+  const keywordsStr = keywords.length > 0 ? keywords.join(', ') : '';
+
+  return `${describeOutlineForLongForm(outline)}
+
+Tu rédiges UNIQUEMENT l'ouverture de cet article, en ${langLabel}, avant la première section.
+
+- Accroche : ${outline.introduction.hook}
+- Contexte : ${outline.introduction.context}
+- Promesse : ${outline.introduction.promise}
+${keywordsStr ? `\nMots-clés SEO à intégrer naturellement : ${keywordsStr}\n` : ''}${onlineContext ? `
+--- RECHERCHE WEB (informations récentes) ---
+${onlineContext}
+--- FIN RECHERCHE ---
+` : ''}
+CONSIGNES :
+- Environ ${targetWords} mots, en paragraphes rédigés.
+- Commence DIRECTEMENT par l'accroche. Aucun titre (ni #, ni ##, ni ###).
+- Ne commence pas à traiter la première section : tu poses le décor et tu donnes envie de lire la suite.`;
+}
+
+/**
+ * Prompt de rédaction d'une section H2 (mode long format)
+ */
+export function generateLongFormSectionPrompt(outline, sectionIndex, options = {}) {
+  const {
+    language = 'fr',
+    keywords = [],
+    targetWords = 600,
+    previousEnding = null,
+    onlineContext = null
+  } = options;
+
+  const langLabel = language === 'fr' ? 'Français' : language === 'en' ? 'English' : 'Español';
+  const section = outline.sections[sectionIndex];
+  const isLast = sectionIndex === outline.sections.length - 1;
+
+  let sectionDesc = `"${section.h2}" — ${section.narrativeGoal || 'Développer ce point'}`;
+  if (section.keyPoints?.length > 0) {
+    sectionDesc += `\nIdées à développer : ${section.keyPoints.join(' / ')}`;
+  }
+  if (section.subsections?.length > 0) {
+    sectionDesc += '\nSous-sections (H3) :';
+    section.subsections.forEach(sub => {
+      sectionDesc += `\n- "${sub.h3}" : ${sub.content}`;
+    });
+  }
+
+  return `${describeOutlineForLongForm(outline)}
+
+Tu rédiges UNIQUEMENT la section ${sectionIndex + 1}/${outline.sections.length}, en ${langLabel} :
+${sectionDesc}
+${keywords.length > 0 ? `\nMots-clés SEO à glisser si le propos s'y prête : ${keywords.join(', ')}\n` : ''}${describePreviousEnding(previousEnding)}${onlineContext ? `
+--- RECHERCHE WEB (informations récentes) ---
+Appuie-toi sur ces données quand elles concernent cette section, sans les lister.
+
+${onlineContext}
+--- FIN RECHERCHE ---
+` : ''}
+CONSIGNES :
+- Environ ${targetWords} mots de texte rédigé.
+- Commence EXACTEMENT par la ligne "## ${section.h2}".
+- Utilise ### pour les sous-sections prévues, et uniquement celles-là.
+- Ne traite pas les autres sections du plan${isLast ? '' : ' et n\'écris pas de conclusion'}.
+- Pas de méta-commentaires ni de résumé en fin de section.`;
+}
+
+/**
+ * Prompt de rédaction de la conclusion (mode long format)
+ */
+export function generateLongFormConclusionPrompt(outline, options = {}) {
+  const {
+    language = 'fr',
+    targetWords = 250,
+    previousEnding = null
+  } = options;
+
+  const langLabel = language === 'fr' ? 'Français' : language === 'en' ? 'English' : 'Español';
+
+  return `${describeOutlineForLongForm(outline)}
+
+Tu rédiges UNIQUEMENT l'ouverture finale de cet article, en ${langLabel}.
+
+Conclusion (${outline.conclusion.type || 'ouverture'}) :
+${outline.conclusion.direction}
+${describePreviousEnding(previousEnding)}
+CONSIGNES :
+- Environ ${targetWords} mots, 1 à 3 paragraphes.
+- Aucun titre (ni #, ni ##, ni ###) : le texte suit directement la dernière section.
+- Ne résume PAS l'article. Ouvre une perspective, une question, une projection.`;
+}
+
+/**
+ * Prompt de révision ciblée après un échec du quality gate
+ */
+export function generateRevisionPrompt(content, report, options = {}) {
+  const { language = 'fr', keywords = [] } = options;
+  const langLabel = language === 'fr' ? 'Français' : language === 'en' ? 'English' : 'Español';
+
+  const notes = report.revisionNotes.length > 0
+    ? report.revisionNotes.map(n => `- ${n}`).join('\n')
+    : '- Améliore la structure et la profondeur des sections les plus faibles.';
+
+  const feedback = report.feedback.length > 0
+    ? `\nRemarques complémentaires de l'analyse SEO (à traiter si elles concernent le texte) :\n${report.feedback.map(f => `- ${f}`).join('\n')}\n`
+    : '';
+
+  const citations = /\[\d+\]/.test(content)
+    ? '\n- Conserve les marqueurs de citation [n] après les faits qu\'ils sourcent.'
+    : '';
+
+  return `Voici un article (${langLabel}) qui n'atteint pas nos critères de publication (score SEO : ${report.score}%).
+
+Corrections demandées :
+${notes}
+${feedback}${keywords.length > 0 ? `\nMots-clés SEO à conserver : ${keywords.join(', ')}\n` : ''}
+--- ARTICLE ---
+${content}
+--- FIN ARTICLE ---
+
+CONSIGNES :
+- Révision CIBLÉE : garde tout ce qui fonctionne (ton, accroche, exemples, titres existants) et ne modifie que ce qui répond aux corrections.
+- Retourne l'article COMPLET révisé en Markdown, sans H1 ni commentaire sur les changements.
+- ## pour les H2, ### pour les H3, mêmes règles d'écriture que d'habitude.${citations}`;
+}
+
+/**
+ * Prompt système pour le rafraîchissement d'un article déjà publié
+ */
+export const SYSTEM_PROMPT_REFRESH = `Tu es le rédacteur en chef du blog de Gleeam. Tu mets à jour des articles déjà publiés pour qu'ils restent exacts, sans les réécrire.
+
+Règles :
+- Conserve EXACTEMENT la structure : mêmes titres ## et ### dans le même ordre, même longueur approximative.
+- Ne modifie que les passages dépassés : chiffres, versions, dates, années, statut d'un produit, annonces devenues réalité ou abandonnées.
+- Appuie-toi uniquement sur les informations récentes fournies. Si un passage ne peut pas être vérifié, laisse-le tel quel.
+- Garde le ton, les opinions et les tournures de l'auteur. Ne rajoute pas de section.
+- Conserve les liens existants et le formatage Markdown.
+- Retourne UNIQUEMENT l'article complet mis à jour, sans commentaire ni note de mise à jour.`;
+
+/**
+ * Prompt utilisateur pour rafraîchir un article avec des informations récentes
+ */
+export function generateRefreshPrompt(article, onlineContext, options = {}) {
+  const { language = 'fr' } = options;
+  const langLabel = language === 'fr' ? 'Français' : language === 'en' ? 'English' : 'Español';
+  const today = new Date().toLocaleDateString('fr-FR', { day: 'numeric', month: 'long', year: 'numeric' });
+
+  return `Article à mettre à jour (${langLabel}) : "${article.title}"
+Date du jour : ${today}
+
+--- INFORMATIONS RÉCENTES (recherche web) ---
+${onlineContext}
+--- FIN INFORMATIONS ---
+
+--- ARTICLE ACTUEL ---
+${article.content}
+--- FIN ARTICLE ---
+
+Mets à jour les passages dépassés en suivant les règles, et retourne l'article complet.`;
+}
+
+/**
+ * Prompt système pour le choix des liens internes
+ */
+export const SYSTEM_PROMPT_INTERNAL_LINKS = `Tu es un expert SEO qui place des liens internes dans les articles d'un blog tech.
+
+Règles :
+- Chaque ancre est un groupe de 2 à 6 mots copié MOT POUR MOT depuis le texte de l'article (même casse, même accentuation).
+- L'ancre décrit le sujet de l'article cible : jamais "cliquez ici", "cet article", "en savoir plus".
+- Jamais d'ancre dans un titre (lignes commençant par #), ni dans un lien ou un bloc de code existant.
+- Un seul lien par article cible, et des ancres réparties dans différentes sections.
+- Ne propose un lien que s'il est réellement utile au lecteur à cet endroit.
+
+Réponds TOUJOURS en JSON valide : { "links": [{ "slug": "string", "anchor": "string" }] }`;
+
+/**
+ * Prompt utilisateur pour proposer des liens internes vers des articles existants
+ */
+export function generateInternalLinksPrompt(content, candidates, options = {}) {
+  const { minLinks = 2, maxLinks = 5 } = options;
+
+  const candidatesList = candidates
+    .map(c => `- slug: ${c.slug}\n  titre: ${c.title}${c.excerpt ? `\n  résumé: ${c.excerpt}` : ''}`)
+    .join('\n');
+
+  return `Articles existants du blog (cibles possibles) :
+${candidatesList}
+
+--- ARTICLE À ENRICHIR ---
+${content}
+--- FIN ARTICLE ---
+
+Propose entre ${minLinks} et ${maxLinks} liens internes vers les articles existants les plus pertinents.`;
+}
+
+/**
+ * Prompt système pour trouver un nouvel angle à un sujet déjà traité
+ */
+export const SYSTEM_PROMPT_REANGLE = `Tu es rédacteur en chef d'un blog tech. Un sujet proposé est trop proche d'articles déjà publiés.
+
+Règles :
+- Garde le même thème général, mais trouve un angle qui apporte quelque chose de NOUVEAU au lecteur du blog.
+- Le nouveau titre ne doit reprendre ni la formulation ni la problématique des articles existants.
+- Angles possibles : retour d'expérience, cas d'usage précis, public différent, aspect méconnu, coûts, migration, limites.
+- Titre accrocheur de 50 à 80 caractères, dans la langue demandée.
+
+Réponds TOUJOURS en JSON valide : { "title": "string", "angle": "string" }`;
+
+/**
+ * Prompt utilisateur pour réorienter un sujet trop proche de l'existant
+ */
+export function generateReanglePrompt(topic, existingTitles, options = {}) {
+  const { language = 'fr' } = options;
+
+  return `Sujet proposé (${language}) : ${topic.title}${topic.angle ? `\nAngle proposé : ${topic.angle}` : ''}
+
+Articles déjà publiés sur ce thème :
+${existingTitles.map(t => `- ${t}`).join('\n')}
+
+Propose un nouveau titre et un nouvel angle.`;
+}
+
+/**
+ * Prompt système pour la FAQ d'un article
+ */
+export const SYSTEM_PROMPT_FAQ = `Tu rédiges la FAQ d'articles de blog tech.
+
+Règles :
+- Questions que se pose réellement un lecteur après l'article (formulées comme dans une recherche Google).
+- Chaque réponse s'appuie UNIQUEMENT sur le contenu de l'article : aucune information nouvelle.
+- Réponses autonomes de 2 à 4 phrases (40 à 80 mots), sans Markdown ni liens.
+- Pas de question qui reprend mot pour mot un titre de section.
+- Rédige dans la langue demandée.
+
+Réponds TOUJOURS en JSON valide : { "faq": [{ "question": "string", "answer": "string" }] }`;
+
+/**
+ * Prompt utilisateur pour générer la FAQ à partir du contenu
+ */
+export function generateFAQPrompt(article, options = {}) {
+  const { language = 'fr', count = 5 } = options;
+
+  return `Rédige ${count} questions/réponses en ${language} pour la FAQ de cet article.
+
+Titre : ${article.title}
+
+--- ARTICLE ---
+${article.content}
+--- FIN ARTICLE ---`;
+}
+
+/**
+ * Prompt pour le provider d'images (illustration de couverture)
+ * Rédigé en anglais : les modèles d'images le suivent mieux
+ */
+export function generateImagePrompt(title, angle, category) {
+  return `Editorial cover illustration for a tech blog article.
+Article title: "${title}"${angle ? `\nAngle: ${angle}` : ''}${category ? `\nTopic: ${category.name}` : ''}
+
+Style: modern flat illustration, clean geometric shapes, soft lighting, wide 16:9 composition with empty space on the left.${category?.colors ? `\nColor palette based on ${category.colors.join(' and ')}.` : ''}
+Constraints: no text, no letters, no logos, no watermark, no realistic human faces.`;
+}
+
 /**
  * Générateur de prompt pour les métadonnées SEO
  */
@@ -375,6 +679,19 @@ export default {
   SYSTEM_PROMPT_SEO,
   SYSTEM_PROMPT_TOPIC_AND_OUTLINE,
   generateArticlePrompt,
+  generateLongFormIntroPrompt,
+  generateLongFormSectionPrompt,
+  generateLongFormConclusionPrompt,
+  generateRevisionPrompt,
+  SYSTEM_PROMPT_REFRESH,
+  generateRefreshPrompt,
+  SYSTEM_PROMPT_INTERNAL_LINKS,
+  generateInternalLinksPrompt,
+  SYSTEM_PROMPT_REANGLE,
+  generateReanglePrompt,
+  SYSTEM_PROMPT_FAQ,
+  generateFAQPrompt,
+  generateImagePrompt,
   generateSEOPrompt,
   AI_PHRASES_BLACKLIST
 };
@@ -0,0 +1,49 @@
+#!/usr/bin/env node
+
+/**
+ * Script pour purger le cache des réponses LLM
+ *
+ * Usage:
+ *   node src/purge-cache.js             # Tout supprimer (store LLM_CACHE_STORE)
+ *   node src/purge-cache.js --expired   # Seulement les entrées expirées
+ *   node src/purge-cache.js --store mongo
+ */
+
+import 'dotenv/config';
+import { program } from 'commander';
+
+import { logger } from './utils/logger.js';
+import { disconnectDatabase } from './services/database.js';
+import { getActiveCacheConfig, purgeLLMCache } from './services/cache.js';
+
+/**
+ * Programme principal
+ */
+async function main() {
+  program
+    .name('purge-cache')
+    .description('Purger le cache des réponses LLM')
+    .option('--expired', 'Supprimer uniquement les entrées expirées')
+    .option('--store <store>', 'Store à purger (disk, mongo) (défaut: LLM_CACHE_STORE)')
+    .parse();
+
+  const options = program.opts();
+  const config = getActiveCacheConfig({ store: options.store });
+
+  logger.header('PURGE DU CACHE LLM');
+  logger.info(`Store: ${config.store}${config.store === 'disk' ? ` (${config.dir})` : ''}`);
+
+  const deleted = await purgeLLMCache({ expiredOnly: !!options.expired, store: config.store });
+  logger.success(`${deleted} réponse(s) supprimée(s)${options.expired ? ' (expirées)' : ''}`);
+
+  await disconnectDatabase();
+}
+
+// Gestion des erreurs
+process.on('uncaughtException', async (error) => {
+  logger.error('Erreur:', error.message);
+  await disconnectDatabase();
+  process.exit(1);
+});
+
+main();
@@ -0,0 +1,273 @@
+#!/usr/bin/env node
+
+/**
+ * Script pour rafraîchir un article publié avec des informations récentes
+ *
+ * Usage:
+ *   node src/refresh-article.js --slug mon-article
+ *   node src/refresh-article.js --id 697c490f2fa6430863ce9032 --dry-run
+ */
+
+import 'dotenv/config';
+import { program } from 'commander';
+import inquirer from 'inquirer';
+import ora from 'ora';
+import chalk from 'chalk';
+import { ObjectId } from 'mongodb';
+
+import { logger } from './utils/logger.js';
+import { diffLines } from './utils/helpers.js';
+import { testLLMConnection } from './services/llm.js';
+import {
+  connectDatabase,
+  disconnectDatabase,
+  findPostBySlugOrId,
+  updatePost
+} from './services/database.js';
+import {
+  translateArticleToLocale,
+  extractSingleLocaleContent,
+  getArticleLocales,
+  LOCALE_NAMES,
+  SUPPORTED_LOCALES
+} from './generators/translator.js';
+import { refreshArticle, addLastUpdatedNote } from './generators/refresher.js';
+import { localizeInternalLinks } from './generators/linker.js';
+import { withStructuredData } from './generators/jsonld.js';
+
+/**
+ * Afficher le diff entre deux versions (lignes modifiées + contexte)
+ */
+function printDiff(label, before, after, contextLines = 1) {
+  const ops = diffLines(before || '', after || '');
+  const changed = ops.filter(op => op.type !== 'same').length;
+
+  console.log(chalk.bold(`\n── ${label} ──`));
+  if (changed === 0) {
+    console.log(chalk.gray('  (inchangé)'));
+    return;
+  }
+
+  let lastPrinted = -1;
+  ops.forEach((op, i) => {
+    const nearChange = ops
+      .slice(Math.max(0, i - contextLines), i + contextLines + 1)
+      .some(o => o.type !== 'same');
+    if (!nearChange) return;
+
+    if (lastPrinted !== -1 && i > lastPrinted + 1) {
+      console.log(chalk.gray('  ...'));
+    }
+    lastPrinted = i;
+
+    if (op.type === 'added') console.log(chalk.green(`+ ${op.line}`));
+    else if (op.type === 'removed') console.log(chalk.red(`- ${op.line}`));
+    else console.log(chalk.gray(`  ${op.line}`));
+  });
+}
+
+/**
+ * Écrire une valeur dans un champ localisé (ou simple pour les anciens articles)
+ */
+function setLocalized(field, locale, value) {
+  if (typeof field === 'object' && field !== null && !Array.isArray(field)) {
+    return { ...field, [locale]: value };
+  }
+  return value;
+}
+
+/**
+ * Programme principal
+ */
+async function main() {
+  program
+    .name('refresh-article')
+    .description('Mettre à jour un article publié avec des informations récentes')
+    .option('-s, --slug <slug>', 'Slug de l\'article')
+    .option('-i, --id <id>', 'ID MongoDB de l\'article')
+    .option('-l, --source-locale <locale>', 'Langue source', 'fr')
+    .option('--skip-translations', 'Ne pas rafraîchir les autres langues')
+    .option('-y, --yes', 'Appliquer sans confirmation')
+    .option('--dry-run', 'Afficher le diff sans sauvegarder')
+    .parse();
+
+  const options = program.opts();
+
+  if (!options.slug && !options.id) {
+    console.error(chalk.red('Erreur: Spécifiez --slug ou --id'));
+    process.exit(1);
+  }
+
+  if (options.id && !ObjectId.isValid(options.id)) {
+    console.error(chalk.red(`Erreur: ID MongoDB invalide: ${options.id}`));
+    process.exit(1);
+  }
+
+  if (!SUPPORTED_LOCALES.includes(options.sourceLocale)) {
+    console.error(chalk.red(`Erreur: Langue source non supportée: ${options.sourceLocale} (${SUPPORTED_LOCALES.join(', ')})`));
+    process.exit(1);
+  }
+
+  logger.header('RAFRAÎCHISSEMENT D\'ARTICLE');
+
+  // Vérifications
+  const llmOk = await testLLMConnection();
+  if (!llmOk) {
+    logger.error('Configuration LLM invalide');
+    process.exit(1);
+  }
+
+  await connectDatabase();
+
+  // Trouver l'article
+  const spinner = ora('Recherche de l\'article...').start();
+  const post = await findPostBySlugOrId(options.slug, options.id);
+
+  if (!post) {
+    spinner.fail('Article non trouvé');
+    await disconnectDatabase();
+    process.exit(1);
+  }
+
+  // La langue source doit exister sur l'article (les anciens articles non localisés n'en ont qu'une)
+  const sourceLocale = options.sourceLocale;
+  const postLocales = getArticleLocales(post);
+  if (postLocales.length > 0 && !postLocales.includes(sourceLocale)) {
+    spinner.fail(`Article sans version ${LOCALE_NAMES[sourceLocale]} (langues : ${postLocales.join(', ')})`);
+    await disconnectDatabase();
+    process.exit(1);
+  }
+
+  spinner.succeed(`Article trouvé: ${post.slug}`);
+
+  const sourceArticle = extractSingleLocaleContent(post, sourceLocale);
+  const otherLocales = options.skipTranslations
+    ? []
+    : postLocales.filter(l => l !== sourceLocale);
+
+  console.log(chalk.gray(`\nTitre: ${sourceArticle.title}`));
+  console.log(chalk.gray(`Dernière mise à jour: ${post.updatedAt ? new Date(post.updatedAt).toISOString().slice(0, 10) : 'inconnue'}`));
+  console.log(chalk.gray(`Langue source: ${LOCALE_NAMES[sourceLocale]}`));
+  if (otherLocales.length > 0) {
+    console.log(chalk.gray(`Langues à rafraîchir: ${otherLocales.map(l => LOCALE_NAMES[l]).join(', ')}`));
+  }
+
+  try {
+    const result = await refreshArticle(sourceArticle, { language: sourceLocale });
+
+    if (!result) {
+      logger.warn('Rafraîchissement annulé');
+      await disconnectDatabase();
+      return;
+    }
+
+    const refreshed = result.article;
+
+    // Diff avant sauvegarde
+    printDiff('Titre', sourceArticle.title, refreshed.title);
+    printDiff('Meta title', sourceArticle.seo.metaTitle, refreshed.seo.metaTitle);
+    printDiff('Meta description', sourceArticle.seo.metaDescription, refreshed.seo.metaDescription);
+    printDiff('Extrait', sourceArticle.excerpt, refreshed.excerpt);
+    printDiff('Contenu', sourceArticle.content, refreshed.content);
+    console.log(chalk.gray(`\nSources: ${result.research.sources.map(s => s.source).join(', ')}`));
+
+    if (options.dryRun) {
+      logger.info('[DRY-RUN] Article non sauvegardé');
+      await disconnectDatabase();
+      return;
+    }
+
+    if (!options.yes) {
+      const { confirm } = await inquirer.prompt([
+        {
+          type: 'confirm',
+          name: 'confirm',
+          message: 'Appliquer ces modifications ?',
+          default: false
+        }
+      ]);
+      if (!confirm) {
+        console.log(chalk.gray('Modifications abandonnées.'));
+        await disconnectDatabase();
+        return;
+      }
+    }
+
+    // Rafraîchir les autres langues à partir de la version source mise à jour
+    const localized = { [sourceLocale]: refreshed };
+    if (otherLocales.length > 0) {
+      const translateSpinner = ora(`Traduction vers ${otherLocales.map(l => LOCALE_NAMES[l]).join(', ')}...`).start();
+      const results = await Promise.all(otherLocales.map(async (locale) => {
+        try {
+          return { locale, result: await translateArticleToLocale(refreshed, locale, sourceLocale) };
+        } catch (error) {
+          logger.error(`  ✗ Erreur ${locale}: ${error.message} (version existante conservée)`);
+          return { locale, result: null };
+        }
+      }));
+      translateSpinner.succeed('Traductions mises à jour');
+
+      for (const { locale, result: translated } of results) {
+        if (!translated) continue;
+        localized[locale] = {
+          title: translated.title,
+          excerpt: translated.excerpt,
+          content: localizeInternalLinks(translated.content, sourceLocale, locale),
+          seo: translated.translatedSEO
+        };
+      }
+    }
+
+    // Construire la mise à jour (note "dernière mise à jour" par langue)
+    const now = new Date();
+    const updates = {
+      title: post.title,
+      excerpt: post.excerpt,
+      content: post.content,
+      readingTime: refreshed.readingTime,
+      seo: { ...post.seo },
+      updatedAt: now
+    };
+
+    for (const [locale, version] of Object.entries(localized)) {
+      updates.title = setLocalized(updates.title, locale, version.title);
+      updates.excerpt = setLocalized(updates.excerpt, locale, version.excerpt);
+      updates.content = setLocalized(updates.content, locale, addLastUpdatedNote(version.content, locale, now));
+      updates.seo.metaTitle = setLocalized(updates.seo.metaTitle, locale, version.seo.metaTitle);
+      updates.seo.metaDescription = setLocalized(updates.seo.metaDescription, locale, version.seo.metaDescription);
+    }
+
+    // JSON-LD recalculé sur la version à jour (dateModified, wordCount, FAQ)
+    const { structuredData, faq } = withStructuredData({ ...post, ...updates });
+    updates.structuredData = structuredData;
+    updates.faq = faq;
+
+    const saveSpinner = ora('Sauvegarde...').start();
+    await updatePost(post._id.toString(), updates);
+    saveSpinner.succeed('Article mis à jour !');
+
+    console.log(chalk.green(`\n✓ Langues rafraîchies: ${Object.keys(localized).map(l => LOCALE_NAMES[l]).join(', ')}`));
+    console.log(chalk.gray(`URL inchangée: ${post.slug}`));
+  } catch (error) {
+    logger.error(`Erreur: ${error.message}`);
+    await disconnectDatabase();
+    process.exit(1);
+  }
+
+  await disconnectDatabase();
+}
+
+// Gestion des erreurs
+process.on('uncaughtException', async (error) => {
+  logger.error('Erreur:', error.message);
+  await disconnectDatabase();
+  process.exit(1);
+});
+
+process.on('unhandledRejection', async (error) => {
+  logger.error('Erreur:', error.message);
+  await disconnectDatabase();
+  process.exit(1);
+});
+
+main();
@@ -0,0 +1,26 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile } from 'child_process';
+import { promisify } from 'util';
+import { fileURLToPath } from 'url';
+
+const root = fileURLToPath(new URL('..', import.meta.url));
+
+/**
+ * Lancer refresh-article hors ligne (provider fake, sans MongoDB)
+ */
+function runRefresh(args) {
+  const env = { ...process.env, LLM_PROVIDER: 'fake', CHECKPOINTS: 'false', MONGODB_URI: '' };
+  return promisify(execFile)(process.execPath, ['src/refresh-article.js', ...args], { cwd: root, env, timeout: 60000 });
+}
+
+test('un identifiant invalide est refusé avant tout appel', async () => {
+  await assert.rejects(runRefresh(['--id', 'pas-un-id']), (error) => error.code === 1 && /ID MongoDB invalide/.test(error.stderr));
+});
+
+test('une langue source non supportée est refusée avant tout appel', async () => {
+  await assert.rejects(
+    runRefresh(['--slug', 'mon-article', '--source-locale', 'de']),
+    (error) => error.code === 1 && /Langue source non supportée: de \(fr, en, es\)/.test(error.stderr)
+  );
+});
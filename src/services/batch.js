@@ -0,0 +1,219 @@
+/**
+ * Mode batch du cron : génération asynchrone via l'API Batch (moitié prix, résultats sous 24 h)
+ *
+ * Un article avance par tours. À chaque tour, son pipeline est relancé depuis ses checkpoints
+ * (voir services/checkpoint.js) dans un contexte batch (withBatchRun) : les appels déjà traités
+ * reçoivent leur réponse, les autres sont mis en attente et interrompent le tour. Les requêtes
+ * en attente de tous les articles partent dans un job JSONL par provider ; --collect récupère
+ * les jobs terminés et relance les articles dont toutes les réponses sont arrivées
+ * (plan, contenu, SEO, révisions, FAQ, traductions), jusqu'à leur sauvegarde.
+ *
+ * Fichiers (BATCH_DIR) :
+ * - jobs/<batchId>.json : job soumis, custom_id → article et requête
+ * - runs/<runId>.json   : article en cours (options, réponses reçues, requêtes en attente)
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { withBatchRun, isBatchPending, submitBatch, retrieveBatch, fetchBatchResults } from './llm.js';
+import { getBatchConfig } from '../config/batch.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Statuts d'un job encore en cours chez le provider
+ * (les autres sont définitifs : completed, failed, expired, cancelled)
+ */
+const ACTIVE_STATUSES = ['validating', 'in_progress', 'finalizing', 'cancelling'];
+
+function getBatchPath(...parts) {
+  return path.join(getBatchConfig().dir, ...parts);
+}
+
+async function writeJSON(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(data, null, 2), 'utf-8');
+}
+
+/**
+ * Lire tous les fichiers JSON d'un dossier (vide s'il n'existe pas)
+ */
+async function readJSONDir(dir) {
+  let files;
+  try {
+    files = (await fs.readdir(dir)).filter(file => file.endsWith('.json')).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+  return Promise.all(files.map(async file => JSON.parse(await fs.readFile(path.join(dir, file), 'utf-8'))));
+}
+
+/**
+ * Créer l'état d'un article en mode batch
+ * @param {object} details - Données nécessaires aux tours suivants (ex : { save, routeOverride })
+ */
+export function createBatchRun(details = {}) {
+  return {
+    runId: null,
+    status: 'pending',
+    ...details,
+    responses: {},
+    queued: [],
+    pending: [],
+    jobs: [],
+    createdAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Exécuter un tour : fn va jusqu'au bout, ou s'arrête sur le premier appel mis en attente
+ * @returns {Promise<object>} { status: 'completed', value } ou { status: 'pending' }
+ */
+export async function runBatchPass(state, fn) {
+  state.queued = [];
+  try {
+    const value = await withBatchRun(state, fn);
+    return state.queued.length > 0 ? { status: 'pending' } : { status: 'completed', value };
+  } catch (error) {
+    if (!isBatchPending(error)) throw error;
+    state.runId = state.runId || error.runId;
+    return { status: 'pending' };
+  }
+}
+
+/**
+ * Enregistrer l'état d'un article
+ */
+export async function saveBatchRun(state) {
+  state.updatedAt = new Date().toISOString();
+  await writeJSON(getBatchPath('runs', `${state.runId}.json`), state);
+}
+
+/**
+ * Articles en cours (statut pending)
+ */
+export async function loadBatchRuns() {
+  return (await readJSONDir(getBatchPath('runs'))).filter(state => state.status === 'pending');
+}
+
+/**
+ * Soumettre les requêtes mises en attente par les articles (un job par provider)
+ * Si une soumission échoue, ses requêtes restent en attente et repartiront au prochain --collect
+ * @returns {Promise<Array>} Jobs soumis
+ */
+export async function submitBatchRuns(states) {
+  const groups = new Map();
+  for (const state of states) {
+    for (const entry of state.queued) {
+      if (!groups.has(entry.provider)) groups.set(entry.provider, []);
+      groups.get(entry.provider).push({ state, entry });
+    }
+  }
+
+  const jobs = [];
+  for (const [provider, items] of groups) {
+    const requests = {};
+    const lines = items.map(({ state, entry }, index) => {
+      const customId = `${state.runId}:${index}`;
+      requests[customId] = { runId: state.runId, key: entry.key, stage: entry.stage };
+      return { custom_id: customId, ...entry.line };
+    });
+
+    let batch;
+    try {
+      batch = await submitBatch(provider, lines);
+    } catch (error) {
+      logger.error(`Soumission du batch ${provider} échouée: ${error.message}`);
+      continue;
+    }
+
+    const now = new Date().toISOString();
+    const job = { id: batch.id, provider, status: batch.status, counts: batch.counts, requests, createdAt: now, updatedAt: now };
+    await writeJSON(getBatchPath('jobs', `${job.id}.json`), job);
+    logger.info(`Batch ${job.id} soumis (${provider}) : ${lines.length} requête(s)`);
+    jobs.push(job);
+
+    for (const { state, entry } of items) {
+      state.pending.push(entry.key);
+      state.queued = state.queued.filter(queued => queued !== entry);
+      if (!state.jobs.includes(job.id)) state.jobs.push(job.id);
+    }
+  }
+
+  for (const state of states) {
+    await saveBatchRun(state);
+  }
+  return jobs;
+}
+
+/**
+ * Vérifier les jobs soumis et ranger les réponses des jobs terminés dans leurs articles
+ * Une requête en erreur (ou un job expiré sans sa réponse) fait échouer l'article :
+ * il reste repris en synchrone avec --resume <runId>
+ * @returns {Promise<object>} { active (jobs en cours), collected (jobs relevés), runs (articles en cours), failed }
+ */
+export async function collectBatchJobs() {
+  const jobs = (await readJSONDir(getBatchPath('jobs'))).filter(job => !job.collectedAt);
+  const runs = new Map((await loadBatchRuns()).map(state => [state.runId, state]));
+  const active = [];
+  const collected = [];
+  const failed = [];
+
+  for (const job of jobs) {
+    const batch = await retrieveBatch(job.provider, job.id);
+    job.status = batch.status;
+    job.counts = batch.counts;
+    job.updatedAt = new Date().toISOString();
+
+    if (ACTIVE_STATUSES.includes(batch.status)) {
+      logger.info(`Batch ${job.id} : ${batch.status} (${batch.counts.completed}/${batch.counts.total})`);
+      await writeJSON(getBatchPath('jobs', `${job.id}.json`), job);
+      active.push(job);
+      continue;
+    }
+
+    const results = batch.outputFileId || batch.errorFileId
+      ? await fetchBatchResults(job.provider, batch)
+      : new Map();
+    logger.info(`Batch ${job.id} : ${batch.status} (${results.size}/${Object.keys(job.requests).length} réponse(s))`);
+
+    for (const [customId, request] of Object.entries(job.requests)) {
+      const state = runs.get(request.runId);
+      if (!state || state.status !== 'pending') continue;
+
+      const item = results.get(customId);
+      state.pending = state.pending.filter(key => key !== request.key);
+      if (item?.result) {
+        state.responses[request.key] = { stage: request.stage, result: item.result, recorded: false };
+      } else {
+        state.status = 'failed';
+        state.error = `batch ${job.id} (${request.stage}) : ${item?.error || `job ${batch.status}`}`;
+        failed.push(state);
+      }
+    }
+
+    job.collectedAt = new Date().toISOString();
+    await writeJSON(getBatchPath('jobs', `${job.id}.json`), job);
+    collected.push(job);
+  }
+
+  for (const state of runs.values()) {
+    await saveBatchRun(state);
+  }
+
+  return {
+    active,
+    collected,
+    runs: [...runs.values()].filter(state => state.status === 'pending'),
+    failed
+  };
+}
+
+export default {
+  createBatchRun,
+  runBatchPass,
+  saveBatchRun,
+  loadBatchRuns,
+  submitBatchRuns,
+  collectBatchJobs
+};
@@ -0,0 +1,83 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// Provider hors ligne : ses jobs batch sont écrits dans BATCH_DIR et terminés immédiatement
+process.env.LLM_PROVIDER = 'fake';
+process.env.CHECKPOINTS = 'false';
+
+const { createBatchRun, runBatchPass, submitBatchRuns, collectBatchJobs, loadBatchRuns } = await import('./batch.js');
+const { generateCompletion } = await import('./llm.js');
+const { createUsageTracker, trackUsage } = await import('./usage.js');
+
+let batchDir;
+
+before(async () => {
+  batchDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gleeam-batches-'));
+  process.env.BATCH_DIR = batchDir;
+});
+
+after(async () => {
+  delete process.env.BATCH_DIR;
+  await fs.rm(batchDir, { recursive: true, force: true });
+});
+
+// Deux appels dépendants : le second ne part qu'une fois la réponse du premier reçue
+async function writeArticle() {
+  const outline = await generateCompletion('Système', 'Plan de l\'article', { stage: 'outline', maxTokens: 500 });
+  const content = await generateCompletion('Système', `Rédige l'article :\n${outline}`, { stage: 'content', maxTokens: 1000 });
+  return { outline, content };
+}
+
+test('un article avance d\'un appel par tour, puis se termine avec les réponses du batch', async () => {
+  const tracker = createUsageTracker();
+  let state = createBatchRun({ topic: 'Sujet', save: { dryRun: true } });
+  state.runId = '20261018-090000-1a2b3c4d';
+
+  let pass = await trackUsage(tracker, () => runBatchPass(state, writeArticle));
+  assert.equal(pass.status, 'pending');
+  assert.deepEqual(state.queued.map(entry => entry.stage), ['outline']);
+
+  const [job] = await submitBatchRuns([state]);
+  assert.equal(job.provider, 'fake');
+  assert.equal(state.queued.length, 0);
+  assert.equal(state.pending.length, 1);
+
+  // Tour suivant : le plan est servi, le contenu part à son tour
+  ({ runs: [state] } = await collectBatchJobs());
+  pass = await trackUsage(tracker, () => runBatchPass(state, writeArticle));
+  assert.equal(pass.status, 'pending');
+  assert.deepEqual(state.queued.map(entry => entry.stage), ['content']);
+  await submitBatchRuns([state]);
+
+  ({ runs: [state] } = await collectBatchJobs());
+  pass = await trackUsage(tracker, () => runBatchPass(state, writeArticle));
+  assert.equal(pass.status, 'completed');
+  assert.ok(pass.value.content.length > 0);
+
+  // Chaque réponse n'est comptée qu'une fois, au tarif batch, bien que le plan ait été servi deux fois
+  assert.deepEqual(tracker.calls.map(call => call.stage), ['outline', 'content']);
+  assert.ok(tracker.calls.every(call => call.batch));
+});
+
+test('les articles en attente sont relus depuis BATCH_DIR', async () => {
+  const state = createBatchRun({ topic: 'Autre sujet' });
+  state.runId = '20261018-090000-5e6f7a8b';
+  await runBatchPass(state, writeArticle);
+  await submitBatchRuns([state]);
+
+  const runs = await loadBatchRuns();
+  const loaded = runs.find(run => run.runId === state.runId);
+  assert.equal(loaded.topic, 'Autre sujet');
+  assert.equal(loaded.pending.length, 1);
+  assert.equal(loaded.jobs.length, 1);
+});
+
+test('un appel qui échoue autrement qu\'en attente du batch remonte tel quel', async () => {
+  const state = createBatchRun();
+  await assert.rejects(runBatchPass(state, async () => {
+    throw new Error('boom');
+  }), /boom/);
+});
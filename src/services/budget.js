@@ -0,0 +1,293 @@
+/**
+ * Budget des runs cron
+ *
+ * Les dépenses sont cumulées par jour UTC dans MongoDB (collection llm_spend) ; le run
+ * ajoute son propre plafond. Avant chaque article, son coût est estimé à partir des modèles
+ * routés et des tokens attendus par étape : s'il ferait dépasser une limite, les actions
+ * configurées sont essayées dans l'ordre (sans traductions, modèle de repli), sinon le run s'arrête.
+ * Pendant l'article, chaque appel LLM est encore vérifié (withBudgetGuard) : une estimation trop
+ * optimiste interrompt l'article avant l'étape qui ferait dépasser une limite.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { getLLMSpendCollection } from './database.js';
+import { computeCost, formatCost } from './usage.js';
+import { resolveRouting } from './routing.js';
+import { getLLMConfig } from '../config/llm.js';
+
+/**
+ * Garde de budget active (voir withBudgetGuard)
+ */
+const budgetGuards = new AsyncLocalStorage();
+
+/**
+ * Jour et mois UTC ("2026-10-18", "2026-10")
+ */
+function currentPeriod() {
+  const day = new Date().toISOString().slice(0, 10);
+  return { day, month: day.slice(0, 7) };
+}
+
+/**
+ * Coût total d'appels enregistrés par services/usage.js (appels sans prix connu ignorés)
+ */
+export function sumCallsCost(calls) {
+  return calls.reduce((sum, call) => sum + (call.cost || 0), 0);
+}
+
+/**
+ * Dépenses déjà enregistrées aujourd'hui et ce mois-ci (USD)
+ * @returns {Promise<object>} { day, month }
+ */
+export async function getRecordedSpend() {
+  const { day, month } = currentPeriod();
+  const collection = await getLLMSpendCollection();
+  const docs = await collection.find({ month }).toArray();
+  return {
+    day: docs.find(doc => doc.day === day)?.cost || 0,
+    month: docs.reduce((sum, doc) => sum + (doc.cost || 0), 0)
+  };
+}
+
+/**
+ * Ajouter des appels LLM aux dépenses du jour
+ * @param {Array} calls - Appels (tracker.calls) pas encore comptabilisés
+ * @returns {Promise<number>} Montant ajouté (USD)
+ */
+export async function recordSpend(calls) {
+  const cost = sumCallsCost(calls);
+  if (calls.length === 0) return 0;
+
+  const { day, month } = currentPeriod();
+  const collection = await getLLMSpendCollection();
+  await collection.updateOne(
+    { day },
+    {
+      $inc: {
+        cost,
+        calls: calls.length,
+        inputTokens: calls.reduce((sum, call) => sum + call.inputTokens, 0),
+        outputTokens: calls.reduce((sum, call) => sum + call.outputTokens, 0)
+      },
+      $set: { month, updatedAt: new Date() }
+    },
+    { upsert: true }
+  );
+  return cost;
+}
+
+/**
+ * Nombre d'appels attendus pour une étape de l'article
+ */
+function countStageCalls(stage, options) {
+  switch (stage) {
+    case 'outline':
+    case 'content':
+    case 'seo':
+      return 1;
+    case 'translation-content':
+    case 'translation-seo':
+      return options.translations || 0;
+    case 'revision':
+      return options.revisions || 0;
+    case 'reangle':
+      return options.reangles || 0;
+    case 'faq':
+      return options.faq ? 1 : 0;
+    case 'links':
+      return options.links ? 1 : 0;
+    case 'image':
+      return options.image ? 1 : 0;
+    default:
+      // Étapes hors génération d'article (ex: refresh)
+      return 0;
+  }
+}
+
+/**
+ * Estimer le coût d'un article avant de le générer
+ * @param {object} config - Configuration du budget (getBudgetConfig)
+ * @param {object} options - { category, longForm, translations (nombre de langues cibles), revisions (passes
+ *   du quality gate), reangles (nouveaux angles du sujet), faq, links, image ({ provider, model } de la couverture
+ *   si un modèle payant la génère), override (route imposée) }
+ * @returns {object} { cost (null si un modèle n'a pas de prix), byStage, unpriced (modèles sans prix) }
+ */
+export function estimateArticleCost(config, options = {}) {
+  const routes = resolveRouting(options.category || null, options.override);
+  const byStage = {};
+  const unpriced = [];
+  let total = 0;
+
+  for (const [stage, tokens] of Object.entries(config.expectedTokens)) {
+    const count = countStageCalls(stage, options);
+    if (count === 0) continue;
+
+    // Le long format allonge l'article, donc aussi ses réécritures
+    const factor = count * ((stage === 'content' || stage === 'revision') && options.longForm ? config.longFormFactor : 1);
+    const { provider, model } = stage === 'image' ? options.image : routes[stage];
+    const cost = computeCost({ provider, model, inputTokens: tokens.input * factor, outputTokens: tokens.output * factor });
+
+    byStage[stage] = cost;
+    if (cost === null && !unpriced.includes(`${provider}/${model}`)) unpriced.push(`${provider}/${model}`);
+    total = total === null || cost === null ? null : total + cost;
+  }
+
+  return { cost: total, byStage, unpriced };
+}
+
+/**
+ * Limites atteintes, ou que dépasserait une dépense supplémentaire
+ * @param {object} spent - { day, month, run } (null : limite non suivie, ex: dry-run)
+ * @returns {Array} [{ name, label, limit, spent }] (vide si tout passe)
+ */
+export function findExceededLimits(config, spent, amount = 0) {
+  return [
+    { name: 'daily', label: 'journalier', limit: config.dailyLimit, spent: spent.day },
+    { name: 'monthly', label: 'mensuel', limit: config.monthlyLimit, spent: spent.month },
+    { name: 'run', label: 'du run', limit: config.runLimit, spent: spent.run }
+  ].filter(limit => limit.limit > 0 && limit.spent !== null && (limit.spent >= limit.limit || limit.spent + amount > limit.limit));
+}
+
+/**
+ * Raison lisible d'un dépassement : "budget journalier : $4.80 dépensés + ~$0.42 estimés > $5.00"
+ */
+export function describeExceeded(exceeded, amount = 0) {
+  return exceeded.map(limit => {
+    const estimate = amount > 0 ? ` + ~${formatCost(amount)} estimés` : '';
+    return `budget ${limit.label} : ${formatCost(limit.spent)} dépensés${estimate} > ${formatCost(limit.limit)}`;
+  }).join(' ; ');
+}
+
+/**
+ * Exécuter fn en vérifiant le budget avant chaque appel LLM (voir checkBudget)
+ * @param {object} guard - { config (getBudgetConfig), getSpent: () => ({ day, month, run }) }
+ */
+export function withBudgetGuard(guard, fn) {
+  return budgetGuards.run(guard, fn);
+}
+
+/**
+ * Erreur d'un appel refusé par la garde de budget (voir isBudgetExceeded)
+ */
+function budgetError(stage, reason) {
+  const error = new Error(`Budget atteint avant l'étape ${stage || 'other'}: ${reason}`);
+  error.budgetExceeded = true;
+  error.budgetReason = reason;
+  return error;
+}
+
+/**
+ * Raison d'un refus pour des modèles sans prix : leur coût ne peut pas être borné
+ */
+function describeUnpriced(models) {
+  return `prix inconnu pour ${models.join(', ')} (LLM_PRICES)`;
+}
+
+/**
+ * Vérifier qu'un appel ne ferait pas dépasser une limite (sans effet hors withBudgetGuard)
+ * Coût estimé au pire : sortie complète (maxTokens) au prix du modèle appelé ; sans outputTokens
+ * (image, dont la taille n'est connue qu'après l'appel), les tokens attendus de l'étape (BUDGET_EXPECTED_TOKENS)
+ * Un modèle sans prix sur un provider payant est refusé
+ * @param {object} call - { provider, model, stage, inputTokens, outputTokens }
+ * @throws {Error} error.budgetExceeded (voir isBudgetExceeded), error.budgetReason
+ */
+export function checkBudget(call) {
+  const guard = budgetGuards.getStore();
+  if (!guard || !guard.config.enabled) return;
+
+  const outputTokens = call.outputTokens ?? guard.config.expectedTokens[call.stage]?.output ?? 0;
+  const amount = computeCost({ ...call, outputTokens });
+  if (amount === null) {
+    throw budgetError(call.stage, describeUnpriced([`${call.provider}/${call.model}`]));
+  }
+
+  const exceeded = findExceededLimits(guard.config, guard.getSpent(), amount);
+  if (exceeded.length > 0) {
+    throw budgetError(call.stage, describeExceeded(exceeded, amount));
+  }
+}
+
+/**
+ * L'erreur vient-elle d'un appel refusé par la garde de budget ?
+ */
+export function isBudgetExceeded(error) {
+  return error?.budgetExceeded === true;
+}
+
+/**
+ * Décider comment générer le prochain article
+ * Les actions configurées se cumulent (ex : sans traductions, puis en plus avec le modèle de repli)
+ * @param {object} config - Configuration du budget
+ * @param {object} spent - { day, month, run }
+ * @param {object} article - { category, longForm, multilingual, locales (nombre de langues cibles),
+ *   revisions, reangles, faq, links, image (voir estimateArticleCost) }
+ * @returns {object} { proceed, applied, multilingual, override, estimate, reason }
+ */
+export function planArticle(config, spent, article) {
+  let plan = { applied: [], multilingual: article.multilingual, override: null };
+  let reason = null;
+
+  for (const action of [null, ...config.actions]) {
+    if (action === 'stop') break;
+    if (action === 'skip-translations') {
+      if (!plan.multilingual) continue;
+      plan = { ...plan, applied: [...plan.applied, action], multilingual: false };
+    }
+    if (action === 'fallback') {
+      const override = { provider: config.fallbackProvider || getLLMConfig().provider, model: config.fallbackModel };
+      plan = { ...plan, applied: [...plan.applied, action], override };
+    }
+
+    const estimate = estimateArticleCost(config, {
+      category: article.category,
+      longForm: article.longForm,
+      translations: plan.multilingual ? article.locales : 0,
+      revisions: article.revisions,
+      reangles: article.reangles,
+      faq: article.faq,
+      links: article.links,
+      image: article.image,
+      override: plan.override
+    });
+    // Modèle sans prix : coût non borné, l'action suivante peut passer au modèle de repli
+    if (estimate.cost === null) {
+      reason = reason || describeUnpriced(estimate.unpriced);
+      continue;
+    }
+    const exceeded = findExceededLimits(config, spent, estimate.cost);
+    if (exceeded.length === 0) {
+      return { proceed: true, ...plan, estimate, reason };
+    }
+    reason = reason || describeExceeded(exceeded, estimate.cost);
+  }
+
+  return { proceed: false, ...plan, estimate: null, reason };
+}
+
+/**
+ * Ligne de résumé : "run $0.42 / $1.00 · jour $3.10 / $5.00 · mois $41.20 (sans limite)"
+ */
+export function formatBudget(config, spent) {
+  return [
+    ['run', spent.run, config.runLimit],
+    ['jour', spent.day, config.dailyLimit],
+    ['mois', spent.month, config.monthlyLimit]
+  ]
+    .filter(([, amount]) => amount !== null)
+    .map(([label, amount, limit]) => `${label} ${formatCost(amount)}${limit > 0 ? ` / ${formatCost(limit)}` : ' (sans limite)'}`)
+    .join(' · ');
+}
+
+export default {
+  sumCallsCost,
+  getRecordedSpend,
+  recordSpend,
+  estimateArticleCost,
+  findExceededLimits,
+  describeExceeded,
+  withBudgetGuard,
+  checkBudget,
+  isBudgetExceeded,
+  planArticle,
+  formatBudget
+};
@@ -0,0 +1,164 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Provider hors ligne, facturé pour que les estimations ne soient pas nulles
+process.env.LLM_PROVIDER = 'fake';
+process.env.CHECKPOINTS = 'false';
+process.env.LLM_PRICES = JSON.stringify({ fake: { input: 1, output: 2 }, 'painter-1': { input: 1, output: 2 } });
+
+const { estimateArticleCost, planArticle, findExceededLimits, withBudgetGuard, checkBudget, isBudgetExceeded } = await import('./budget.js');
+const { getBudgetConfig } = await import('../config/budget.js');
+const { generateCompletion, generateEmbeddings, generateImage, registerLLMProvider } = await import('./llm.js');
+const { createUsageTracker, trackUsage } = await import('./usage.js');
+
+// Un million de tokens d'entrée par appel : chaque appel coûte $1
+const CALL = { input: 1_000_000, output: 0 };
+const EXPECTED_TOKENS = {
+  outline: CALL,
+  content: CALL,
+  seo: CALL,
+  revision: CALL,
+  faq: CALL,
+  links: CALL,
+  reangle: CALL,
+  'translation-content': CALL,
+  'translation-seo': CALL,
+  refresh: CALL,
+  image: { input: 0, output: 500_000 }
+};
+
+// Provider d'images payant : painter-1 a un prix, les autres modèles non
+const painted = [];
+registerLLMProvider('painter', {
+  capabilities: { images: true },
+  validate() {},
+  async image(request) {
+    painted.push(request);
+    return { b64: Buffer.from('png').toString('base64'), model: request.model, usage: { inputTokens: 10, outputTokens: 100 } };
+  }
+});
+
+/**
+ * Exécuter fn sous une garde dont le run a déjà dépensé spentRun sur runLimit
+ */
+function guarded(runLimit, spentRun, fn) {
+  const guard = { config: budgetConfig({ runLimit }), getSpent: () => ({ run: spentRun, day: null, month: null }) };
+  return trackUsage(createUsageTracker(), () => withBudgetGuard(guard, fn)).then(() => null, error => error);
+}
+
+function budgetConfig(overrides = {}) {
+  return { ...getBudgetConfig(overrides), expectedTokens: EXPECTED_TOKENS, longFormFactor: 2 };
+}
+
+test('un article simple ne compte que le plan, le contenu et le SEO', () => {
+  const estimate = estimateArticleCost(budgetConfig());
+  assert.equal(estimate.cost, 3);
+  assert.deepEqual(Object.keys(estimate.byStage), ['outline', 'content', 'seo']);
+});
+
+test('révisions, FAQ, maillage, nouveaux angles et traductions s\'ajoutent à l\'estimation', () => {
+  const estimate = estimateArticleCost(budgetConfig(), { revisions: 2, faq: true, links: true, reangles: 2, translations: 2 });
+
+  assert.equal(estimate.byStage.revision, 2);
+  assert.equal(estimate.byStage.faq, 1);
+  assert.equal(estimate.byStage.links, 1);
+  assert.equal(estimate.byStage.reangle, 2);
+  assert.equal(estimate.byStage['translation-content'], 2);
+  assert.equal(estimate.byStage.refresh, undefined);
+  assert.equal(estimate.cost, 3 + 2 + 1 + 1 + 2 + 4);
+});
+
+test('une couverture générée par un modèle payant s\'ajoute à l\'estimation', () => {
+  const estimate = estimateArticleCost(budgetConfig(), { image: { provider: 'painter', model: 'painter-1' } });
+  assert.equal(estimate.byStage.image, 1);
+  assert.equal(estimate.cost, 4);
+  assert.equal(estimateArticleCost(budgetConfig(), { image: null }).byStage.image, undefined);
+});
+
+test('un modèle sans prix sur un provider payant empêche l\'article au lieu de compter pour rien', () => {
+  const config = budgetConfig({ runLimit: 100 });
+  const plan = planArticle(config, { run: 0, day: null, month: null }, { image: { provider: 'painter', model: 'mystery' } });
+
+  assert.equal(plan.proceed, false);
+  assert.match(plan.reason, /prix inconnu pour painter\/mystery/);
+});
+
+test('le long format allonge le contenu et ses réécritures', () => {
+  const estimate = estimateArticleCost(budgetConfig(), { longForm: true, revisions: 2 });
+  assert.equal(estimate.byStage.content, 2);
+  assert.equal(estimate.byStage.revision, 4);
+  assert.equal(estimate.byStage.outline, 1);
+});
+
+test('les passes du quality gate peuvent suffire à faire renoncer aux traductions', () => {
+  const config = budgetConfig({ runLimit: 8, actions: ['skip-translations'] });
+  const article = { longForm: false, multilingual: true, locales: 2 };
+
+  assert.equal(planArticle(config, { run: 0, day: null, month: null }, article).applied.length, 0);
+
+  const plan = planArticle(config, { run: 0, day: null, month: null }, { ...article, revisions: 2 });
+  assert.equal(plan.proceed, true);
+  assert.deepEqual(plan.applied, ['skip-translations']);
+  assert.equal(plan.multilingual, false);
+  assert.equal(plan.estimate.cost, 5);
+});
+
+test('sans action possible, le run s\'arrête avec la limite dépassée', () => {
+  const config = budgetConfig({ runLimit: 4 });
+  const plan = planArticle(config, { run: 1, day: null, month: null }, { revisions: 1 });
+
+  assert.equal(plan.proceed, false);
+  assert.match(plan.reason, /budget du run : \$1\.00 dépensés \+ ~\$4\.00 estimés > \$4\.00/);
+});
+
+test('une limite non suivie (null) ne bloque jamais', () => {
+  const config = budgetConfig({ dailyLimit: 1, runLimit: 10 });
+  assert.deepEqual(findExceededLimits(config, { run: 0, day: null, month: null }, 5), []);
+  assert.deepEqual(findExceededLimits(config, { run: 0, day: 0.5, month: null }, 5).map(limit => limit.name), ['daily']);
+});
+
+test('checkBudget est sans effet hors d\'une garde', () => {
+  assert.doesNotThrow(() => checkBudget({ provider: 'fake', model: 'fake', stage: 'content', inputTokens: 1e9 }));
+});
+
+test('la garde refuse l\'appel qui ferait dépasser une limite, avant qu\'il parte', async () => {
+  const tracker = createUsageTracker();
+  const guard = { config: budgetConfig({ runLimit: 0.01 }), getSpent: () => ({ run: 0.009, day: null, month: null }) };
+
+  const error = await trackUsage(tracker, () => withBudgetGuard(guard, () => generateCompletion('Système', 'Rédige la section', { stage: 'revision', maxTokens: 1000 })))
+    .then(() => null, error => error);
+
+  assert.ok(isBudgetExceeded(error));
+  assert.match(error.message, /^Budget atteint avant l'étape revision: budget du run/);
+  assert.equal(tracker.calls.length, 0);
+});
+
+test('la garde laisse passer les appels dans le budget', async () => {
+  const tracker = createUsageTracker();
+  const guard = { config: budgetConfig({ runLimit: 1 }), getSpent: () => ({ run: 0, day: null, month: null }) };
+
+  await trackUsage(tracker, () => withBudgetGuard(guard, () => generateCompletion('Système', 'Rédige la section', { stage: 'content', maxTokens: 1000 })));
+
+  assert.equal(tracker.calls.length, 1);
+  assert.ok(tracker.calls[0].cost > 0);
+});
+
+test('la garde vérifie aussi les embeddings', async () => {
+  const error = await guarded(0.01, 0.009, () => generateEmbeddings(['x'.repeat(100_000)]));
+  assert.ok(isBudgetExceeded(error));
+  assert.match(error.message, /^Budget atteint avant l'étape embeddings/);
+});
+
+test('la garde vérifie les images avec les tokens attendus de l\'étape, et refuse un modèle sans prix', async () => {
+  // 500 000 tokens de sortie attendus à $2/M : $1
+  const tooExpensive = await guarded(1.5, 1, () => generateImage('Couverture', { provider: 'painter', model: 'painter-1' }));
+  assert.match(tooExpensive?.message, /^Budget atteint avant l'étape image: budget du run/);
+
+  const unpriced = await guarded(100, 0, () => generateImage('Couverture', { provider: 'painter', model: 'mystery' }));
+  assert.ok(isBudgetExceeded(unpriced));
+  assert.match(unpriced.budgetReason, /prix inconnu pour painter\/mystery/);
+  assert.equal(painted.length, 0);
+
+  assert.equal(await guarded(100, 0, () => generateImage('Couverture', { provider: 'painter', model: 'painter-1' })), null);
+  assert.equal(painted.length, 1);
+});
@@ -0,0 +1,153 @@
+/**
+ * Cache des réponses LLM (opt-in, pour le développement et les relances)
+ *
+ * Clé : hash SHA-256 du provider, du modèle, des prompts et des paramètres.
+ * Stockage (LLM_CACHE_STORE) :
+ * - disk  : un fichier JSON par réponse dans LLM_CACHE_DIR
+ * - mongo : collection llm_cache (index TTL)
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { getCacheConfig } from '../config/cache.js';
+import { getLLMCacheCollection } from './database.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Surcharges posées par la CLI (--cache / --no-cache)
+ */
+let cacheOverrides = {};
+
+/**
+ * Activer, désactiver ou reconfigurer le cache pour le processus courant
+ * @param {object} overrides - Surcharges de config/cache.js (ex: { enabled: true })
+ */
+export function configureLLMCache(overrides = {}) {
+  cacheOverrides = { ...cacheOverrides, ...overrides };
+}
+
+/**
+ * Configuration effective du cache (environnement + surcharges CLI)
+ */
+export function getActiveCacheConfig(overrides = {}) {
+  return getCacheConfig({ ...cacheOverrides, ...overrides });
+}
+
+/**
+ * Calculer la clé d'une requête
+ * @param {object} parts - { provider, baseURL, request } (request : modèle, prompts, paramètres)
+ */
+export function computeCacheKey(parts) {
+  return crypto.createHash('sha256').update(JSON.stringify(parts)).digest('hex');
+}
+
+function entryPath(config, key) {
+  return path.join(config.dir, `${key}.json`);
+}
+
+/**
+ * Lire une réponse en cache (null si absente ou expirée)
+ */
+export async function getCachedResponse(key) {
+  const config = getActiveCacheConfig();
+  let entry = null;
+
+  try {
+    if (config.store === 'mongo') {
+      const collection = await getLLMCacheCollection();
+      entry = await collection.findOne({ key });
+    } else {
+      entry = JSON.parse(await fs.readFile(entryPath(config, key), 'utf-8'));
+    }
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`Cache LLM illisible (${key.slice(0, 12)}): ${error.message}`);
+    }
+    return null;
+  }
+
+  if (!entry || new Date(entry.expiresAt) <= new Date()) {
+    return null;
+  }
+
+  return entry.response;
+}
+
+/**
+ * Enregistrer une réponse en cache
+ * @param {string} key - Clé calculée par computeCacheKey
+ * @param {object} response - Résultat normalisé du provider
+ * @param {object} meta - { provider, model, stage } (informatif)
+ */
+export async function setCachedResponse(key, response, meta = {}) {
+  const config = getActiveCacheConfig();
+  const now = new Date();
+  const entry = {
+    key,
+    ...meta,
+    response,
+    createdAt: now,
+    expiresAt: new Date(now.getTime() + config.ttlHours * 3600 * 1000)
+  };
+
+  try {
+    if (config.store === 'mongo') {
+      const collection = await getLLMCacheCollection();
+      await collection.replaceOne({ key }, entry, { upsert: true });
+    } else {
+      await fs.mkdir(config.dir, { recursive: true });
+      await fs.writeFile(entryPath(config, key), JSON.stringify(entry, null, 2), 'utf-8');
+    }
+  } catch (error) {
+    // Le cache est un confort : une écriture ratée ne bloque pas la génération
+    logger.warn(`Écriture du cache LLM impossible: ${error.message}`);
+  }
+}
+
+/**
+ * Purger le cache
+ * @param {object} options - { expiredOnly, store }
+ * @returns {number} Nombre d'entrées supprimées
+ */
+export async function purgeLLMCache(options = {}) {
+  const { expiredOnly = false, store } = options;
+  const config = getActiveCacheConfig({ store });
+  const now = new Date();
+
+  if (config.store === 'mongo') {
+    const collection = await getLLMCacheCollection();
+    const result = await collection.deleteMany(expiredOnly ? { expiresAt: { $lte: now } } : {});
+    return result.deletedCount;
+  }
+
+  let files;
+  try {
+    files = (await fs.readdir(config.dir)).filter(f => f.endsWith('.json'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return 0;
+    throw error;
+  }
+
+  let deleted = 0;
+  for (const file of files) {
+    const filePath = path.join(config.dir, file);
+    if (expiredOnly) {
+      const entry = JSON.parse(await fs.readFile(filePath, 'utf-8').catch(() => '{}'));
+      if (entry.expiresAt && new Date(entry.expiresAt) > now) continue;
+    }
+    await fs.unlink(filePath);
+    deleted++;
+  }
+
+  return deleted;
+}
+
+export default {
+  configureLLMCache,
+  getActiveCacheConfig,
+  computeCacheKey,
+  getCachedResponse,
+  setCachedResponse,
+  purgeLLMCache
+};
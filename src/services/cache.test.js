@@ -0,0 +1,65 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+process.env.LLM_PROVIDER = 'fake';
+
+const { configureLLMCache, computeCacheKey, getCachedResponse, setCachedResponse, purgeLLMCache } = await import('./cache.js');
+const { generateCompletion } = await import('./llm.js');
+const { createUsageTracker, trackUsage, summarizeUsage } = await import('./usage.js');
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gleeam-cache-'));
+  configureLLMCache({ enabled: true, store: 'disk', dir, ttlHours: 1 });
+});
+
+after(async () => {
+  configureLLMCache({ enabled: false });
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+const RESPONSE = { content: 'Réponse', finishReason: 'stop', model: 'fake', usage: { inputTokens: 10, outputTokens: 5 } };
+
+test('la clé dépend de chaque paramètre de la requête', () => {
+  const request = { model: 'gpt-5-mini', system: 'S', user: 'U', maxTokens: 100 };
+  const key = computeCacheKey({ provider: 'openai', baseURL: null, request });
+
+  assert.match(key, /^[0-9a-f]{64}$/);
+  assert.equal(computeCacheKey({ provider: 'openai', baseURL: null, request: { ...request } }), key);
+  assert.notEqual(computeCacheKey({ provider: 'openai', baseURL: null, request: { ...request, maxTokens: 200 } }), key);
+  assert.notEqual(computeCacheKey({ provider: 'openai-compatible', baseURL: null, request }), key);
+});
+
+test('une réponse stockée sur disque est relue, une clé absente donne null', async () => {
+  await setCachedResponse('a'.repeat(64), RESPONSE, { stage: 'content' });
+  assert.deepEqual(await getCachedResponse('a'.repeat(64)), RESPONSE);
+  assert.equal(await getCachedResponse('b'.repeat(64)), null);
+});
+
+test('une réponse expirée est ignorée puis purgée', async () => {
+  configureLLMCache({ ttlHours: -1 });
+  await setCachedResponse('c'.repeat(64), RESPONSE);
+  configureLLMCache({ ttlHours: 1 });
+
+  assert.equal(await getCachedResponse('c'.repeat(64)), null);
+  assert.equal(await purgeLLMCache({ expiredOnly: true }), 1);
+  assert.deepEqual(await getCachedResponse('a'.repeat(64)), RESPONSE);
+});
+
+test('un appel identique est servi par le cache sans consommer de tokens', async () => {
+  await purgeLLMCache();
+  const tracker = createUsageTracker();
+  const first = await trackUsage(tracker, () => generateCompletion('Système', 'Rédige un paragraphe', { stage: 'content' }));
+  const second = await trackUsage(tracker, () => generateCompletion('Système', 'Rédige un paragraphe', { stage: 'content' }));
+
+  assert.equal(second, first);
+  const summary = summarizeUsage(tracker);
+  assert.equal(summary.calls, 2);
+  assert.equal(summary.cacheHits, 1);
+  assert.equal(tracker.calls[1].inputTokens, 0);
+  assert.equal((await fs.readdir(dir)).length, 1);
+});
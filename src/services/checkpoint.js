@@ -0,0 +1,188 @@
+/**
+ * Service de checkpoints pour le pipeline de génération
+ *
+ * Chaque exécution de generateArticle reçoit un identifiant (runId) et
+ * sauvegarde la sortie de chaque étape dans data/runs/<runId>/.
+ * En cas d'échec, le pipeline peut reprendre à la dernière étape terminée
+ * sans repayer les appels API déjà effectués.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Étapes du pipeline, dans l'ordre d'exécution
+ */
+export const PIPELINE_STAGES = ['research', 'outline', 'content', 'processed', 'seo', 'quality', 'faq', 'links', 'citations', 'image'];
+
+/**
+ * Dossier racine des runs
+ */
+function getRunsDir() {
+  return process.env.RUNS_DIR || path.join('data', 'runs');
+}
+
+/**
+ * Vérifier si les checkpoints sont activés
+ */
+export function isCheckpointEnabled() {
+  return process.env.CHECKPOINTS !== 'false';
+}
+
+/**
+ * Format des identifiants de createRunId : 20260118-090000-1a2b3c4d
+ */
+const RUN_ID_PATTERN = /^\d{8}-\d{6}-[0-9a-f]{8}$/;
+
+/**
+ * Vérifier le format d'un identifiant de run (--resume) : il sert de nom de dossier
+ */
+export function isValidRunId(runId) {
+  return typeof runId === 'string' && RUN_ID_PATTERN.test(runId);
+}
+
+function getRunDir(runId) {
+  if (!isValidRunId(runId)) {
+    throw new Error(`Identifiant de run invalide: ${runId} (attendu : AAAAMMJJ-HHMMSS-xxxxxxxx)`);
+  }
+  return path.join(getRunsDir(), runId);
+}
+
+async function writeJSON(filePath, data) {
+  await fs.mkdir(path.dirname(filePath), { recursive: true });
+  await fs.writeFile(filePath, JSON.stringify(data, null, 2), 'utf-8');
+}
+
+async function readJSON(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Générer un identifiant de run lisible et triable (date + suffixe aléatoire)
+ */
+export function createRunId() {
+  const date = new Date().toISOString().slice(0, 19).replace(/[-:]/g, '').replace('T', '-');
+  return `${date}-${uuidv4().slice(0, 8)}`;
+}
+
+/**
+ * Créer un nouveau run et enregistrer son entrée
+ * Seules les options sérialisables sont conservées (pas de callbacks)
+ */
+export async function createRun(input, options = {}) {
+  const runId = createRunId();
+  const serializableOptions = JSON.parse(JSON.stringify(options));
+
+  const meta = {
+    runId,
+    input,
+    options: serializableOptions,
+    status: 'running',
+    completedStages: [],
+    createdAt: new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+
+  if (isCheckpointEnabled()) {
+    await writeJSON(path.join(getRunDir(runId), 'meta.json'), meta);
+    logger.debug(`Run créé: ${runId}`);
+  }
+
+  return meta;
+}
+
+/**
+ * Charger un run existant (métadonnées + sorties des étapes terminées)
+ */
+export async function loadRun(runId) {
+  const meta = await readJSON(path.join(getRunDir(runId), 'meta.json'));
+
+  if (!meta) {
+    throw new Error(`Run introuvable: ${runId} (dossier ${getRunDir(runId)})`);
+  }
+
+  const stages = {};
+  for (const stage of meta.completedStages) {
+    stages[stage] = await readJSON(path.join(getRunDir(runId), `${stage}.json`));
+  }
+
+  return { ...meta, stages };
+}
+
+/**
+ * Sauvegarder la sortie d'une étape
+ */
+export async function saveStage(runId, stage, data) {
+  if (!isCheckpointEnabled()) return;
+
+  const runDir = getRunDir(runId);
+  await writeJSON(path.join(runDir, `${stage}.json`), data);
+
+  const meta = await readJSON(path.join(runDir, 'meta.json'));
+  if (meta) {
+    if (!meta.completedStages.includes(stage)) {
+      meta.completedStages.push(stage);
+    }
+    meta.updatedAt = new Date().toISOString();
+    await writeJSON(path.join(runDir, 'meta.json'), meta);
+  }
+
+  logger.debug(`Checkpoint "${stage}" sauvegardé (${runId})`);
+}
+
+/**
+ * Mettre à jour le statut d'un run (completed, failed, batch : en attente de l'API Batch)
+ */
+export async function updateRunStatus(runId, status, details = {}) {
+  if (!isCheckpointEnabled()) return;
+
+  const metaPath = path.join(getRunDir(runId), 'meta.json');
+  const meta = await readJSON(metaPath);
+  if (!meta) return;
+
+  await writeJSON(metaPath, {
+    ...meta,
+    ...details,
+    status,
+    updatedAt: new Date().toISOString()
+  });
+}
+
+/**
+ * Lister les runs existants (du plus récent au plus ancien)
+ */
+export async function listRuns() {
+  let entries;
+  try {
+    entries = await fs.readdir(getRunsDir());
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  const runs = [];
+  for (const runId of entries.filter(isValidRunId).sort().reverse()) {
+    const meta = await readJSON(path.join(getRunDir(runId), 'meta.json'));
+    if (meta) runs.push(meta);
+  }
+  return runs;
+}
+
+export default {
+  PIPELINE_STAGES,
+  isCheckpointEnabled,
+  isValidRunId,
+  createRunId,
+  createRun,
+  loadRun,
+  saveStage,
+  updateRunStatus,
+  listRuns
+};
@@ -0,0 +1,54 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createRunId, isValidRunId, createRun, saveStage, loadRun, updateRunStatus, listRuns } from './checkpoint.js';
+
+let runsDir;
+
+before(async () => {
+  runsDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gleeam-runs-'));
+  process.env.RUNS_DIR = runsDir;
+});
+
+after(async () => {
+  delete process.env.RUNS_DIR;
+  await fs.rm(runsDir, { recursive: true, force: true });
+});
+
+test('createRunId produit un identifiant valide', () => {
+  assert.match(createRunId(), /^\d{8}-\d{6}-[0-9a-f]{8}$/);
+  assert.ok(isValidRunId(createRunId()));
+});
+
+test('isValidRunId refuse les chemins', () => {
+  assert.equal(isValidRunId('../../x'), false);
+  assert.equal(isValidRunId('20260118-090000-1a2b3c4d/../..'), false);
+  assert.equal(isValidRunId(''), false);
+  assert.equal(isValidRunId(null), false);
+});
+
+test('loadRun refuse un identifiant invalide', async () => {
+  await assert.rejects(loadRun('../../x'), /Identifiant de run invalide/);
+});
+
+test('un run se recharge avec ses étapes terminées', async () => {
+  const run = await createRun('Sujet', { category: 'webDevelopment', onChunk: () => {} });
+  await saveStage(run.runId, 'outline', { title: 'Titre' });
+  await saveStage(run.runId, 'outline', { title: 'Titre' });
+  await updateRunStatus(run.runId, 'failed', { error: 'boom' });
+
+  const loaded = await loadRun(run.runId);
+  assert.deepEqual(loaded.completedStages, ['outline']);
+  assert.deepEqual(loaded.stages.outline, { title: 'Titre' });
+  assert.equal(loaded.status, 'failed');
+  assert.deepEqual(loaded.options, { category: 'webDevelopment' });
+});
+
+test('listRuns ignore les dossiers étrangers', async () => {
+  await fs.mkdir(path.join(runsDir, 'notes'), { recursive: true });
+  const runs = await listRuns();
+  assert.ok(runs.length > 0);
+  assert.ok(runs.every(run => isValidRunId(run.runId)));
+});
@@ -90,9 +90,10 @@ export async function updatePost(id, updates) {
   const result = await collection.updateOne(
     { _id: new ObjectId(id) },
     { 
+      // updatedAt fixé par l'appelant quand le JSON-LD en dépend (dateModified)
       $set: {
-        ...updates,
-        updatedAt: new Date()
+        updatedAt: new Date(),
+        ...updates
       }
     }
   );
@@ -113,6 +114,23 @@ export async function findPostBySlug(slug) {
   return await collection.findOne({ slug });
 }
 
+/**
+ * Trouver un article par slug ou par ID MongoDB
+ */
+export async function findPostBySlugOrId(slug, id) {
+  const collection = await getPostsCollection();
+  
+  if (id) {
+    return await collection.findOne({ _id: new ObjectId(id) });
+  }
+  
+  if (slug) {
+    return await collection.findOne({ slug });
+  }
+  
+  return null;
+}
+
 /**
  * Vérifier si un slug existe déjà
  */
@@ -149,6 +167,113 @@ export async function getRecentPosts(limit = 10) {
     .toArray();
 }
 
+/**
+ * Lister les articles publiés disponibles dans une langue
+ * Les anciens articles non localisés (champs texte) sont inclus
+ */
+export async function findPublishedPosts({ locale = 'fr', excludeSlug = null, limit = 300 } = {}) {
+  const collection = await getPostsCollection();
+
+  const filter = {
+    status: 'published',
+    $or: [
+      { [`content.${locale}`]: { $exists: true, $ne: '' } },
+      { content: { $type: 'string' } }
+    ]
+  };
+  if (excludeSlug) {
+    filter.slug = { $ne: excludeSlug };
+  }
+
+  return await collection
+    .find(filter, {
+      projection: { title: 1, slug: 1, excerpt: 1, tags: 1, category: 1, 'seo.keywords': 1, publishedAt: 1 }
+    })
+    .sort({ publishedAt: -1 })
+    .limit(limit)
+    .toArray();
+}
+
+/**
+ * Lister les articles existants (titres, mots-clés, tags) toutes langues confondues
+ * Sert à détecter les sujets déjà traités, brouillons compris
+ */
+export async function findPostSummaries({ statuses = ['published', 'draft'], limit = 500 } = {}) {
+  const collection = await getPostsCollection();
+
+  return await collection
+    .find({ status: { $in: statuses } }, {
+      projection: { title: 1, slug: 1, tags: 1, category: 1, 'seo.keywords': 1, status: 1, createdAt: 1 }
+    })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .toArray();
+}
+
+/**
+ * Obtenir la collection des embeddings d'articles
+ */
+export async function getEmbeddingsCollection() {
+  const database = await connectDatabase();
+  return database.collection('post_embeddings');
+}
+
+/**
+ * Lire les embeddings stockés pour une liste de slugs
+ * @returns {Map} slug → { slug, model, text, vector }
+ */
+export async function findEmbeddings(slugs, model) {
+  const collection = await getEmbeddingsCollection();
+  const docs = await collection.find({ slug: { $in: slugs }, model }).toArray();
+  return new Map(docs.map(doc => [doc.slug, doc]));
+}
+
+/**
+ * Enregistrer (ou remplacer) l'embedding d'un article
+ */
+export async function saveEmbedding({ slug, model, text, vector }) {
+  const collection = await getEmbeddingsCollection();
+  await collection.updateOne(
+    { slug, model },
+    { $set: { slug, model, text, vector, updatedAt: new Date() } },
+    { upsert: true }
+  );
+}
+
+/**
+ * Obtenir la collection du cache des réponses LLM
+ * (index TTL : MongoDB supprime les entrées expirées)
+ */
+export async function getLLMCacheCollection() {
+  const database = await connectDatabase();
+  const collection = database.collection('llm_cache');
+  await collection.createIndex({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+  return collection;
+}
+
+/**
+ * Obtenir la collection des dépenses LLM (un document par jour UTC, budget du cron)
+ */
+export async function getLLMSpendCollection() {
+  const database = await connectDatabase();
+  const collection = database.collection('llm_spend');
+  await collection.createIndex({ day: 1 }, { unique: true });
+  return collection;
+}
+
+/**
+ * Obtenir la collection de l'historique des tendances
+ * (un document par résultat distinct et par catégorie, rattaché à une histoire : storyId)
+ */
+export async function getTrendsCollection() {
+  const database = await connectDatabase();
+  const collection = database.collection('trends');
+  await collection.createIndex({ category: 1, key: 1 }, { unique: true });
+  await collection.createIndex({ storyId: 1 });
+  await collection.createIndex({ lastSeenAt: -1 });
+  return collection;
+}
+
 /**
  * Compter le nombre total d'articles
  */
@@ -179,9 +304,18 @@ export default {
   createPost,
   updatePost,
   findPostBySlug,
+  findPostBySlugOrId,
   slugExists,
   generateUniqueSlug,
   getRecentPosts,
+  findPublishedPosts,
+  findPostSummaries,
+  getEmbeddingsCollection,
+  findEmbeddings,
+  saveEmbedding,
+  getLLMCacheCollection,
+  getLLMSpendCollection,
+  getTrendsCollection,
   countPosts,
   testConnection
 };
@@ -0,0 +1,254 @@
+/**
+ * Flux RSS/Atom comme source de tendances (gratuite, sans clé API)
+ *
+ * Les flux de chaque catégorie (champ feeds de config/topics.js) sont lus en requêtes
+ * conditionnelles : l'ETag et le Last-Modified de la dernière réponse sont conservés avec
+ * ses entrées dans FEEDS_CACHE_DIR, et un 304 ressert ces entrées. Les entrées prennent le
+ * format des résultats de recherche : { title, description, url, source, publishedAt }.
+ *
+ * Hors ligne : une URL de la liste peut être un chemin local (ou file://), et
+ * FEEDS_FIXTURES_DIR remplace chaque flux distant par un fichier local (voir getFeedFixtureName).
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fetch from 'node-fetch';
+import { withFixture, hasFixtures, isReplaying } from './fixtures.js';
+import { getFeedsConfig } from '../config/feeds.js';
+import { TOPICS, getTrendFeeds } from '../config/topics.js';
+import { shuffleArray, truncateText, decodeHTMLEntities } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+
+const USER_AGENT = 'GleeamTrends/1.0 (+https://gleeam.com)';
+
+/**
+ * Texte d'un élément : CDATA déballé, balises HTML retirées, entités décodées
+ * (le HTML des descriptions est souvent échappé : &lt;p&gt;, &amp;amp;)
+ */
+function cleanText(value) {
+  if (!value) return '';
+  const text = decodeHTMLEntities(value.replace(/<!\[CDATA\[([\s\S]*?)\]\]>/g, '$1'));
+  return decodeHTMLEntities(text.replace(/<[^>]+>/g, ' ')).replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Contenu du premier élément trouvé parmi names
+ */
+function getElement(xml, names) {
+  for (const name of names) {
+    const match = xml.match(new RegExp(`<${name}(?:\\s[^>]*)?>([\\s\\S]*?)</${name}>`, 'i'));
+    if (match) return match[1];
+  }
+  return null;
+}
+
+function getAttribute(attributes, name) {
+  return attributes.match(new RegExp(`\\b${name}\\s*=\\s*["']([^"']*)["']`, 'i'))?.[1] || null;
+}
+
+/**
+ * Lien d'une entrée Atom (<link rel="alternate" href="..."/>, rel absent = alternate)
+ */
+function getAtomLink(xml) {
+  const links = [...xml.matchAll(/<link\b([^>]*?)\/?>/gi)].map(match => match[1]);
+  const alternate = links.find(attributes => ['alternate', null].includes(getAttribute(attributes, 'rel')));
+  const href = alternate && getAttribute(alternate, 'href');
+  return href ? decodeHTMLEntities(href) : null;
+}
+
+function getHostname(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return null;
+  }
+}
+
+function toISODate(value) {
+  const date = value ? new Date(cleanText(value)) : null;
+  return date && !isNaN(date) ? date.toISOString() : null;
+}
+
+/**
+ * Analyser un flux RSS 2.0, RSS 1.0 (RDF) ou Atom
+ * @param {string} xml - Contenu du flux
+ * @returns {object} { title, entries: [{ title, description, url, publishedAt }] }
+ */
+export function parseFeed(xml) {
+  const isAtom = /<feed[\s>]/i.test(xml);
+  const blocks = xml.match(isAtom ? /<entry[\s>][\s\S]*?<\/entry>/gi : /<item[\s>][\s\S]*?<\/item>/gi) || [];
+  // Titre du flux : avant la première entrée
+  const header = xml.split(/<(?:item|entry)[\s>]/i)[0];
+
+  const entries = blocks.map(block => {
+    const guid = cleanText(getElement(block, ['guid']));
+    const url = isAtom
+      ? getAtomLink(block)
+      : cleanText(getElement(block, ['link'])) || (/^https?:\/\//.test(guid) ? guid : null);
+
+    return {
+      title: cleanText(getElement(block, ['title'])),
+      description: truncateText(cleanText(getElement(block, isAtom ? ['summary', 'content'] : ['description', 'content:encoded'])), 300),
+      url: url || null,
+      publishedAt: toISODate(getElement(block, ['pubDate', 'published', 'updated', 'dc:date']))
+    };
+  }).filter(entry => entry.title);
+
+  return { title: cleanText(getElement(header, ['title'])) || null, entries };
+}
+
+/**
+ * Nom du fichier local qui remplace un flux distant dans FEEDS_FIXTURES_DIR
+ * Ex: https://dev.to/feed/tag/webdev → dev.to_feed_tag_webdev.xml
+ */
+export function getFeedFixtureName(url) {
+  const { host, pathname, search } = new URL(url);
+  const name = `${host}${pathname}${search}`.replace(/[^a-z0-9.-]+/gi, '_').replace(/_+$/, '');
+  return name.endsWith('.xml') ? name : `${name}.xml`;
+}
+
+function isLocalFeed(url) {
+  return !/^https?:\/\//i.test(url);
+}
+
+async function readJSON(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Télécharger un flux en requête conditionnelle
+ * @returns {Promise<object>} { notModified } ou { xml, etag, lastModified }
+ */
+async function fetchFeedXML(url, config, cached) {
+  const headers = {
+    'User-Agent': USER_AGENT,
+    'Accept': 'application/rss+xml, application/atom+xml, application/xml;q=0.9, text/xml;q=0.8'
+  };
+  if (cached?.etag) headers['If-None-Match'] = cached.etag;
+  if (cached?.lastModified) headers['If-Modified-Since'] = cached.lastModified;
+
+  const response = await fetch(url, { headers, signal: AbortSignal.timeout(config.timeoutMs) });
+  if (response.status === 304) {
+    return { notModified: true };
+  }
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+
+  return {
+    xml: await response.text(),
+    etag: response.headers.get('etag'),
+    lastModified: response.headers.get('last-modified')
+  };
+}
+
+/**
+ * Lire un flux : fichier local, fixture de FEEDS_FIXTURES_DIR ou réseau (conditionnel)
+ * @param {string} url - URL du flux, chemin local ou file://
+ * @param {object} options - Surcharges de config/feeds.js
+ * @returns {Promise<object>} { title, entries }
+ */
+export async function readFeed(url, options = {}) {
+  const config = getFeedsConfig(options);
+
+  if (isLocalFeed(url)) {
+    const file = url.startsWith('file:') ? fileURLToPath(url) : url;
+    return parseFeed(await fs.readFile(file, 'utf-8'));
+  }
+
+  if (config.fixturesDir) {
+    const file = path.join(config.fixturesDir, getFeedFixtureName(url));
+    try {
+      return parseFeed(await fs.readFile(file, 'utf-8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      logger.debug(`Flux local absent: ${file}`);
+      return { title: null, entries: [] };
+    }
+  }
+
+  return withFixture('search', 'feeds', { url }, async () => {
+    const cachePath = path.join(config.cacheDir, `${crypto.createHash('sha256').update(url).digest('hex')}.json`);
+    const cached = await readJSON(cachePath);
+    const response = await fetchFeedXML(url, config, cached);
+
+    if (response.notModified) {
+      logger.debug(`Flux inchangé (304): ${url}`);
+      return cached.feed;
+    }
+
+    const feed = parseFeed(response.xml);
+    if (response.etag || response.lastModified) {
+      await fs.mkdir(config.cacheDir, { recursive: true });
+      await fs.writeFile(cachePath, JSON.stringify({
+        url,
+        etag: response.etag,
+        lastModified: response.lastModified,
+        fetchedAt: new Date().toISOString(),
+        feed
+      }, null, 2), 'utf-8');
+    }
+    return feed;
+  });
+}
+
+/**
+ * Tendances issues des flux d'une catégorie (sans catégorie : flux tirés au hasard)
+ * @param {string} category - Identifiant de catégorie (config/topics.js)
+ * @param {object} options - { feeds: surcharges de config/feeds.js }
+ * @returns {Promise<Array>} [{ title, description, url, source, publishedAt }], les plus récentes d'abord
+ */
+export async function fetchFeedTrends(category = null, options = {}) {
+  const config = getFeedsConfig(options.feeds);
+  if (!config.enabled) return [];
+
+  // Rejeu sans flux enregistrés ni fichiers locaux : seuls les chemins locaux restent lisibles
+  const offline = isReplaying() || Boolean(config.fixturesDir);
+  const remoteAvailable = !isReplaying() || Boolean(config.fixturesDir) || hasFixtures('search', 'feeds');
+
+  const urls = (category && TOPICS[category]
+    ? TOPICS[category].feeds || []
+    : shuffleArray(getTrendFeeds()).slice(0, config.randomCount)
+  ).filter(url => isLocalFeed(url) || remoteAvailable);
+
+  // Les flux hors ligne gardent toutes leurs entrées : un enregistrement ne périme pas
+  const minTime = config.maxAgeDays > 0 ? Date.now() - config.maxAgeDays * 24 * 60 * 60 * 1000 : null;
+
+  const results = await Promise.all(urls.map(async url => {
+    try {
+      const feed = await readFeed(url, config);
+      const fresh = offline || isLocalFeed(url) || !minTime
+        ? feed.entries
+        : feed.entries.filter(entry => !entry.publishedAt || new Date(entry.publishedAt).getTime() >= minTime);
+
+      return fresh.slice(0, config.limit).map(entry => ({
+        title: entry.title,
+        description: entry.description,
+        url: entry.url,
+        source: getHostname(entry.url) || feed.title,
+        publishedAt: entry.publishedAt
+      }));
+    } catch (error) {
+      logger.warn(`Flux ${url} ignoré: ${error.message}`);
+      return [];
+    }
+  }));
+
+  const trends = results.flat().sort((a, b) => (b.publishedAt || '').localeCompare(a.publishedAt || ''));
+  logger.debug(`Flux RSS/Atom: ${trends.length} entrée(s) sur ${urls.length} flux`);
+  return trends;
+}
+
+export default {
+  parseFeed,
+  getFeedFixtureName,
+  readFeed,
+  fetchFeedTrends
+};
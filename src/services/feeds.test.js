@@ -0,0 +1,109 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { parseFeed, getFeedFixtureName, readFeed, fetchFeedTrends } from './feeds.js';
+
+const fixturesDir = fileURLToPath(new URL('../../fixtures/feeds', import.meta.url));
+let cacheDir;
+
+before(async () => {
+  cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gleeam-feeds-'));
+});
+
+after(async () => {
+  await fs.rm(cacheDir, { recursive: true, force: true });
+});
+
+function readFixture(name) {
+  return fs.readFile(path.join(fixturesDir, name), 'utf-8');
+}
+
+test('parseFeed lit un flux RSS 2.0 : HTML échappé et CDATA nettoyés', async () => {
+  const feed = parseFeed(await readFixture('dev.to_feed_tag_webdev.xml'));
+
+  assert.equal(feed.title, 'DEV Community: webdev');
+  assert.equal(feed.entries.length, 3);
+  assert.deepEqual(feed.entries[0], {
+    title: 'View Transitions API: smooth page changes without a framework',
+    description: 'Cross-document view transitions now ship in every major browser. Here is how to animate navigation between pages & keep it accessible.',
+    url: 'https://dev.to/sample/view-transitions-api-smooth-page-changes-3k2a',
+    publishedAt: '2026-10-16T08:12:00.000Z'
+  });
+  assert.match(feed.entries[1].description, /^We migrated a 40-package monorepo/);
+});
+
+test('parseFeed lit un flux Atom : lien alternate, date updated à défaut de published', async () => {
+  const feed = parseFeed(await readFixture('martinfowler.com_feed.atom.xml'));
+
+  assert.equal(feed.title, 'Martin Fowler');
+  assert.equal(feed.entries[0].url, 'https://martinfowler.com/articles/modular-monolith-boundaries.html');
+  assert.equal(feed.entries[0].publishedAt, '2026-10-15T14:00:00.000Z');
+  assert.equal(feed.entries[1].title, 'Event sourcing & the cost of replaying history');
+  assert.equal(feed.entries[1].publishedAt, '2026-10-02T13:30:00.000Z');
+});
+
+test('parseFeed prend le guid comme lien à défaut de <link> et ignore les entrées sans titre', () => {
+  const feed = parseFeed(`<rss><channel><title>Blog</title>
+    <item><title>Avec guid</title><guid>https://example.com/a</guid></item>
+    <item><guid>https://example.com/b</guid></item>
+  </channel></rss>`);
+
+  assert.deepEqual(feed.entries.map(entry => entry.url), ['https://example.com/a']);
+});
+
+test('getFeedFixtureName transforme une URL en nom de fichier', () => {
+  assert.equal(getFeedFixtureName('https://dev.to/feed/tag/webdev'), 'dev.to_feed_tag_webdev.xml');
+  assert.equal(getFeedFixtureName('https://react.dev/rss.xml'), 'react.dev_rss.xml');
+  assert.equal(getFeedFixtureName('https://hnrss.org/newest?q=LLM&points=100'), 'hnrss.org_newest_q_LLM_points_100.xml');
+});
+
+test('FEEDS_FIXTURES_DIR remplace le réseau, un flux absent est vide', async () => {
+  const feed = await readFeed('https://react.dev/rss.xml', { fixturesDir });
+  assert.equal(feed.entries[0].title, 'React Compiler: stable release and migration notes');
+
+  assert.deepEqual(await readFeed('https://nodejs.org/en/feed/blog.xml', { fixturesDir }), { title: null, entries: [] });
+});
+
+test('fetchFeedTrends fusionne les flux de la catégorie, les plus récents d\'abord', async () => {
+  const trends = await fetchFeedTrends('webDevelopment', { feeds: { fixturesDir, enabled: true } });
+
+  assert.equal(trends.length, 4);
+  assert.equal(trends[0].title, 'View Transitions API: smooth page changes without a framework');
+  assert.equal(trends[0].source, 'dev.to');
+  assert.ok(trends.some(trend => trend.source === 'react.dev'));
+  assert.deepEqual(trends.map(trend => trend.publishedAt), [...trends.map(trend => trend.publishedAt)].sort().reverse());
+});
+
+test('une requête conditionnelle ressert les entrées en cache sur un 304', async () => {
+  const xml = await readFixture('react.dev_rss.xml');
+  const requests = [];
+  const server = http.createServer((request, response) => {
+    requests.push(request.headers);
+    if (request.headers['if-none-match'] === '"v1"') {
+      response.writeHead(304);
+      response.end();
+      return;
+    }
+    response.writeHead(200, { 'Content-Type': 'application/rss+xml', ETag: '"v1"' });
+    response.end(xml);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const url = `http://127.0.0.1:${server.address().port}/rss.xml`;
+
+  try {
+    const first = await readFeed(url, { cacheDir });
+    const second = await readFeed(url, { cacheDir });
+
+    assert.equal(requests.length, 2);
+    assert.equal(requests[0]['if-none-match'], undefined);
+    assert.equal(requests[1]['if-none-match'], '"v1"');
+    assert.deepEqual(second, first);
+    assert.equal(second.entries.length, 1);
+  } finally {
+    server.close();
+  }
+});
@@ -0,0 +1,153 @@
+/**
+ * Enregistrement et rejeu des appels externes (LLM, recherche web)
+ *
+ * - record : chaque requête et sa réponse sont écrites dans <dir>/<type>/<étape>/NNN.json
+ * - replay : les réponses sont relues dans l'ordre de chaque étape, sans aucun appel réseau ;
+ *   une requête identique à celle enregistrée est servie en priorité (appels parallèles
+ *   dont l'ordre varie d'un run à l'autre, ex : traductions)
+ *
+ * Les fixtures ne contiennent aucune clé API : seulement les paramètres et les réponses.
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { getFixturesConfig } from '../config/fixtures.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Surcharges posées par la CLI (--record / --replay)
+ */
+let fixturesOverrides = {};
+
+/**
+ * État du mode courant : compteurs d'enregistrement et fixtures restant à rejouer, par étape
+ */
+let state = null;
+
+/**
+ * Choisir le mode et le dossier pour le processus courant
+ * @param {object} overrides - { mode: 'record' | 'replay' | 'off', dir }
+ */
+export function configureFixtures(overrides = {}) {
+  fixturesOverrides = { ...fixturesOverrides, ...overrides };
+  state = null;
+}
+
+function getState() {
+  if (!state) {
+    const config = getFixturesConfig(fixturesOverrides);
+    // Ne jamais mélanger deux enregistrements : les numéros d'ordre seraient faux
+    if (config.mode === 'record' && ['llm', 'search'].some(kind => fs.existsSync(path.join(config.dir, kind)))) {
+      throw new Error(`Le dossier ${config.dir} contient déjà un enregistrement : choisissez un autre dossier ou videz-le`);
+    }
+    state = { config, counters: new Map(), pools: new Map() };
+  }
+  return state;
+}
+
+/**
+ * Configuration effective ({ mode, dir })
+ */
+export function getActiveFixturesConfig() {
+  return getState().config;
+}
+
+/**
+ * Rejeu en cours (aucun appel réseau ne doit partir)
+ */
+export function isReplaying() {
+  return getState().config.mode === 'replay';
+}
+
+/**
+ * L'enregistrement rejoué contient-il des appels pour cette étape ?
+ * (ex : provider de recherche dont la clé API n'est pas définie pendant le rejeu)
+ */
+export function hasFixtures(kind, stage) {
+  const { config } = getState();
+  return config.mode === 'replay' && fs.existsSync(path.join(config.dir, kind, stage));
+}
+
+function hashRequest(request) {
+  return crypto.createHash('sha256').update(JSON.stringify(request)).digest('hex');
+}
+
+/**
+ * Charger les fixtures d'une étape, dans l'ordre d'enregistrement
+ */
+async function loadPool(dir, kind, stage) {
+  const stageDir = path.join(dir, kind, stage);
+  let files;
+  try {
+    files = (await fs.promises.readdir(stageDir)).filter(f => f.endsWith('.json')).sort();
+  } catch (error) {
+    if (error.code === 'ENOENT') return [];
+    throw error;
+  }
+
+  return Promise.all(files.map(async file => JSON.parse(await fs.promises.readFile(path.join(stageDir, file), 'utf-8'))));
+}
+
+/**
+ * Exécuter un appel externe selon le mode : direct, enregistré ou rejoué
+ * @param {string} kind - Type d'appel (llm, search)
+ * @param {string} stage - Étape (outline, content, seo... ; brave, serper, news pour la recherche)
+ * @param {object} request - Paramètres de l'appel (sans secret), enregistrés avec la réponse
+ * @param {Function} fn - Appel réel (jamais exécuté en rejeu)
+ */
+export async function withFixture(kind, stage, request, fn) {
+  const { config, counters, pools } = getState();
+  if (config.mode === 'off') return fn();
+
+  const stageName = stage || 'other';
+  const key = `${kind}/${stageName}`;
+  const hash = hashRequest(request);
+
+  if (config.mode === 'record') {
+    // Numéro attribué au lancement : l'ordre suit celui des appels, pas celui des réponses
+    const index = (counters.get(key) || 0) + 1;
+    counters.set(key, index);
+
+    const response = await fn();
+    const file = path.join(config.dir, kind, stageName, `${String(index).padStart(3, '0')}.json`);
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await fs.promises.writeFile(file, JSON.stringify({
+      kind,
+      stage: stageName,
+      index,
+      hash,
+      request,
+      response,
+      recordedAt: new Date().toISOString()
+    }, null, 2), 'utf-8');
+    logger.debug(`Fixture enregistrée: ${key} #${index}`);
+    return response;
+  }
+
+  if (!pools.has(key)) {
+    pools.set(key, loadPool(config.dir, kind, stageName));
+  }
+  const pool = await pools.get(key);
+  const position = pool.findIndex(fixture => fixture.hash === hash);
+  const fixture = position !== -1 ? pool.splice(position, 1)[0] : pool.shift();
+
+  if (!fixture) {
+    throw new Error(`Aucune fixture pour ${key} dans ${config.dir} : l'enregistrement ne contient pas cet appel`);
+  }
+  if (fixture.hash !== hash) {
+    logger.debug(`Fixture ${key} #${fixture.index} rejouée pour une requête différente de l'enregistrement`);
+  } else {
+    logger.debug(`Fixture rejouée: ${key} #${fixture.index}`);
+  }
+
+  return fixture.response;
+}
+
+export default {
+  configureFixtures,
+  getActiveFixturesConfig,
+  isReplaying,
+  hasFixtures,
+  withFixture
+};
@@ -0,0 +1,82 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Le rejeu n'a besoin d'aucune clé : un provider réel ne doit jamais être appelé
+process.env.LLM_PROVIDER = 'openai';
+delete process.env.OPENAI_API_KEY;
+process.env.CHECKPOINTS = 'false';
+
+const { configureFixtures, withFixture, isReplaying } = await import('./fixtures.js');
+const { generateArticle } = await import('../generators/article.js');
+const { getFixturesConfig } = await import('../config/fixtures.js');
+
+/**
+ * Enregistrement d'exemple suivi par git (provider fake, voir README)
+ */
+const RECORDING = fileURLToPath(new URL('../../fixtures', import.meta.url));
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gleeam-fixtures-'));
+});
+
+after(async () => {
+  configureFixtures({ mode: 'off' });
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+test('un appel enregistré est rejoué sans exécuter la requête', async () => {
+  const recording = path.join(dir, 'unit');
+  configureFixtures({ mode: 'record', dir: recording });
+  await withFixture('llm', 'seo', { prompt: 'a' }, async () => ({ content: 'A' }));
+  await withFixture('llm', 'seo', { prompt: 'b' }, async () => ({ content: 'B' }));
+
+  const files = await fs.readdir(path.join(recording, 'llm', 'seo'));
+  assert.deepEqual(files, ['001.json', '002.json']);
+
+  configureFixtures({ mode: 'replay', dir: recording });
+  assert.equal(isReplaying(), true);
+  const never = async () => { throw new Error('appel réseau en rejeu'); };
+  // Une requête identique est servie en priorité, quel que soit l'ordre
+  assert.deepEqual(await withFixture('llm', 'seo', { prompt: 'b' }, never), { content: 'B' });
+  assert.deepEqual(await withFixture('llm', 'seo', { prompt: 'autre' }, never), { content: 'A' });
+  await assert.rejects(withFixture('llm', 'seo', { prompt: 'c' }, never), /Aucune fixture pour llm\/seo/);
+});
+
+test('l\'enregistrement refuse un dossier qui en contient déjà un', async () => {
+  configureFixtures({ mode: 'record', dir: RECORDING });
+  await assert.rejects(withFixture('llm', 'seo', {}, async () => ({})), /contient déjà un enregistrement/);
+});
+
+test('par défaut, le rejeu lit l\'exemple suivi par git et l\'enregistrement écrit ailleurs', () => {
+  const { FIXTURES_DIR } = process.env;
+  delete process.env.FIXTURES_DIR;
+  try {
+    assert.equal(getFixturesConfig({ mode: 'replay' }).dir, 'fixtures');
+    assert.equal(getFixturesConfig({ mode: 'record' }).dir, 'data/fixtures');
+    assert.equal(getFixturesConfig({ mode: 'record', dir: 'tmp/run' }).dir, 'tmp/run');
+  } finally {
+    if (FIXTURES_DIR !== undefined) process.env.FIXTURES_DIR = FIXTURES_DIR;
+  }
+});
+
+test('l\'enregistrement d\'exemple se rejoue à travers generateArticle', async () => {
+  configureFixtures({ mode: 'replay', dir: RECORDING });
+  const recorded = JSON.parse(await fs.readFile(path.join(RECORDING, 'llm', 'outline', '001.json'), 'utf-8'));
+  const outline = JSON.parse(recorded.response.content);
+
+  const article = await generateArticle('Ce que Jamstack change vraiment pour les développeurs', {
+    category: 'webDevelopment',
+    images: { provider: 'none' }
+  });
+
+  assert.equal(article.title, outline.title);
+  assert.deepEqual(article._generation.outline.sections, outline.sections.map(section => section.h2));
+  assert.deepEqual(Object.keys(article._generation.usage.byStage).sort(), ['content', 'outline', 'seo']);
+  assert.ok(article.seo.metaTitle);
+});
@@ -0,0 +1,239 @@
+/**
+ * Historique des tendances et momentum (collection MongoDB trends)
+ *
+ * Chaque recherche de tendances y enregistre ses résultats : un document par résultat distinct
+ * (URL, sinon source + titre) et par catégorie, avec la requête et le provider qui l'ont trouvé,
+ * sa première et sa dernière apparition et le nombre de recherches qui l'ont renvoyé.
+ * Un résultat rejoint l'histoire (storyId) d'un résultat déjà vu au titre proche
+ * (TREND_STORY_SIMILARITY, comme services/ranking.js) : les histoires se suivent d'une recherche à l'autre.
+ *
+ * Momentum d'une histoire : ses mentions (résultats distincts, datés par leur publication ou,
+ * à défaut, leur première apparition) sur la fenêtre récente, comparées à la fenêtre précédente.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { getTrendsCollection, findPostSummaries } from './database.js';
+import { isReplaying } from './fixtures.js';
+import { parsePublishedAt, titleSimilarity } from './ranking.js';
+import { checkTopicDuplicate, normalizeTitle } from '../generators/duplicates.js';
+import { getTrendHistoryConfig } from '../config/history.js';
+import { getTrendRankingConfig } from '../config/ranking.js';
+import { logger } from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Clé d'un résultat : son URL, sinon sa source et son titre
+ */
+function getReportKey(topic) {
+  return topic.url || `${topic.source || ''}:${topic.title}`.toLowerCase();
+}
+
+/**
+ * Enregistrer les résultats d'une recherche de tendances et les rattacher à leurs histoires
+ * Sans base (ou en rejeu de fixtures), les résultats sont rendus tels quels
+ * @param {Array} topics - Résultats bruts { title, description, url, source, publishedAt, provider, query }
+ * @param {object} options - { category, now, ...surcharges de config/history.js }
+ * @returns {Promise<Array>} Les résultats, avec leur storyId
+ */
+export async function recordTrendHistory(topics, options = {}) {
+  const { category = null, now = Date.now(), ...overrides } = options;
+  const config = getTrendHistoryConfig(overrides);
+  if (!config.enabled || isReplaying() || topics.length === 0) return topics;
+
+  try {
+    const collection = await getTrendsCollection();
+    const seenAt = new Date(now);
+    const threshold = getTrendRankingConfig().storySimilarity;
+
+    // Un résultat déjà enregistré garde son histoire ; les autres sont comparés aux titres récents
+    const reports = new Map(topics.filter(topic => topic.title).map(topic => [getReportKey(topic), topic]));
+    const existing = new Map((await collection
+      .find({ category, key: { $in: [...reports.keys()] } }, { projection: { key: 1, storyId: 1 } })
+      .toArray()).map(doc => [doc.key, doc.storyId]));
+    const known = await collection
+      .find({ lastSeenAt: { $gte: new Date(now - config.days * DAY_MS) } }, { projection: { storyId: 1, tokens: 1 } })
+      .toArray();
+
+    const storyIds = new Map();
+    const operations = [];
+    for (const [key, topic] of reports) {
+      const tokens = normalizeTitle(topic.title);
+      const storyId = existing.get(key)
+        || known.find(report => titleSimilarity(report.tokens, tokens) >= threshold)?.storyId
+        || uuidv4();
+      known.push({ storyId, tokens });
+      storyIds.set(key, storyId);
+
+      operations.push({
+        updateOne: {
+          filter: { category, key },
+          update: {
+            $setOnInsert: {
+              storyId,
+              title: topic.title,
+              description: topic.description || null,
+              url: topic.url || null,
+              source: topic.source || null,
+              publishedAt: parsePublishedAt(topic.publishedAt, now),
+              query: topic.query || null,
+              provider: topic.provider || null,
+              tokens,
+              firstSeenAt: seenAt
+            },
+            $set: { lastSeenAt: seenAt },
+            $inc: { seenCount: 1 }
+          },
+          upsert: true
+        }
+      });
+    }
+
+    const result = await collection.bulkWrite(operations, { ordered: false });
+    logger.debug(`Historique des tendances: ${result.upsertedCount} nouveau(x) résultat(s), ${new Set(storyIds.values()).size} histoire(s)`);
+
+    return topics.map(topic => {
+      const storyId = storyIds.get(getReportKey(topic));
+      return storyId ? { ...topic, storyId } : topic;
+    });
+  } catch (error) {
+    logger.debug(`Historique des tendances non enregistré: ${error.message}`);
+    return topics;
+  }
+}
+
+/**
+ * Date d'une mention : sa publication si elle est connue, sinon sa première apparition
+ */
+function getMentionTime(doc, now) {
+  const published = doc.publishedAt ? new Date(doc.publishedAt).getTime() : NaN;
+  return Number.isFinite(published) && published <= now ? published : new Date(doc.firstSeenAt).getTime();
+}
+
+/**
+ * Momentum d'une histoire : mentions distinctes de la fenêtre récente et de la précédente
+ * @param {Array} mentions - Mentions distinctes, datées (mentionTime en ms)
+ * @param {object} config - Configuration de l'historique (windowDays, minMentions)
+ * @returns {object} { recent, previous, mentionsPerDay, momentum, status (rising, steady, fading) }
+ */
+export function measureMomentum(mentions, config, now = Date.now()) {
+  const windowMs = config.windowDays * DAY_MS;
+  const recent = mentions.filter(mention => mention.mentionTime > now - windowMs).length;
+  const previous = mentions.filter(mention => mention.mentionTime <= now - windowMs && mention.mentionTime > now - 2 * windowMs).length;
+
+  return {
+    recent,
+    previous,
+    mentionsPerDay: Math.round((recent / config.windowDays) * 100) / 100,
+    momentum: Math.round(((recent - previous) / config.windowDays) * 100) / 100,
+    status: recent >= config.minMentions && recent > previous ? 'rising' : recent < previous ? 'fading' : 'steady'
+  };
+}
+
+/**
+ * Momentum des histoires suivies
+ * @param {object} options - { category, storyIds, now, ...surcharges de config/history.js }
+ * @returns {Promise<Array>} [{ storyId, title, url, mentions, recent, previous, mentionsPerDay, momentum,
+ *   status (rising, steady, fading), firstSeenAt, lastSeenAt, providers, domains, covered, closestPost }],
+ *   les histoires en hausse d'abord
+ */
+export async function getTrendMomentum(options = {}) {
+  const { category = null, storyIds = null, now = Date.now(), ...overrides } = options;
+  const config = getTrendHistoryConfig(overrides);
+
+  const filter = { lastSeenAt: { $gte: new Date(now - config.days * DAY_MS) } };
+  if (category) filter.category = category;
+  if (storyIds) filter.storyId = { $in: storyIds };
+
+  const collection = await getTrendsCollection();
+  const docs = await collection.find(filter, { projection: { tokens: 0 } }).toArray();
+
+  const stories = new Map();
+  for (const doc of docs) {
+    if (!stories.has(doc.storyId)) stories.set(doc.storyId, []);
+    stories.get(doc.storyId).push({ ...doc, mentionTime: getMentionTime(doc, now) });
+  }
+
+  // Déjà traitée : proche d'un article publié ou en brouillon
+  let posts = null;
+  try {
+    posts = await findPostSummaries();
+  } catch (error) {
+    logger.debug(`Articles existants indisponibles: ${error.message}`);
+  }
+
+  const results = [];
+  for (const [storyId, mentions] of stories) {
+    // Une même URL peut avoir été vue dans plusieurs catégories : une seule mention
+    const distinct = [...new Map(mentions.map(mention => [mention.url || mention.key, mention])).values()];
+    const latest = distinct.reduce((a, b) => (b.mentionTime > a.mentionTime ? b : a));
+    const duplicate = posts ? await checkTopicDuplicate({ title: latest.title }, { posts, useEmbeddings: false }) : null;
+
+    results.push({
+      storyId,
+      title: latest.title,
+      url: latest.url,
+      mentions: distinct.length,
+      ...measureMomentum(distinct, config, now),
+      firstSeenAt: new Date(Math.min(...mentions.map(mention => new Date(mention.firstSeenAt).getTime()))),
+      lastSeenAt: new Date(Math.max(...mentions.map(mention => new Date(mention.lastSeenAt).getTime()))),
+      providers: [...new Set(mentions.map(mention => mention.provider).filter(Boolean))],
+      domains: new Set(distinct.map(mention => mention.source).filter(Boolean)).size,
+      covered: duplicate ? duplicate.duplicate : null,
+      closestPost: duplicate?.match?.score > 0 ? duplicate.match.title : null
+    });
+  }
+
+  return results.sort((a, b) =>
+    ((b.status === 'rising') - (a.status === 'rising')) ||
+    (b.momentum - a.momentum) ||
+    (b.mentionsPerDay - a.mentionsPerDay)
+  );
+}
+
+/**
+ * Choisir, dans l'ordre du classement, une tendance dont l'histoire est en hausse et pas encore traitée
+ * @param {Array} trends - Tendances classées (getTrendingTopics), avec leur storyId
+ * @returns {Promise<object|null>} La tendance, avec son momentum, ou null
+ */
+export async function pickRisingTrend(trends, options = {}) {
+  const storyIds = trends.map(trend => trend.storyId).filter(Boolean);
+  if (storyIds.length === 0) return null;
+
+  try {
+    const momentum = new Map((await getTrendMomentum({ ...options, storyIds })).map(story => [story.storyId, story]));
+    const trend = trends.find(candidate => {
+      const story = momentum.get(candidate.storyId);
+      return story?.status === 'rising' && story.covered === false;
+    });
+    return trend ? { ...trend, momentum: momentum.get(trend.storyId) } : null;
+  } catch (error) {
+    logger.debug(`Momentum des tendances indisponible: ${error.message}`);
+    return null;
+  }
+}
+
+const STATUS_LABELS = { rising: 'en hausse', steady: 'stable', fading: 'en baisse' };
+
+/**
+ * Détail lisible d'un momentum :
+ * "en hausse · 2.33 mention(s)/jour (+1.67) · 9 mention(s), 4 domaine(s) · vue du 12/01 au 14/01"
+ */
+export function formatMomentum(story) {
+  const day = date => new Date(date).toLocaleDateString('fr-FR', { day: '2-digit', month: '2-digit' });
+  const momentum = story.momentum > 0 ? `+${story.momentum}` : `${story.momentum}`;
+  return [
+    STATUS_LABELS[story.status] || story.status,
+    `${story.mentionsPerDay} mention(s)/jour (${momentum})`,
+    `${story.mentions} mention(s), ${story.domains} domaine(s)`,
+    `vue du ${day(story.firstSeenAt)} au ${day(story.lastSeenAt)}`
+  ].join(' · ');
+}
+
+export default {
+  recordTrendHistory,
+  measureMomentum,
+  getTrendMomentum,
+  pickRisingTrend,
+  formatMomentum
+};
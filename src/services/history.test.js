@@ -0,0 +1,69 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Sans base : l'historique doit s'effacer sans bloquer la recherche de tendances
+delete process.env.MONGODB_URI;
+
+const { measureMomentum, recordTrendHistory, pickRisingTrend, formatMomentum } = await import('./history.js');
+const { getTrendHistoryConfig } = await import('../config/history.js');
+
+const NOW = Date.parse('2026-10-18T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CONFIG = { windowDays: 3, minMentions: 2 };
+
+function mentionsAt(...days) {
+  return days.map(day => ({ mentionTime: NOW - day * DAY_MS }));
+}
+
+test('une histoire plus citée que sur la fenêtre précédente est en hausse', () => {
+  assert.deepEqual(measureMomentum(mentionsAt(0.5, 1, 2, 4), CONFIG, NOW), {
+    recent: 3,
+    previous: 1,
+    mentionsPerDay: 1,
+    momentum: 0.67,
+    status: 'rising'
+  });
+});
+
+test('moins de mentions que la fenêtre précédente : en baisse', () => {
+  const momentum = measureMomentum(mentionsAt(1, 4, 5), CONFIG, NOW);
+  assert.equal(momentum.status, 'fading');
+  assert.equal(momentum.momentum, -0.33);
+});
+
+test('sous le minimum de mentions récentes, une hausse reste stable', () => {
+  assert.equal(measureMomentum(mentionsAt(1), CONFIG, NOW).status, 'steady');
+  // Les mentions plus anciennes que deux fenêtres ne comptent pas
+  assert.deepEqual(measureMomentum(mentionsAt(1, 2, 10), CONFIG, NOW).previous, 0);
+});
+
+test('formatMomentum résume le statut, le rythme et la période', () => {
+  assert.equal(formatMomentum({
+    status: 'rising',
+    mentionsPerDay: 2.33,
+    momentum: 1.67,
+    mentions: 9,
+    domains: 4,
+    firstSeenAt: new Date('2026-01-12T10:00:00Z'),
+    lastSeenAt: new Date('2026-01-14T10:00:00Z')
+  }), 'en hausse · 2.33 mention(s)/jour (+1.67) · 9 mention(s), 4 domaine(s) · vue du 12/01 au 14/01');
+
+  assert.match(formatMomentum({ status: 'fading', mentionsPerDay: 0, momentum: -1, mentions: 3, domains: 1, firstSeenAt: NOW, lastSeenAt: NOW }), /^en baisse · 0 mention\(s\)\/jour \(-1\)/);
+});
+
+test('sans base, les résultats sont rendus tels quels', async () => {
+  const topics = [{ title: 'React Compiler stable release', url: 'https://react.dev/blog/compiler' }];
+  assert.equal(await recordTrendHistory(topics, { category: 'webDevelopment', now: NOW }), topics);
+  assert.equal(await recordTrendHistory(topics, { enabled: false }), topics);
+  assert.deepEqual(await recordTrendHistory([]), []);
+});
+
+test('pickRisingTrend ne choisit rien sans histoire suivie ni base', async () => {
+  assert.equal(await pickRisingTrend([{ title: 'Sans histoire' }]), null);
+  assert.equal(await pickRisingTrend([{ title: 'Avec histoire', storyId: 'story-1' }]), null);
+});
+
+test('la configuration refuse une période ou une fenêtre nulle', () => {
+  assert.throws(() => getTrendHistoryConfig({ windowDays: 0 }), /Historique des tendances invalide/);
+  assert.throws(() => getTrendHistoryConfig({ days: -1 }), /TREND_HISTORY_DAYS=-1/);
+});
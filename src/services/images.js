@@ -0,0 +1,221 @@
+/**
+ * Service d'images de couverture
+ *
+ * Providers (IMAGE_PROVIDER) :
+ * - placeholder : carte SVG aux couleurs de la catégorie, générée hors ligne
+ * - openai      : génération via l'API Images d'OpenAI
+ *
+ * Stockage (IMAGE_STORAGE) :
+ * - payload : upload dans la collection media de Payload (API REST)
+ * - disk    : écriture dans IMAGES_DIR
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import fetch, { FormData, Blob } from 'node-fetch';
+import { generateImage } from './llm.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Échapper un texte pour l'insérer dans du XML
+ */
+function escapeXML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Découper un titre en lignes de longueur maximale (4 lignes max, avec ellipse)
+ */
+function wrapTitle(title, maxChars = 28, maxLines = 4) {
+  const lines = [];
+  let current = '';
+
+  for (const word of title.split(/\s+/)) {
+    if (current && (current + ' ' + word).length > maxChars) {
+      lines.push(current);
+      current = word;
+    } else {
+      current = current ? `${current} ${word}` : word;
+    }
+  }
+  if (current) lines.push(current);
+
+  if (lines.length > maxLines) {
+    const kept = lines.slice(0, maxLines);
+    kept[maxLines - 1] = `${kept[maxLines - 1].replace(/[\s,;:.!?-]+$/, '')}…`;
+    return kept;
+  }
+  return lines;
+}
+
+/**
+ * Provider hors ligne : carte SVG avec titre, emoji et couleurs de la catégorie
+ */
+async function renderPlaceholderCard(request, config) {
+  const { width, height } = config;
+  const [from, to] = request.category?.colors || ['#111827', '#4f46e5'];
+  const lines = wrapTitle(request.title);
+  const fontSize = lines.length > 3 ? 52 : 60;
+  const lineHeight = Math.round(fontSize * 1.2);
+  const startY = Math.round(height / 2 - ((lines.length - 1) * lineHeight) / 2 + fontSize / 3);
+  const siteName = process.env.SITE_NAME || 'Gleeam';
+
+  const svg = `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" role="img" aria-label="${escapeXML(request.alt)}">
+  <defs>
+    <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0%" stop-color="${from}"/>
+      <stop offset="100%" stop-color="${to}"/>
+    </linearGradient>
+  </defs>
+  <rect width="100%" height="100%" fill="url(#bg)"/>
+  <rect x="40" y="40" width="${width - 80}" height="${height - 80}" rx="32" fill="#000000" fill-opacity="0.18"/>
+  <text x="80" y="130" font-family="Inter, Segoe UI, Helvetica, Arial, sans-serif" font-size="34" fill="#ffffff" fill-opacity="0.9">${escapeXML(`${request.category?.emoji || ''} ${request.category?.name || ''}`.trim())}</text>
+  <text font-family="Inter, Segoe UI, Helvetica, Arial, sans-serif" font-size="${fontSize}" font-weight="700" fill="#ffffff">
+${lines.map((line, i) => `    <tspan x="80" y="${startY + i * lineHeight}">${escapeXML(line)}</tspan>`).join('\n')}
+  </text>
+  <text x="80" y="${height - 80}" font-family="Inter, Segoe UI, Helvetica, Arial, sans-serif" font-size="28" font-weight="600" fill="#ffffff" fill-opacity="0.85">${escapeXML(siteName)}</text>
+</svg>
+`;
+
+  return {
+    buffer: Buffer.from(svg, 'utf-8'),
+    mimeType: 'image/svg+xml',
+    extension: 'svg',
+    width,
+    height
+  };
+}
+
+/**
+ * Provider OpenAI Images (gpt-image-1, dall-e-3)
+ * Appel via services/llm.js : ordonnanceur, coût de l'image et fixtures (--record / --replay)
+ */
+async function generateOpenAIImage(request, config) {
+  const isDallE = config.model.startsWith('dall-e');
+
+  const buffer = await generateImage(request.prompt, {
+    provider: 'openai',
+    model: config.model,
+    size: isDallE ? '1792x1024' : '1536x1024'
+  });
+
+  return {
+    buffer,
+    mimeType: 'image/png',
+    extension: 'png',
+    width: isDallE ? 1792 : 1536,
+    height: 1024
+  };
+}
+
+/**
+ * Providers disponibles (extensibles avec registerImageProvider)
+ */
+const IMAGE_PROVIDERS = {
+  placeholder: renderPlaceholderCard,
+  openai: generateOpenAIImage
+};
+
+/**
+ * Enregistrer un provider d'images
+ * @param {string} name - Nom utilisé dans IMAGE_PROVIDER
+ * @param {Function} provider - async (request, config) => { buffer, mimeType, extension, width, height }
+ */
+export function registerImageProvider(name, provider) {
+  IMAGE_PROVIDERS[name] = provider;
+}
+
+/**
+ * Générer une image avec le provider configuré
+ * @param {object} request - { title, prompt, alt, category: { name, emoji, colors } }
+ */
+export async function createImage(request, config) {
+  const provider = IMAGE_PROVIDERS[config.provider];
+
+  if (!provider) {
+    throw new Error(`Provider d'images inconnu: ${config.provider} (disponibles: ${Object.keys(IMAGE_PROVIDERS).join(', ')})`);
+  }
+
+  logger.debug(`Génération de l'image (${config.provider})...`);
+  return await provider(request, config);
+}
+
+/**
+ * Écrire l'image sur disque
+ */
+async function storeOnDisk(image, { filename }, config) {
+  const file = `${filename}.${image.extension}`;
+  const filePath = path.join(config.outputDir, file);
+
+  await fs.mkdir(config.outputDir, { recursive: true });
+  await fs.writeFile(filePath, image.buffer);
+
+  // Sans URL publique, le fichier n'est pas servi : pas d'URL à référencer sur l'article
+  const url = config.publicUrl ? `${config.publicUrl.replace(/\/$/, '')}/${file}` : null;
+  logger.debug(`Image écrite: ${filePath}`);
+
+  return { id: null, url, path: filePath, filename: file, storage: 'disk' };
+}
+
+/**
+ * Uploader l'image dans la collection media de Payload
+ * Authentification par clé API : "<collection> API-Key <clé>"
+ */
+async function storeInPayload(image, { filename, alt }) {
+  const baseUrl = process.env.PAYLOAD_URL;
+  const apiKey = process.env.PAYLOAD_API_KEY;
+
+  if (!baseUrl || !apiKey) {
+    throw new Error('PAYLOAD_URL et PAYLOAD_API_KEY requis pour IMAGE_STORAGE=payload');
+  }
+
+  const collection = process.env.PAYLOAD_MEDIA_COLLECTION || 'media';
+  const authCollection = process.env.PAYLOAD_AUTH_COLLECTION || 'users';
+  const file = `${filename}.${image.extension}`;
+
+  const form = new FormData();
+  form.append('file', new Blob([image.buffer], { type: image.mimeType }), file);
+  form.append('_payload', JSON.stringify({ alt }));
+
+  const response = await fetch(`${baseUrl.replace(/\/$/, '')}/api/${collection}`, {
+    method: 'POST',
+    headers: { Authorization: `${authCollection} API-Key ${apiKey}` },
+    body: form
+  });
+
+  if (!response.ok) {
+    throw new Error(`Upload Payload: ${response.status} ${await response.text()}`);
+  }
+
+  const { doc } = await response.json();
+  logger.debug(`Image uploadée dans Payload: ${doc.id}`);
+
+  return { id: doc.id, url: doc.url || null, filename: doc.filename || file, storage: 'payload' };
+}
+
+/**
+ * Stocker l'image selon la configuration
+ * @returns {object} { id, url, path, filename, storage } — id : document media Payload (null sur disque),
+ *   url : null sur disque sans IMAGES_PUBLIC_URL, path : fichier local (disque uniquement)
+ */
+export async function storeImage(image, meta, config) {
+  if (config.storage === 'payload') {
+    return await storeInPayload(image, meta);
+  }
+  if (config.storage === 'disk') {
+    return await storeOnDisk(image, meta, config);
+  }
+  throw new Error(`Stockage d'images inconnu: ${config.storage} (payload, disk)`);
+}
+
+export default {
+  registerImageProvider,
+  createImage,
+  storeImage
+};
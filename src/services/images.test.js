@@ -0,0 +1,84 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createImage, storeImage } from './images.js';
+import { configureFixtures } from './fixtures.js';
+import { createUsageTracker, trackUsage } from './usage.js';
+import { getImageConfig } from '../config/images.js';
+
+let dir;
+
+before(async () => {
+  dir = await fs.mkdtemp(path.join(os.tmpdir(), 'gleeam-images-'));
+});
+
+after(async () => {
+  configureFixtures({ mode: 'off' });
+  await fs.rm(dir, { recursive: true, force: true });
+});
+
+const REQUEST = {
+  title: 'Les nouveautés de React 19 & du compilateur',
+  alt: 'Illustration de l\'article',
+  prompt: 'Une illustration abstraite',
+  category: { name: 'Développement Web', emoji: '💻', colors: ['#000000', '#ffffff'] }
+};
+
+test('le provider placeholder produit une carte SVG échappée aux dimensions configurées', async () => {
+  const image = await createImage(REQUEST, getImageConfig({ provider: 'placeholder' }));
+
+  assert.equal(image.mimeType, 'image/svg+xml');
+  assert.equal(image.width, 1200);
+  assert.equal(image.height, 630);
+  const svg = image.buffer.toString('utf-8');
+  assert.match(svg, /React 19 &amp;</);
+  assert.doesNotMatch(svg, / & /);
+  assert.match(svg, /stop-color="#000000"/);
+});
+
+test('un provider inconnu est refusé', async () => {
+  await assert.rejects(createImage(REQUEST, getImageConfig({ provider: 'dessin' })), /Provider d'images inconnu/);
+});
+
+test('sur disque sans URL publique, l\'image n\'a pas d\'URL', async () => {
+  const image = await createImage(REQUEST, getImageConfig({ provider: 'placeholder' }));
+  const stored = await storeImage(image, { filename: 'sans-url' }, getImageConfig({ storage: 'disk', outputDir: dir, publicUrl: null }));
+
+  assert.equal(stored.id, null);
+  assert.equal(stored.url, null);
+  assert.equal(stored.path, path.join(dir, 'sans-url.svg'));
+  assert.ok((await fs.stat(stored.path)).size > 0);
+});
+
+test('sur disque avec URL publique, l\'URL pointe vers le fichier', async () => {
+  const image = await createImage(REQUEST, getImageConfig({ provider: 'placeholder' }));
+  const stored = await storeImage(image, { filename: 'avec-url' }, getImageConfig({ storage: 'disk', outputDir: dir, publicUrl: 'https://cdn.example.com/blog/' }));
+
+  assert.equal(stored.url, 'https://cdn.example.com/blog/avec-url.svg');
+});
+
+test('le provider openai passe par la couche LLM : fixtures rejouées et usage compté', async () => {
+  const fixtures = path.join(dir, 'fixtures');
+  await fs.mkdir(path.join(fixtures, 'llm', 'image'), { recursive: true });
+  await fs.writeFile(path.join(fixtures, 'llm', 'image', '001.json'), JSON.stringify({
+    kind: 'llm',
+    stage: 'image',
+    index: 1,
+    hash: null,
+    request: {},
+    response: { b64: Buffer.from('png').toString('base64'), model: 'gpt-image-1', usage: { inputTokens: 20, outputTokens: 4000 } }
+  }));
+  configureFixtures({ mode: 'replay', dir: fixtures });
+
+  const tracker = createUsageTracker();
+  const image = await trackUsage(tracker, () => createImage(REQUEST, getImageConfig({ provider: 'openai', model: 'gpt-image-1' })));
+
+  assert.equal(image.buffer.toString(), 'png');
+  assert.equal(image.width, 1536);
+  assert.equal(tracker.calls.length, 1);
+  assert.equal(tracker.calls[0].stage, 'image');
+  assert.equal(tracker.calls[0].outputTokens, 4000);
+  assert.ok(tracker.calls[0].cost > 0);
+});
@@ -0,0 +1,740 @@
+/**
+ * Service LLM : génération de contenu indépendante du provider
+ *
+ * Providers (LLM_PROVIDER) :
+ * - openai            : API officielle d'OpenAI
+ * - openai-compatible : Ollama, vLLM, LM Studio... (LLM_BASE_URL)
+ * - anthropic         : API Messages d'Anthropic
+ * - fake              : réponses déterministes hors ligne
+ *
+ * Chaque provider déclare ses capacités (mode JSON, temperature, échantillonnage,
+ * nom du paramètre de tokens, embeddings, streaming, structured outputs, API Batch) ; les paramètres
+ * non supportés ne sont pas envoyés. Les réponses JSON avec schéma sont toujours validées localement.
+ */
+
+import crypto from 'crypto';
+import { AsyncLocalStorage } from 'async_hooks';
+import { getLLMConfig } from '../config/llm.js';
+import { openaiProvider, openaiCompatibleProvider } from './llm/openai.js';
+import { anthropicProvider } from './llm/anthropic.js';
+import { fakeProvider } from './llm/fake.js';
+import { recordUsage } from './usage.js';
+import { checkBudget } from './budget.js';
+import { getActiveCacheConfig, computeCacheKey, getCachedResponse, setCachedResponse } from './cache.js';
+import { scheduleRequest } from './scheduler.js';
+import { withFixture, isReplaying, getActiveFixturesConfig } from './fixtures.js';
+import { resolveStageRoute, describeRouting } from './routing.js';
+import { getRoutingConfig } from '../config/routing.js';
+import { logger } from '../utils/logger.js';
+import { validateSchema, toStrictSchema } from '../utils/schema.js';
+
+/**
+ * Providers disponibles (extensibles avec registerLLMProvider)
+ */
+const LLM_PROVIDERS = {
+  openai: openaiProvider,
+  'openai-compatible': openaiCompatibleProvider,
+  anthropic: anthropicProvider,
+  fake: fakeProvider
+};
+
+/**
+ * Consigne ajoutée au prompt système des providers sans mode JSON natif
+ */
+const JSON_INSTRUCTION = '\n\nRéponds UNIQUEMENT avec un objet JSON valide, sans texte autour ni bloc de code.';
+
+/**
+ * Providers dont l'API a refusé le streaming (ex : organisation non vérifiée) :
+ * repli sur les appels classiques pour le reste du processus
+ */
+const streamingUnavailable = new Set();
+
+/**
+ * Demandes de correction d'une réponse JSON invalide ou non conforme au schéma
+ */
+const MAX_JSON_REPAIRS = 2;
+
+/**
+ * Article généré en mode batch (voir services/batch.js) : réponses reçues et requêtes mises en attente
+ */
+const batchRuns = new AsyncLocalStorage();
+
+/**
+ * Enregistrer un provider LLM
+ * @param {string} name - Nom utilisé dans LLM_PROVIDER
+ * @param {object} provider - { capabilities, validate(config), complete(request, config),
+ *   stream?(request, config, onDelta), embed?(texts, config) → { vectors, usage },
+ *   image?({ model, prompt, size }, config) → { b64, model, usage },
+ *   batchLine?(request, config), submitBatch?(lines, config), getBatch?(id, config), getBatchResults?(batch, config) }
+ */
+export function registerLLMProvider(name, provider) {
+  LLM_PROVIDERS[name] = { name, ...provider };
+}
+
+/**
+ * Résoudre le provider et sa configuration
+ * Capacités, de la moins à la plus prioritaire : déclarées par le provider,
+ * variables LLM_* puis surcharges (ex : capabilities d'une route)
+ * @param {object} overrides - { provider, model, capabilities, ... } surcharges de config/llm.js
+ * @returns {object} { provider, config }
+ */
+export function resolveLLM(overrides = {}) {
+  const config = getLLMConfig(overrides);
+  const provider = LLM_PROVIDERS[config.provider];
+
+  if (!provider) {
+    throw new Error(`Provider LLM inconnu: ${config.provider} (disponibles : ${Object.keys(LLM_PROVIDERS).join(', ')})`);
+  }
+
+  // En rejeu, aucune requête ne part : clés et URL ne sont pas nécessaires
+  if (!isReplaying()) {
+    provider.validate(config);
+  }
+
+  return {
+    provider,
+    config: { ...config, capabilities: { ...provider.capabilities, ...config.capabilities } }
+  };
+}
+
+/**
+ * Options d'un appel complétées par la route de son étape (config/routing.js)
+ * Les paramètres de la route remplacent ceux de l'appel ; un provider ou un modèle explicite reste prioritaire
+ * (route : paramètres fixés par la route, pour signaler ceux que le modèle ne prend pas)
+ */
+function withStageRoute(options) {
+  const { provider, model, ...params } = resolveStageRoute(options.stage);
+  return {
+    ...options,
+    ...params,
+    route: params,
+    provider: options.provider || provider,
+    model: options.model || model
+  };
+}
+
+/**
+ * Provider et configuration d'un appel : les capacités suivent le modèle effectif et la route
+ */
+function resolveCall(options) {
+  const resolved = resolveLLM({ provider: options.provider, model: options.model, capabilities: options.capabilities });
+  warnIgnoredRouteParams(options, resolved.config);
+  return resolved;
+}
+
+/**
+ * Paramètres de route déjà signalés comme ignorés (une fois par étape et modèle)
+ */
+const ignoredRouteParams = new Set();
+
+/**
+ * Signaler les paramètres d'une route que les capacités du modèle empêchent d'envoyer
+ */
+function warnIgnoredRouteParams(options, config) {
+  const { capabilities } = config;
+  const ignored = Object.keys(options.route || {}).filter(param =>
+    (param === 'temperature' && !capabilities.temperature) ||
+    (['topP', 'frequencyPenalty', 'presencePenalty'].includes(param) && !capabilities.sampling)
+  );
+  const key = `${options.stage}|${config.model}`;
+  if (ignored.length === 0 || ignoredRouteParams.has(key)) return;
+
+  ignoredRouteParams.add(key);
+  logger.warn(`Route ${options.stage} : ${ignored.join(', ')} ignoré(s) par ${config.model} ` +
+    '(capabilities de la route ou LLM_TEMPERATURE / LLM_SAMPLING pour les forcer)');
+}
+
+/**
+ * Construire la requête normalisée selon les capacités du provider
+ */
+function buildRequest(config, systemPrompt, userPrompt, options) {
+  const { capabilities } = config;
+  const request = {
+    model: options.model || config.model,
+    system: systemPrompt,
+    user: userPrompt,
+    maxTokens: options.maxTokens,
+    json: Boolean(options.json && capabilities.jsonMode)
+  };
+
+  // Structured outputs stricts : le provider garantit la forme de la réponse
+  if (options.json && options.schema && capabilities.structuredOutputs) {
+    request.schema = { name: options.schema.name, schema: toStrictSchema(options.schema.schema) };
+  }
+
+  if (options.json && !capabilities.jsonMode) {
+    request.system += JSON_INSTRUCTION;
+  }
+  if (capabilities.temperature && options.temperature !== undefined) {
+    request.temperature = options.temperature;
+  }
+  if (capabilities.sampling) {
+    request.topP = options.topP;
+    request.frequencyPenalty = options.frequencyPenalty;
+    request.presencePenalty = options.presencePenalty;
+  }
+
+  return request;
+}
+
+/**
+ * Transmettre un fragment au callback de l'appelant
+ * Une erreur d'affichage ne doit pas interrompre la génération
+ */
+function emitChunk(onChunk, chunk) {
+  try {
+    onChunk(chunk);
+  } catch (error) {
+    logger.debug(`Callback de streaming en erreur: ${error.message}`);
+  }
+}
+
+/**
+ * Exécuter la requête, en streaming si l'appelant suit la progression et que le provider le permet
+ * Chaque tentative repart d'un texte vide : le callback reçoit toujours le texte cumulé de l'appel
+ */
+async function executeRequest(provider, config, request, stage, onChunk) {
+  const streaming = onChunk && provider.stream && config.capabilities.streaming &&
+    !streamingUnavailable.has(provider.name);
+
+  if (!streaming) {
+    return await provider.complete(request, config);
+  }
+
+  let text = '';
+  try {
+    return await provider.stream(request, config, (delta) => {
+      text += delta;
+      emitChunk(onChunk, { stage, delta, text, done: false });
+    });
+  } catch (error) {
+    if (error.status !== 400 || !/stream/i.test(error.message)) throw error;
+    streamingUnavailable.add(provider.name);
+    logger.warn(`Streaming refusé par ${provider.name} (${error.message}) : appels classiques (LLM_STREAMING=false pour ne plus essayer)`);
+    return await provider.complete(request, config);
+  }
+}
+
+/**
+ * File de l'ordonnanceur : une par provider et URL de base
+ */
+function schedulerKey(provider, config) {
+  return `${provider.name}|${config.baseURL || 'default'}`;
+}
+
+/**
+ * Tokens réservés dans le budget par minute : prompt estimé (~4 caractères par token) + max_tokens
+ */
+function estimateRequestTokens(request) {
+  return Math.ceil((request.system.length + request.user.length) / 4) + (request.maxTokens || 0);
+}
+
+/**
+ * Exécuter fn pour un article en mode batch
+ * Les appels aux providers compatibles avec l'API Batch ne partent pas : ils reçoivent la réponse
+ * déjà obtenue (state.responses), ou sont ajoutés à state.queued et interrompent fn (isBatchPending)
+ * @param {object} state - { responses: { clé: { stage, result, recorded } }, queued: [] }
+ */
+export function withBatchRun(state, fn) {
+  return batchRuns.run(state, fn);
+}
+
+/**
+ * L'erreur signale-t-elle un appel mis en attente du batch ? (à ne jamais absorber)
+ */
+export function isBatchPending(error) {
+  return error?.batchPending === true;
+}
+
+/**
+ * Réponse batch d'une requête, ou mise en attente (exception) si elle n'est pas encore arrivée
+ * Synchrone : des appels lancés en parallèle (traductions) sont tous mis en attente
+ * @returns {object|null} { stage, result, recorded }, null hors mode batch ou provider sans API Batch
+ */
+function takeBatchResponse(provider, config, request, stage) {
+  const state = batchRuns.getStore();
+  if (!state || !provider.capabilities.batch) return null;
+
+  const key = crypto.createHash('sha256').update(JSON.stringify({ provider: provider.name, request })).digest('hex');
+  if (state.responses[key]) return state.responses[key];
+
+  if (!state.queued.some(entry => entry.key === key)) {
+    state.queued.push({ key, provider: provider.name, stage: stage || 'other', line: provider.batchLine(request, config) });
+  }
+  const error = new Error(`Appel ${stage || 'LLM'} en attente du batch`);
+  error.batchPending = true;
+  throw error;
+}
+
+/**
+ * Appeler le provider (via l'ordonnanceur : concurrence, débit, retries) et enregistrer l'usage de l'appel
+ * L'appel est refusé s'il pouvait faire dépasser le budget du run (voir services/budget.js)
+ * Si le cache est actif, une requête identique déjà servie est réutilisée
+ * (sauf en enregistrement ou rejeu de fixtures : chaque appel doit passer par services/fixtures.js)
+ * En mode batch, la réponse vient de l'API Batch (voir withBatchRun)
+ * @param {object} options - { stage, onChunk } (onChunk reçoit { stage, delta, text, done })
+ */
+async function callProvider(provider, config, request, options = {}) {
+  const { stage, onChunk } = options;
+
+  const batched = takeBatchResponse(provider, config, request, stage);
+  if (batched) {
+    // Un tour rejoué ressert la même réponse : son usage n'est compté qu'une fois
+    if (!batched.recorded) {
+      recordUsage({ provider: provider.name, model: batched.result.model || request.model, stage, ...batched.result.usage, batch: true });
+      batched.recorded = true;
+    }
+    if (onChunk) emitChunk(onChunk, { stage, delta: '', text: batched.result.content, done: true });
+    return batched.result;
+  }
+
+  logger.debug(`Paramètres: ${JSON.stringify({
+    provider: provider.name,
+    model: request.model,
+    maxTokens: request.maxTokens,
+    json: request.json,
+    temperature: request.temperature ?? null
+  })}`);
+
+  const cacheKey = getActiveCacheConfig().enabled && getActiveFixturesConfig().mode === 'off'
+    ? computeCacheKey({ provider: provider.name, baseURL: config.baseURL || null, request })
+    : null;
+
+  if (cacheKey) {
+    const cached = await getCachedResponse(cacheKey);
+    if (cached) {
+      recordUsage({ provider: provider.name, model: cached.model || request.model, stage, ...cached.usage, cached: true });
+      if (onChunk) emitChunk(onChunk, { stage, delta: '', text: cached.content, done: true });
+      return cached;
+    }
+  }
+
+  // Budget du run : l'appel n'est pas lancé s'il pouvait faire dépasser une limite
+  checkBudget({
+    provider: provider.name,
+    model: request.model,
+    stage,
+    inputTokens: Math.ceil((request.system.length + request.user.length) / 4),
+    outputTokens: request.maxTokens || 0
+  });
+
+  const result = await withFixture('llm', stage, { provider: provider.name, request }, () => scheduleRequest(
+    schedulerKey(provider, config),
+    () => executeRequest(provider, config, request, stage, onChunk),
+    {
+      label: `${provider.name}/${stage || 'other'}`,
+      tokens: estimateRequestTokens(request),
+      countTokens: ({ usage }) => (usage?.inputTokens || 0) + (usage?.outputTokens || 0)
+    }
+  ));
+
+  logger.debug(`Finish reason: ${result.finishReason}`);
+  recordUsage({ provider: provider.name, model: result.model || request.model, stage, ...result.usage });
+
+  // Seules les réponses complètes sont mises en cache
+  if (cacheKey && result.finishReason === 'stop' && result.content && !result.refusal) {
+    await setCachedResponse(cacheKey, result, { provider: provider.name, model: result.model || request.model, stage: stage || 'other' });
+  }
+
+  if (onChunk) emitChunk(onChunk, { stage, delta: '', text: result.content, done: true });
+
+  return result;
+}
+
+/**
+ * Extraire l'objet JSON d'une réponse texte (bloc de code ou texte autour)
+ */
+function extractJSON(content) {
+  const fenced = content.match(/```(?:json)?\s*([\s\S]*?)(?:```|$)/);
+  const text = fenced ? fenced[1] : content;
+  const start = text.indexOf('{');
+  const end = text.lastIndexOf('}');
+  if (start === -1) return text.trim();
+  return end > start ? text.slice(start, end + 1) : text.slice(start);
+}
+
+/**
+ * Générer une complétion texte
+ * @param {object} options - { stage, provider, model, maxTokens, temperature, topP, frequencyPenalty, presencePenalty, onChunk }
+ *   stage : étape du pipeline pour la comptabilité des tokens (outline, content, seo...)
+ *   onChunk : reçoit la réponse au fil de l'eau ({ stage, delta, text, done }) ; streaming si le provider le permet
+ */
+export async function generateCompletion(systemPrompt, userPrompt, options = {}) {
+  options = withStageRoute(options);
+  const { provider, config } = resolveCall(options);
+
+  const request = buildRequest(config, systemPrompt, userPrompt, {
+    ...options,
+    maxTokens: options.maxTokens ?? 8000,
+    temperature: options.temperature ?? 0.8,
+    topP: options.topP ?? 0.9,
+    frequencyPenalty: options.frequencyPenalty ?? 0.3,
+    presencePenalty: options.presencePenalty ?? 0.2
+  });
+
+  logger.debug(`Génération avec ${provider.name}: ${request.model}`);
+
+  const result = await callProvider(provider, config, request, { stage: options.stage, onChunk: options.onChunk });
+  const content = result.content;
+
+  // Vérifier si le modèle a refusé
+  if (result.refusal) {
+    logger.error('Le modèle a refusé de générer:', result.refusal);
+    throw new Error(`Génération refusée: ${result.refusal}`);
+  }
+
+  // Vérifier si la génération s'est arrêtée prématurément
+  if (result.finishReason === 'length') {
+    logger.warn(`Génération tronquée (max_tokens: ${request.maxTokens}) - le contenu peut être incomplet`);
+  }
+
+  if (!content || content.trim() === '') {
+    if (result.finishReason === 'length') {
+      throw new Error('Contenu vide : le modèle n\'a pas eu assez de tokens pour générer une réponse');
+    }
+    logger.error(`Réponse vide (${provider.name}, finish_reason: ${result.finishReason})`);
+    throw new Error(`Aucun contenu généré par ${provider.name}`);
+  }
+
+  return content;
+}
+
+/**
+ * Prompt de correction : réponse précédente et erreurs précises à corriger
+ */
+function buildJSONRepairPrompt(userPrompt, previousContent, errors) {
+  const previous = previousContent.length > 6000 ? `${previousContent.slice(0, 6000)}…` : previousContent;
+
+  return `${userPrompt}
+
+--- TA RÉPONSE PRÉCÉDENTE ---
+${previous}
+--- FIN RÉPONSE PRÉCÉDENTE ---
+
+Cette réponse n'est pas utilisable :
+${errors.map(error => `- ${error}`).join('\n')}
+
+Corrige ces points et renvoie l'objet JSON complet.`;
+}
+
+/**
+ * Générer du contenu JSON structuré
+ * Gère automatiquement le retry avec plus de tokens si la réponse est tronquée.
+ * Avec un schéma : structured outputs stricts si le provider les supporte, validation locale dans tous les cas ;
+ * une réponse invalide ou non conforme est renvoyée au modèle avec les erreurs à corriger
+ * @param {object} options - { stage, provider, model, maxTokens, temperature, schema }
+ *   schema : { name, schema } (voir prompts/schemas.js)
+ */
+export async function generateJSON(systemPrompt, userPrompt, options = {}) {
+  options = withStageRoute(options);
+  const { provider, config } = resolveCall(options);
+  const { schema } = options;
+
+  let maxTokens = options.maxTokens ?? 4000;
+  const maxRetries = 2; // On peut retenter 2 fois avec plus de tokens
+  let retries = 0;
+  let repairs = 0;
+  let prompt = userPrompt;
+
+  while (true) {
+    const request = buildRequest(config, systemPrompt, prompt, {
+      model: options.model,
+      maxTokens,
+      temperature: options.temperature ?? 0.7,
+      json: true,
+      schema
+    });
+
+    const result = await callProvider(provider, config, request, { stage: options.stage });
+    const { finishReason } = result;
+    const content = result.content;
+
+    if (result.refusal) {
+      logger.error('Le modèle a refusé de générer:', result.refusal);
+      throw new Error(`Génération refusée: ${result.refusal}`);
+    }
+
+    // Cas 1 : réponse tronquée — retenter avec plus de tokens
+    if (finishReason === 'length' && retries < maxRetries) {
+      const oldMax = maxTokens;
+      maxTokens = Math.min(maxTokens * 2, 16000);
+      retries++;
+      logger.warn(`JSON tronqué (finish_reason: length, max_tokens: ${oldMax}). Retry avec ${maxTokens} tokens...`);
+      continue;
+    }
+
+    // Cas 2 : contenu vide malgré les retries
+    if (!content || content.trim() === '') {
+      // Si c'est un problème de length, donner un message clair
+      if (finishReason === 'length') {
+        logger.error(`Réponse JSON vide après ${retries + 1} tentative(s) (finish_reason: length, max_tokens: ${maxTokens})`);
+        throw new Error('Génération JSON échouée : le modèle manque de tokens pour compléter la réponse. Essayez de réduire la taille du prompt ou d\'augmenter max_tokens.');
+      }
+      logger.error(`Réponse JSON vide (${provider.name}, finish_reason: ${finishReason})`);
+      throw new Error(`Aucun contenu JSON généré par ${provider.name}`);
+    }
+
+    // Cas 3 : on a du contenu, essayer de parser
+    // Sans mode JSON natif, isoler l'objet ; si tronqué, tenter de le réparer
+    let jsonStr = request.json ? content : extractJSON(content);
+    if (finishReason === 'length') {
+      logger.warn('JSON potentiellement tronqué, tentative de réparation...');
+      jsonStr = repairTruncatedJSON(jsonStr);
+    }
+
+    let parsed;
+    let errors;
+    try {
+      parsed = JSON.parse(jsonStr);
+      errors = schema ? validateSchema(schema.schema, parsed) : [];
+    } catch (error) {
+      errors = [`JSON invalide : ${error.message}`];
+    }
+
+    if (errors.length === 0) {
+      return parsed;
+    }
+
+    // Cas 4 : JSON invalide ou non conforme — renvoyer les erreurs au modèle
+    if (repairs >= MAX_JSON_REPAIRS) {
+      logger.error('Réponse JSON inutilisable:', content.slice(0, 500));
+      throw new Error(parsed === undefined
+        ? 'Le contenu généré n\'est pas un JSON valide'
+        : `Réponse non conforme au schéma ${schema.name} : ${errors.slice(0, 5).join(' ; ')}`);
+    }
+
+    repairs++;
+    logger.warn(`Réponse JSON à corriger (${errors.length} erreur(s) : ${errors.slice(0, 3).join(' ; ')}). Correction ${repairs}/${MAX_JSON_REPAIRS}...`);
+    prompt = buildJSONRepairPrompt(userPrompt, content, errors.slice(0, 20));
+  }
+}
+
+/**
+ * Tenter de réparer un JSON tronqué
+ * Ferme les chaînes, tableaux et objets ouverts
+ */
+function repairTruncatedJSON(content) {
+  let json = content.trim();
+
+  // Compter les accolades et crochets ouverts/fermés
+  let braces = 0;
+  let brackets = 0;
+  let inString = false;
+  let escaped = false;
+
+  for (const char of json) {
+    if (escaped) { escaped = false; continue; }
+    if (char === '\\') { escaped = true; continue; }
+    if (char === '"') { inString = !inString; continue; }
+    if (inString) continue;
+    if (char === '{') braces++;
+    if (char === '}') braces--;
+    if (char === '[') brackets++;
+    if (char === ']') brackets--;
+  }
+
+  // Si on est dans une string non fermée, la fermer
+  if (inString) {
+    json += '"';
+  }
+
+  // Fermer les crochets manquants
+  while (brackets > 0) {
+    json += ']';
+    brackets--;
+  }
+
+  // Fermer les accolades manquantes
+  while (braces > 0) {
+    json += '}';
+    braces--;
+  }
+
+  return json;
+}
+
+/**
+ * Provider et modèle utilisés pour les embeddings
+ * LLM_EMBEDDING_PROVIDER, sinon le provider principal s'il les supporte, sinon openai
+ */
+export function resolveEmbeddings() {
+  const main = resolveLLM();
+  const name = main.config.embeddingProvider ||
+    (main.provider.capabilities.embeddings ? main.provider.name : 'openai');
+  const resolved = name === main.provider.name ? main : resolveLLM({ provider: name });
+
+  if (!resolved.provider.embed) {
+    throw new Error(`Le provider ${name} ne fournit pas d'embeddings (LLM_EMBEDDING_PROVIDER)`);
+  }
+  if (!resolved.config.embeddingModel) {
+    throw new Error(`Aucun modèle d'embeddings défini pour ${name} (LLM_EMBEDDING_MODEL)`);
+  }
+
+  return resolved;
+}
+
+/**
+ * Modèle d'embeddings actif (clé de stockage des vecteurs)
+ */
+export function getEmbeddingModel() {
+  return resolveEmbeddings().config.embeddingModel;
+}
+
+/**
+ * Calculer les embeddings d'une liste de textes
+ * @returns {Array<number[]>} Un vecteur par texte, dans le même ordre
+ */
+export async function generateEmbeddings(texts, options = {}) {
+  const { provider, config } = resolveEmbeddings();
+  const embeddingConfig = { ...config, embeddingModel: options.model || config.embeddingModel };
+
+  logger.debug(`Embeddings (${texts.length} textes) avec ${provider.name}: ${embeddingConfig.embeddingModel}`);
+
+  const stage = options.stage || 'embeddings';
+  const request = { provider: provider.name, model: embeddingConfig.embeddingModel, texts };
+  const tokens = Math.ceil(texts.reduce((sum, text) => sum + text.length, 0) / 4);
+
+  checkBudget({ provider: provider.name, model: embeddingConfig.embeddingModel, stage, inputTokens: tokens, outputTokens: 0 });
+
+  const { vectors, usage } = await withFixture('llm', stage, request, () => scheduleRequest(
+    schedulerKey(provider, config),
+    () => provider.embed(texts, embeddingConfig),
+    {
+      label: `${provider.name}/${stage}`,
+      tokens,
+      countTokens: ({ usage }) => usage?.inputTokens || 0
+    }
+  ));
+
+  recordUsage({ provider: provider.name, model: embeddingConfig.embeddingModel, stage, ...usage });
+
+  return vectors;
+}
+
+/**
+ * Générer une image (couverture) avec un provider qui en fournit (openai par défaut)
+ * Passe par la garde de budget, l'ordonnanceur, la comptabilité des tokens et les fixtures comme les autres appels
+ * @param {string} prompt - Description de l'image
+ * @param {object} options - { provider, model, size, stage }
+ * @returns {Promise<Buffer>} Image décodée
+ */
+export async function generateImage(prompt, options = {}) {
+  const { provider, config } = resolveLLM({ provider: options.provider || 'openai' });
+
+  if (!provider.image || !config.capabilities.images) {
+    throw new Error(`Le provider ${provider.name} ne génère pas d'images (IMAGE_PROVIDER)`);
+  }
+
+  const stage = options.stage || 'image';
+  const request = { model: options.model, prompt, size: options.size };
+
+  logger.debug(`Image avec ${provider.name}: ${request.model} (${request.size})`);
+
+  // Taille de l'image inconnue avant l'appel : la garde compte les tokens attendus de l'étape
+  checkBudget({ provider: provider.name, model: request.model, stage, inputTokens: Math.ceil(prompt.length / 4) });
+
+  const result = await withFixture('llm', stage, { provider: provider.name, request }, () => scheduleRequest(
+    schedulerKey(provider, config),
+    () => provider.image(request, config),
+    {
+      label: `${provider.name}/${stage}`,
+      tokens: Math.ceil(prompt.length / 4),
+      countTokens: ({ usage }) => (usage?.inputTokens || 0) + (usage?.outputTokens || 0)
+    }
+  ));
+
+  recordUsage({ provider: provider.name, model: result.model || request.model, stage, ...result.usage });
+
+  if (!result.b64) {
+    throw new Error(`Réponse ${provider.name} sans image`);
+  }
+
+  return Buffer.from(result.b64, 'base64');
+}
+
+/**
+ * Provider compatible avec l'API Batch
+ */
+function resolveBatchProvider(name) {
+  const resolved = resolveLLM({ provider: name });
+  if (!resolved.provider.capabilities.batch) {
+    throw new Error(`Le provider ${name} ne supporte pas l'API Batch`);
+  }
+  return resolved;
+}
+
+/**
+ * Soumettre un job batch
+ * @param {string} providerName - Provider des requêtes
+ * @param {Array} lines - Lignes JSONL ({ custom_id, method, url, body })
+ * @returns {Promise<object>} { id, status, counts: { total, completed, failed }, outputFileId, errorFileId }
+ */
+export async function submitBatch(providerName, lines) {
+  const { provider, config } = resolveBatchProvider(providerName);
+  return provider.submitBatch(lines, config);
+}
+
+/**
+ * État d'un job batch (même format que submitBatch)
+ */
+export async function retrieveBatch(providerName, batchId) {
+  const { provider, config } = resolveBatchProvider(providerName);
+  return provider.getBatch(batchId, config);
+}
+
+/**
+ * Résultats d'un job terminé
+ * @returns {Promise<Map>} custom_id → { result } (même format que complete) ou { error }
+ */
+export async function fetchBatchResults(providerName, batch) {
+  const { provider, config } = resolveBatchProvider(providerName);
+  return provider.getBatchResults(batch, config);
+}
+
+/**
+ * Décrire le provider actif pour les logs ("openai (gpt-5-mini)")
+ */
+export function describeLLM() {
+  const config = getLLMConfig();
+  return `${config.provider} (${config.model || 'modèle non défini'})`;
+}
+
+/**
+ * Vérifier la configuration du provider LLM
+ * Vérifie simplement que le provider est connu et configuré, ainsi que ceux du routage par étape
+ * (pas d'appel réseau — le premier vrai appel servira de test), puis affiche le routage
+ */
+export async function testLLMConnection() {
+  try {
+    resolveLLM();
+    const { stages, categories } = getRoutingConfig();
+    for (const route of [...Object.values(stages), ...Object.values(categories).flatMap(Object.values)]) {
+      resolveLLM({ provider: route.provider });
+    }
+    logger.success(`Provider LLM prêt : ${describeLLM()}`);
+    logger.info('Routage des modèles :');
+    describeRouting().forEach(line => logger.info(`  ${line}`));
+    return true;
+  } catch (error) {
+    logger.error('Erreur configuration LLM:', error.message);
+    return false;
+  }
+}
+
+export default {
+  registerLLMProvider,
+  resolveLLM,
+  generateCompletion,
+  generateJSON,
+  resolveEmbeddings,
+  getEmbeddingModel,
+  generateEmbeddings,
+  generateImage,
+  withBatchRun,
+  isBatchPending,
+  submitBatch,
+  retrieveBatch,
+  fetchBatchResults,
+  describeLLM,
+  testLLMConnection
+};
@@ -0,0 +1,155 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Routage lu (et mis en cache) au premier appel : défini avant l'import
+process.env.LLM_ROUTING = JSON.stringify({
+  stages: {
+    outline: { model: 'reasoning', temperature: 0.2 },
+    seo: { model: 'classic', temperature: 0.5, capabilities: { temperature: true, sampling: true } },
+    content: { model: 'reasoning', temperature: 0.3, capabilities: { temperature: true } }
+  }
+});
+process.env.OPENAI_API_KEY = 'test';
+
+const { registerLLMProvider, resolveLLM, generateCompletion, generateJSON } = await import('./llm.js');
+const { withRouteOverride } = await import('./routing.js');
+
+const requests = [];
+
+registerLLMProvider('capture', {
+  capabilities: { jsonMode: true, temperature: false, sampling: false, tokenParam: 'max_tokens', streaming: false },
+  validate() {},
+  async complete(request) {
+    requests.push(request);
+    return { content: 'ok', finishReason: 'stop', refusal: null, model: request.model, usage: {} };
+  }
+});
+
+async function lastRequest(stage) {
+  await generateCompletion('Système', 'Utilisateur', { stage, provider: 'capture' });
+  return requests.at(-1);
+}
+
+test('les capacités d\'openai sont celles déclarées par le provider, pas devinées du nom du modèle', () => {
+  const capabilities = (overrides) => resolveLLM({ provider: 'openai', ...overrides }).config.capabilities;
+
+  for (const model of ['gpt-4.1', 'gpt-5-mini', 'o3', 'my-finetune']) {
+    assert.equal(capabilities({ model }).temperature, false, model);
+    assert.equal(capabilities({ model }).sampling, false, model);
+    assert.equal(capabilities({ model }).tokenParam, 'max_completion_tokens', model);
+  }
+
+  // Surcharges explicites (route ou variables LLM_*)
+  const classic = capabilities({ model: 'gpt-4.1', capabilities: { temperature: true, tokenParam: 'max_tokens' } });
+  assert.deepEqual([classic.temperature, classic.sampling, classic.tokenParam], [true, false, 'max_tokens']);
+});
+
+test('une route qui déclare la température et l\'échantillonnage les reçoit', async () => {
+  const request = await lastRequest('seo');
+  assert.equal(request.model, 'classic');
+  assert.equal(request.temperature, 0.5);
+  assert.equal(request.topP, 0.9);
+});
+
+test('un modèle de raisonnement ne reçoit ni température ni échantillonnage', async () => {
+  const request = await lastRequest('outline');
+  assert.equal(request.temperature, undefined);
+  assert.equal(request.topP, undefined);
+});
+
+test('les capacités d\'une route s\'appliquent à son modèle', async () => {
+  const request = await lastRequest('content');
+  assert.equal(request.model, 'reasoning');
+  assert.equal(request.temperature, 0.3);
+  assert.equal(request.topP, undefined);
+});
+
+test('une route imposée (autre modèle) écarte les capacités de la route d\'étape', async () => {
+  const request = await withRouteOverride({ model: 'fallback' }, () => lastRequest('content'));
+  assert.equal(request.model, 'fallback');
+  assert.equal(request.temperature, undefined);
+});
+
+test('onChunk reçoit le texte cumulé puis la réponse complète', async () => {
+  const chunks = [];
+  const content = await generateCompletion('Système', 'Rédige une introduction', {
+    stage: 'faq',
+    provider: 'fake',
+    onChunk: (chunk) => chunks.push(chunk)
+  });
+
+  assert.ok(chunks.length > 1);
+  assert.deepEqual(chunks.at(-1), { stage: 'faq', delta: '', text: content, done: true });
+  const streamed = chunks.filter(chunk => !chunk.done);
+  assert.equal(streamed.map(chunk => chunk.delta).join(''), content);
+  assert.ok(streamed.every((chunk, i) => i === 0 || chunk.text.startsWith(streamed[i - 1].text)));
+});
+
+test('une erreur du callback n\'interrompt pas la génération', async () => {
+  const content = await generateCompletion('Système', 'Rédige une introduction', {
+    stage: 'faq',
+    provider: 'fake',
+    onChunk: () => { throw new Error('affichage'); }
+  });
+  assert.ok(content.length > 0);
+});
+
+/**
+ * Provider qui sert des réponses préparées, dans l'ordre
+ */
+function registerScripted(name, contents, capabilities = {}) {
+  const seen = [];
+  registerLLMProvider(name, {
+    capabilities: { jsonMode: true, temperature: true, sampling: false, tokenParam: 'max_tokens', streaming: false, structuredOutputs: false, ...capabilities },
+    validate() {},
+    async complete(request) {
+      seen.push(request);
+      const next = contents[seen.length - 1];
+      return { content: next.content ?? next, finishReason: next.finishReason || 'stop', refusal: null, model: 'scripted', usage: {} };
+    }
+  });
+  return seen;
+}
+
+const TITLE_SCHEMA = {
+  name: 'titre',
+  schema: { type: 'object', required: ['title'], properties: { title: { type: 'string', minLength: 1 } } }
+};
+
+test('une réponse non conforme au schéma est renvoyée au modèle avec ses erreurs', async () => {
+  const seen = registerScripted('repair', ['{"title": ""}', '{"title": "Titre"}']);
+  const result = await generateJSON('Système', 'Donne un titre', { provider: 'repair', schema: TITLE_SCHEMA });
+
+  assert.deepEqual(result, { title: 'Titre' });
+  assert.equal(seen.length, 2);
+  assert.match(seen[1].user, /^Donne un titre\n\n--- TA RÉPONSE PRÉCÉDENTE ---\n\{"title": ""\}/);
+  assert.match(seen[1].user, /- title : chaîne vide/);
+});
+
+test('un JSON invalide est corrigé au plus deux fois', async () => {
+  const seen = registerScripted('broken', ['pas du json', '{"title":', '{title}']);
+  await assert.rejects(
+    generateJSON('Système', 'Donne un titre', { provider: 'broken', schema: TITLE_SCHEMA }),
+    /n'est pas un JSON valide/
+  );
+  assert.equal(seen.length, 3);
+});
+
+test('sans mode JSON natif, la consigne est ajoutée et l\'objet extrait du texte', async () => {
+  const seen = registerScripted('plain', ['Voici :\n```json\n{"title": "Titre"}\n```'], { jsonMode: false });
+  const result = await generateJSON('Système', 'Donne un titre', { provider: 'plain', schema: TITLE_SCHEMA });
+
+  assert.deepEqual(result, { title: 'Titre' });
+  assert.match(seen[0].system, /UNIQUEMENT avec un objet JSON valide/);
+  assert.equal(seen[0].schema, undefined);
+});
+
+test('avec structured outputs, le schéma strict accompagne la requête', async () => {
+  const seen = registerScripted('strict', ['{"title": "Titre"}'], { structuredOutputs: true });
+  await generateJSON('Système', 'Donne un titre', { provider: 'strict', schema: TITLE_SCHEMA });
+
+  assert.deepEqual(seen[0].schema, {
+    name: 'titre',
+    schema: { type: 'object', required: ['title'], properties: { title: { type: 'string' } } }
+  });
+});
@@ -0,0 +1,190 @@
+/**
+ * Provider Anthropic (API Messages)
+ *
+ * Pas de mode JSON natif : le service LLM ajoute la consigne au prompt système
+ * et extrait l'objet JSON de la réponse.
+ */
+
+import fetch from 'node-fetch';
+
+const ANTHROPIC_VERSION = '2023-06-01';
+
+/**
+ * Correspondance des stop_reason avec les finish_reason du service LLM
+ */
+const STOP_REASONS = {
+  end_turn: 'stop',
+  stop_sequence: 'stop',
+  max_tokens: 'length',
+  refusal: 'refusal'
+};
+
+/**
+ * Corps de la requête /v1/messages
+ */
+function buildBody(request) {
+  const body = {
+    model: request.model,
+    system: request.system,
+    messages: [{ role: 'user', content: request.user }],
+    max_tokens: request.maxTokens
+  };
+
+  if (request.temperature !== undefined) body.temperature = request.temperature;
+
+  return body;
+}
+
+/**
+ * POST /v1/messages (erreurs HTTP converties en Error avec status)
+ */
+async function postMessages(body, config) {
+  const response = await fetch(`${config.baseURL.replace(/\/$/, '')}/v1/messages`, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'x-api-key': config.apiKey,
+      'anthropic-version': ANTHROPIC_VERSION
+    },
+    body: JSON.stringify(body),
+    signal: AbortSignal.timeout(config.timeout)
+  });
+
+  if (!response.ok) {
+    const errorText = await response.text();
+    const error = new Error(`Anthropic API error ${response.status}: ${errorText.slice(0, 300)}`);
+    error.status = response.status;
+    // retry-after, anthropic-ratelimit-* : lus par l'ordonnanceur
+    error.headers = Object.fromEntries(response.headers.entries());
+    throw error;
+  }
+
+  return response;
+}
+
+/**
+ * Résultat normalisé pour le service LLM
+ */
+function toResult({ content, stopReason, model, usage }) {
+  const finishReason = STOP_REASONS[stopReason] || stopReason || null;
+
+  return {
+    content,
+    finishReason,
+    refusal: finishReason === 'refusal' ? (content || 'refus du modèle') : null,
+    model,
+    usage: {
+      inputTokens: usage?.input_tokens || 0,
+      outputTokens: usage?.output_tokens || 0
+    }
+  };
+}
+
+/**
+ * Appel POST /v1/messages
+ */
+async function complete(request, config) {
+  const response = await postMessages(buildBody(request), config);
+  const data = await response.json();
+
+  return toResult({
+    content: (data.content || [])
+      .filter(block => block.type === 'text')
+      .map(block => block.text)
+      .join(''),
+    stopReason: data.stop_reason,
+    model: data.model || request.model,
+    usage: data.usage
+  });
+}
+
+/**
+ * Lire les événements server-sent events d'une réponse (données JSON)
+ */
+async function* readEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const bytes of body) {
+    buffer += decoder.decode(bytes, { stream: true }).replace(/\r\n/g, '\n');
+
+    let index;
+    while ((index = buffer.indexOf('\n\n')) !== -1) {
+      const data = buffer.slice(0, index)
+        .split('\n')
+        .filter(line => line.startsWith('data:'))
+        .map(line => line.slice(5).trim())
+        .join('\n');
+      buffer = buffer.slice(index + 2);
+      if (data) yield JSON.parse(data);
+    }
+  }
+}
+
+/**
+ * Appel POST /v1/messages en streaming
+ * @param {Function} onDelta - Appelée avec chaque fragment de texte reçu
+ */
+async function stream(request, config, onDelta) {
+  const response = await postMessages({ ...buildBody(request), stream: true }, config);
+
+  let content = '';
+  let stopReason = null;
+  let model = request.model;
+  const usage = {};
+
+  for await (const event of readEvents(response.body)) {
+    switch (event.type) {
+      case 'message_start':
+        model = event.message?.model || model;
+        Object.assign(usage, event.message?.usage);
+        break;
+      case 'content_block_delta':
+        if (event.delta?.type === 'text_delta') {
+          content += event.delta.text;
+          onDelta(event.delta.text);
+        }
+        break;
+      case 'message_delta':
+        stopReason = event.delta?.stop_reason || stopReason;
+        Object.assign(usage, event.usage);
+        break;
+      case 'error': {
+        const error = new Error(`Anthropic API error (stream): ${event.error?.message || event.error?.type}`);
+        // overloaded_error : même statut que la réponse HTTP équivalente
+        if (event.error?.type === 'overloaded_error') error.status = 529;
+        throw error;
+      }
+    }
+  }
+
+  return toResult({ content, stopReason, model, usage });
+}
+
+export const anthropicProvider = {
+  name: 'anthropic',
+  capabilities: {
+    jsonMode: false,
+    temperature: true,
+    // top_p ne se combine pas avec temperature ; pas de pénalités de fréquence
+    sampling: false,
+    tokenParam: 'max_tokens',
+    embeddings: false,
+    images: false,
+    streaming: true,
+    structuredOutputs: false,
+    // Mode batch du cron : API Batch d'OpenAI uniquement (appels synchrones ici)
+    batch: false
+  },
+  validate(config) {
+    if (!config.apiKey) {
+      throw new Error('ANTHROPIC_API_KEY non définie dans le fichier .env');
+    }
+  },
+  complete,
+  stream
+};
+
+export default {
+  anthropicProvider
+};
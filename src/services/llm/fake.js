@@ -0,0 +1,328 @@
+/**
+ * Provider factice et déterministe (hors ligne, sans clé API)
+ *
+ * La même requête produit toujours la même réponse :
+ * - JSON : structure reprise de l'exemple du prompt système, valeurs générées
+ * - Texte : respecte les consignes lisibles du prompt (titre imposé, nombre de mots),
+ *   renvoie tel quel le texte à traduire ou à réviser
+ * - Embeddings : sac de mots haché, normalisé
+ * - API Batch : jobs écrits dans <BATCH_DIR>/fake/, terminés après BATCH_FAKE_DELAY_MS
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { getBatchConfig } from '../../config/batch.js';
+
+const VOCABULARY = [
+  'application', 'équipe', 'projet', 'client', 'performance', 'interface', 'données', 'serveur',
+  'navigateur', 'déploiement', 'architecture', 'produit', 'utilisateur', 'budget', 'sécurité',
+  'outil', 'framework', 'migration', 'code', 'test', 'mobile', 'site', 'contenu', 'réseau',
+  'améliore', 'simplifie', 'accélère', 'transforme', 'réduit', 'structure', 'change', 'révèle',
+  'concrètement', 'rapidement', 'souvent', 'vraiment', 'aujourd\'hui', 'désormais', 'encore',
+  'nouveau', 'simple', 'robuste', 'coûteux', 'moderne', 'fiable', 'discret', 'essentiel'
+];
+
+const EMBEDDING_DIMENSIONS = 64;
+
+/**
+ * Générateur pseudo-aléatoire (mulberry32) initialisé par le hash de la requête
+ */
+function createRandom(seedText) {
+  let seed = crypto.createHash('sha256').update(seedText).digest().readUInt32LE(0);
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = seed;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function pick(random, list) {
+  return list[Math.floor(random() * list.length)];
+}
+
+function sentence(random, minWords = 10, maxWords = 18) {
+  const count = minWords + Math.floor(random() * (maxWords - minWords + 1));
+  const words = Array.from({ length: count }, () => pick(random, VOCABULARY));
+  const text = words.join(' ');
+  return `${text.charAt(0).toUpperCase()}${text.slice(1)}.`;
+}
+
+function paragraph(random, words) {
+  const sentences = [];
+  let total = 0;
+  while (total < words) {
+    const s = sentence(random);
+    sentences.push(s);
+    total += s.split(' ').length;
+  }
+  return sentences.join(' ');
+}
+
+/**
+ * Texte de ~words mots en paragraphes d'environ 70 mots
+ */
+function paragraphs(random, words) {
+  const count = Math.max(1, Math.round(words / 70));
+  return Array.from({ length: count }, () => paragraph(random, Math.round(words / count))).join('\n\n');
+}
+
+/**
+ * Premier objet JSON valide trouvé dans un texte (exemple de format du prompt système)
+ */
+function findJSONExample(text) {
+  for (let start = text.indexOf('{'); start !== -1; start = text.indexOf('{', start + 1)) {
+    let depth = 0;
+    for (let i = start; i < text.length; i++) {
+      if (text[i] === '{') depth++;
+      if (text[i] === '}') depth--;
+      if (depth === 0) {
+        try {
+          const parsed = JSON.parse(text.slice(start, i + 1));
+          if (parsed && typeof parsed === 'object' && Object.keys(parsed).length > 0) return parsed;
+        } catch {
+          // Pas un JSON : essayer l'accolade suivante
+        }
+        break;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Remplir un exemple de structure JSON avec des valeurs générées
+ * "a | b | c" → une des options ; tableaux → 3 éléments
+ */
+function fillTemplate(template, random) {
+  if (Array.isArray(template)) {
+    const item = template[0] ?? 'string';
+    return Array.from({ length: 3 }, () => fillTemplate(item, random));
+  }
+  if (template && typeof template === 'object') {
+    return Object.fromEntries(Object.entries(template).map(([key, value]) => [key, fillTemplate(value, random)]));
+  }
+  if (typeof template === 'string') {
+    const options = template.split(' | ');
+    if (options.length > 1) return pick(random, options).trim();
+    return sentence(random, 4, 9).replace(/\.$/, '');
+  }
+  return template;
+}
+
+/**
+ * Générer une valeur conforme à un schéma JSON (structured outputs)
+ */
+function fillSchema(schema, random) {
+  const type = Array.isArray(schema.type) ? schema.type[0] : schema.type;
+  if (schema.enum) return pick(random, schema.enum);
+
+  switch (type) {
+    case 'object':
+      return Object.fromEntries(
+        Object.entries(schema.properties || {}).map(([key, value]) => [key, fillSchema(value, random)])
+      );
+    case 'array':
+      return Array.from({ length: 3 }, () => fillSchema(schema.items || { type: 'string' }, random));
+    case 'integer':
+    case 'number':
+      return 500 + Math.floor(random() * 2000);
+    case 'boolean':
+      return random() < 0.5;
+    case 'null':
+      return null;
+    default:
+      return sentence(random, 4, 9).replace(/\.$/, '');
+  }
+}
+
+/**
+ * Réponse JSON : schéma demandé, structure de l'exemple, ou clés énumérées ("ces clés : a, b, c")
+ */
+function completeJSON(request, random) {
+  if (request.schema) return fillSchema(request.schema.schema, random);
+
+  const example = findJSONExample(request.system);
+  if (example) return fillTemplate(example, random);
+
+  const keys = request.system.match(/clés\s*:\s*([\w\s,]+)/)?.[1]
+    ?.split(',')
+    .map(k => k.trim())
+    .filter(Boolean);
+
+  return keys ? fillTemplate(Object.fromEntries(keys.map(k => [k, 'string'])), random) : {};
+}
+
+/**
+ * Réponse texte selon les consignes lisibles du prompt
+ */
+function completeText(request, random) {
+  const { system, user } = request;
+
+  // Traduction : texte source renvoyé tel quel
+  const toTranslate = /tradu/i.test(system) && user.match(/\n---\n([\s\S]*)\n---\s*$/);
+  if (toTranslate) return toTranslate[1];
+
+  // Révision : article renvoyé tel quel
+  const toRevise = user.match(/--- ARTICLE ---\n([\s\S]*?)\n--- FIN ARTICLE ---/);
+  if (toRevise) return toRevise[1];
+
+  // Réponse courte (titres, métadonnées)
+  if (request.maxTokens <= 600) return sentence(random, 6, 10);
+
+  const targetWords = parseInt(user.match(/Environ (\d+) mots/)?.[1] || user.match(/Longueur : (\d+) mots/)?.[1] || '1500', 10);
+  const heading = user.match(/Commence EXACTEMENT par la ligne "(## [^"\n]+)"/)?.[1];
+
+  if (heading) return `${heading}\n\n${paragraphs(random, targetWords)}`;
+  if (/Aucun titre/.test(user)) return paragraphs(random, targetWords);
+
+  // Article complet : accroche puis sections H2
+  const sectionCount = 5;
+  const sectionWords = Math.round(targetWords / (sectionCount + 1));
+  const sections = Array.from({ length: sectionCount }, () =>
+    `## ${sentence(random, 4, 7).replace(/\.$/, '')}\n\n${paragraphs(random, sectionWords)}`
+  );
+
+  return [paragraphs(random, sectionWords), ...sections].join('\n\n');
+}
+
+/**
+ * Estimation grossière : 4 caractères par token
+ */
+function countTokens(text) {
+  return Math.ceil((text || '').length / 4);
+}
+
+async function complete(request) {
+  const random = createRandom(`${request.model}\n${request.system}\n${request.user}\n${request.json ? 'json' : 'text'}`);
+  const content = request.json
+    ? JSON.stringify(completeJSON(request, random))
+    : completeText(request, random);
+
+  return {
+    content,
+    finishReason: 'stop',
+    refusal: null,
+    model: request.model,
+    usage: {
+      inputTokens: countTokens(request.system) + countTokens(request.user),
+      outputTokens: countTokens(content)
+    }
+  };
+}
+
+/**
+ * Streaming simulé : la réponse de complete() découpée mot par mot
+ * (rend la main à la boucle d'événements régulièrement pour laisser la CLI s'afficher)
+ */
+async function stream(request, config, onDelta) {
+  const result = await complete(request);
+  const pieces = result.content.match(/\S+\s*|\s+/g) || [];
+
+  for (let i = 0; i < pieces.length; i++) {
+    onDelta(pieces[i]);
+    if (i % 20 === 19) await new Promise(resolve => setImmediate(resolve));
+  }
+
+  return result;
+}
+
+/**
+ * Embeddings : chaque mot incrémente une dimension déterminée par son hash
+ * (textes proches → vecteurs proches)
+ */
+async function embed(texts) {
+  const vectors = texts.map(text => {
+    const vector = new Array(EMBEDDING_DIMENSIONS).fill(0);
+    const words = (text || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+    for (const word of words) {
+      const index = crypto.createHash('md5').update(word).digest().readUInt32LE(0) % EMBEDDING_DIMENSIONS;
+      vector[index] += 1;
+    }
+    const norm = Math.sqrt(vector.reduce((sum, v) => sum + v * v, 0)) || 1;
+    return vector.map(v => v / norm);
+  });
+
+  return { vectors, usage: { inputTokens: texts.reduce((sum, text) => sum + countTokens(text), 0) } };
+}
+
+/**
+ * Ligne JSONL : la requête normalisée telle quelle, rejouée par complete() à la lecture des résultats
+ */
+function batchLine(request) {
+  return { method: 'POST', url: '/v1/chat/completions', body: request };
+}
+
+function getFakeBatchPath(id) {
+  return path.join(getBatchConfig().dir, 'fake', `${id}.json`);
+}
+
+/**
+ * Job batch local : persisté sur disque pour être relu par un autre processus (--collect)
+ */
+async function submitBatch(lines) {
+  const id = `batch_fake_${Date.now().toString(36)}${crypto.randomBytes(3).toString('hex')}`;
+  const file = getFakeBatchPath(id);
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  await fs.writeFile(file, JSON.stringify({ id, createdAt: Date.now(), lines }), 'utf-8');
+  return getBatch(id);
+}
+
+async function getBatch(id) {
+  let job;
+  try {
+    job = JSON.parse(await fs.readFile(getFakeBatchPath(id), 'utf-8'));
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    const notFound = new Error(`Batch introuvable: ${id}`);
+    notFound.status = 404;
+    throw notFound;
+  }
+
+  const done = Date.now() - job.createdAt >= getBatchConfig().fakeDelayMs;
+  return {
+    id,
+    status: done ? 'completed' : 'in_progress',
+    counts: { total: job.lines.length, completed: done ? job.lines.length : 0, failed: 0 },
+    outputFileId: done ? id : null,
+    errorFileId: null
+  };
+}
+
+async function getBatchResults(batch) {
+  const job = JSON.parse(await fs.readFile(getFakeBatchPath(batch.id), 'utf-8'));
+  const results = new Map();
+  for (const line of job.lines) {
+    results.set(line.custom_id, { result: await complete(line.body) });
+  }
+  return results;
+}
+
+export const fakeProvider = {
+  name: 'fake',
+  capabilities: {
+    jsonMode: true,
+    temperature: true,
+    sampling: true,
+    tokenParam: 'max_tokens',
+    embeddings: true,
+    images: false,
+    streaming: true,
+    structuredOutputs: true,
+    batch: true
+  },
+  validate() {},
+  complete,
+  stream,
+  embed,
+  batchLine,
+  submitBatch,
+  getBatch,
+  getBatchResults
+};
+
+export default {
+  fakeProvider
+};
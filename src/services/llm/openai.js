@@ -0,0 +1,325 @@
+/**
+ * Providers compatibles avec l'API Chat Completions d'OpenAI
+ *
+ * - openai            : API officielle (GPT-5 par défaut)
+ * - openai-compatible : serveur local ou auto-hébergé exposant /v1 (Ollama, vLLM, LM Studio)
+ */
+
+import OpenAI, { toFile } from 'openai';
+import { logger } from '../../utils/logger.js';
+
+/**
+ * Clients par couple URL de base / clé API
+ */
+const clients = new Map();
+
+/**
+ * Obtenir (ou créer) le client pour une configuration donnée
+ */
+export function getOpenAIClient(config) {
+  const key = `${config.baseURL || 'default'}|${config.apiKey}`;
+
+  if (!clients.has(key)) {
+    clients.set(key, new OpenAI({
+      apiKey: config.apiKey,
+      ...(config.baseURL && { baseURL: config.baseURL }),
+      ...(config.timeout && { timeout: config.timeout }),
+      // Les retries sont gérés par l'ordonnanceur (services/scheduler.js)
+      maxRetries: 0
+    }));
+    logger.debug(`Client ${config.provider || 'openai'} initialisé (${config.baseURL || 'api.openai.com'})`);
+  }
+
+  return clients.get(key);
+}
+
+/**
+ * Paramètres Chat Completions, déjà filtrés selon les capacités
+ */
+function buildParams(request, config) {
+  const params = {
+    model: request.model,
+    messages: [
+      { role: 'system', content: request.system },
+      { role: 'user', content: request.user }
+    ],
+    [config.capabilities.tokenParam]: request.maxTokens
+  };
+
+  if (request.temperature !== undefined) params.temperature = request.temperature;
+  if (request.topP !== undefined) params.top_p = request.topP;
+  if (request.frequencyPenalty !== undefined) params.frequency_penalty = request.frequencyPenalty;
+  if (request.presencePenalty !== undefined) params.presence_penalty = request.presencePenalty;
+  if (request.schema) {
+    params.response_format = {
+      type: 'json_schema',
+      json_schema: { name: request.schema.name, strict: true, schema: request.schema.schema }
+    };
+  } else if (request.json) {
+    params.response_format = { type: 'json_object' };
+  }
+
+  return params;
+}
+
+/**
+ * Usage normalisé à partir du champ usage de l'API
+ */
+function mapUsage(usage) {
+  return {
+    inputTokens: usage?.prompt_tokens || 0,
+    outputTokens: usage?.completion_tokens || 0,
+    reasoningTokens: usage?.completion_tokens_details?.reasoning_tokens || 0
+  };
+}
+
+/**
+ * Résultat normalisé d'une réponse Chat Completions
+ */
+function toResult(completion, model) {
+  const choice = completion.choices?.[0];
+
+  return {
+    content: choice?.message?.content || '',
+    finishReason: choice?.finish_reason || null,
+    refusal: choice?.message?.refusal || null,
+    model: completion.model || model,
+    usage: mapUsage(completion.usage)
+  };
+}
+
+/**
+ * Appel Chat Completions
+ */
+async function complete(request, config) {
+  const client = getOpenAIClient(config);
+  const completion = await client.chat.completions.create(buildParams(request, config));
+  return toResult(completion, request.model);
+}
+
+/**
+ * Appel Chat Completions en streaming
+ * L'usage arrive dans le dernier chunk (stream_options.include_usage)
+ * @param {Function} onDelta - Appelée avec chaque fragment de texte reçu
+ */
+async function stream(request, config, onDelta) {
+  const client = getOpenAIClient(config);
+  const response = await client.chat.completions.create({
+    ...buildParams(request, config),
+    stream: true,
+    stream_options: { include_usage: true }
+  });
+
+  let content = '';
+  let refusal = '';
+  let finishReason = null;
+  let model = request.model;
+  let usage = null;
+
+  for await (const chunk of response) {
+    if (chunk.model) model = chunk.model;
+    if (chunk.usage) usage = chunk.usage;
+
+    const choice = chunk.choices?.[0];
+    if (!choice) continue;
+    if (choice.delta?.content) {
+      content += choice.delta.content;
+      onDelta(choice.delta.content);
+    }
+    if (choice.delta?.refusal) refusal += choice.delta.refusal;
+    if (choice.finish_reason) finishReason = choice.finish_reason;
+  }
+
+  return {
+    content,
+    finishReason,
+    refusal: refusal || null,
+    model,
+    usage: mapUsage(usage)
+  };
+}
+
+/**
+ * Embeddings via l'endpoint /embeddings
+ * @returns {object} { vectors, usage }
+ */
+async function embed(texts, config) {
+  const client = getOpenAIClient(config);
+  const response = await client.embeddings.create({ model: config.embeddingModel, input: texts });
+
+  return {
+    vectors: response.data
+      .sort((a, b) => a.index - b.index)
+      .map(item => item.embedding),
+    usage: { inputTokens: response.usage?.prompt_tokens || 0 }
+  };
+}
+
+/**
+ * Image via l'endpoint /images/generations (gpt-image-1, dall-e-3)
+ * @returns {object} { b64, model, usage } — image encodée en base64
+ */
+async function image(request, config) {
+  const client = getOpenAIClient(config);
+  const response = await client.images.generate({
+    model: request.model,
+    prompt: request.prompt,
+    n: 1,
+    size: request.size,
+    ...(request.model.startsWith('dall-e') && { response_format: 'b64_json' })
+  });
+
+  return {
+    b64: response.data?.[0]?.b64_json || null,
+    model: request.model,
+    // dall-e est facturé à l'image : pas d'usage en tokens
+    usage: {
+      inputTokens: response.usage?.input_tokens || 0,
+      outputTokens: response.usage?.output_tokens || 0
+    }
+  };
+}
+
+/**
+ * Ligne JSONL d'un job batch (sans custom_id)
+ */
+function batchLine(request, config) {
+  return { method: 'POST', url: '/v1/chat/completions', body: buildParams(request, config) };
+}
+
+/**
+ * Job batch normalisé
+ */
+function mapBatch(batch) {
+  return {
+    id: batch.id,
+    status: batch.status,
+    counts: {
+      total: batch.request_counts?.total || 0,
+      completed: batch.request_counts?.completed || 0,
+      failed: batch.request_counts?.failed || 0
+    },
+    outputFileId: batch.output_file_id || null,
+    errorFileId: batch.error_file_id || null
+  };
+}
+
+/**
+ * Soumettre un job : fichier JSONL (purpose batch) puis création du batch
+ */
+async function submitBatch(lines, config) {
+  const client = getOpenAIClient(config);
+  const jsonl = lines.map(line => JSON.stringify(line)).join('\n');
+  const file = await client.files.create({
+    file: await toFile(Buffer.from(jsonl, 'utf-8'), 'batch.jsonl'),
+    purpose: 'batch'
+  });
+  const batch = await client.batches.create({
+    input_file_id: file.id,
+    endpoint: '/v1/chat/completions',
+    completion_window: '24h'
+  });
+  return mapBatch(batch);
+}
+
+async function getBatch(id, config) {
+  return mapBatch(await getOpenAIClient(config).batches.retrieve(id));
+}
+
+/**
+ * Lire les fichiers de sortie et d'erreurs d'un job
+ * (un job expiré ou annulé a aussi des résultats partiels)
+ */
+async function getBatchResults(batch, config) {
+  const client = getOpenAIClient(config);
+  const results = new Map();
+
+  for (const fileId of [batch.outputFileId, batch.errorFileId].filter(Boolean)) {
+    const text = await (await client.files.content(fileId)).text();
+    for (const line of text.split('\n').filter(l => l.trim())) {
+      const item = JSON.parse(line);
+      const body = item.response?.body;
+      if (item.response?.status_code === 200 && body) {
+        results.set(item.custom_id, { result: toResult(body, body.model) });
+      } else {
+        results.set(item.custom_id, {
+          error: item.error?.message || body?.error?.message || `HTTP ${item.response?.status_code}`
+        });
+      }
+    }
+  }
+
+  return results;
+}
+
+/**
+ * API officielle OpenAI
+ * Par défaut (GPT-5 et modèles de raisonnement) : max_completion_tokens, pas de temperature ni d'échantillonnage
+ * (gpt-4o / gpt-4.1 : LLM_TEMPERATURE=true et LLM_SAMPLING=true, ou capabilities de la route)
+ */
+export const openaiProvider = {
+  name: 'openai',
+  capabilities: {
+    jsonMode: true,
+    temperature: false,
+    sampling: false,
+    tokenParam: 'max_completion_tokens',
+    embeddings: true,
+    images: true,
+    // Certains modèles exigent une organisation vérifiée pour le streaming (LLM_STREAMING=false)
+    streaming: true,
+    structuredOutputs: true,
+    // API Batch (/v1/batches) : mode batch du cron
+    batch: true
+  },
+  validate(config) {
+    if (!config.apiKey) {
+      throw new Error('OPENAI_API_KEY non définie dans le fichier .env');
+    }
+  },
+  complete,
+  stream,
+  embed,
+  image,
+  batchLine,
+  submitBatch,
+  getBatch,
+  getBatchResults
+};
+
+/**
+ * Serveur compatible OpenAI (Ollama, vLLM, LM Studio...)
+ * Paramètres historiques : max_tokens, temperature et échantillonnage acceptés
+ */
+export const openaiCompatibleProvider = {
+  name: 'openai-compatible',
+  capabilities: {
+    jsonMode: true,
+    temperature: true,
+    sampling: true,
+    tokenParam: 'max_tokens',
+    embeddings: true,
+    images: false,
+    streaming: true,
+    // json_schema selon le serveur (vLLM, Ollama récents) : LLM_STRUCTURED_OUTPUTS=true
+    structuredOutputs: false,
+    batch: false
+  },
+  validate(config) {
+    if (!config.baseURL) {
+      throw new Error('LLM_BASE_URL non définie (ex: http://localhost:11434/v1 pour Ollama)');
+    }
+    if (!config.model) {
+      throw new Error('LLM_MODEL non défini pour le provider openai-compatible');
+    }
+  },
+  complete,
+  stream,
+  embed
+};
+
+export default {
+  getOpenAIClient,
+  openaiProvider,
+  openaiCompatibleProvider
+};
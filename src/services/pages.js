@@ -0,0 +1,500 @@
+/**
+ * Pages sources de la recherche web : téléchargement, extraction du texte lisible, passages pertinents
+ *
+ * Étape optionnelle de researchTopicOnline (--fetch-pages) : les N premiers résultats sont
+ * téléchargés (taille et délai limités, robots.txt respecté), leur texte principal est extrait
+ * (navigation, en-têtes, pubs, scripts et blocs de liens retirés), découpé en passages, et les
+ * passages sont classés par pertinence pour le sujet (BM25). Les meilleurs extraits rejoignent
+ * le contexte envoyé au modèle, avec leur URL.
+ *
+ * Le texte extrait de chaque page est mis en cache (SOURCE_PAGES_CACHE_DIR). Hors ligne : une URL
+ * peut être un chemin local (ou file://), et SOURCE_PAGES_FIXTURES_DIR remplace chaque page
+ * distante par un fichier HTML local (voir getPageFixtureName).
+ */
+
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import fetch from 'node-fetch';
+import { withFixture, hasFixtures, isReplaying } from './fixtures.js';
+import { normalizeTitle } from '../generators/duplicates.js';
+import { getPageFetchConfig } from '../config/pages.js';
+import { decodeHTMLEntities, truncateText } from '../utils/helpers.js';
+import { logger } from '../utils/logger.js';
+
+const USER_AGENT = 'GleeamResearch/1.0 (+https://gleeam.com)';
+
+/**
+ * Nom du robot cherché dans les groupes User-agent du robots.txt
+ */
+const ROBOTS_AGENT = 'gleeamresearch';
+
+/**
+ * Éléments retirés avec tout leur contenu
+ */
+const SKIPPED_TAGS = new Set([
+  'script', 'style', 'noscript', 'template', 'svg', 'canvas', 'iframe', 'object', 'form', 'button',
+  'select', 'dialog', 'nav', 'header', 'footer', 'aside', 'head'
+]);
+
+/**
+ * Éléments dont le contenu n'est pas du HTML (lus jusqu'à leur balise fermante)
+ */
+const RAW_TEXT_TAGS = new Set(['script', 'style', 'textarea', 'title']);
+
+/**
+ * Éléments qui coupent le texte en blocs
+ */
+const BLOCK_TAGS = new Set([
+  'p', 'div', 'section', 'article', 'main', 'li', 'ul', 'ol', 'dl', 'dt', 'dd', 'blockquote', 'pre',
+  'table', 'tr', 'td', 'th', 'figcaption', 'br', 'hr', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6'
+]);
+
+const VOID_TAGS = new Set(['area', 'base', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr']);
+
+/**
+ * Classes, id et rôles des blocs annexes : pubs, partage, commentaires, bandeaux...
+ * Mots courts isolés (ad, nav...), mots longs n'importe où (VPFooter, site-header, cookieBanner...)
+ */
+const BOILERPLATE_WORDS = /(^|[\s_-])(ads?|nav|menu|toc|share|social|related|promo|banner|modal)([\s_-]|$)/i;
+const BOILERPLATE_PARTS = /advert|sponsor|cookie|consent|newsletter|subscribe|comment|recommend|sidebar|navbar|breadcrumb|popup|footer|header/i;
+const BOILERPLATE_ROLES = /^(navigation|banner|contentinfo|complementary|search|dialog)$/i;
+
+/**
+ * Structure de la page : jamais retirée, même si sa classe ressemble à un bloc annexe
+ */
+const STRUCTURAL_TAGS = new Set(['html', 'body', 'main', 'article']);
+
+/**
+ * Blocs gardés : au moins MIN_BLOCK_WORDS mots, liens minoritaires
+ */
+const MIN_BLOCK_WORDS = 8;
+const MAX_LINK_DENSITY = 0.5;
+
+function getAttribute(attributes, name) {
+  return attributes.match(new RegExp(`(?:^|\\s)${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)'|([^\\s>]+))`, 'i'))
+    ?.slice(1).find(value => value !== undefined) ?? null;
+}
+
+function isBoilerplate(tag, attributes) {
+  if (SKIPPED_TAGS.has(tag)) return true;
+  if (STRUCTURAL_TAGS.has(tag) || !attributes.trim()) return false;
+  if (/(?:^|\s)hidden(?:\s|=|$)/i.test(attributes) || getAttribute(attributes, 'aria-hidden') === 'true') return true;
+
+  const role = getAttribute(attributes, 'role');
+  if (role && BOILERPLATE_ROLES.test(role)) return true;
+  return [getAttribute(attributes, 'class'), getAttribute(attributes, 'id')]
+    .some(value => value && (BOILERPLATE_WORDS.test(value) || BOILERPLATE_PARTS.test(value)));
+}
+
+function cleanText(text) {
+  return decodeHTMLEntities(text).replace(/\s+/g, ' ').trim();
+}
+
+function countWords(text) {
+  return text ? text.split(/\s+/).length : 0;
+}
+
+/**
+ * Extraire le texte principal d'une page HTML
+ * Les blocs de <main> / <article> sont préférés quand ils contiennent l'essentiel du texte
+ * @param {string} html - Contenu de la page
+ * @returns {object} { title, paragraphs: [texte], words }
+ */
+export function extractReadableText(html) {
+  const tagPattern = /<!--[\s\S]*?-->|<![^>]*>|<(\/?)([a-zA-Z][\w:-]*)([^>]*)>/g;
+  const lowerHtml = html.toLowerCase();
+  const blocks = [];
+  let title = null;
+  let skip = null;
+  let mainDepth = 0;
+  let linkDepth = 0;
+  let current = { text: '', linkChars: 0, inMain: false };
+
+  const flush = () => {
+    const text = cleanText(current.text);
+    if (text) {
+      const linkShare = Math.min(1, current.linkChars / text.length);
+      blocks.push({ text, words: countWords(text), linkShare, inMain: current.inMain });
+    }
+    current = { text: '', linkChars: 0, inMain: mainDepth > 0 };
+  };
+
+  const appendText = text => {
+    current.text += text;
+    if (linkDepth > 0) current.linkChars += cleanText(text).length;
+  };
+
+  let lastIndex = 0;
+  let match;
+  while ((match = tagPattern.exec(html)) !== null) {
+    if (!skip) appendText(html.slice(lastIndex, match.index));
+    lastIndex = tagPattern.lastIndex;
+
+    const [raw, closing, name, attributes = ''] = match;
+    // Commentaires et doctype
+    if (raw.startsWith('<!')) continue;
+    const tag = name.toLowerCase();
+    const selfClosing = VOID_TAGS.has(tag) || attributes.trim().endsWith('/');
+
+    // Contenu brut (scripts, styles, titre) : aller directement à la balise fermante
+    if (!closing && RAW_TEXT_TAGS.has(tag)) {
+      const end = lowerHtml.indexOf(`</${tag}`, lastIndex);
+      const content = html.slice(lastIndex, end === -1 ? html.length : end);
+      if (tag === 'title' && !title) title = cleanText(content) || null;
+      lastIndex = end === -1 ? html.length : html.indexOf('>', end) + 1;
+      tagPattern.lastIndex = lastIndex;
+      continue;
+    }
+
+    // Bloc annexe : tout son contenu est ignoré (éléments imbriqués de même nom compris)
+    if (skip) {
+      if (tag === skip.tag && !selfClosing) skip.depth += closing ? -1 : 1;
+      if (skip.depth === 0) skip = null;
+      continue;
+    }
+    if (!closing && !selfClosing && isBoilerplate(tag, attributes)) {
+      skip = { tag, depth: 1 };
+      continue;
+    }
+
+    if (tag === 'a' && !selfClosing) linkDepth = Math.max(0, linkDepth + (closing ? -1 : 1));
+    if (BLOCK_TAGS.has(tag)) flush();
+    if (tag === 'main' || tag === 'article') {
+      mainDepth = Math.max(0, mainDepth + (closing ? -1 : 1));
+      current.inMain = mainDepth > 0;
+    }
+  }
+  if (!skip) appendText(html.slice(lastIndex));
+  flush();
+
+  const readable = blocks.filter(block => block.words >= MIN_BLOCK_WORDS && block.linkShare <= MAX_LINK_DENSITY);
+  const main = readable.filter(block => block.inMain);
+  const total = readable.reduce((sum, block) => sum + block.words, 0);
+  const mainWords = main.reduce((sum, block) => sum + block.words, 0);
+  const kept = mainWords > 0 && mainWords >= total / 2 ? main : readable;
+
+  return {
+    title,
+    paragraphs: kept.map(block => block.text),
+    words: kept.reduce((sum, block) => sum + block.words, 0)
+  };
+}
+
+/**
+ * Découper des paragraphes en passages d'environ chunkWords mots
+ * (les paragraphes trop longs sont coupés entre deux phrases)
+ */
+export function chunkPassages(paragraphs, chunkWords = 120) {
+  const pieces = paragraphs.flatMap(paragraph =>
+    countWords(paragraph) > chunkWords * 1.5 ? paragraph.split(/(?<=[.!?…])\s+/) : [paragraph]
+  );
+
+  const chunks = [];
+  let current = [];
+  let size = 0;
+  for (const piece of pieces) {
+    const words = countWords(piece);
+    if (size > 0 && size + words > chunkWords) {
+      chunks.push(current.join(' '));
+      current = [];
+      size = 0;
+    }
+    current.push(piece);
+    size += words;
+  }
+  if (current.length > 0) chunks.push(current.join(' '));
+
+  return chunks;
+}
+
+/**
+ * Classer des passages par pertinence pour un sujet (BM25 sur les mots normalisés)
+ * @param {Array} passages - [{ text, ... }]
+ * @param {string} topic - Sujet (titre)
+ * @returns {Array} Passages avec leur score, du plus pertinent au moins pertinent
+ */
+export function rankPassages(passages, topic) {
+  const k1 = 1.2;
+  const b = 0.75;
+  const queryTerms = [...new Set(normalizeTitle(topic))];
+  const documents = passages.map(passage => normalizeTitle(passage.text));
+  const averageLength = documents.reduce((sum, terms) => sum + terms.length, 0) / (documents.length || 1);
+
+  const documentFrequency = new Map(queryTerms.map(term => [term, documents.filter(terms => terms.includes(term)).length]));
+
+  return passages.map((passage, i) => {
+    const terms = documents[i];
+    const score = queryTerms.reduce((sum, term) => {
+      const frequency = terms.filter(word => word === term).length;
+      if (frequency === 0) return sum;
+      const df = documentFrequency.get(term);
+      const idf = Math.log(1 + (documents.length - df + 0.5) / (df + 0.5));
+      return sum + idf * (frequency * (k1 + 1)) / (frequency + k1 * (1 - b + b * terms.length / (averageLength || 1)));
+    }, 0);
+    return { ...passage, score: Math.round(score * 100) / 100 };
+  }).sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Analyser un robots.txt
+ * @returns {Array} Groupes [{ agents: [nom], rules: [{ allow, path }] }]
+ */
+export function parseRobots(text) {
+  const groups = [];
+  let group = null;
+
+  for (const line of text.split(/\r?\n/)) {
+    const [, field, value] = line.replace(/#.*/, '').match(/^\s*([\w-]+)\s*:\s*(.*?)\s*$/) || [];
+    if (!field) continue;
+    const key = field.toLowerCase();
+
+    if (key === 'user-agent') {
+      // Plusieurs User-agent à la suite partagent les mêmes règles
+      if (!group || group.rules.length > 0) {
+        group = { agents: [], rules: [] };
+        groups.push(group);
+      }
+      group.agents.push(value.toLowerCase());
+    } else if (group && (key === 'allow' || key === 'disallow') && value) {
+      group.rules.push({ allow: key === 'allow', path: value });
+    }
+  }
+
+  return groups;
+}
+
+function robotsPatternToRegExp(pattern) {
+  const anchored = pattern.endsWith('$');
+  const body = (anchored ? pattern.slice(0, -1) : pattern)
+    .split('*')
+    .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+    .join('.*');
+  return new RegExp(`^${body}${anchored ? '$' : ''}`);
+}
+
+/**
+ * Le robots.txt autorise-t-il ce chemin ? (règle la plus longue, Allow à égalité)
+ * Groupe du robot s'il existe, sinon groupe "*"
+ */
+export function isAllowedByRobots(groups, pathWithQuery, agent = ROBOTS_AGENT) {
+  const named = groups.filter(group => group.agents.some(name => name !== '*' && agent.includes(name)));
+  const rules = (named.length > 0 ? named : groups.filter(group => group.agents.includes('*'))).flatMap(group => group.rules);
+
+  let best = null;
+  for (const rule of rules) {
+    if (!robotsPatternToRegExp(rule.path).test(pathWithQuery)) continue;
+    if (!best || rule.path.length > best.path.length || (rule.path.length === best.path.length && rule.allow)) {
+      best = rule;
+    }
+  }
+  return !best || best.allow;
+}
+
+/**
+ * robots.txt par origine, lus une fois par processus
+ * null : robots.txt injoignable (erreur serveur ou réseau), tout est interdit par prudence
+ */
+const robotsCache = new Map();
+
+function loadRobots(origin, config) {
+  if (!robotsCache.has(origin)) {
+    robotsCache.set(origin, (async () => {
+      try {
+        const response = await fetch(`${origin}/robots.txt`, {
+          headers: { 'User-Agent': USER_AGENT },
+          signal: AbortSignal.timeout(config.timeoutMs)
+        });
+        // Pas de robots.txt (4xx) : tout est autorisé
+        if (response.status >= 400 && response.status < 500) return [];
+        if (!response.ok) return null;
+        return parseRobots(await response.text());
+      } catch (error) {
+        logger.debug(`robots.txt de ${origin} injoignable: ${error.message}`);
+        return null;
+      }
+    })());
+  }
+  return robotsCache.get(origin);
+}
+
+/**
+ * Télécharger une page HTML sans dépasser maxBytes (le reste est ignoré)
+ * @returns {Promise<object>} { html, truncated }
+ */
+async function downloadHTML(url, config) {
+  const response = await fetch(url, {
+    headers: {
+      'User-Agent': USER_AGENT,
+      'Accept': 'text/html, application/xhtml+xml;q=0.9'
+    },
+    signal: AbortSignal.timeout(config.timeoutMs)
+  });
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const type = response.headers.get('content-type') || '';
+  if (type && !/html|xml/i.test(type)) {
+    throw new Error(`contenu non HTML (${type.split(';')[0]})`);
+  }
+
+  const chunks = [];
+  let size = 0;
+  let truncated = false;
+  for await (const chunk of response.body) {
+    if (size + chunk.length > config.maxBytes) {
+      chunks.push(chunk.subarray(0, config.maxBytes - size));
+      truncated = true;
+      break;
+    }
+    chunks.push(chunk);
+    size += chunk.length;
+  }
+
+  return { html: Buffer.concat(chunks).toString('utf-8'), truncated };
+}
+
+/**
+ * Nom du fichier local qui remplace une page distante dans SOURCE_PAGES_FIXTURES_DIR
+ * Ex: https://react.dev/blog/2024/12/05/react-19 → react.dev_blog_2024_12_05_react-19.html
+ */
+export function getPageFixtureName(url) {
+  const { host, pathname, search } = new URL(url);
+  const name = `${host}${pathname}${search}`.replace(/[^a-z0-9.-]+/gi, '_').replace(/_+$/, '');
+  return name.endsWith('.html') ? name : `${name}.html`;
+}
+
+function isLocalPage(url) {
+  return !/^https?:\/\//i.test(url);
+}
+
+async function readJSON(filePath) {
+  try {
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+}
+
+/**
+ * Lire une page et en extraire le texte : fichier local, fixture, cache ou réseau
+ * @returns {Promise<object>} { url, status: 'ok' | 'robots', title, paragraphs, words, truncated }
+ */
+export async function readPage(url, options = {}) {
+  const config = getPageFetchConfig(options);
+
+  if (isLocalPage(url)) {
+    const file = url.startsWith('file:') ? fileURLToPath(url) : url;
+    return { url, status: 'ok', truncated: false, ...extractReadableText(await fs.readFile(file, 'utf-8')) };
+  }
+
+  if (config.fixturesDir) {
+    const file = path.join(config.fixturesDir, getPageFixtureName(url));
+    try {
+      return { url, status: 'ok', truncated: false, ...extractReadableText(await fs.readFile(file, 'utf-8')) };
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      throw new Error(`page locale absente (${file})`);
+    }
+  }
+
+  return withFixture('search', 'pages', { url }, async () => {
+    const cachePath = path.join(config.cacheDir, `${crypto.createHash('sha256').update(url).digest('hex')}.json`);
+    const cached = await readJSON(cachePath);
+    if (cached && Date.now() - new Date(cached.fetchedAt).getTime() < config.cacheTtlHours * 60 * 60 * 1000) {
+      logger.debug(`Page reprise du cache: ${url}`);
+      return cached.page;
+    }
+
+    if (config.respectRobots) {
+      const { origin, pathname, search } = new URL(url);
+      const robots = await loadRobots(origin, config);
+      if (!robots || !isAllowedByRobots(robots, `${pathname}${search}`)) {
+        logger.debug(`Page interdite par robots.txt: ${url}`);
+        return { url, status: 'robots', title: null, paragraphs: [], words: 0, truncated: false };
+      }
+    }
+
+    const { html, truncated } = await downloadHTML(url, config);
+    const page = { url, status: 'ok', truncated, ...extractReadableText(html) };
+    if (truncated) logger.debug(`Page tronquée à ${config.maxBytes} octets: ${url}`);
+
+    await fs.mkdir(config.cacheDir, { recursive: true });
+    await fs.writeFile(cachePath, JSON.stringify({ url, fetchedAt: new Date().toISOString(), page }, null, 2), 'utf-8');
+    return page;
+  });
+}
+
+/**
+ * Télécharger les premières pages sources et garder leurs passages les plus pertinents
+ * @param {string} topic - Sujet de la recherche
+ * @param {Array} sources - Résultats de la recherche web [{ title, url, source }], dans l'ordre
+ * @param {object} options - Surcharges de config/pages.js
+ * @returns {Promise<object>} { pages: [{ url, status (ok, robots, error, offline), title, words, truncated, error }],
+ *   excerpts: [{ url, title, source, text, score }] }
+ */
+export async function fetchSourcePages(topic, sources, options = {}) {
+  const config = getPageFetchConfig(options);
+  // Rejeu sans pages enregistrées ni fichiers locaux : rien à télécharger
+  const remoteAvailable = !isReplaying() || Boolean(config.fixturesDir) || hasFixtures('search', 'pages');
+  const targets = sources.filter(source => source.url).slice(0, config.count);
+
+  const pages = await Promise.all(targets.map(async source => {
+    if (!remoteAvailable && !isLocalPage(source.url)) {
+      return { url: source.url, status: 'offline', title: null, paragraphs: [], words: 0, source };
+    }
+    try {
+      return { ...(await readPage(source.url, config)), source };
+    } catch (error) {
+      logger.warn(`Page ${source.url} ignorée: ${error.message}`);
+      return { url: source.url, status: 'error', error: error.message, title: null, paragraphs: [], words: 0, source };
+    }
+  }));
+
+  const passages = pages.flatMap(page => chunkPassages(page.paragraphs, config.chunkWords).map(text => ({
+    url: page.url,
+    title: page.source.title || page.title,
+    source: page.source.source || null,
+    text
+  })));
+
+  // Les meilleurs passages, sans qu'une seule page ne prenne toute la place
+  const perPage = new Map();
+  const excerpts = rankPassages(passages, topic).filter(passage => {
+    if (passage.score <= 0) return false;
+    const count = perPage.get(passage.url) || 0;
+    if (count >= config.excerptsPerPage) return false;
+    perPage.set(passage.url, count + 1);
+    return true;
+  }).slice(0, config.excerpts);
+
+  const read = pages.filter(page => page.status === 'ok').length;
+  logger.info(`${excerpts.length} extrait(s) retenu(s) sur ${read}/${targets.length} page(s) source(s)`);
+
+  return {
+    pages: pages.map(({ paragraphs, source, ...page }) => page),
+    excerpts
+  };
+}
+
+/**
+ * Extraits des pages sources pour le contexte du modèle
+ */
+export function formatExcerpts(excerpts) {
+  const list = excerpts.map(excerpt => `« ${truncateText(excerpt.text, 1200)} »\n— ${excerpt.title} (${excerpt.url})`);
+  return `Extraits des pages sources, les plus pertinents pour le sujet :\n\n${list.join('\n\n')}`;
+}
+
+export default {
+  extractReadableText,
+  chunkPassages,
+  rankPassages,
+  parseRobots,
+  isAllowedByRobots,
+  getPageFixtureName,
+  readPage,
+  fetchSourcePages,
+  formatExcerpts
+};
@@ -0,0 +1,189 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import {
+  extractReadableText,
+  chunkPassages,
+  rankPassages,
+  parseRobots,
+  isAllowedByRobots,
+  getPageFixtureName,
+  readPage,
+  fetchSourcePages,
+  formatExcerpts
+} from './pages.js';
+
+const fixturesDir = fileURLToPath(new URL('../../fixtures/pages', import.meta.url));
+const LONG_TEXT = 'The compiler memoizes components automatically and skips wasted renders on large lists and forms. ';
+
+let cacheDir;
+let server;
+let baseURL;
+const served = [];
+
+before(async () => {
+  cacheDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gleeam-pages-'));
+  server = http.createServer((request, response) => {
+    served.push(request.url);
+    if (request.url === '/robots.txt') {
+      response.writeHead(200, { 'Content-Type': 'text/plain' });
+      response.end('User-agent: *\nDisallow: /private\n');
+    } else if (request.url === '/data.json') {
+      response.writeHead(200, { 'Content-Type': 'application/json' });
+      response.end('{}');
+    } else {
+      response.writeHead(200, { 'Content-Type': 'text/html; charset=utf-8' });
+      response.end(`<html><head><title>Article</title></head><body><main><p>${LONG_TEXT.repeat(20)}</p></main></body></html>`);
+    }
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(async () => {
+  server.close();
+  await fs.rm(cacheDir, { recursive: true, force: true });
+});
+
+function readFixture(name) {
+  return fs.readFile(path.join(fixturesDir, name), 'utf-8');
+}
+
+test('le texte principal est extrait sans navigation, bandeaux, pubs, partage, commentaires ni pied de page', async () => {
+  const page = extractReadableText(await readFixture('react.dev_blog_react-compiler-stable.html'));
+
+  assert.equal(page.title, 'React Compiler is now stable – React Blog');
+  assert.equal(page.paragraphs.length, 5);
+  assert.match(page.paragraphs[0], /^After a long beta period, the React Compiler is now considered stable/);
+  assert.match(page.paragraphs[0], /most calls to useMemo, useCallback and React\.memo are no longer needed/);
+  for (const noise of [/cookies/, /Sponsored/, /Share on/, /Great news/, /Copyright/, /Previous post/, /gtag/]) {
+    assert.ok(page.paragraphs.every(paragraph => !noise.test(paragraph)), `${noise} présent`);
+  }
+  assert.equal(page.words, page.paragraphs.join(' ').split(/\s+/).length);
+});
+
+test('les rôles et classes des blocs annexes sont reconnus (VPNav, VPFooter, related-posts)', async () => {
+  const page = extractReadableText(await readFixture('vitejs.dev_blog_announcing-vite-7.html'));
+
+  assert.equal(page.title, 'Announcing Vite 7 | Vite');
+  assert.equal(page.paragraphs.length, 4);
+  assert.match(page.paragraphs[0], /^Vite 7 is out\./);
+  assert.ok(page.paragraphs.every(paragraph => !/Related:|MIT License|BlogPosting/.test(paragraph)));
+});
+
+test('les blocs courts ou faits de liens sont écartés, <main> est préféré s\'il porte l\'essentiel du texte', () => {
+  const page = extractReadableText(`<body>
+    <p>Un paragraphe hors du contenu principal mais assez long pour compter.</p>
+    <p><a href="/a">Un lien très long qui occupe tout le bloc</a> <a href="/b">et un autre lien qui le complète</a></p>
+    <main><p>${LONG_TEXT}</p><p>Trop court.</p></main>
+  </body>`);
+
+  assert.deepEqual(page.paragraphs, [LONG_TEXT.trim()]);
+  assert.equal(page.title, null);
+});
+
+test('chunkPassages regroupe les paragraphes courts et coupe les longs entre deux phrases', () => {
+  const short = ['un deux trois quatre', 'cinq six sept', 'huit neuf dix onze douze'];
+  assert.deepEqual(chunkPassages(short, 8), ['un deux trois quatre cinq six sept', 'huit neuf dix onze douze']);
+
+  const long = `${'Phrase de cinq mots ici. '.repeat(10)}`.trim();
+  const chunks = chunkPassages([long], 20);
+  assert.equal(chunks.length, 3);
+  assert.ok(chunks.every(chunk => chunk.endsWith('ici.')));
+});
+
+test('rankPassages classe les passages par pertinence BM25 pour le sujet', () => {
+  const ranked = rankPassages([
+    { text: 'Vite 7 moves the default browser target to Baseline.' },
+    { text: 'The React Compiler is stable: the compiler memoizes React components.' },
+    { text: 'The compiler bails out on components that break the rules.' }
+  ], 'React Compiler stable');
+
+  assert.match(ranked[0].text, /^The React Compiler is stable/);
+  assert.ok(ranked[0].score > ranked[1].score);
+  assert.equal(ranked[2].score, 0);
+});
+
+test('robots.txt : groupe du robot prioritaire, règle la plus longue, Allow à égalité', () => {
+  const groups = parseRobots(`
+# Commentaire
+User-agent: *
+Disallow: /private
+Allow: /private/public
+Disallow: /*.pdf$
+
+User-agent: GleeamResearch
+User-agent: OtherBot
+Disallow: /drafts
+Allow: /drafts
+`);
+
+  assert.equal(groups.length, 2);
+  assert.deepEqual(groups[1].agents, ['gleeamresearch', 'otherbot']);
+
+  // Groupe propre au robot : seules ses règles comptent
+  assert.equal(isAllowedByRobots(groups, '/private/page'), true);
+  assert.equal(isAllowedByRobots(groups, '/drafts/post'), true);
+
+  // Groupe "*" pour les autres robots
+  assert.equal(isAllowedByRobots(groups, '/private/page', 'somebot'), false);
+  assert.equal(isAllowedByRobots(groups, '/private/public/page', 'somebot'), true);
+  assert.equal(isAllowedByRobots(groups, '/docs/guide.pdf', 'somebot'), false);
+  assert.equal(isAllowedByRobots(groups, '/docs/guide.pdf?v=2', 'somebot'), true);
+  assert.equal(isAllowedByRobots([], '/anything'), true);
+});
+
+test('getPageFixtureName transforme une URL en nom de fichier', () => {
+  assert.equal(getPageFixtureName('https://react.dev/blog/react-compiler-stable'), 'react.dev_blog_react-compiler-stable.html');
+  assert.equal(getPageFixtureName('https://example.com/a/b?x=1'), 'example.com_a_b_x_1.html');
+});
+
+test('readPage respecte robots.txt, tronque les pages trop lourdes et met le texte en cache', async () => {
+  const blocked = await readPage(`${baseURL}/private/post`, { cacheDir });
+  assert.equal(blocked.status, 'robots');
+  assert.ok(!served.includes('/private/post'));
+
+  const page = await readPage(`${baseURL}/post`, { cacheDir, maxBytes: 1000 });
+  assert.equal(page.status, 'ok');
+  assert.equal(page.truncated, true);
+  assert.equal(page.title, 'Article');
+
+  const requests = served.length;
+  assert.deepEqual(await readPage(`${baseURL}/post`, { cacheDir, maxBytes: 1000 }), page);
+  assert.equal(served.length, requests);
+});
+
+test('readPage refuse un contenu qui n\'est pas du HTML', async () => {
+  await assert.rejects(readPage(`${baseURL}/data.json`, { cacheDir }), /contenu non HTML \(application\/json\)/);
+});
+
+test('fetchSourcePages garde les meilleurs passages, sans qu\'une page prenne toute la place', async () => {
+  const sources = [
+    { title: 'React Compiler stable', url: 'https://react.dev/blog/react-compiler-stable', source: 'react.dev' },
+    { title: 'Vite 7', url: 'https://vitejs.dev/blog/announcing-vite-7', source: 'vitejs.dev' },
+    { title: 'Page absente', url: 'https://example.com/missing' },
+    { title: 'Sans URL' }
+  ];
+
+  const { pages, excerpts } = await fetchSourcePages('React Compiler et Vite 7', sources, {
+    fixturesDir,
+    count: 3,
+    chunkWords: 40,
+    excerpts: 4,
+    excerptsPerPage: 2
+  });
+
+  assert.deepEqual(pages.map(page => page.status), ['ok', 'ok', 'error']);
+  assert.match(pages[2].error, /page locale absente/);
+  assert.equal(excerpts.length, 4);
+  assert.deepEqual([...new Set(excerpts.map(excerpt => excerpt.source))].sort(), ['react.dev', 'vitejs.dev']);
+  assert.ok(excerpts.every(excerpt => excerpt.score > 0));
+
+  const context = formatExcerpts(excerpts.slice(0, 1));
+  assert.match(context, /^Extraits des pages sources/);
+  assert.ok(context.includes(`— ${excerpts[0].title} (${excerpts[0].url})`));
+});
@@ -0,0 +1,216 @@
+/**
+ * Classement des sujets tendances : score multi-signaux (0-100)
+ *
+ * Les résultats des providers (recherche web, News API, flux RSS/Atom) qui racontent la même
+ * histoire sont regroupés, puis chaque histoire est notée sur quatre signaux (0-1) :
+ * - récence : demi-vie de halfLifeDays (dates ISO, "2 days ago" de Brave, "il y a 3 jours")
+ * - recoupement : nombre de domaines et de providers qui la relaient
+ * - pertinence : mots-clés de la catégorie présents dans le titre et la description (mots entiers)
+ * - nouveauté : éloignement des articles déjà publiés (même similarité que duplicates.js)
+ * Un signal indisponible (date inconnue, base injoignable) est ignoré et les poids restants renormalisés.
+ */
+
+import { checkTopicDuplicate, normalizeTitle } from '../generators/duplicates.js';
+import { findPostSummaries } from './database.js';
+import { getTrendRankingConfig, TREND_SIGNALS } from '../config/ranking.js';
+import { TOPICS } from '../config/topics.js';
+import { logger } from '../utils/logger.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Unités des âges relatifs ("3 days ago", "il y a 2 heures"), en millisecondes
+ */
+const AGE_UNITS = {
+  second: 1000, sec: 1000, seconde: 1000,
+  minute: 60 * 1000, min: 60 * 1000,
+  hour: 60 * 60 * 1000, hr: 60 * 60 * 1000, h: 60 * 60 * 1000, heure: 60 * 60 * 1000,
+  day: DAY_MS, jour: DAY_MS,
+  week: 7 * DAY_MS, semaine: 7 * DAY_MS,
+  month: 30 * DAY_MS, mois: 30 * DAY_MS,
+  year: 365 * DAY_MS, yr: 365 * DAY_MS, an: 365 * DAY_MS, année: 365 * DAY_MS
+};
+
+/**
+ * Date de publication d'un résultat : ISO, date lisible ("January 9, 2026")
+ * ou âge relatif ("2 days ago", "an hour ago", "il y a 3 jours", "hier")
+ * @returns {Date|null} null si la date est absente ou illisible
+ */
+export function parsePublishedAt(value, now = Date.now()) {
+  if (!value) return null;
+  const text = String(value).trim().toLowerCase();
+
+  if (/^(just now|today|aujourd'hui|à l'instant)$/.test(text)) return new Date(now);
+  if (/^(yesterday|hier)$/.test(text)) return new Date(now - DAY_MS);
+
+  const relative = text.match(/^(?:il y a\s+)?(\d+|an?|une?)\s+([a-zéû]+)(\s+ago)?$/);
+  if (relative && (relative[3] || text.startsWith('il y a'))) {
+    const [, amount, word] = relative;
+    const unit = AGE_UNITS[word] || AGE_UNITS[word.replace(/s$/, '')];
+    if (unit) return new Date(now - (parseInt(amount, 10) || 1) * unit);
+  }
+
+  const date = new Date(value);
+  return isNaN(date) ? null : date;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function countWholeWord(text, keyword) {
+  const pattern = new RegExp(`(?<![\\p{L}\\p{N}])${escapeRegExp(keyword)}(?![\\p{L}\\p{N}])`, 'iu');
+  return pattern.test(text) ? 1 : 0;
+}
+
+/**
+ * Pertinence brute d'un sujet : +2 par mot-clé dans le titre, +1 dans la description
+ * (mots entiers : "ia" ne compte pas dans "media")
+ */
+export function analyzeTopicRelevance(topic, keywords) {
+  let score = 0;
+
+  for (const keyword of keywords) {
+    score += 2 * countWholeWord(topic.title || '', keyword);
+    score += countWholeWord(topic.description || '', keyword);
+  }
+
+  return score;
+}
+
+function getHostname(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, '');
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Similarité (Dice) entre deux titres normalisés
+ */
+export function titleSimilarity(tokensA, tokensB) {
+  const setA = new Set(tokensA);
+  const setB = new Set(tokensB);
+  if (setA.size === 0 || setB.size === 0) return 0;
+  const shared = [...setA].filter(token => setB.has(token)).length;
+  return (2 * shared) / (setA.size + setB.size);
+}
+
+/**
+ * Regrouper les résultats qui racontent la même histoire (titres proches)
+ * @returns {Array} Histoires : listes de résultats, dans l'ordre d'arrivée
+ */
+export function groupStories(topics, threshold = getTrendRankingConfig().storySimilarity) {
+  const stories = [];
+
+  for (const topic of topics) {
+    const tokens = normalizeTitle(topic.title);
+    const story = stories.find(candidate => titleSimilarity(candidate.tokens, tokens) >= threshold);
+    if (story) {
+      story.topics.push(topic);
+    } else {
+      stories.push({ tokens, topics: [topic] });
+    }
+  }
+
+  return stories.map(story => story.topics);
+}
+
+/**
+ * Articles déjà publiés pour le signal de nouveauté (null si la base est indisponible)
+ */
+async function loadPublishedPosts() {
+  try {
+    return await findPostSummaries({ statuses: ['published'] });
+  } catch (error) {
+    logger.debug(`Nouveauté des tendances ignorée: ${error.message}`);
+    return null;
+  }
+}
+
+function round(value) {
+  return value === null ? null : Math.round(value * 100) / 100;
+}
+
+/**
+ * Regrouper et classer des tendances
+ * @param {Array} topics - Résultats bruts { title, description, url, source, publishedAt, provider }
+ * @param {object} options - { category, posts (déjà chargés), now, ...surcharges de config/ranking.js }
+ * @returns {Promise<Array>} Une tendance par histoire, triées par score décroissant,
+ *   avec score (0-100) et scoreBreakdown { signals, ageDays, reports, closestPost }
+ */
+export async function rankTrends(topics, options = {}) {
+  const { category = null, posts: preloaded, now = Date.now(), ...overrides } = options;
+  const config = getTrendRankingConfig(overrides);
+  const keywords = category && TOPICS[category]
+    ? TOPICS[category].keywords
+    : Object.values(TOPICS).flatMap(topic => topic.keywords);
+  const posts = config.weights.novelty > 0 ? (preloaded ?? await loadPublishedPosts()) : null;
+
+  const ranked = [];
+  for (const story of groupStories(topics, config.storySimilarity)) {
+    const [lead] = story;
+
+    // La reprise la plus récente date l'histoire
+    const times = story.map(topic => parsePublishedAt(topic.publishedAt, now)?.getTime()).filter(Number.isFinite);
+    const ageDays = times.length > 0 ? Math.max(0, (now - Math.max(...times)) / DAY_MS) : null;
+
+    const domains = new Set(story.map(topic => getHostname(topic.url) || topic.source).filter(Boolean));
+    const providers = new Set(story.map(topic => topic.provider).filter(Boolean));
+    const duplicate = posts ? await checkTopicDuplicate({ title: lead.title }, { posts, useEmbeddings: false }) : null;
+
+    const signals = {
+      recency: ageDays === null ? null : 0.5 ** (ageDays / config.halfLifeDays),
+      corroboration: Math.min(1, (Math.max(domains.size - 1, 0) + Math.max(providers.size - 1, 0)) / 4),
+      relevance: 1 - 0.5 ** (Math.max(...story.map(topic => analyzeTopicRelevance(topic, keywords))) / 2),
+      novelty: duplicate ? 1 - duplicate.score : null
+    };
+
+    const available = TREND_SIGNALS.filter(signal => signals[signal] !== null && config.weights[signal] > 0);
+    const totalWeight = available.reduce((sum, signal) => sum + config.weights[signal], 0);
+    const score = totalWeight > 0
+      ? available.reduce((sum, signal) => sum + config.weights[signal] * signals[signal], 0) / totalWeight
+      : 0;
+
+    ranked.push({
+      ...lead,
+      score: Math.round(score * 100),
+      scoreBreakdown: {
+        signals: Object.fromEntries(TREND_SIGNALS.map(signal => [signal, round(signals[signal])])),
+        ageDays: round(ageDays),
+        reports: { count: story.length, domains: domains.size, providers: [...providers] },
+        closestPost: duplicate?.match?.score > 0 ? duplicate.match.title : null
+      }
+    });
+  }
+
+  return ranked.sort((a, b) => b.score - a.score);
+}
+
+function formatAge(days) {
+  return days < 1 ? `${Math.round(days * 24)} h` : `${Math.round(days)} j`;
+}
+
+/**
+ * Détail lisible d'un score :
+ * "récence 0.82 (2 j) · recoupement 0.50 (3 domaines, 2 providers) · pertinence 0.75 · nouveauté 0.90"
+ */
+export function formatTrendScore(breakdown) {
+  const { signals, ageDays, reports } = breakdown;
+  return [
+    signals.recency === null ? 'récence ? (date inconnue)' : `récence ${signals.recency.toFixed(2)} (${formatAge(ageDays)})`,
+    `recoupement ${signals.corroboration.toFixed(2)} (${reports.domains} domaine(s), ${reports.providers.length} provider(s))`,
+    `pertinence ${signals.relevance.toFixed(2)}`,
+    signals.novelty === null ? 'nouveauté ? (articles indisponibles)' : `nouveauté ${signals.novelty.toFixed(2)}`
+  ].join(' · ');
+}
+
+export default {
+  parsePublishedAt,
+  analyzeTopicRelevance,
+  titleSimilarity,
+  groupStories,
+  rankTrends,
+  formatTrendScore
+};
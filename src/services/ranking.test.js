@@ -0,0 +1,116 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parsePublishedAt, analyzeTopicRelevance, titleSimilarity, groupStories, rankTrends, formatTrendScore } from './ranking.js';
+import { normalizeTitle } from '../generators/duplicates.js';
+import { getTrendRankingConfig } from '../config/ranking.js';
+
+const NOW = Date.parse('2026-10-18T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function daysAgo(days) {
+  return new Date(NOW - days * DAY_MS).toISOString();
+}
+
+test('parsePublishedAt lit les dates ISO, lisibles et relatives', () => {
+  assert.equal(parsePublishedAt('2026-10-16T08:12:00Z', NOW).toISOString(), '2026-10-16T08:12:00.000Z');
+  assert.equal(parsePublishedAt('January 9, 2026', NOW).getFullYear(), 2026);
+  assert.equal(parsePublishedAt('2 days ago', NOW).getTime(), NOW - 2 * DAY_MS);
+  assert.equal(parsePublishedAt('an hour ago', NOW).getTime(), NOW - 60 * 60 * 1000);
+  assert.equal(parsePublishedAt('il y a 3 jours', NOW).getTime(), NOW - 3 * DAY_MS);
+  assert.equal(parsePublishedAt('Il y a 2 semaines', NOW).getTime(), NOW - 14 * DAY_MS);
+  assert.equal(parsePublishedAt('hier', NOW).getTime(), NOW - DAY_MS);
+  assert.equal(parsePublishedAt('today', NOW).getTime(), NOW);
+});
+
+test('parsePublishedAt renvoie null pour une date absente ou illisible', () => {
+  assert.equal(parsePublishedAt(null, NOW), null);
+  assert.equal(parsePublishedAt('', NOW), null);
+  assert.equal(parsePublishedAt('bientôt', NOW), null);
+  assert.equal(parsePublishedAt('3 lunes ago', NOW), null);
+});
+
+test('la pertinence ne compte que les mots entiers : 2 dans le titre, 1 dans la description', () => {
+  const keywords = ['ia', 'react'];
+  assert.equal(analyzeTopicRelevance({ title: 'Le media parle de React', description: 'react et IA' }, keywords), 4);
+  assert.equal(analyzeTopicRelevance({ title: 'Social media', description: 'reactive streams' }, keywords), 0);
+  assert.equal(analyzeTopicRelevance({ title: 'L\'IA générative' }, keywords), 2);
+});
+
+test('titleSimilarity mesure le recouvrement de deux titres normalisés', () => {
+  assert.equal(titleSimilarity(['react', 'compiler'], ['react', 'compiler']), 1);
+  assert.equal(titleSimilarity(['react', 'compiler'], ['vue', 'router']), 0);
+  assert.equal(titleSimilarity([], ['react']), 0);
+  assert.equal(titleSimilarity(normalizeTitle('React Compiler stable release'), normalizeTitle('React Compiler: stable release notes')) >= 0.5, true);
+});
+
+test('groupStories regroupe les reprises d\'une même histoire, dans l\'ordre d\'arrivée', () => {
+  const stories = groupStories([
+    { title: 'React Compiler stable release' },
+    { title: 'Gardening tips for autumn' },
+    { title: 'React Compiler: stable release notes' }
+  ], 0.5);
+
+  assert.deepEqual(stories.map(story => story.map(topic => topic.title)), [
+    ['React Compiler stable release', 'React Compiler: stable release notes'],
+    ['Gardening tips for autumn']
+  ]);
+});
+
+test('une histoire récente, recoupée et pertinente passe devant une tendance ancienne hors sujet', async () => {
+  const ranked = await rankTrends([
+    { title: 'Gardening tips for autumn', url: 'https://garden.example/tips', provider: 'brave', publishedAt: daysAgo(30) },
+    { title: 'React Compiler stable release', description: 'React memoizes components for you', url: 'https://react.dev/blog/compiler', provider: 'feeds', publishedAt: daysAgo(7) },
+    { title: 'React Compiler: stable release notes', url: 'https://www.dev.to/compiler', provider: 'brave', publishedAt: '2 days ago' }
+  ], { category: 'webDevelopment', posts: [], now: NOW });
+
+  assert.equal(ranked.length, 2);
+  const [first, second] = ranked;
+  assert.equal(first.title, 'React Compiler stable release');
+  assert.ok(first.score > second.score);
+
+  // La reprise la plus récente date l'histoire ; 2 domaines et 2 providers
+  assert.equal(first.scoreBreakdown.ageDays, 2);
+  assert.equal(first.scoreBreakdown.signals.recency, Math.round(0.5 ** (2 / 7) * 100) / 100);
+  assert.equal(first.scoreBreakdown.signals.corroboration, 0.5);
+  assert.deepEqual(first.scoreBreakdown.reports, { count: 2, domains: 2, providers: ['feeds', 'brave'] });
+  assert.equal(first.scoreBreakdown.signals.novelty, 1);
+  assert.equal(second.scoreBreakdown.signals.relevance, 0);
+  assert.equal(second.scoreBreakdown.signals.corroboration, 0);
+});
+
+test('la nouveauté baisse quand un article publié traite déjà le sujet', async () => {
+  const posts = [{ slug: 'react-compiler', title: 'React Compiler stable release', status: 'published' }];
+  const [trend] = await rankTrends([{ title: 'React Compiler stable release', publishedAt: daysAgo(1) }], { category: 'webDevelopment', posts, now: NOW });
+
+  assert.equal(trend.scoreBreakdown.signals.novelty, 0);
+  assert.equal(trend.scoreBreakdown.closestPost, 'React Compiler stable release');
+});
+
+test('un signal indisponible est ignoré et les poids restants renormalisés', async () => {
+  const weights = { recency: 1, corroboration: 0, relevance: 0, novelty: 1 };
+  const [undated] = await rankTrends([{ title: 'Gardening tips for autumn' }], { posts: [], now: NOW, weights });
+  assert.equal(undated.scoreBreakdown.signals.recency, null);
+  // Seule la nouveauté (1) reste : score plein
+  assert.equal(undated.score, 100);
+
+  const [dated] = await rankTrends([{ title: 'Gardening tips for autumn', publishedAt: daysAgo(7) }], { posts: [], now: NOW, weights });
+  assert.equal(dated.score, 75);
+});
+
+test('la configuration refuse un poids négatif ou une demi-vie nulle', () => {
+  assert.throws(() => getTrendRankingConfig({ weights: { recency: -1 } }), /TREND_WEIGHT_RECENCY invalide/);
+  assert.throws(() => getTrendRankingConfig({ halfLifeDays: 0 }), /TREND_RECENCY_HALF_LIFE_DAYS invalide/);
+});
+
+test('formatTrendScore détaille chaque signal', () => {
+  assert.equal(formatTrendScore({
+    signals: { recency: 0.82, corroboration: 0.5, relevance: 0.75, novelty: null },
+    ageDays: 2,
+    reports: { count: 3, domains: 3, providers: ['brave', 'feeds'] }
+  }), 'récence 0.82 (2 j) · recoupement 0.50 (3 domaine(s), 2 provider(s)) · pertinence 0.75 · nouveauté ? (articles indisponibles)');
+  assert.match(formatTrendScore({
+    signals: { recency: null, corroboration: 0, relevance: 0, novelty: 1 },
+    ageDays: null,
+    reports: { count: 1, domains: 1, providers: [] }
+  }), /^récence \? \(date inconnue\)/);
+});
@@ -0,0 +1,105 @@
+/**
+ * Routage des appels LLM : route effective d'une étape selon la catégorie en cours
+ *
+ * La catégorie suit le contexte asynchrone (génération d'un article, traductions) :
+ * les générateurs n'ont pas à la transmettre à chaque appel.
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { ROUTED_STAGES, getRoutingConfig, getStageRoute } from '../config/routing.js';
+import { getLLMConfig } from '../config/llm.js';
+
+const routingContext = new AsyncLocalStorage();
+
+/**
+ * Exécuter fn avec les surcharges de routage d'une catégorie
+ */
+export function withRoutingCategory(category, fn) {
+  return routingContext.run({ ...routingContext.getStore(), category: category || null }, fn);
+}
+
+/**
+ * Exécuter fn avec une route imposée à toutes les étapes (ex : modèle de repli du budget)
+ * @param {object} route - { provider, model }
+ */
+export function withRouteOverride(route, fn) {
+  return routingContext.run({ ...routingContext.getStore(), override: route }, fn);
+}
+
+/**
+ * Catégorie du contexte courant (null hors génération d'article)
+ */
+export function getRoutingCategory() {
+  return routingContext.getStore()?.category || null;
+}
+
+/**
+ * Route imposée par le contexte courant (null si aucune)
+ */
+function getRouteOverride() {
+  return routingContext.getStore()?.override || null;
+}
+
+/**
+ * Route d'une étape pour la catégorie du contexte courant
+ * Les capacités d'une route valent pour son modèle : une route imposée (autre modèle) les écarte
+ */
+export function resolveStageRoute(stage) {
+  const { capabilities, ...route } = getStageRoute(stage, getRoutingCategory());
+  const override = getRouteOverride();
+  return override ? { ...route, ...override } : { ...route, ...(capabilities && { capabilities }) };
+}
+
+/**
+ * Table de routage résolue : provider et modèle effectifs de chaque étape
+ * @param {string} category - Id de catégorie (surcharges)
+ * @param {object} override - Route imposée à toutes les étapes (par défaut : celle du contexte courant)
+ * @returns {object} { étape: { provider, model, ...paramètres de la route } }
+ */
+export function resolveRouting(category = null, override = getRouteOverride()) {
+  return Object.fromEntries(ROUTED_STAGES.map(stage => {
+    const { capabilities, ...route } = getStageRoute(stage, category);
+    const { provider, model, ...params } = override ? { ...route, ...override } : { ...route, ...(capabilities && { capabilities }) };
+    const config = getLLMConfig({ provider });
+    return [stage, { provider: config.provider, model: model || config.model, ...params }];
+  }));
+}
+
+/**
+ * Formater une route : "openai/gpt-5-nano (maxTokens 1500)"
+ */
+function formatRoute(route) {
+  const params = Object.entries(route)
+    .filter(([key]) => key !== 'provider' && key !== 'model')
+    .map(([key, value]) => `${key} ${typeof value === 'object' ? JSON.stringify(value) : value}`);
+  return `${route.provider}/${route.model || 'modèle non défini'}${params.length > 0 ? ` (${params.join(', ')})` : ''}`;
+}
+
+/**
+ * Lignes décrivant le routage (affichées au démarrage)
+ * Les surcharges par catégorie ne listent que les étapes qui changent
+ */
+export function describeRouting() {
+  const base = resolveRouting();
+  const lines = ROUTED_STAGES.map(stage => `${stage.padEnd(20)} → ${formatRoute(base[stage])}`);
+
+  for (const category of Object.keys(getRoutingConfig().categories)) {
+    const routes = resolveRouting(category);
+    for (const stage of ROUTED_STAGES) {
+      if (JSON.stringify(routes[stage]) !== JSON.stringify(base[stage])) {
+        lines.push(`[${category}] ${stage} → ${formatRoute(routes[stage])}`);
+      }
+    }
+  }
+
+  return lines;
+}
+
+export default {
+  withRoutingCategory,
+  withRouteOverride,
+  getRoutingCategory,
+  resolveStageRoute,
+  resolveRouting,
+  describeRouting
+};
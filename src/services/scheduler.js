@@ -0,0 +1,234 @@
+/**
+ * Ordonnanceur partagé des appels LLM
+ *
+ * Une file par provider (et URL de base) : concurrence maximale, budget de requêtes
+ * et de tokens par minute (fenêtre glissante), pause commune quand l'API signale
+ * une limite de débit. Seules les erreurs transitoires sont retentées (429, 5xx,
+ * réseau, timeout), après le délai indiqué par Retry-After ou les en-têtes de limite,
+ * sinon avec un backoff exponentiel.
+ */
+
+import { getSchedulerConfig } from '../config/scheduler.js';
+import { logger } from '../utils/logger.js';
+import { sleep } from '../utils/helpers.js';
+
+/**
+ * Files par clé (provider|baseURL)
+ */
+const queues = new Map();
+
+const WINDOW_MS = 60 * 1000;
+
+/**
+ * Statuts HTTP retentés (529 : API Anthropic surchargée)
+ */
+const TRANSIENT_STATUSES = new Set([408, 409, 425, 429, 500, 502, 503, 504, 529]);
+
+/**
+ * Erreurs réseau retentées
+ */
+const TRANSIENT_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'UND_ERR_SOCKET']);
+
+/**
+ * Une erreur mérite-t-elle un nouvel essai ?
+ * Un 429 "quota épuisé" n'est pas transitoire : attendre ne changera rien
+ */
+export function isTransientError(error) {
+  if (error.status) {
+    if (error.status === 429 && /insufficient_quota/.test(`${error.code} ${error.message}`)) return false;
+    return TRANSIENT_STATUSES.has(error.status);
+  }
+  if (['TimeoutError', 'AbortError'].includes(error.name)) return true;
+  if (['APIConnectionError', 'APIConnectionTimeoutError'].includes(error.constructor?.name)) return true;
+  return TRANSIENT_CODES.has(error.code) || TRANSIENT_CODES.has(error.cause?.code);
+}
+
+/**
+ * Lire un en-tête (objet simple ou Headers)
+ */
+function getHeader(headers, name) {
+  if (!headers) return null;
+  const value = typeof headers.get === 'function' ? headers.get(name) : headers[name];
+  return value ?? null;
+}
+
+/**
+ * Durée au format OpenAI ("20ms", "1s", "6m0s", "1m30.5s") en millisecondes
+ */
+function parseDuration(value) {
+  let total = 0;
+  let matched = false;
+  for (const [, amount, unit] of String(value).matchAll(/(\d+(?:\.\d+)?)(ms|s|m|h)/g)) {
+    total += parseFloat(amount) * { ms: 1, s: 1000, m: 60000, h: 3600000 }[unit];
+    matched = true;
+  }
+  return matched ? total : null;
+}
+
+/**
+ * Délai demandé par l'API (ms), null si aucun en-tête exploitable
+ * retry-after-ms, Retry-After (secondes ou date HTTP), puis remise à zéro des limites épuisées
+ */
+export function getRetryAfterDelay(headers) {
+  const retryAfterMs = parseFloat(getHeader(headers, 'retry-after-ms'));
+  if (!isNaN(retryAfterMs)) return retryAfterMs;
+
+  const retryAfter = getHeader(headers, 'retry-after');
+  if (retryAfter !== null) {
+    const seconds = parseFloat(retryAfter);
+    if (!isNaN(seconds)) return seconds * 1000;
+    const date = Date.parse(retryAfter);
+    if (!isNaN(date)) return Math.max(0, date - Date.now());
+  }
+
+  const resets = ['requests', 'tokens']
+    .filter(kind => getHeader(headers, `x-ratelimit-remaining-${kind}`) === '0')
+    .map(kind => parseDuration(getHeader(headers, `x-ratelimit-reset-${kind}`)))
+    .filter(delay => delay !== null);
+
+  return resets.length > 0 ? Math.max(...resets) : null;
+}
+
+/**
+ * Délai avant le prochain essai : celui de l'API, sinon backoff exponentiel avec gigue
+ */
+function computeRetryDelay(error, attempt, config) {
+  const requested = getRetryAfterDelay(error.headers);
+  if (requested !== null) return requested;
+
+  const backoff = Math.min(config.retryBaseDelayMs * Math.pow(2, attempt), config.retryMaxDelayMs);
+  return Math.round(backoff * (0.8 + Math.random() * 0.4));
+}
+
+function getQueue(key) {
+  if (!queues.has(key)) {
+    queues.set(key, { active: 0, pending: [], window: [], pausedUntil: 0, timer: null });
+  }
+  return queues.get(key);
+}
+
+/**
+ * Délai avant de pouvoir démarrer une requête de `tokens` tokens
+ * (0 : tout de suite, Infinity : attendre la fin d'une requête en cours)
+ */
+function getStartDelay(queue, config, tokens, now) {
+  queue.window = queue.window.filter(entry => now - entry.time < WINDOW_MS);
+
+  if (queue.pausedUntil > now) return queue.pausedUntil - now;
+  if (config.maxConcurrency > 0 && queue.active >= config.maxConcurrency) return Infinity;
+
+  if (config.requestsPerMinute > 0 && queue.window.length >= config.requestsPerMinute) {
+    return queue.window[queue.window.length - config.requestsPerMinute].time + WINDOW_MS - now;
+  }
+
+  if (config.tokensPerMinute > 0) {
+    let used = queue.window.reduce((sum, entry) => sum + entry.tokens, 0);
+    // Une requête plus grosse que le budget passe seule, fenêtre vide
+    for (const entry of queue.window) {
+      if (used + tokens <= config.tokensPerMinute) break;
+      used -= entry.tokens;
+      if (used + tokens <= config.tokensPerMinute || used === 0) return entry.time + WINDOW_MS - now;
+    }
+  }
+
+  return 0;
+}
+
+/**
+ * Démarrer les requêtes en attente tant que les limites le permettent
+ */
+function pump(queue, config) {
+  clearTimeout(queue.timer);
+  queue.timer = null;
+
+  while (queue.pending.length > 0) {
+    const now = Date.now();
+    const next = queue.pending[0];
+    const delay = getStartDelay(queue, config, next.tokens, now);
+
+    if (delay > 0) {
+      if (delay !== Infinity) queue.timer = setTimeout(() => pump(queue, config), delay);
+      return;
+    }
+
+    queue.pending.shift();
+    queue.active++;
+    const reservation = { time: now, tokens: next.tokens };
+    queue.window.push(reservation);
+    next.resolve(reservation);
+  }
+}
+
+/**
+ * Attendre une place dans la file
+ */
+function acquire(queue, config, tokens, label) {
+  return new Promise(resolve => {
+    queue.pending.push({ tokens, resolve });
+    pump(queue, config);
+    if (queue.pending.length > 0) {
+      logger.debug(`File LLM [${label}] : ${queue.pending.length} requête(s) en attente (${queue.active} en cours)`);
+    }
+  });
+}
+
+/**
+ * Libérer la place ; l'usage réel remplace l'estimation dans la fenêtre de tokens
+ */
+function release(queue, config, reservation, tokens) {
+  queue.active--;
+  if (tokens !== undefined && tokens !== null) reservation.tokens = tokens;
+  pump(queue, config);
+}
+
+/**
+ * Exécuter une requête via la file de son provider
+ * @param {string} key - Clé de la file (ex: "openai|https://api.openai.com")
+ * @param {Function} fn - Requête à exécuter (rappelée à chaque essai)
+ * @param {object} options - { label, tokens, countTokens(result) }
+ *   tokens : estimation réservée dans le budget par minute ; countTokens : usage réel une fois la réponse reçue
+ */
+export async function scheduleRequest(key, fn, options = {}) {
+  const config = getSchedulerConfig();
+  const queue = getQueue(key);
+  const label = options.label || key;
+  const tokens = options.tokens || 0;
+
+  for (let attempt = 0; ; attempt++) {
+    const queuedAt = Date.now();
+    const reservation = await acquire(queue, config, tokens, label);
+    const waited = Date.now() - queuedAt;
+    if (waited > 0) {
+      logger.debug(`File LLM [${label}] : démarrée après ${waited} ms d'attente (${queue.pending.length} en attente, ${queue.active} en cours)`);
+    }
+
+    let result;
+    try {
+      result = await fn();
+    } catch (error) {
+      release(queue, config, reservation);
+
+      if (!isTransientError(error) || attempt >= config.maxRetries) {
+        throw error;
+      }
+
+      const delay = computeRetryDelay(error, attempt, config);
+      // Limite de débit : toute la file du provider attend, pas seulement cette requête
+      if (error.status === 429) {
+        queue.pausedUntil = Math.max(queue.pausedUntil, Date.now() + delay);
+      }
+      logger.warn(`Erreur transitoire [${label}] (${error.status || error.code || error.name}) : nouvel essai dans ${(delay / 1000).toFixed(1)} s (${attempt + 1}/${config.maxRetries})`);
+      await sleep(delay);
+      continue;
+    }
+
+    release(queue, config, reservation, options.countTokens?.(result));
+    return result;
+  }
+}
+
+export default {
+  isTransientError,
+  getRetryAfterDelay,
+  scheduleRequest
+};
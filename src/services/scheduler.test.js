@@ -0,0 +1,90 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { isTransientError, getRetryAfterDelay, scheduleRequest } from './scheduler.js';
+
+afterEach(() => {
+  delete process.env.LLM_MAX_CONCURRENCY;
+  delete process.env.LLM_MAX_RETRIES;
+});
+
+function httpError(status, extra = {}) {
+  return Object.assign(new Error(`HTTP ${status}`), { status, ...extra });
+}
+
+test('seules les erreurs transitoires sont retentées', () => {
+  assert.equal(isTransientError(httpError(429)), true);
+  assert.equal(isTransientError(httpError(503)), true);
+  assert.equal(isTransientError(httpError(529)), true);
+  assert.equal(isTransientError(httpError(400)), false);
+  assert.equal(isTransientError(httpError(401)), false);
+  assert.equal(isTransientError(httpError(429, { code: 'insufficient_quota' })), false);
+  assert.equal(isTransientError(Object.assign(new Error('reset'), { code: 'ECONNRESET' })), true);
+  assert.equal(isTransientError(new Error('fetch failed', { cause: { code: 'ETIMEDOUT' } })), true);
+  assert.equal(isTransientError(Object.assign(new Error('timeout'), { name: 'TimeoutError' })), true);
+  assert.equal(isTransientError(new TypeError('bug')), false);
+});
+
+test('getRetryAfterDelay lit retry-after-ms, Retry-After puis les remises à zéro des limites', () => {
+  assert.equal(getRetryAfterDelay({ 'retry-after-ms': '250' }), 250);
+  assert.equal(getRetryAfterDelay({ 'retry-after': '3' }), 3000);
+  assert.equal(getRetryAfterDelay(new Headers({ 'retry-after': '1.5' })), 1500);
+
+  const date = getRetryAfterDelay({ 'retry-after': new Date(Date.now() + 10000).toUTCString() });
+  assert.ok(date > 8000 && date <= 10000);
+  assert.equal(getRetryAfterDelay({ 'retry-after': new Date(Date.now() - 10000).toUTCString() }), 0);
+
+  assert.equal(getRetryAfterDelay({
+    'x-ratelimit-remaining-requests': '0',
+    'x-ratelimit-reset-requests': '1m30.5s',
+    'x-ratelimit-remaining-tokens': '0',
+    'x-ratelimit-reset-tokens': '20ms'
+  }), 90500);
+  assert.equal(getRetryAfterDelay({ 'x-ratelimit-remaining-tokens': '12', 'x-ratelimit-reset-tokens': '6m0s' }), null);
+  assert.equal(getRetryAfterDelay(null), null);
+});
+
+test('une erreur transitoire est retentée après le délai demandé', async () => {
+  let attempts = 0;
+  const result = await scheduleRequest('test|retry', async () => {
+    attempts++;
+    if (attempts < 3) throw httpError(503, { headers: { 'retry-after-ms': '5' } });
+    return 'ok';
+  });
+
+  assert.equal(result, 'ok');
+  assert.equal(attempts, 3);
+});
+
+test('une erreur définitive ou des essais épuisés remontent à l\'appelant', async () => {
+  let attempts = 0;
+  await assert.rejects(scheduleRequest('test|fatal', async () => {
+    attempts++;
+    throw httpError(400);
+  }), /HTTP 400/);
+  assert.equal(attempts, 1);
+
+  process.env.LLM_MAX_RETRIES = '1';
+  attempts = 0;
+  await assert.rejects(scheduleRequest('test|exhausted', async () => {
+    attempts++;
+    throw httpError(500, { headers: { 'retry-after-ms': '1' } });
+  }), /HTTP 500/);
+  assert.equal(attempts, 2);
+});
+
+test('la concurrence est limitée par file', async () => {
+  process.env.LLM_MAX_CONCURRENCY = '2';
+  let active = 0;
+  let peak = 0;
+
+  const task = () => scheduleRequest('test|concurrency', async () => {
+    active++;
+    peak = Math.max(peak, active);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    active--;
+    return active;
+  });
+
+  await Promise.all([task(), task(), task(), task(), task()]);
+  assert.equal(peak, 2);
+});
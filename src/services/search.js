@@ -0,0 +1,228 @@
+/**
+ * Recherche web : registre des providers (Brave, Serper, News API, SearXNG, endpoints HTTP génériques)
+ *
+ * Chaque provider déclare son libellé, la variable d'environnement qui l'active (envKey),
+ * son quota et la conversion de ses résultats au format commun
+ * { title, description, url, source, publishedAt }. L'ordre, l'activation et la stratégie
+ * (first, merge) viennent de config/search.js : ajouter un provider ne touche pas services/trends.js
+ * (registerSearchProvider en code, ou "type": "http" dans SEARCH_PROVIDERS_FILE).
+ *
+ * Les appels passent par les fixtures (--record / --replay, une étape par provider) et sont
+ * décomptés par période dans SEARCH_QUOTA_FILE : un provider au quota épuisé est sauté
+ * jusqu'à la période suivante.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+import { withFixture, hasFixtures, isReplaying } from './fixtures.js';
+import { braveProvider } from './search/brave.js';
+import { serperProvider } from './search/serper.js';
+import { newsProvider } from './search/news.js';
+import { searxngProvider } from './search/searxng.js';
+import { createHttpProvider } from './search/http.js';
+import { getSearchConfig } from '../config/search.js';
+import { logger } from '../utils/logger.js';
+
+/**
+ * Providers disponibles (extensibles avec registerSearchProvider)
+ */
+const SEARCH_PROVIDERS = {
+  brave: braveProvider,
+  serper: serperProvider,
+  news: newsProvider,
+  searxng: searxngProvider
+};
+
+/**
+ * Requêtes consommées par fichier de quotas : { provider: { period, count } }
+ */
+const quotaUsage = new Map();
+let quotaWrite = Promise.resolve();
+
+/**
+ * Enregistrer un provider de recherche
+ * @param {string} name - Nom utilisé dans SEARCH_PROVIDERS
+ * @param {object} provider - { label, envKey (variable requise, null = aucune), quota ({ limit, period: day | month | total } ou null),
+ *   search(query, options, settings) → réponse brute, results(data, options) → éléments, mapResult(élément) → résultat }
+ */
+export function registerSearchProvider(name, provider) {
+  SEARCH_PROVIDERS[name] = { name, ...provider };
+}
+
+/**
+ * Noms des providers connus (intégrés, enregistrés et HTTP de la configuration)
+ */
+export function listSearchProviders(overrides = {}) {
+  const config = getSearchConfig(overrides);
+  const custom = Object.entries(config.providers)
+    .filter(([, definition]) => definition.type === 'http')
+    .map(([name]) => name);
+  return [...new Set([...Object.keys(SEARCH_PROVIDERS), ...custom])];
+}
+
+/**
+ * Résoudre un provider et ses paramètres (définition de SEARCH_PROVIDERS_FILE, clé, timeout)
+ * @returns {object} { provider, settings, enabled }
+ */
+function resolveSearchProvider(name, config) {
+  const definition = config.providers[name] || {};
+  if (definition.type && definition.type !== 'http') {
+    throw new Error(`Provider de recherche ${name}: type "${definition.type}" inconnu (attendu : http)`);
+  }
+
+  const base = definition.type === 'http' ? createHttpProvider(name, definition) : SEARCH_PROVIDERS[name];
+  if (!base) {
+    throw new Error(`Provider de recherche inconnu: ${name} (disponibles : ${listSearchProviders(config).join(', ')})`);
+  }
+
+  const provider = { name, ...base, ...(definition.quota !== undefined ? { quota: definition.quota } : {}) };
+  return {
+    provider,
+    settings: { ...definition, apiKey: provider.envKey ? process.env[provider.envKey] : null, timeoutMs: config.timeoutMs },
+    enabled: definition.enabled !== false
+  };
+}
+
+/**
+ * Provider utilisable : dans SEARCH_PROVIDERS, clé définie, ou appels enregistrés en rejeu
+ */
+export function isSearchProviderAvailable(name, overrides = {}) {
+  const config = getSearchConfig(overrides);
+  if (!config.order.includes(name)) return false;
+
+  const { provider, settings, enabled } = resolveSearchProvider(name, config);
+  if (!enabled) return false;
+  return isReplaying() ? hasFixtures('search', name) : (!provider.envKey || Boolean(settings.apiKey));
+}
+
+function getPeriodKey(period) {
+  const now = new Date().toISOString();
+  if (period === 'day') return now.slice(0, 10);
+  if (period === 'month') return now.slice(0, 7);
+  return 'total';
+}
+
+async function loadQuotaUsage(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') return {};
+    throw error;
+  }
+}
+
+/**
+ * Décompter une requête du quota du provider
+ * @returns {Promise<boolean>} false si le quota de la période est épuisé
+ */
+async function consumeQuota(provider, config) {
+  if (!provider.quota) return true;
+
+  if (!quotaUsage.has(config.quotaFile)) {
+    quotaUsage.set(config.quotaFile, loadQuotaUsage(config.quotaFile));
+  }
+  const usage = await quotaUsage.get(config.quotaFile);
+  const period = getPeriodKey(provider.quota.period);
+  const count = usage[provider.name]?.period === period ? usage[provider.name].count : 0;
+  if (count >= provider.quota.limit) return false;
+
+  usage[provider.name] = { period, count: count + 1 };
+  // Écritures en série : les recherches partent en parallèle
+  quotaWrite = quotaWrite.then(async () => {
+    await fs.mkdir(path.dirname(config.quotaFile), { recursive: true });
+    await fs.writeFile(config.quotaFile, JSON.stringify(usage, null, 2), 'utf-8');
+  }).catch(error => logger.debug(`Quotas de recherche non enregistrés: ${error.message}`));
+  await quotaWrite;
+  return true;
+}
+
+function getHostname(url) {
+  try {
+    return new URL(url).hostname;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Interroger un provider
+ * @param {string} name - Nom du provider
+ * @param {string} query - Requête
+ * @param {object} options - { limit, language, country, search: surcharges de config/search.js }
+ * @returns {Promise<Array>} [{ title, description, url, source, publishedAt, provider, query }] ([] en cas d'erreur)
+ */
+export async function searchWithProvider(name, query, options = {}) {
+  const config = getSearchConfig(options.search);
+  const { provider, settings } = resolveSearchProvider(name, config);
+
+  const results = await withFixture('search', name, { query, options }, async () => {
+    if (provider.envKey && !settings.apiKey) {
+      logger.debug(`${provider.envKey} non configurée`);
+      return [];
+    }
+    if (!(await consumeQuota(provider, config))) {
+      logger.warn(`Quota ${provider.label} épuisé (${provider.quota.limit} requêtes, période ${provider.quota.period}) : provider ignoré`);
+      return [];
+    }
+
+    try {
+      const data = await provider.search(query, options, settings);
+      return provider.results(data, options).map(item => {
+        const result = provider.mapResult(item);
+        return {
+          title: result.title,
+          description: result.description ?? null,
+          url: result.url,
+          source: result.source || getHostname(result.url),
+          publishedAt: result.publishedAt ?? null
+        };
+      }).filter(result => result.title);
+    } catch (error) {
+      logger.error(`Erreur ${provider.label}:`, error.message);
+      return [];
+    }
+  });
+
+  return results.map(result => ({ ...result, provider: name, query }));
+}
+
+/**
+ * Recherche web unifiée sur les providers disponibles, dans l'ordre de SEARCH_PROVIDERS
+ * - first : résultats du premier provider qui en renvoie
+ * - merge : résultats de tous les providers, à la suite (une même URL trouvée par plusieurs
+ *   providers est gardée pour chacun : services/ranking.js en fait un signal de recoupement)
+ * @param {object} options - { limit, language, country, search: surcharges de config/search.js (order, strategy...) }
+ */
+export async function searchWeb(query, options = {}) {
+  const config = getSearchConfig(options.search);
+  const available = config.order.filter(name => isSearchProviderAvailable(name, options.search));
+
+  if (available.length === 0) {
+    logger.warn('Aucune API de recherche configurée');
+    return [];
+  }
+
+  if (config.strategy === 'merge') {
+    const results = (await Promise.all(available.map(name => searchWithProvider(name, query, options)))).flat();
+    logger.debug(`Recherche fusionnée (${available.join(', ')}): ${results.length} résultats`);
+    return results;
+  }
+
+  for (const name of available) {
+    const results = await searchWithProvider(name, query, options);
+    if (results.length > 0) {
+      logger.debug(`${resolveSearchProvider(name, config).provider.label}: ${results.length} résultats`);
+      return results;
+    }
+  }
+
+  return [];
+}
+
+export default {
+  registerSearchProvider,
+  listSearchProviders,
+  isSearchProviderAvailable,
+  searchWithProvider,
+  searchWeb
+};
@@ -0,0 +1,118 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { registerSearchProvider, listSearchProviders, isSearchProviderAvailable, searchWithProvider, searchWeb } from './search.js';
+
+let tmpDir;
+const calls = [];
+
+/**
+ * Provider en mémoire : renvoie les titres donnés, et note chaque appel
+ */
+function memoryProvider(name, titles, extra = {}) {
+  return {
+    label: name,
+    envKey: null,
+    quota: null,
+    search: async (query) => {
+      calls.push({ provider: name, query });
+      return { hits: titles.map((title, i) => ({ title, link: `https://${name}.example/${i}` })) };
+    },
+    results: (data, options) => data.hits.slice(0, options.limit || 10),
+    mapResult: hit => ({ title: hit.title, url: hit.link }),
+    ...extra
+  };
+}
+
+before(async () => {
+  tmpDir = await fs.mkdtemp(path.join(os.tmpdir(), 'gleeam-search-'));
+  registerSearchProvider('empty', memoryProvider('empty', []));
+  registerSearchProvider('alpha', memoryProvider('alpha', ['Vite 7', 'Bun 2']));
+  registerSearchProvider('beta', memoryProvider('beta', ['Deno 3']));
+  registerSearchProvider('broken', memoryProvider('broken', [], {
+    search: async (query) => {
+      calls.push({ provider: 'broken', query });
+      throw new Error('timeout');
+    }
+  }));
+  registerSearchProvider('keyed', memoryProvider('keyed', ['Clé requise'], { envKey: 'GLEEAM_TEST_SEARCH_KEY' }));
+});
+
+after(async () => {
+  await fs.rm(tmpDir, { recursive: true, force: true });
+});
+
+function search(order, extra = {}) {
+  return { search: { order, quotaFile: path.join(tmpDir, 'quota.json'), ...extra } };
+}
+
+test('les providers enregistrés et HTTP de la configuration sont listés', () => {
+  const names = listSearchProviders({
+    providers: { myapi: { type: 'http', url: 'https://api.example.com?q={query}', fields: { title: 'name', url: 'link' } }, brave: { quota: null } }
+  });
+  assert.ok(['brave', 'serper', 'news', 'searxng', 'alpha', 'myapi'].every(name => names.includes(name)));
+  assert.equal(names.filter(name => name === 'brave').length, 1);
+});
+
+test('un provider est disponible s\'il est dans l\'ordre, actif et a sa clé', () => {
+  assert.equal(isSearchProviderAvailable('alpha', { order: 'alpha' }), true);
+  assert.equal(isSearchProviderAvailable('alpha', { order: 'beta' }), false);
+  assert.equal(isSearchProviderAvailable('alpha', { order: 'alpha', providers: { alpha: { enabled: false } } }), false);
+  assert.equal(isSearchProviderAvailable('keyed', { order: 'keyed' }), false);
+});
+
+test('un provider inconnu ou d\'un type inconnu est refusé', () => {
+  assert.throws(() => isSearchProviderAvailable('nope', { order: 'nope' }), /Provider de recherche inconnu: nope/);
+  assert.throws(() => isSearchProviderAvailable('grpc', { order: 'grpc', providers: { grpc: { type: 'grpc' } } }), /type "grpc" inconnu/);
+});
+
+test('searchWithProvider normalise les résultats et note le provider et la requête', async () => {
+  const results = await searchWithProvider('alpha', 'bundlers', { limit: 1, ...search('alpha') });
+  assert.deepEqual(results, [{
+    title: 'Vite 7',
+    description: null,
+    url: 'https://alpha.example/0',
+    source: 'alpha.example',
+    publishedAt: null,
+    provider: 'alpha',
+    query: 'bundlers'
+  }]);
+});
+
+test('une erreur du provider donne une liste vide', async () => {
+  assert.deepEqual(await searchWithProvider('broken', 'bundlers', search('broken')), []);
+});
+
+test('stratégie first : le premier provider qui renvoie des résultats, les suivants ne sont pas appelés', async () => {
+  calls.length = 0;
+  const results = await searchWeb('bundlers', search('empty,broken,alpha,beta'));
+
+  assert.deepEqual(results.map(result => result.title), ['Vite 7', 'Bun 2']);
+  assert.deepEqual(calls.map(call => call.provider), ['empty', 'broken', 'alpha']);
+});
+
+test('stratégie merge : les résultats de tous les providers, à la suite', async () => {
+  const results = await searchWeb('bundlers', search('alpha,beta,keyed', { strategy: 'merge' }));
+  assert.deepEqual(results.map(result => `${result.provider}:${result.title}`), ['alpha:Vite 7', 'alpha:Bun 2', 'beta:Deno 3']);
+});
+
+test('sans provider disponible, la recherche est vide', async () => {
+  assert.deepEqual(await searchWeb('bundlers', search('keyed')), []);
+});
+
+test('un provider au quota épuisé est sauté jusqu\'à la période suivante', async () => {
+  const quotaFile = path.join(tmpDir, 'quota-limited.json');
+  const options = { search: { order: 'beta', quotaFile, providers: { beta: { quota: { limit: 1, period: 'day' } } } } };
+
+  assert.equal((await searchWithProvider('beta', 'deno', options)).length, 1);
+  assert.deepEqual(await searchWithProvider('beta', 'deno', options), []);
+
+  const usage = JSON.parse(await fs.readFile(quotaFile, 'utf-8'));
+  assert.deepEqual(usage.beta, { period: new Date().toISOString().slice(0, 10), count: 1 });
+});
+
+test('une stratégie inconnue est refusée', async () => {
+  await assert.rejects(searchWeb('bundlers', search('alpha', { strategy: 'random' })), /SEARCH_STRATEGY invalide: random/);
+});
@@ -0,0 +1,53 @@
+/**
+ * Provider de recherche Brave Search API
+ * Documentation: https://api-dashboard.search.brave.com/app/documentation
+ * Gratuit: 2000 requêtes/mois
+ */
+
+import fetch from 'node-fetch';
+
+export const braveProvider = {
+  label: 'Brave Search',
+  envKey: 'BRAVE_API_KEY',
+  quota: { limit: 2000, period: 'month' },
+
+  async search(query, options, settings) {
+    const params = new URLSearchParams({
+      q: query,
+      count: options.limit || 10,
+      search_lang: options.language || 'fr',
+      freshness: 'pm', // Past month
+      text_decorations: 'false',
+      spellcheck: 'false'
+    });
+
+    const response = await fetch(`https://api.search.brave.com/res/v1/web/search?${params}`, {
+      headers: {
+        'Accept': 'application/json',
+        'Accept-Encoding': 'gzip',
+        'X-Subscription-Token': settings.apiKey
+      },
+      signal: AbortSignal.timeout(settings.timeoutMs)
+    });
+
+    if (!response.ok) {
+      const errorText = await response.text();
+      throw new Error(`Brave API error ${response.status}: ${errorText}`);
+    }
+
+    return response.json();
+  },
+
+  results: data => data.web?.results || [],
+
+  mapResult: result => ({
+    title: result.title,
+    description: result.description,
+    url: result.url,
+    publishedAt: result.age || null
+  })
+};
+
+export default {
+  braveProvider
+};
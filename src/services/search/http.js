@@ -0,0 +1,115 @@
+/**
+ * Provider de recherche HTTP générique : endpoint JSON décrit par sa configuration
+ *
+ * {
+ *   "type": "http",
+ *   "url": "https://api.example.com/search?q={query}&count={limit}",
+ *   "method": "GET",                                  (ou POST, avec "body")
+ *   "headers": { "Authorization": "Bearer {apiKey}" },
+ *   "envKey": "EXAMPLE_API_KEY",                      (variable requise, fournit {apiKey})
+ *   "quota": { "limit": 1000, "period": "month" },    (day, month ou total)
+ *   "resultsPath": "data.items",
+ *   "fields": { "title": "name", "description": "snippet", "url": "link", "publishedAt": "meta.date" }
+ * }
+ *
+ * Variables remplacées dans l'URL (encodées), les en-têtes et le corps : {query}, {limit}, {language}, {country}, {apiKey}
+ */
+
+import fetch from 'node-fetch';
+
+const RESULT_FIELDS = ['title', 'description', 'url', 'source', 'publishedAt'];
+
+/**
+ * Lire une valeur par chemin pointé ("data.items", "meta.date", "links.0.href")
+ */
+function getPath(data, dotPath) {
+  if (!dotPath) return data;
+  return dotPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), data);
+}
+
+function fillTemplate(template, variables, encode = false) {
+  return template.replace(/\{(\w+)\}/g, (match, name) => {
+    if (!(name in variables)) return match;
+    const value = String(variables[name] ?? '');
+    return encode ? encodeURIComponent(value) : value;
+  });
+}
+
+/**
+ * Remplacer les variables dans toutes les chaînes d'une valeur JSON (corps, en-têtes)
+ */
+function fillValues(value, variables) {
+  if (typeof value === 'string') return fillTemplate(value, variables);
+  if (Array.isArray(value)) return value.map(item => fillValues(item, variables));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fillValues(item, variables)]));
+  }
+  return value;
+}
+
+/**
+ * Créer un provider à partir de sa définition
+ * @param {string} name - Nom du provider (SEARCH_PROVIDERS)
+ * @param {object} definition - Voir l'en-tête du module
+ */
+export function createHttpProvider(name, definition) {
+  if (!definition.url) {
+    throw new Error(`Provider de recherche ${name}: "url" manquante`);
+  }
+  if (!definition.fields?.title || !definition.fields?.url) {
+    throw new Error(`Provider de recherche ${name}: "fields.title" et "fields.url" sont requis`);
+  }
+  for (const field of Object.keys(definition.fields)) {
+    if (!RESULT_FIELDS.includes(field)) {
+      throw new Error(`Provider de recherche ${name}: champ "${field}" inconnu (attendus : ${RESULT_FIELDS.join(', ')})`);
+    }
+  }
+
+  const method = (definition.method || 'GET').toUpperCase();
+
+  return {
+    label: definition.label || name,
+    envKey: definition.envKey || null,
+    quota: definition.quota || null,
+
+    async search(query, options, settings) {
+      const variables = {
+        query,
+        limit: options.limit || 10,
+        language: options.language || 'fr',
+        country: options.country || 'fr',
+        apiKey: settings.apiKey
+      };
+
+      const response = await fetch(fillTemplate(definition.url, variables, true), {
+        method,
+        headers: {
+          'Accept': 'application/json',
+          ...(definition.body ? { 'Content-Type': 'application/json' } : {}),
+          ...fillValues(definition.headers || {}, variables)
+        },
+        body: definition.body && method !== 'GET' ? JSON.stringify(fillValues(definition.body, variables)) : undefined,
+        signal: AbortSignal.timeout(settings.timeoutMs)
+      });
+
+      if (!response.ok) {
+        throw new Error(`${name} error: ${response.status}`);
+      }
+
+      return response.json();
+    },
+
+    results: (data, options) => {
+      const items = getPath(data, definition.resultsPath);
+      return Array.isArray(items) ? items.slice(0, options.limit || 10) : [];
+    },
+
+    mapResult: item => Object.fromEntries(
+      Object.entries(definition.fields).map(([field, dotPath]) => [field, getPath(item, dotPath) ?? null])
+    )
+  };
+}
+
+export default {
+  createHttpProvider
+};
@@ -0,0 +1,95 @@
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import http from 'http';
+import { createHttpProvider } from './http.js';
+
+let server;
+let baseURL;
+const requests = [];
+
+before(async () => {
+  server = http.createServer((request, response) => {
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+      requests.push({ method: request.method, url: request.url, headers: request.headers, body });
+      if (request.url.startsWith('/fail')) {
+        response.writeHead(503);
+        response.end();
+        return;
+      }
+      response.writeHead(200, { 'Content-Type': 'application/json' });
+      response.end(JSON.stringify({
+        data: {
+          items: [
+            { name: 'Vite 7', link: 'https://vite.dev/blog/vite-7', meta: { date: '2026-10-01' }, snippet: 'Sortie de Vite 7' },
+            { name: 'Bun 2', link: 'https://bun.sh/blog/bun-v2' },
+            { name: 'Deno 3', link: 'https://deno.com/blog/v3' }
+          ]
+        }
+      }));
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  baseURL = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+});
+
+const SETTINGS = { apiKey: 'secret', timeoutMs: 5000 };
+
+test('la définition doit fournir une URL et les champs title et url connus', () => {
+  assert.throws(() => createHttpProvider('myapi', { fields: { title: 'name', url: 'link' } }), /"url" manquante/);
+  assert.throws(() => createHttpProvider('myapi', { url: 'https://x', fields: { title: 'name' } }), /"fields.title" et "fields.url" sont requis/);
+  assert.throws(() => createHttpProvider('myapi', { url: 'https://x', fields: { title: 'name', url: 'link', score: 'rank' } }), /champ "score" inconnu/);
+});
+
+test('GET : variables encodées dans l\'URL, clé dans les en-têtes, résultats lus par chemin pointé', async () => {
+  const provider = createHttpProvider('myapi', {
+    url: `${baseURL}/search?q={query}&count={limit}&lang={language}`,
+    headers: { Authorization: 'Bearer {apiKey}' },
+    envKey: 'MYAPI_KEY',
+    resultsPath: 'data.items',
+    fields: { title: 'name', url: 'link', description: 'snippet', publishedAt: 'meta.date' }
+  });
+  assert.equal(provider.label, 'myapi');
+  assert.equal(provider.envKey, 'MYAPI_KEY');
+
+  const options = { limit: 2, language: 'en' };
+  const data = await provider.search('vite & bun', options, SETTINGS);
+  const request = requests.at(-1);
+  assert.equal(request.url, '/search?q=vite%20%26%20bun&count=2&lang=en');
+  assert.equal(request.headers.authorization, 'Bearer secret');
+
+  const items = provider.results(data, options);
+  assert.equal(items.length, 2);
+  assert.deepEqual(items.map(provider.mapResult), [
+    { title: 'Vite 7', url: 'https://vite.dev/blog/vite-7', description: 'Sortie de Vite 7', publishedAt: '2026-10-01' },
+    { title: 'Bun 2', url: 'https://bun.sh/blog/bun-v2', description: null, publishedAt: null }
+  ]);
+});
+
+test('POST : corps JSON rempli avec les variables', async () => {
+  const provider = createHttpProvider('myapi', {
+    url: `${baseURL}/search`,
+    method: 'post',
+    body: { q: '{query}', size: '{limit}', filters: ['{country}'] },
+    resultsPath: 'data.items',
+    fields: { title: 'name', url: 'link' }
+  });
+
+  await provider.search('vite', { country: 'be' }, SETTINGS);
+  const request = requests.at(-1);
+  assert.equal(request.method, 'POST');
+  assert.equal(request.headers['content-type'], 'application/json');
+  assert.deepEqual(JSON.parse(request.body), { q: 'vite', size: '10', filters: ['be'] });
+});
+
+test('un statut HTTP en erreur est remonté, un chemin absent ne donne aucun résultat', async () => {
+  const provider = createHttpProvider('myapi', { url: `${baseURL}/fail`, resultsPath: 'data.items', fields: { title: 'name', url: 'link' } });
+
+  await assert.rejects(provider.search('vite', {}, SETTINGS), /myapi error: 503/);
+  assert.deepEqual(provider.results({ data: {} }, {}), []);
+});
@@ -0,0 +1,47 @@
+/**
+ * Provider de recherche News API (actualités)
+ * Documentation: https://newsapi.org/
+ * Gratuit: 100 requêtes/jour
+ */
+
+import fetch from 'node-fetch';
+
+export const newsProvider = {
+  label: 'News API',
+  envKey: 'NEWS_API_KEY',
+  quota: { limit: 100, period: 'day' },
+
+  async search(query, options, settings) {
+    const params = new URLSearchParams({
+      q: query,
+      language: options.language || 'fr',
+      sortBy: 'publishedAt',
+      pageSize: options.limit || 10,
+      apiKey: settings.apiKey
+    });
+
+    const response = await fetch(`https://newsapi.org/v2/everything?${params}`, {
+      signal: AbortSignal.timeout(settings.timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`News API error: ${response.status}`);
+    }
+
+    return response.json();
+  },
+
+  results: data => data.articles || [],
+
+  mapResult: article => ({
+    title: article.title,
+    description: article.description,
+    source: article.source?.name,
+    url: article.url,
+    publishedAt: article.publishedAt
+  })
+};
+
+export default {
+  newsProvider
+};
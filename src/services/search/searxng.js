@@ -0,0 +1,49 @@
+/**
+ * Provider de recherche SearXNG (métamoteur auto-hébergé, sans quota)
+ * Documentation: https://docs.searxng.org/dev/search_api.html
+ * Le format JSON doit être autorisé sur l'instance (search.formats: [html, json] dans settings.yml)
+ */
+
+import fetch from 'node-fetch';
+
+export const searxngProvider = {
+  label: 'SearXNG',
+  // La « clé » est l'URL de l'instance (ex: http://localhost:8080)
+  envKey: 'SEARXNG_URL',
+  quota: null,
+
+  async search(query, options, settings) {
+    const params = new URLSearchParams({
+      q: query,
+      format: 'json',
+      language: options.language || 'fr',
+      time_range: 'month'
+    });
+    if (settings.engines) params.set('engines', settings.engines);
+
+    const response = await fetch(`${settings.apiKey.replace(/\/+$/, '')}/search?${params}`, {
+      headers: { 'Accept': 'application/json' },
+      signal: AbortSignal.timeout(settings.timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`SearXNG error: ${response.status}`);
+    }
+
+    return response.json();
+  },
+
+  // SearXNG ne limite pas le nombre de résultats : la limite est appliquée ici
+  results: (data, options) => (data.results || []).slice(0, options.limit || 10),
+
+  mapResult: result => ({
+    title: result.title,
+    description: result.content,
+    url: result.url,
+    publishedAt: result.publishedDate || null
+  })
+};
+
+export default {
+  searxngProvider
+};
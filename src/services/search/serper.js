@@ -0,0 +1,50 @@
+/**
+ * Provider de recherche Serper.dev (résultats Google)
+ * Documentation: https://serper.dev/
+ * Gratuit: 2500 requêtes, puis $50/50K
+ */
+
+import fetch from 'node-fetch';
+
+export const serperProvider = {
+  label: 'Serper',
+  envKey: 'SERPER_API_KEY',
+  quota: { limit: 2500, period: 'total' },
+
+  async search(query, options, settings) {
+    const response = await fetch('https://google.serper.dev/search', {
+      method: 'POST',
+      headers: {
+        'X-API-KEY': settings.apiKey,
+        'Content-Type': 'application/json'
+      },
+      body: JSON.stringify({
+        q: query,
+        gl: options.country || 'fr',
+        hl: options.language || 'fr',
+        num: options.limit || 10,
+        tbs: 'qdr:m' // Past month
+      }),
+      signal: AbortSignal.timeout(settings.timeoutMs)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Serper API error: ${response.status}`);
+    }
+
+    return response.json();
+  },
+
+  results: data => data.organic || [],
+
+  mapResult: result => ({
+    title: result.title,
+    description: result.snippet,
+    url: result.link,
+    publishedAt: result.date || null
+  })
+};
+
+export default {
+  serperProvider
+};
@@ -1,189 +1,35 @@
 /**
  * Service de recherche de tendances tech
- * Utilise Brave Search API, Serper.dev ou News API
+ * Utilise les providers de recherche web (services/search.js) et des flux RSS/Atom (services/feeds.js)
+ * Chaque recherche est enregistrée dans l'historique des tendances (services/history.js)
  */
 
-import fetch from 'node-fetch';
 import { logger } from '../utils/logger.js';
+import { searchWeb, searchWithProvider, isSearchProviderAvailable } from './search.js';
+import { fetchFeedTrends } from './feeds.js';
+import { fetchSourcePages, formatExcerpts } from './pages.js';
+import { rankTrends } from './ranking.js';
+import { recordTrendHistory, pickRisingTrend } from './history.js';
+import { getTrendHistoryConfig } from '../config/history.js';
+import { getSearchConfig } from '../config/search.js';
+import { getPageFetchConfig } from '../config/pages.js';
 import { getTrendSearchQueries, getRandomCategory, TOPICS } from '../config/topics.js';
 import { shuffleArray } from '../utils/helpers.js';
 
 /**
- * Rechercher des tendances via Brave Search API
- * Documentation: https://api-dashboard.search.brave.com/app/documentation
- * Gratuit: 2000 requêtes/mois
+ * Marquer les résultats avec leur provider (signal de recoupement, services/ranking.js),
+ * comme le fait services/search.js pour la recherche web
  */
-export async function fetchBraveSearchTrends(query, options = {}) {
-  const apiKey = process.env.BRAVE_API_KEY;
-  
-  if (!apiKey) {
-    logger.debug('BRAVE_API_KEY non configurée');
-    return [];
-  }
-
-  try {
-    const params = new URLSearchParams({
-      q: query,
-      count: options.limit || 10,
-      search_lang: options.language || 'fr',
-      freshness: 'pm', // Past month
-      text_decorations: 'false',
-      spellcheck: 'false'
-    });
-
-    const response = await fetch(`https://api.search.brave.com/res/v1/web/search?${params}`, {
-      headers: {
-        'Accept': 'application/json',
-        'Accept-Encoding': 'gzip',
-        'X-Subscription-Token': apiKey
-      }
-    });
-    
-    if (!response.ok) {
-      const errorText = await response.text();
-      throw new Error(`Brave API error ${response.status}: ${errorText}`);
-    }
-
-    const data = await response.json();
-    
-    return (data.web?.results || []).map(result => ({
-      title: result.title,
-      description: result.description,
-      url: result.url,
-      source: new URL(result.url).hostname,
-      publishedAt: result.age || null
-    }));
-  } catch (error) {
-    logger.error('Erreur Brave Search:', error.message);
-    return [];
-  }
-}
-
-/**
- * Rechercher des tendances via Serper.dev
- * Documentation: https://serper.dev/
- * Gratuit: 2500 requêtes, puis $50/50K
- */
-export async function fetchSerperTrends(query, options = {}) {
-  const apiKey = process.env.SERPER_API_KEY;
-  
-  if (!apiKey) {
-    logger.debug('SERPER_API_KEY non configurée');
-    return [];
-  }
-
-  try {
-    const response = await fetch('https://google.serper.dev/search', {
-      method: 'POST',
-      headers: {
-        'X-API-KEY': apiKey,
-        'Content-Type': 'application/json'
-      },
-      body: JSON.stringify({
-        q: query,
-        gl: options.country || 'fr',
-        hl: options.language || 'fr',
-        num: options.limit || 10,
-        tbs: 'qdr:m' // Past month
-      })
-    });
-    
-    if (!response.ok) {
-      throw new Error(`Serper API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    
-    return (data.organic || []).map(result => ({
-      title: result.title,
-      description: result.snippet,
-      url: result.link,
-      source: new URL(result.link).hostname,
-      publishedAt: result.date || null
-    }));
-  } catch (error) {
-    logger.error('Erreur Serper:', error.message);
-    return [];
-  }
-}
-
-/**
- * Rechercher des tendances via News API
- * Documentation: https://newsapi.org/
- * Gratuit: 100 requêtes/jour
- */
-export async function fetchNewsAPITrends(query, options = {}) {
-  const apiKey = process.env.NEWS_API_KEY;
-  
-  if (!apiKey) {
-    logger.debug('NEWS_API_KEY non configurée');
-    return [];
-  }
-
-  try {
-    const params = new URLSearchParams({
-      q: query,
-      language: options.language || 'fr',
-      sortBy: 'publishedAt',
-      pageSize: options.limit || 10,
-      apiKey
-    });
-
-    const response = await fetch(`https://newsapi.org/v2/everything?${params}`);
-    
-    if (!response.ok) {
-      throw new Error(`News API error: ${response.status}`);
-    }
-
-    const data = await response.json();
-    
-    return (data.articles || []).map(article => ({
-      title: article.title,
-      description: article.description,
-      source: article.source?.name,
-      url: article.url,
-      publishedAt: article.publishedAt
-    }));
-  } catch (error) {
-    logger.error('Erreur News API:', error.message);
-    return [];
-  }
+function withProvider(results, provider) {
+  return results.map(result => ({ ...result, provider, query: null }));
 }
 
 /**
- * Recherche web unifiée - utilise l'API disponible
- * Priorité: Brave > Serper > News API > Fallback
+ * Recherche web unifiée sur les providers configurés (services/search.js)
+ * Ordre, activation et stratégie : SEARCH_PROVIDERS, SEARCH_STRATEGY (défaut: Brave > Serper > News API > SearXNG)
  */
 export async function fetchWebSearch(query, options = {}) {
-  // Essayer Brave Search en premier (meilleur ratio gratuit)
-  if (process.env.BRAVE_API_KEY) {
-    const results = await fetchBraveSearchTrends(query, options);
-    if (results.length > 0) {
-      logger.debug(`Brave Search: ${results.length} résultats`);
-      return results;
-    }
-  }
-
-  // Essayer Serper.dev ensuite
-  if (process.env.SERPER_API_KEY) {
-    const results = await fetchSerperTrends(query, options);
-    if (results.length > 0) {
-      logger.debug(`Serper: ${results.length} résultats`);
-      return results;
-    }
-  }
-
-  // Fallback sur News API
-  if (process.env.NEWS_API_KEY) {
-    const results = await fetchNewsAPITrends(query, options);
-    if (results.length > 0) {
-      logger.debug(`News API: ${results.length} résultats`);
-      return results;
-    }
-  }
-
-  logger.warn('Aucune API de recherche configurée');
-  return [];
+  return searchWeb(query, options);
 }
 
 /**
@@ -193,44 +39,43 @@ export async function getTrendingTopics(category = null, options = {}) {
   logger.info('Recherche de sujets tendances...');
   
   const topics = [];
+  const knownCategory = category && TOPICS[category] ? category : null;
   let searchQueries;
 
-  if (category && TOPICS[category]) {
-    searchQueries = TOPICS[category].searchQueries;
+  if (knownCategory) {
+    searchQueries = TOPICS[knownCategory].searchQueries;
   } else {
     // Sélectionner des requêtes aléatoires de différentes catégories
     searchQueries = shuffleArray(getTrendSearchQueries()).slice(0, 5);
   }
 
-  // Recherche web unifiée en parallèle (Brave/Serper/News API)
+  // Recherche web unifiée en parallèle (providers de services/search.js)
   const webPromises = searchQueries.slice(0, 3).map(query =>
     fetchWebSearch(query, options)
   );
   
-  // Complément avec News API pour les actualités fraîches (en parallèle aussi)
-  const newsPromises = process.env.NEWS_API_KEY
-    ? searchQueries.slice(0, 2).map(query => fetchNewsAPITrends(query, options))
+  // Complément avec News API pour les actualités fraîches (déjà interrogé avec la stratégie merge)
+  const newsPromises = getSearchConfig(options.search).strategy === 'first' && isSearchProviderAvailable('news', options.search)
+    ? searchQueries.slice(0, 2).map(query => searchWithProvider('news', query, options))
     : [];
 
-  const allResults = await Promise.all([...webPromises, ...newsPromises]);
+  // Flux RSS/Atom de la catégorie (gratuits, sans clé : toujours interrogés)
+  const feedPromise = fetchFeedTrends(knownCategory, options)
+    .then(results => withProvider(results, 'feeds'));
+
+  const allResults = await Promise.all([...webPromises, ...newsPromises, feedPromise]);
   for (const results of allResults) {
     topics.push(...results);
   }
 
-  // Dédupliquer par titre (similitude approximative)
-  const uniqueTopics = [];
-  const seenTitles = new Set();
+  // Historique : chaque résultat est rattaché à son histoire (storyId), suivie d'une recherche à l'autre
+  const trackedTopics = await recordTrendHistory(topics, { category: knownCategory });
 
-  for (const topic of topics) {
-    const normalizedTitle = topic.title.toLowerCase().slice(0, 50);
-    if (!seenTitles.has(normalizedTitle)) {
-      seenTitles.add(normalizedTitle);
-      uniqueTopics.push(topic);
-    }
-  }
+  // Une tendance par histoire, classée : récence, recoupement, pertinence, nouveauté
+  const rankedTopics = await rankTrends(trackedTopics, { category: knownCategory });
 
-  logger.info(`${uniqueTopics.length} sujets tendances identifiés`);
-  return uniqueTopics;
+  logger.info(`${rankedTopics.length} sujets tendances identifiés`);
+  return rankedTopics;
 }
 
 /**
@@ -273,51 +118,35 @@ export function generateTopicSuggestions(category = null) {
   return suggestions;
 }
 
-/**
- * Analyser la pertinence d'un sujet
- */
-export function analyzeTopicRelevance(topic, keywords) {
-  const titleLower = topic.title.toLowerCase();
-  const descLower = (topic.description || '').toLowerCase();
-  
-  let score = 0;
-  
-  for (const keyword of keywords) {
-    if (titleLower.includes(keyword.toLowerCase())) score += 2;
-    if (descLower.includes(keyword.toLowerCase())) score += 1;
-  }
-  
-  return score;
-}
-
 /**
  * Obtenir le meilleur sujet pour une catégorie
+ * @param {object} options - { preferRising : une tendance en hausse et pas encore traitée d'abord (défaut: TREND_PREFER_RISING) }
  */
-export async function getBestTopicForCategory(categoryId) {
+export async function getBestTopicForCategory(categoryId, options = {}) {
   const category = TOPICS[categoryId];
   
   if (!category) {
     throw new Error(`Catégorie inconnue: ${categoryId}`);
   }
 
-  // Essayer d'obtenir des tendances
-  const trends = await getTrendingTopics(categoryId);
-  
-  if (trends.length > 0) {
-    // Scorer et trier par pertinence
-    const scoredTopics = trends.map(topic => ({
-      ...topic,
-      relevanceScore: analyzeTopicRelevance(topic, category.keywords)
-    }));
-    
-    scoredTopics.sort((a, b) => b.relevanceScore - a.relevanceScore);
-    
-    if (scoredTopics[0].relevanceScore > 0) {
-      return {
-        source: 'trending',
-        ...scoredTopics[0]
-      };
-    }
+  // Tendances déjà classées (score multi-signaux) : la meilleure qui touche la catégorie
+  const trends = (await getTrendingTopics(categoryId)).filter(topic => topic.scoreBreakdown.signals.relevance > 0);
+  const { preferRising } = getTrendHistoryConfig({ preferRising: options.preferRising });
+  const rising = preferRising ? await pickRisingTrend(trends, { category: categoryId }) : null;
+  const best = rising || trends[0];
+
+  if (rising) {
+    logger.info(`Tendance en hausse retenue (${rising.momentum.mentionsPerDay} mention(s)/jour): ${rising.title}`);
+  } else if (preferRising && best) {
+    logger.debug('Aucune tendance en hausse non traitée, meilleur score retenu');
+  }
+
+  if (best) {
+    logger.debug(`Tendance retenue (score ${best.score}): ${best.title}`);
+    return {
+      source: 'trending',
+      ...best
+    };
   }
 
   // Fallback : suggestions générées
@@ -332,11 +161,14 @@ export async function getBestTopicForCategory(categoryId) {
  * Rechercher des informations actuelles sur un sujet spécifique
  * Utile pour enrichir un article avec des données à jour
  * @param {string} topic - Le sujet à rechercher
- * @param {object} options - Options de recherche
- * @returns {object} Contexte enrichi avec sources et informations
+ * @param {object} options - Options de recherche ({ language, ... }), et :
+ *   fetchPages - télécharger les pages sources et en extraire les passages pertinents (défaut: SOURCE_PAGES_ENABLED)
+ *   pages - surcharges de config/pages.js
+ * @returns {object} Contexte enrichi avec sources et informations (excerpts : passages des pages sources)
  */
 export async function researchTopicOnline(topic, options = {}) {
   logger.info(`Recherche d'informations actuelles sur : "${topic}"`);
+  const { fetchPages = getPageFetchConfig(options.pages).enabled, pages: pageOptions, ...searchOptions } = options;
   
   const searchQueries = [
     topic,
@@ -346,7 +178,7 @@ export async function researchTopicOnline(topic, options = {}) {
   
   // Lancer toutes les recherches en parallèle
   const searchPromises = searchQueries.map(query =>
-    fetchWebSearch(query, { ...options, limit: 5 })
+    fetchWebSearch(query, { ...searchOptions, limit: 5 })
   );
   const results = await Promise.all(searchPromises);
   const allResults = results.flat();
@@ -371,10 +203,17 @@ export async function researchTopicOnline(topic, options = {}) {
     date: r.publishedAt
   }));
   
+  // Pages sources (optionnel) : les extraits les plus pertinents, avec leur URL
+  const pages = fetchPages && sources.length > 0 ? await fetchSourcePages(topic, sources, pageOptions) : null;
+  const excerpts = pages?.excerpts || [];
+
   // Créer un résumé du contexte pour l'IA
-  const contextSummary = sources.length > 0 
+  let contextSummary = sources.length > 0 
     ? sources.map(s => `- ${s.title}: ${s.snippet || 'N/A'} (Source: ${s.source})`).join('\n')
     : 'Aucune information récente trouvée en ligne.';
+  if (excerpts.length > 0) {
+    contextSummary += `\n\n${formatExcerpts(excerpts)}`;
+  }
   
   logger.info(`${sources.length} sources trouvées pour enrichir l'article`);
   
@@ -383,19 +222,17 @@ export async function researchTopicOnline(topic, options = {}) {
     searchedAt: new Date().toISOString(),
     sourcesCount: sources.length,
     sources,
+    pages: pages?.pages || [],
+    excerpts,
     contextSummary,
     hasRecentData: sources.length > 0
   };
 }
 
 export default {
-  fetchBraveSearchTrends,
-  fetchSerperTrends,
-  fetchNewsAPITrends,
   fetchWebSearch,
   getTrendingTopics,
   generateTopicSuggestions,
-  analyzeTopicRelevance,
   getBestTopicForCategory,
   researchTopicOnline
 };
@@ -0,0 +1,177 @@
+/**
+ * Comptabilité des tokens et des coûts LLM
+ *
+ * Chaque appel est enregistré (provider, modèle, étape du pipeline, tokens d'entrée,
+ * de sortie et de raisonnement, coût, réponse servie par le cache) dans les trackers
+ * actifs : un tracker par article, un tracker par exécution du cron. Les trackers suivent le contexte asynchrone,
+ * y compris les appels lancés en parallèle (traductions).
+ */
+
+import { AsyncLocalStorage } from 'async_hooks';
+import { getModelPrice, BATCH_PRICE_FACTOR } from '../config/pricing.js';
+import { logger } from '../utils/logger.js';
+
+const activeTrackers = new AsyncLocalStorage();
+
+/**
+ * Modèles sans prix connu (avertissement une seule fois par modèle)
+ */
+const unpricedModels = new Set();
+
+/**
+ * Créer un tracker d'usage vide
+ */
+export function createUsageTracker() {
+  return { calls: [] };
+}
+
+/**
+ * Exécuter fn en enregistrant les appels LLM dans tracker
+ * (en plus des trackers déjà actifs : un article compte aussi dans son run)
+ */
+export function trackUsage(tracker, fn) {
+  const parents = activeTrackers.getStore() || [];
+  return activeTrackers.run([...parents, tracker], fn);
+}
+
+/**
+ * Calculer le coût d'un appel (USD), null si le modèle n'a pas de prix
+ */
+export function computeCost({ provider, model, inputTokens = 0, outputTokens = 0 }) {
+  const price = getModelPrice(model, provider);
+  if (!price) {
+    if (!unpricedModels.has(model)) {
+      unpricedModels.add(model);
+      logger.warn(`Prix inconnu pour le modèle ${model} : ajoutez-le à LLM_PRICES pour calculer son coût`);
+    }
+    return null;
+  }
+  return (inputTokens * price.input + outputTokens * price.output) / 1_000_000;
+}
+
+/**
+ * Enregistrer un appel dans les trackers actifs
+ * Une réponse servie par le cache ne consomme ni tokens ni budget : elle compte comme cacheHit
+ * Une réponse de l'API Batch est facturée au tarif batch (BATCH_PRICE_FACTOR)
+ * @param {object} entry - { provider, model, stage, inputTokens, outputTokens, reasoningTokens, cached, batch }
+ */
+export function recordUsage(entry) {
+  const call = {
+    provider: entry.provider,
+    model: entry.model,
+    stage: entry.stage || 'other',
+    inputTokens: entry.cached ? 0 : entry.inputTokens || 0,
+    outputTokens: entry.cached ? 0 : entry.outputTokens || 0,
+    reasoningTokens: entry.cached ? 0 : entry.reasoningTokens || 0,
+    cached: Boolean(entry.cached),
+    batch: Boolean(entry.batch)
+  };
+  call.cost = call.cached ? 0 : computeCost(call);
+  if (call.batch && call.cost !== null) call.cost *= BATCH_PRICE_FACTOR;
+
+  if (call.cached) {
+    const saved = (entry.inputTokens || 0) + (entry.outputTokens || 0);
+    logger.info(`Cache LLM [${call.stage}] ${call.model}: réponse réutilisée (${saved} tokens économisés)`);
+  } else {
+    logger.debug(`Usage [${call.stage}] ${call.model}: ${call.inputTokens} in / ${call.outputTokens} out` +
+      `${call.reasoningTokens ? ` (dont ${call.reasoningTokens} raisonnement)` : ''} → ${formatCost(call.cost)}`);
+  }
+
+  for (const tracker of activeTrackers.getStore() || []) {
+    tracker.calls.push(call);
+  }
+
+  return call;
+}
+
+/**
+ * Totaux vides (un groupe : article, étape ou modèle)
+ */
+function emptyTotals() {
+  return { calls: 0, cacheHits: 0, inputTokens: 0, outputTokens: 0, reasoningTokens: 0, totalTokens: 0, cost: 0 };
+}
+
+/**
+ * Ajouter des totaux à d'autres (coût null = au moins un appel sans prix connu)
+ */
+function addTotals(target, source) {
+  target.calls += source.calls ?? 1;
+  target.cacheHits += source.cacheHits ?? (source.cached ? 1 : 0);
+  target.inputTokens += source.inputTokens;
+  target.outputTokens += source.outputTokens;
+  target.reasoningTokens += source.reasoningTokens;
+  target.totalTokens += source.totalTokens ?? source.inputTokens + source.outputTokens;
+  target.cost = target.cost === null || source.cost === null ? null : target.cost + source.cost;
+  return target;
+}
+
+function roundCost(totals) {
+  if (totals.cost !== null) totals.cost = Math.round(totals.cost * 1_000_000) / 1_000_000;
+  return totals;
+}
+
+/**
+ * Résumer l'usage d'un tracker : totaux, par étape et par modèle
+ * @returns {object} { calls, cacheHits, inputTokens, outputTokens, reasoningTokens, totalTokens, cost, currency, byStage, byModel }
+ */
+export function summarizeUsage(tracker) {
+  return mergeUsage(...tracker.calls.map(call => ({
+    ...call,
+    calls: 1,
+    cacheHits: call.cached ? 1 : 0,
+    byStage: { [call.stage]: call },
+    byModel: { [call.model]: call }
+  })));
+}
+
+/**
+ * Additionner plusieurs résumés d'usage (ex : génération + traductions, articles d'un run)
+ */
+export function mergeUsage(...summaries) {
+  const merged = { ...emptyTotals(), currency: 'USD', byStage: {}, byModel: {} };
+
+  for (const summary of summaries.filter(Boolean)) {
+    addTotals(merged, summary);
+    for (const group of ['byStage', 'byModel']) {
+      for (const [key, totals] of Object.entries(summary[group] || {})) {
+        merged[group][key] = addTotals(merged[group][key] || emptyTotals(), totals);
+      }
+    }
+  }
+
+  roundCost(merged);
+  Object.values(merged.byStage).forEach(roundCost);
+  Object.values(merged.byModel).forEach(roundCost);
+  return merged;
+}
+
+/**
+ * Formater un coût en dollars
+ */
+export function formatCost(cost) {
+  if (cost === null || cost === undefined) return 'coût inconnu';
+  return `$${cost.toFixed(cost < 0.01 ? 4 : 2)}`;
+}
+
+/**
+ * Ligne de résumé : "12 appels · 35 210 tokens (dont 4 096 de raisonnement) · $0.0421 · 3 en cache"
+ */
+export function formatUsage(summary) {
+  if (!summary || summary.calls === 0) return 'aucun appel LLM';
+  const reasoning = summary.reasoningTokens > 0
+    ? ` (dont ${summary.reasoningTokens.toLocaleString('fr-FR')} de raisonnement)`
+    : '';
+  const cacheHits = summary.cacheHits > 0 ? ` · ${summary.cacheHits} en cache` : '';
+  return `${summary.calls} appel(s) · ${summary.totalTokens.toLocaleString('fr-FR')} tokens${reasoning} · ${formatCost(summary.cost)}${cacheHits}`;
+}
+
+export default {
+  createUsageTracker,
+  trackUsage,
+  computeCost,
+  recordUsage,
+  summarizeUsage,
+  mergeUsage,
+  formatCost,
+  formatUsage
+};
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createUsageTracker, trackUsage, computeCost, recordUsage, summarizeUsage, mergeUsage, formatCost, formatUsage } from './usage.js';
+
+test('computeCost applique le prix par million de tokens', () => {
+  assert.equal(computeCost({ provider: 'openai', model: 'gpt-5-mini', inputTokens: 1_000_000, outputTokens: 500_000 }), 1.25);
+  assert.equal(computeCost({ provider: 'anthropic', model: 'claude-opus-4-5', inputTokens: 1_000_000, outputTokens: 1_000_000 }), 30);
+  assert.equal(computeCost({ provider: 'openai', model: 'modele-inconnu', inputTokens: 10 }), null);
+});
+
+test('les appels sont comptés dans tous les trackers actifs, cache et batch compris', async () => {
+  const run = createUsageTracker();
+  const article = createUsageTracker();
+
+  await trackUsage(run, () => trackUsage(article, async () => {
+    recordUsage({ provider: 'openai', model: 'gpt-5-mini', stage: 'content', inputTokens: 1000, outputTokens: 2000 });
+    recordUsage({ provider: 'openai', model: 'gpt-5-mini', stage: 'seo', inputTokens: 1000, outputTokens: 2000, cached: true });
+    recordUsage({ provider: 'openai', model: 'gpt-5-mini', stage: 'seo', inputTokens: 1000, outputTokens: 2000, batch: true });
+  }));
+  recordUsage({ provider: 'openai', model: 'gpt-5-mini', stage: 'content', inputTokens: 1 });
+
+  assert.equal(run.calls.length, 3);
+  assert.equal(article.calls.length, 3);
+
+  const summary = summarizeUsage(article);
+  assert.equal(summary.calls, 3);
+  assert.equal(summary.cacheHits, 1);
+  assert.equal(summary.totalTokens, 6000);
+  // 0.00425 plein tarif, 0 en cache, moitié prix en batch
+  assert.equal(summary.cost, 0.006375);
+  assert.equal(summary.byStage.seo.calls, 2);
+  assert.equal(summary.byModel['gpt-5-mini'].totalTokens, 6000);
+});
+
+test('un coût inconnu rend le total inconnu', () => {
+  const merged = mergeUsage(
+    { calls: 1, inputTokens: 1, outputTokens: 1, reasoningTokens: 0, cost: 0.1 },
+    { calls: 1, inputTokens: 1, outputTokens: 1, reasoningTokens: 0, cost: null }
+  );
+  assert.equal(merged.cost, null);
+  assert.equal(formatCost(null), 'coût inconnu');
+  assert.equal(formatCost(0.5), '$0.50');
+  assert.equal(formatCost(0.0042), '$0.0042');
+});
+
+test('formatUsage résume les appels', () => {
+  assert.equal(formatUsage(null), 'aucun appel LLM');
+  const tracker = createUsageTracker();
+  trackUsage(tracker, () => recordUsage({ provider: 'fake', model: 'fake', stage: 'content', inputTokens: 10, outputTokens: 20 }));
+  assert.match(formatUsage(summarizeUsage(tracker)), /^1 appel\(s\) · 30 tokens · \$0\.0000$/);
+});
@@ -14,70 +14,20 @@ import ora from 'ora';
 import chalk from 'chalk';
 
 import { logger } from './utils/logger.js';
-import { testOpenAIConnection } from './services/openai.js';
+import { testLLMConnection } from './services/llm.js';
 import { 
   connectDatabase, 
   disconnectDatabase, 
-  getPostsCollection,
+  findPostBySlugOrId,
   updatePost
 } from './services/database.js';
 import { 
   generateMultilingualArticle, 
+  extractSingleLocaleContent,
   SUPPORTED_LOCALES, 
   LOCALE_NAMES 
 } from './generators/translator.js';
-import { ObjectId } from 'mongodb';
-
-/**
- * Trouver un article par slug ou ID
- */
-async function findArticle(slug, id) {
-  const collection = await getPostsCollection();
-  
-  if (id) {
-    return await collection.findOne({ _id: new ObjectId(id) });
-  }
-  
-  if (slug) {
-    return await collection.findOne({ slug });
-  }
-  
-  return null;
-}
-
-/**
- * Extraire le contenu mono-langue d'un article (pour re-traduction)
- */
-function extractSingleLocaleContent(article, locale = 'fr') {
-  // Si l'article est déjà en format localisé, extraire la langue source
-  const getLocalized = (field) => {
-    if (typeof field === 'object' && field !== null && !Array.isArray(field)) {
-      return field[locale] || Object.values(field)[0] || '';
-    }
-    return field || '';
-  };
-
-  return {
-    title: getLocalized(article.title),
-    slug: article.slug,
-    excerpt: getLocalized(article.excerpt),
-    content: getLocalized(article.content),
-    coverImage: article.coverImage,
-    seo: {
-      metaTitle: getLocalized(article.seo?.metaTitle),
-      metaDescription: getLocalized(article.seo?.metaDescription),
-      keywords: getLocalized(article.seo?.keywords),
-      ogImage: article.seo?.ogImage,
-      canonicalUrl: article.seo?.canonicalUrl,
-      noIndex: article.seo?.noIndex
-    },
-    status: article.status,
-    publishedAt: article.publishedAt,
-    tags: article.tags,
-    author: article.author,
-    readingTime: article.readingTime
-  };
-}
+import { withStructuredData } from './generators/jsonld.js';
 
 /**
  * Programme principal
@@ -102,9 +52,9 @@ async function main() {
   logger.header('TRADUCTION D\'ARTICLE EXISTANT');
 
   // Vérifications
-  const openaiOk = await testOpenAIConnection();
-  if (!openaiOk) {
-    logger.error('Connexion OpenAI échouée');
+  const llmOk = await testLLMConnection();
+  if (!llmOk) {
+    logger.error('Configuration LLM invalide');
     process.exit(1);
   }
 
@@ -113,7 +63,7 @@ async function main() {
   // Trouver l'article
   const spinner = ora('Recherche de l\'article...').start();
   
-  const article = await findArticle(options.slug, options.id);
+  const article = await findPostBySlugOrId(options.slug, options.id);
   
   if (!article) {
     spinner.fail('Article non trouvé');
@@ -156,11 +106,18 @@ async function main() {
       // Sauvegarder
       const saveSpinner = ora('Sauvegarde...').start();
       
+      // Article stocké d'abord : couverture et dates conservées, dateModified daté de la sauvegarde
+      const updatedAt = new Date();
+      const { structuredData, faq } = withStructuredData({ ...article, ...multilingualArticle, updatedAt });
+
       await updatePost(article._id.toString(), {
         title: multilingualArticle.title,
         excerpt: multilingualArticle.excerpt,
         content: multilingualArticle.content,
-        seo: multilingualArticle.seo
+        seo: multilingualArticle.seo,
+        structuredData,
+        faq,
+        updatedAt
       });
 
       saveSpinner.succeed('Article mis à jour !');
@@ -177,6 +177,104 @@ export async function retryWithBackoff(fn, maxRetries = 3, initialDelay = 1000)
   throw lastError;
 }
 
+/**
+ * Différence ligne à ligne entre deux textes (plus longue sous-séquence commune)
+ * Retourne une liste d'opérations { type: 'same' | 'added' | 'removed', line }
+ */
+export function diffLines(before, after) {
+  const a = before.split('\n');
+  const b = after.split('\n');
+  const n = a.length;
+  const m = b.length;
+
+  // Table LCS calculée depuis la fin pour reconstruire le diff dans l'ordre
+  const lcs = Array.from({ length: n + 1 }, () => new Array(m + 1).fill(0));
+  for (let i = n - 1; i >= 0; i--) {
+    for (let j = m - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const ops = [];
+  let i = 0;
+  let j = 0;
+  while (i < n && j < m) {
+    if (a[i] === b[j]) {
+      ops.push({ type: 'same', line: a[i] });
+      i++;
+      j++;
+    } else if (lcs[i + 1][j] >= lcs[i][j + 1]) {
+      ops.push({ type: 'removed', line: a[i++] });
+    } else {
+      ops.push({ type: 'added', line: b[j++] });
+    }
+  }
+  while (i < n) ops.push({ type: 'removed', line: a[i++] });
+  while (j < m) ops.push({ type: 'added', line: b[j++] });
+
+  return ops;
+}
+
+/**
+ * Entités HTML nommées courantes (les autres sont numériques)
+ */
+const NAMED_ENTITIES = {
+  amp: '&', lt: '<', gt: '>', quot: '"', apos: '\'', nbsp: ' ',
+  ndash: '–', mdash: '—', hellip: '…', lsquo: '‘', rsquo: '’', ldquo: '“', rdquo: '”', laquo: '«', raquo: '»',
+  copy: '©', reg: '®', trade: '™', eacute: 'é', egrave: 'è', ecirc: 'ê', agrave: 'à', acirc: 'â', ccedil: 'ç',
+  ocirc: 'ô', ucirc: 'û', icirc: 'î', iuml: 'ï'
+};
+
+/**
+ * Décoder les entités HTML (&amp;, &#39;, &#x2019;...)
+ */
+export function decodeHTMLEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, entity) => {
+    if (entity[0] !== '#') return NAMED_ENTITIES[entity.toLowerCase()] ?? match;
+    const code = entity[1].toLowerCase() === 'x' ? parseInt(entity.slice(2), 16) : parseInt(entity.slice(1), 10);
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : match;
+  });
+}
+
+/**
+ * Lire un entier depuis l'environnement (valeur par défaut si absent ou invalide)
+ */
+export function envInt(name, defaultValue) {
+  const value = parseInt(process.env[name], 10);
+  return isNaN(value) ? defaultValue : value;
+}
+
+/**
+ * Lire un nombre décimal depuis l'environnement (valeur par défaut si absent ou invalide)
+ */
+export function envFloat(name, defaultValue) {
+  const value = parseFloat(process.env[name]);
+  return isNaN(value) ? defaultValue : value;
+}
+
+/**
+ * Lire un booléen depuis l'environnement (valeur par défaut si absent ou vide, undefined si omise)
+ * Un drapeau actif par défaut ne se coupe qu'avec "false", sinon seul "true" l'active
+ */
+export function envBool(name, defaultValue) {
+  const value = process.env[name];
+  if (value === undefined || value === '') return defaultValue;
+  return defaultValue === true ? value !== 'false' : value === 'true';
+}
+
+/**
+ * Appliquer les surcharges d'une configuration (options CLI, appelants)
+ * Les valeurs undefined et null gardent la valeur de l'environnement
+ */
+export function mergeOverrides(config, overrides) {
+  for (const [key, value] of Object.entries(overrides || {})) {
+    if (value !== undefined && value !== null) {
+      config[key] = value;
+    }
+  }
+  return config;
+}
+
 /**
  * Randomiser un tableau
  */
@@ -200,5 +298,11 @@ export default {
   formatTags,
   sleep,
   retryWithBackoff,
+  diffLines,
+  decodeHTMLEntities,
+  envInt,
+  envFloat,
+  envBool,
+  mergeOverrides,
   shuffleArray
 };
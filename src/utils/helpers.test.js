@@ -0,0 +1,57 @@
+import { test, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { envInt, envFloat, envBool, mergeOverrides, decodeHTMLEntities, diffLines } from './helpers.js';
+
+afterEach(() => {
+  delete process.env.TEST_HELPER_VALUE;
+});
+
+test('envInt et envFloat gardent la valeur par défaut si la variable est absente ou invalide', () => {
+  assert.equal(envInt('TEST_HELPER_VALUE', 3), 3);
+  process.env.TEST_HELPER_VALUE = 'abc';
+  assert.equal(envFloat('TEST_HELPER_VALUE', 0.5), 0.5);
+  process.env.TEST_HELPER_VALUE = '0';
+  assert.equal(envInt('TEST_HELPER_VALUE', 3), 0);
+  process.env.TEST_HELPER_VALUE = '0.25';
+  assert.equal(envFloat('TEST_HELPER_VALUE', 1), 0.25);
+  assert.equal(envInt('TEST_HELPER_VALUE', 3), 0);
+});
+
+test('envBool : un drapeau actif par défaut ne se coupe qu\'avec "false", un drapeau inactif ne s\'active qu\'avec "true"', () => {
+  assert.equal(envBool('TEST_HELPER_VALUE', false), false);
+  assert.equal(envBool('TEST_HELPER_VALUE', true), true);
+  assert.equal(envBool('TEST_HELPER_VALUE'), undefined);
+  process.env.TEST_HELPER_VALUE = '';
+  assert.equal(envBool('TEST_HELPER_VALUE', true), true);
+  assert.equal(envBool('TEST_HELPER_VALUE'), undefined);
+  process.env.TEST_HELPER_VALUE = 'false';
+  assert.equal(envBool('TEST_HELPER_VALUE', true), false);
+  process.env.TEST_HELPER_VALUE = 'true';
+  assert.equal(envBool('TEST_HELPER_VALUE', false), true);
+  process.env.TEST_HELPER_VALUE = 'no';
+  assert.equal(envBool('TEST_HELPER_VALUE', true), true);
+  process.env.TEST_HELPER_VALUE = 'yes';
+  assert.equal(envBool('TEST_HELPER_VALUE', false), false);
+  // Sans valeur par défaut (capacités LLM_*) : toute autre valeur que "true" vaut false
+  assert.equal(envBool('TEST_HELPER_VALUE'), false);
+});
+
+test('mergeOverrides ignore undefined et null mais garde 0 et false', () => {
+  const config = mergeOverrides({ a: 1, b: 2, c: true, d: 'x' }, { a: undefined, b: 0, c: false, d: null });
+  assert.deepEqual(config, { a: 1, b: 0, c: false, d: 'x' });
+  assert.deepEqual(mergeOverrides({ a: 1 }, null), { a: 1 });
+});
+
+test('decodeHTMLEntities décode les entités nommées et numériques', () => {
+  assert.equal(decodeHTMLEntities('R&amp;D &ndash; l&#39;&eacute;t&#xE9; &unknown;'), 'R&D – l\'été &unknown;');
+});
+
+test('diffLines reconstruit les deux textes', () => {
+  const ops = diffLines('a\nb\nc', 'a\nc\nd');
+  assert.deepEqual(ops, [
+    { type: 'same', line: 'a' },
+    { type: 'removed', line: 'b' },
+    { type: 'same', line: 'c' },
+    { type: 'added', line: 'd' }
+  ]);
+});
@@ -0,0 +1,86 @@
+/**
+ * Progression de la rédaction en streaming (CLI)
+ * Affiche dans un spinner ora : mots écrits, section H2 en cours, débit en tokens/s
+ * et, en option, les dernières lignes du texte
+ */
+
+import chalk from 'chalk';
+
+/**
+ * Intervalle minimal entre deux rafraîchissements du spinner (ms)
+ */
+const REFRESH_INTERVAL = 100;
+
+/**
+ * Compter les mots d'un texte Markdown
+ */
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Dernier titre H2 rencontré dans le texte
+ */
+function currentHeading(text) {
+  const headings = [...text.matchAll(/^##\s+(.+)$/gm)];
+  return headings.length > 0 ? headings[headings.length - 1][1].trim() : null;
+}
+
+/**
+ * Dernières lignes non vides, tronquées à la largeur du terminal
+ */
+function tailLines(text, count) {
+  const width = Math.max(20, (process.stdout.columns || 80) - 6);
+  return text.split('\n')
+    .filter(line => line.trim())
+    .slice(-count)
+    .map(line => chalk.gray(`  │ ${line.length > width ? `${line.slice(0, width - 1)}…` : line}`))
+    .join('\n');
+}
+
+/**
+ * Créer le callback onChunk qui met à jour un spinner
+ * Les appels terminés (sections en mode long format) s'additionnent au texte en cours
+ * @param {object} spinner - Spinner ora déjà démarré
+ * @param {object} options - { label, tail } (tail : nombre de lignes du texte à afficher, 0 pour aucune)
+ * @returns {Function} onChunk({ stage, delta, text, done })
+ */
+export function createStreamProgress(spinner, options = {}) {
+  const { label = 'Rédaction', tail = 0 } = options;
+  let written = '';
+  let current = '';
+  let streamedChars = 0;
+  let startedAt = null;
+  let lastRefresh = 0;
+
+  return (chunk) => {
+    if (chunk.done) {
+      written = written ? `${written}\n\n${chunk.text}` : chunk.text;
+      current = '';
+    } else {
+      startedAt ??= Date.now();
+      streamedChars += chunk.delta.length;
+      current = chunk.text;
+    }
+
+    const now = Date.now();
+    if (!chunk.done && now - lastRefresh < REFRESH_INTERVAL) return;
+    lastRefresh = now;
+
+    const text = current ? (written ? `${written}\n\n${current}` : current) : written;
+    const parts = [`${label}… ${countWords(text).toLocaleString('fr-FR')} mots`];
+
+    const heading = currentHeading(text);
+    if (heading) parts.push(`§ ${heading}`);
+
+    // ~4 caractères par token : estimation, l'usage exact arrive en fin d'appel
+    const seconds = startedAt ? (now - startedAt) / 1000 : 0;
+    if (seconds >= 1) parts.push(`~${Math.round(streamedChars / 4 / seconds)} tok/s`);
+
+    spinner.text = parts.join(' · ') + (tail > 0 && text ? `\n${tailLines(text, tail)}` : '');
+  };
+}
+
+export default {
+  createStreamProgress
+};
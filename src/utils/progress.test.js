@@ -0,0 +1,36 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createStreamProgress } from './progress.js';
+
+test('le spinner affiche les mots écrits et la section en cours', () => {
+  const spinner = { text: '' };
+  const onChunk = createStreamProgress(spinner, { label: 'Rédaction' });
+
+  onChunk({ stage: 'content', delta: 'Intro de trois mots', text: 'Intro de trois mots', done: false });
+  assert.equal(spinner.text, 'Rédaction… 4 mots');
+
+  onChunk({ stage: 'content', delta: '', text: 'Intro de trois mots', done: true });
+  onChunk({ stage: 'content', delta: '', text: '## Le compilateur\n\nDeux mots', done: true });
+  assert.equal(spinner.text, 'Rédaction… 9 mots · § Le compilateur');
+});
+
+test('les appels terminés s\'additionnent au texte en cours', () => {
+  const spinner = { text: '' };
+  const onChunk = createStreamProgress(spinner, { tail: 1 });
+
+  onChunk({ stage: 'content', delta: '', text: '## Première\n\nun deux', done: true });
+  onChunk({ stage: 'content', delta: '', text: '## Seconde\n\ntrois', done: true });
+
+  const [status, tail] = spinner.text.split('\n');
+  assert.equal(status, 'Rédaction… 7 mots · § Seconde');
+  assert.match(tail, /│ trois/);
+});
+
+test('les fragments rapprochés ne rafraîchissent pas le spinner', () => {
+  const spinner = { text: '' };
+  const onChunk = createStreamProgress(spinner);
+
+  onChunk({ stage: 'content', delta: 'un', text: 'un', done: false });
+  onChunk({ stage: 'content', delta: ' deux', text: 'un deux', done: false });
+  assert.equal(spinner.text, 'Rédaction… 1 mots');
+});
@@ -0,0 +1,123 @@
+/**
+ * Validation de réponses JSON contre un schéma (sous-ensemble de JSON Schema)
+ *
+ * Mots-clés pris en charge : type, enum, properties, required, items,
+ * minLength, maxLength, minItems, maxItems, minimum, maximum.
+ * Les champs supplémentaires sont tolérés localement : additionalProperties
+ * ne sert qu'aux structured outputs stricts.
+ */
+
+/**
+ * Mots-clés refusés par les structured outputs stricts (contrôlés localement)
+ */
+const LOCAL_ONLY_KEYWORDS = ['minLength', 'maxLength', 'minItems', 'maxItems', 'minimum', 'maximum', 'pattern', 'format'];
+
+/**
+ * Type JSON d'une valeur ("integer" pour un nombre entier)
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Valider une valeur
+ * @param {object} schema - Schéma JSON
+ * @param {*} value - Valeur à valider
+ * @returns {string[]} Erreurs lisibles ("sections[2].h2 : champ requis manquant"), vide si valide
+ */
+export function validateSchema(schema, value, path = '') {
+  const label = path || 'racine';
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(type => matchesType(value, type))) {
+      return [`${label} : type ${typeOf(value)} au lieu de ${types.join(' | ')}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${label} : valeur ${JSON.stringify(value)} hors de [${schema.enum.map(v => JSON.stringify(v)).join(', ')}]`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+      errors.push(schema.minLength === 1
+        ? `${label} : chaîne vide`
+        : `${label} : ${value.length} caractères (minimum ${schema.minLength})`);
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+      errors.push(`${label} : ${value.length} caractères (maximum ${schema.maxLength})`);
+    }
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${label} : ${value} (minimum ${schema.minimum})`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${label} : ${value} (maximum ${schema.maximum})`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${label} : ${value.length} élément(s) (minimum ${schema.minItems})`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${label} : ${value.length} élément(s) (maximum ${schema.maxItems})`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(schema.items, item, `${path}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${path ? `${path}.` : ''}${key} : champ requis manquant`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties || {})) {
+      if (value[key] !== undefined) {
+        errors.push(...validateSchema(propertySchema, value[key], path ? `${path}.${key}` : key));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Version du schéma acceptée par les structured outputs stricts :
+ * sans les contraintes de longueur ou de bornes (vérifiées localement)
+ */
+export function toStrictSchema(schema) {
+  const strict = Object.fromEntries(
+    Object.entries(schema).filter(([key]) => !LOCAL_ONLY_KEYWORDS.includes(key))
+  );
+
+  if (schema.properties) {
+    strict.properties = Object.fromEntries(
+      Object.entries(schema.properties).map(([key, value]) => [key, toStrictSchema(value)])
+    );
+  }
+  if (schema.items) {
+    strict.items = toStrictSchema(schema.items);
+  }
+
+  return strict;
+}
+
+export default {
+  validateSchema,
+  toStrictSchema
+};
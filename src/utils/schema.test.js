@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { validateSchema, toStrictSchema } from './schema.js';
+import { OUTLINE_SCHEMA } from '../prompts/schemas.js';
+
+const SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  required: ['title', 'sections'],
+  properties: {
+    title: { type: 'string', minLength: 1, maxLength: 20 },
+    score: { type: 'integer', minimum: 0, maximum: 100 },
+    tone: { type: 'string', enum: ['neutre', 'engagé'] },
+    sections: {
+      type: 'array',
+      minItems: 2,
+      items: {
+        type: 'object',
+        required: ['h2'],
+        properties: { h2: { type: 'string', minLength: 1 }, note: { type: ['string', 'null'] } }
+      }
+    }
+  }
+};
+
+test('une valeur conforme ne produit aucune erreur, champs supplémentaires compris', () => {
+  const value = { title: 'Titre', score: 80, tone: 'neutre', sections: [{ h2: 'A', note: null }, { h2: 'B', extra: true }], other: 1 };
+  assert.deepEqual(validateSchema(SCHEMA, value), []);
+});
+
+test('les erreurs donnent le chemin précis du champ', () => {
+  const errors = validateSchema(SCHEMA, {
+    title: '  ',
+    score: 12.5,
+    tone: 'drôle',
+    sections: [{ h2: 'A' }, { note: 3 }]
+  });
+
+  assert.deepEqual(errors, [
+    'title : chaîne vide',
+    'score : type number au lieu de integer',
+    'tone : valeur "drôle" hors de ["neutre", "engagé"]',
+    'sections[1].h2 : champ requis manquant',
+    'sections[1].note : type integer au lieu de string | null'
+  ]);
+});
+
+test('bornes de longueur, de nombre d\'éléments et de valeurs', () => {
+  const errors = validateSchema(SCHEMA, { title: 'x'.repeat(25), score: 101, sections: [{ h2: 'A' }] });
+  assert.deepEqual(errors, [
+    'title : 25 caractères (maximum 20)',
+    'score : 101 (maximum 100)',
+    'sections : 1 élément(s) (minimum 2)'
+  ]);
+  assert.deepEqual(validateSchema(SCHEMA, []), ['racine : type array au lieu de object']);
+});
+
+test('toStrictSchema retire les contraintes vérifiées localement, à toutes les profondeurs', () => {
+  const strict = toStrictSchema(SCHEMA);
+  const serialized = JSON.stringify(strict);
+
+  for (const keyword of ['minLength', 'maxLength', 'minItems', 'minimum', 'maximum']) {
+    assert.ok(!serialized.includes(`"${keyword}"`), keyword);
+  }
+  assert.deepEqual(strict.required, SCHEMA.required);
+  assert.equal(strict.additionalProperties, false);
+  assert.deepEqual(strict.properties.tone.enum, ['neutre', 'engagé']);
+  assert.deepEqual(strict.properties.sections.items.required, ['h2']);
+  // Le schéma d'origine reste utilisable pour la validation locale
+  assert.equal(SCHEMA.properties.title.minLength, 1);
+});
+
+test('le schéma du plan est strict après conversion', () => {
+  const strict = toStrictSchema(OUTLINE_SCHEMA.schema);
+  assert.equal(strict.type, 'object');
+  assert.ok(!JSON.stringify(strict).includes('"minItems"'));
+});